@@ -14,6 +14,19 @@ if (SUPABASE_URL && SUPABASE_ANON_KEY) {
   }
 }
 
+// Service-role client for functions only the server may call (see lib/service-role.js)
+const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || '';
+let supabaseService = null;
+if (SUPABASE_URL && SUPABASE_SERVICE_ROLE_KEY) {
+  try {
+    supabaseService = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
+      auth: { persistSession: false, autoRefreshToken: false }
+    });
+  } catch (e) {
+    console.warn('⚠️ Failed to initialize Supabase service client:', e.message);
+  }
+}
+
 // API Key Cache (1 minute TTL)
 const API_KEY_CACHE = new Map();
 const CACHE_TTL = 60000; // 1 minute
@@ -133,7 +146,8 @@ async function validateApiKey(req) {
       prefix: keyRecord.key_prefix,
       canSearch: keyRecord.can_search,
       canGenerate: keyRecord.can_generate,
-      canDownload: keyRecord.can_download
+      canDownload: keyRecord.can_download,
+      ownerId: keyRecord.created_by || null
     };
 
     // Cache the validation result
@@ -202,6 +216,7 @@ async function requireApiKey(req, res, endpoint) {
 
 module.exports = {
   supabase,
+  supabaseService,
   setSecurityHeaders,
   sendError,
   sendSuccess,
@@ -1,8 +1,14 @@
 // POST /api/icons/generate - Generate custom icons using AI
-const axios = require('axios');
-const { requireApiKey, sendError, sendSuccess, supabase } = require('../_utils');
+const crypto = require('crypto');
+const { requireApiKey, sendError, sendSuccess, supabase, supabaseService } = require('../_utils');
+const { TEMPLATE_ID_PATTERN, createPromptTemplateStore, renderTemplate } = require('../../lib/prompt-templates');
+const { createDefaultImageProvider } = require('../../lib/image-providers');
+const { DEFAULT_MODEL, createModelEntitlements, isModelAllowed, resolveModelParams, validateModelParams } = require('../../lib/model-registry');
 
 const RUNWARE_API_KEY = process.env.RUNWARE_API_KEY || '';
+const promptTemplates = createPromptTemplateStore({ supabase });
+const modelEntitlements = createModelEntitlements({ supabase: supabaseService, required: Boolean(supabase) });
+const imageProvider = createDefaultImageProvider(process.env.IMAGE_PROVIDER || 'runware', { apiKey: RUNWARE_API_KEY });
 
 // SVG conversion utility (simplified for serverless)
 function convertToSvg(imageUrl, width, height) {
@@ -22,8 +28,8 @@ export default async function handler(req, res) {
   const auth = await requireApiKey(req, res, 'generate');
   if (!auth) return; // Error already sent
 
-  if (!RUNWARE_API_KEY) {
-    return sendError(res, 500, 'Server not configured: RUNWARE_API_KEY missing');
+  if (!imageProvider.configured) {
+    return sendError(res, 500, `Server not configured: ${imageProvider.missingConfig} missing`);
   }
 
   try {
@@ -32,73 +38,70 @@ export default async function handler(req, res) {
       context = '', 
       style = 'outline', 
       colors = 'black and white', 
-      background = 'white' 
+      background = 'white',
+      template: templateId = 'default',
+      templateVersion,
+      model = DEFAULT_MODEL,
+      width,
+      height,
+      steps,
+      CFGScale
     } = req.body;
 
     if (!subject || typeof subject !== 'string' || subject.trim().length === 0) {
       return sendError(res, 400, 'Subject parameter is required and must be a non-empty string');
     }
 
+    if (typeof templateId !== 'string' || !TEMPLATE_ID_PATTERN.test(templateId)) {
+      return sendError(res, 400, 'template must be a template id (lowercase letters, digits and dashes)');
+    }
+
+    const modelErrors = validateModelParams({ model, width, height, steps, CFGScale });
+    if (modelErrors.length > 0) {
+      return sendError(res, 400, modelErrors[0]);
+    }
+
+    const entitlement = await modelEntitlements.forUser(auth.keyInfo.ownerId);
+    if (!isModelAllowed(entitlement, model)) {
+      return sendError(res, 403, `Model ${model} is not available on ${entitlement.plan ? `the ${entitlement.plan.name} plan` : 'your plan'}`);
+    }
+
+    const template = await promptTemplates.resolve(templateId, templateVersion);
+    if (!template) {
+      return sendError(res, 400, `Unknown prompt template: ${templateId}${templateVersion ? ` version ${templateVersion}` : ''}`);
+    }
+
     console.log('🎨 Starting icon generation...');
 
-    // Build the prompt
-    const promptParts = [
-      `Design a simple, flat, minimalist icon of a ${subject.trim()}`,
-      context ? `for ${context}` : '',
-      `${style} style`,
-      colors ? `using ${colors} colors` : '',
-      background ? `on ${background} background` : '',
-      'high quality, professional, clean lines, suitable for UI/UX, vector-style, no text, centered composition'
-    ].filter(Boolean);
-
-    const prompt = promptParts.join(' ');
+    // Build the prompt from the selected template
+    const prompt = renderTemplate(template.body, { subject: subject.trim(), context, style, colors, background });
     console.log(`📝 Generated prompt: ${prompt}`);
 
     // Generate UUID for tracking
-    const taskUUID = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const taskUUID = crypto.randomUUID();
     console.log(`🆔 Task UUID: ${taskUUID}`);
 
-    // Call Runware API
-    console.log('🚀 Sending generation request to Runware API...');
-    const runwarePayload = {
-      taskType: 'imageInference',
-      taskUUID: taskUUID,
-      prompt: prompt,
-      height: 1024,
-      width: 1024,
-      numberResults: 1,
-      model: 'runware:100@1',
-      steps: 20,
-      CFGScale: 7,
-      seed: Math.floor(Math.random() * 1000000),
-      onlyUpscale: false,
-      useCache: true
-    };
-
-    const runwareResponse = await axios.post('https://api.runware.ai/v1', runwarePayload, {
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${RUNWARE_API_KEY}`
-      },
-      timeout: 30000
-    });
-
-    console.log(`📡 Received response from Runware API (status: ${runwareResponse.status})`);
+    const modelParams = resolveModelParams({ model, width, height, steps, CFGScale });
+    const [generatedImage] = await imageProvider.generate([{
+      taskUUID,
+      prompt,
+      ...modelParams,
+      seed: crypto.randomInt(1, 2147483647)
+    }]);
 
-    if (!runwareResponse.data || !runwareResponse.data.data || runwareResponse.data.data.length === 0) {
+    if (!generatedImage) {
       return sendError(res, 502, 'No image generated by AI service', { taskUUID });
     }
 
-    const generatedImage = runwareResponse.data.data[0];
-    console.log(`✅ Image generated successfully: ${generatedImage.imageURL}`);
+    console.log(`✅ Image generated successfully (${imageProvider.name})`);
 
     // Convert to SVG (simplified)
     console.log('🔄 Converting to SVG format...');
-    const svgContent = convertToSvg(generatedImage.imageURL, 1024, 1024);
+    const svgContent = convertToSvg(generatedImage.imageURL, modelParams.width, modelParams.height);
     console.log(`✅ Successfully converted to SVG (${svgContent.length} bytes)`);
 
-    // Store in database if configured
-    if (supabase) {
+    // Store in database if configured (mock images stay out of the gallery)
+    if (supabase && !imageProvider.sandbox) {
       try {
         const iconRecord = {
           deterministic_id: `${subject}_${Date.now()}`,
@@ -109,6 +112,8 @@ export default async function handler(req, res) {
           colors: colors,
           background: background,
           image_url: generatedImage.imageURL,
+          template_id: template.id,
+          template_version: template.version,
           custom_id: taskUUID
         };
 
@@ -131,7 +136,10 @@ export default async function handler(req, res) {
         context: context || null,
         style: style,
         colors: colors,
-        background: background
+        background: background,
+        template: { id: template.id, version: template.version },
+        model: modelParams.model,
+        provider: imageProvider.name
       },
       icon: {
         id: `generated-${taskUUID}`,
@@ -139,8 +147,8 @@ export default async function handler(req, res) {
         type: 'generated',
         imageUrl: generatedImage.imageURL,
         svg: svgContent,
-        width: 1024,
-        height: 1024,
+        width: modelParams.width,
+        height: modelParams.height,
         format: 'svg'
       },
       taskUUID: taskUUID
@@ -151,15 +159,14 @@ export default async function handler(req, res) {
   } catch (error) {
     console.error('Icon generation error:', error);
     
-    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    if (error.message === 'Request timeout') {
       return sendError(res, 504, 'Generation request timed out');
     }
     
-    if (error.response) {
-      console.error('Runware API error:', error.response.data);
+    if (error.statusCode) {
       return sendError(res, 502, 'AI service error', {
-        status: error.response.status,
-        message: error.response.data?.message || error.response.statusText
+        status: error.statusCode,
+        message: error.message
       });
     }
     
@@ -1,6 +1,7 @@
 // POST /api/icons/search - Search for icons with SVG content
 const axios = require('axios');
 const { requireApiKey, sendError, sendSuccess } = require('../_utils');
+const { rankIcons } = require('../../lib/icon-ranking');
 
 // Icon search libraries and their mappings
 const ICON_LIBRARIES = {
@@ -84,11 +85,12 @@ export default async function handler(req, res) {
       });
     }
 
-    // Select the best match (first result)
-    const bestIcon = icons[0];
+    // Select the best match by relevance score
+    const ranked = rankIcons(icons, { query: query.trim(), library, subLibrary, style });
+    const bestIcon = ranked[0].id;
     const [prefix, name] = bestIcon.split(':');
     
-    console.log(`✅ Selected best match: ${bestIcon}`);
+    console.log(`✅ Selected best match: ${bestIcon} (score: ${ranked[0].score})`);
 
     // Fetch SVG content
     console.log(`📥 Fetching SVG content...`);
@@ -110,6 +112,7 @@ export default async function handler(req, res) {
         library: prefix,
         url: svgUrl,
         svg: svgResponse.data,
+        score: ranked[0].score,
         metadata: {
           totalFound: searchResponse.data.icons.length,
           filtered: icons.length,
@@ -7,6 +7,7 @@ module.exports = {
   collectCoverageFrom: [
     'server.js',
     'api/**/*.js',
+    'lib/**/*.js',
     '!**/*.test.js',
     '!**/*.spec.js'
   ],
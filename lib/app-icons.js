@@ -0,0 +1,145 @@
+// Native app icon sets for one icon:
+//   ios/AppIcon.appiconset     every iPhone, iPad and App Store size plus Contents.json
+//   android/res/mipmap-*dpi    legacy ic_launcher / ic_launcher_round PNGs and the
+//                              ic_launcher_foreground layer of the adaptive icon
+//   android/res/mipmap-anydpi-v26  adaptive icon XML (foreground + colour background)
+// Rendering is left to the caller: renderPng(size, padding) resolves a PNG with
+// the icon fitted into size x size, `padding` (fraction per side) kept empty.
+const sharp = require('sharp');
+
+const PLATFORMS = ['ios', 'android'];
+const DEFAULT_BACKGROUND = '#ffffff';
+const BACKGROUND_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// Xcode's full AppIcon set: point size, scales and idiom
+const IOS_ICONS = [
+  { size: 20, scales: [2, 3], idiom: 'iphone' },
+  { size: 29, scales: [2, 3], idiom: 'iphone' },
+  { size: 40, scales: [2, 3], idiom: 'iphone' },
+  { size: 60, scales: [2, 3], idiom: 'iphone' },
+  { size: 20, scales: [1, 2], idiom: 'ipad' },
+  { size: 29, scales: [1, 2], idiom: 'ipad' },
+  { size: 40, scales: [1, 2], idiom: 'ipad' },
+  { size: 76, scales: [1, 2], idiom: 'ipad' },
+  { size: 83.5, scales: [2], idiom: 'ipad' },
+  { size: 1024, scales: [1], idiom: 'ios-marketing' }
+];
+const IOS_PADDING = 0.1;
+
+const ANDROID_DENSITIES = { mdpi: 1, hdpi: 1.5, xhdpi: 2, xxhdpi: 3, xxxhdpi: 4 };
+const LEGACY_DP = 48;
+const ADAPTIVE_DP = 108;
+const LEGACY_PADDING = 0.1;
+const ROUND_PADDING = 0.18;
+// Launchers mask the 108dp adaptive layer down to as little as a 66dp circle;
+// an icon fitted into the central 45dp square keeps its corners inside it
+const ADAPTIVE_PADDING = 0.29;
+const PLAY_STORE_SIZE = 512;
+
+// Validate { background, platform }; returns a list of error messages
+function validateAppIconOptions({ background, platform } = {}) {
+  const errors = [];
+  if (background !== undefined && (typeof background !== 'string' || !BACKGROUND_PATTERN.test(background))) {
+    errors.push('background must be a hex colour such as #ffffff (app icons cannot be transparent)');
+  }
+  if (platform !== undefined && !PLATFORMS.includes(platform)) {
+    errors.push(`platform must be one of: ${PLATFORMS.join(', ')}`);
+  }
+  return errors;
+}
+
+// Full six-digit form, as Android colour resources and Xcode expect
+function expandHex(color) {
+  return color.length === 4 ? `#${color.slice(1).split('').map(c => c + c).join('')}` : color;
+}
+
+// Flatten onto the background and drop the alpha channel (App Store Connect
+// rejects icons with transparency)
+function opaque(png, background) {
+  return sharp(png).flatten({ background }).removeAlpha().png().toBuffer();
+}
+
+// Solid square with the icon, cut to a circle
+async function roundIcon(png, size, background) {
+  const circle = Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}"><circle cx="${size / 2}" cy="${size / 2}" r="${size / 2}"/></svg>`);
+  const filled = await sharp(png).flatten({ background }).png().toBuffer();
+  return sharp(filled).ensureAlpha().composite([{ input: circle, blend: 'dest-in' }]).png().toBuffer();
+}
+
+async function buildIosFiles(renderPng, background) {
+  const folder = 'ios/AppIcon.appiconset';
+  const rendered = new Map(); // pixel size -> file name; iPhone and iPad share sizes
+  const files = [];
+  const images = [];
+  for (const { size, scales, idiom } of IOS_ICONS) {
+    for (const scale of scales) {
+      const pixels = size * scale;
+      if (!rendered.has(pixels)) {
+        const filename = `Icon-${pixels}.png`;
+        rendered.set(pixels, filename);
+        files.push({ name: `${folder}/${filename}`, data: await opaque(await renderPng(pixels, IOS_PADDING), background) });
+      }
+      images.push({ size: `${size}x${size}`, idiom, filename: rendered.get(pixels), scale: `${scale}x` });
+    }
+  }
+  const contents = { images, info: { version: 1, author: 'xcode' } };
+  return [...files, { name: `${folder}/Contents.json`, data: JSON.stringify(contents, null, 2) }];
+}
+
+async function buildAndroidFiles(renderPng, background) {
+  const res = 'android/res';
+  const files = [];
+  for (const [density, scale] of Object.entries(ANDROID_DENSITIES)) {
+    const legacy = Math.round(LEGACY_DP * scale);
+    const adaptive = Math.round(ADAPTIVE_DP * scale);
+    files.push(
+      { name: `${res}/mipmap-${density}/ic_launcher.png`, data: await opaque(await renderPng(legacy, LEGACY_PADDING), background) },
+      { name: `${res}/mipmap-${density}/ic_launcher_round.png`, data: await roundIcon(await renderPng(legacy, ROUND_PADDING), legacy, background) },
+      { name: `${res}/mipmap-${density}/ic_launcher_foreground.png`, data: await renderPng(adaptive, ADAPTIVE_PADDING) }
+    );
+  }
+
+  const adaptiveXml = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<adaptive-icon xmlns:android="http://schemas.android.com/apk/res/android">',
+    '    <background android:drawable="@color/ic_launcher_background"/>',
+    '    <foreground android:drawable="@mipmap/ic_launcher_foreground"/>',
+    '</adaptive-icon>',
+    ''
+  ].join('\n');
+  const colorXml = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<resources>',
+    `    <color name="ic_launcher_background">${expandHex(background).toUpperCase()}</color>`,
+    '</resources>',
+    ''
+  ].join('\n');
+
+  return [
+    ...files,
+    { name: `${res}/mipmap-anydpi-v26/ic_launcher.xml`, data: adaptiveXml },
+    { name: `${res}/mipmap-anydpi-v26/ic_launcher_round.xml`, data: adaptiveXml },
+    { name: `${res}/values/ic_launcher_background.xml`, data: colorXml },
+    { name: 'android/ic_launcher-playstore.png', data: await opaque(await renderPng(PLAY_STORE_SIZE, LEGACY_PADDING), background) }
+  ];
+}
+
+// options: background (hex, default white), platform ('ios' or 'android'; both
+// when omitted). Returns [{ name, data }] for lib/zip.js.
+async function buildAppIconSet(renderPng, options = {}) {
+  const background = expandHex(options.background || DEFAULT_BACKGROUND);
+  const platforms = options.platform ? [options.platform] : PLATFORMS;
+  const files = [];
+  if (platforms.includes('ios')) files.push(...await buildIosFiles(renderPng, background));
+  if (platforms.includes('android')) files.push(...await buildAndroidFiles(renderPng, background));
+  return files;
+}
+
+module.exports = {
+  ADAPTIVE_PADDING,
+  ANDROID_DENSITIES,
+  IOS_ICONS,
+  PLATFORMS,
+  buildAppIconSet,
+  validateAppIconOptions
+};
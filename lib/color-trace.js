@@ -0,0 +1,148 @@
+// Multi-colour tracing: quantize to a small palette with sharp, trace one potrace
+// layer per palette colour and stack the layers, most common colour at the bottom.
+// Each layer's mask also covers every colour stacked above it, so neighbouring
+// layers overlap instead of leaving hairline gaps where they meet.
+const sharp = require('sharp');
+const potrace = require('potrace');
+
+const MIN_COLORS = 2;
+const MAX_COLORS = 16;
+const TURN_POLICIES = ['black', 'white', 'left', 'right', 'minority', 'majority'];
+const ALPHA_CUTOFF = 128;          // pixels more transparent than this are left empty
+const MIN_LAYER_FRACTION = 0.002;  // rarer colours get no layer (the layers below cover them)
+
+// Validate { traceColors, turnPolicy, alphaMax, optCurve }; returns a list of error messages
+function validateTraceOptions({ traceColors, turnPolicy, alphaMax, optCurve } = {}) {
+  const errors = [];
+  if (traceColors !== undefined &&
+      (!Number.isInteger(traceColors) || (traceColors !== 1 && (traceColors < MIN_COLORS || traceColors > MAX_COLORS)))) {
+    errors.push(`traceColors must be 1 (single colour) or an integer between ${MIN_COLORS} and ${MAX_COLORS}`);
+  }
+  if (turnPolicy !== undefined && !TURN_POLICIES.includes(turnPolicy)) {
+    errors.push(`turnPolicy must be one of: ${TURN_POLICIES.join(', ')}`);
+  }
+  if (alphaMax !== undefined && (typeof alphaMax !== 'number' || !(alphaMax >= 0 && alphaMax <= 1.3334))) {
+    errors.push('alphaMax must be a number between 0 and 1.3334');
+  }
+  if (optCurve !== undefined && typeof optCurve !== 'boolean') {
+    errors.push('optCurve must be a boolean');
+  }
+  return errors;
+}
+
+// The advanced potrace parameters that were given (potrace defaults otherwise)
+function potraceParams({ turnPolicy, alphaMax, optCurve } = {}) {
+  const params = {};
+  if (turnPolicy !== undefined) params.turnPolicy = turnPolicy;
+  if (alphaMax !== undefined) params.alphaMax = alphaMax;
+  if (optCurve !== undefined) params.optCurve = optCurve;
+  return params;
+}
+
+function toHex(key) {
+  return `#${key.toString(16).padStart(6, '0')}`;
+}
+
+function tracePathTag(mask, width, height, params, fill) {
+  return sharp(mask, { raw: { width, height, channels: 1 } })
+    .png()
+    .toBuffer()
+    .then(png => new Promise((resolve, reject) => {
+      const tracer = new potrace.Potrace({ ...params, threshold: 128, blackOnWhite: true });
+      tracer.loadImage(png, (err) => {
+        if (err) return reject(err);
+        try {
+          resolve(tracer.getPathTag(fill));
+        } catch (e) {
+          reject(e);
+        }
+      });
+    }));
+}
+
+// Trace `buffer` into an SVG of up to `colors` stacked layers.
+// options: colors, size (longest edge traced, default 512), turdSize, optTolerance,
+// turnPolicy, alphaMax, optCurve
+async function traceColorLayers(buffer, options = {}) {
+  const { colors = 8, size = 512, turdSize = 2, optTolerance = 0.2 } = options;
+  const { data, info } = await sharp(buffer)
+    .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+    .png({ palette: true, colours: colors, dither: 0 })
+    .toBuffer()
+    .then(png => sharp(png).ensureAlpha().raw().toBuffer({ resolveWithObject: true }));
+
+  const { width, height } = info;
+  const pixelCount = width * height;
+  const keys = new Int32Array(pixelCount);
+  const counts = new Map();
+  for (let i = 0; i < pixelCount; i++) {
+    const o = i * 4;
+    if (data[o + 3] < ALPHA_CUTOFF) {
+      keys[i] = -1;
+      continue;
+    }
+    const key = (data[o] << 16) | (data[o + 1] << 8) | data[o + 2];
+    keys[i] = key;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  // Bottom-to-top stacking order; rank[key] is a colour's position in it
+  const palette = [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([key]) => key);
+  const rank = new Map(palette.map((key, index) => [key, index]));
+  const params = { ...potraceParams(options), turdSize, optTolerance };
+
+  // The quantizer may return a few more colours than asked for; those pixels
+  // are still covered by the layers below them
+  const layers = [];
+  for (let layer = 0; layer < Math.min(colors, palette.length); layer++) {
+    if (counts.get(palette[layer]) < pixelCount * MIN_LAYER_FRACTION) continue;
+    // Black (traced) where this colour or anything above it is painted
+    const mask = Buffer.alloc(pixelCount, 255);
+    for (let i = 0; i < pixelCount; i++) {
+      if (keys[i] !== -1 && rank.get(keys[i]) >= layer) mask[i] = 0;
+    }
+    const tag = await tracePathTag(mask, width, height, params, toHex(palette[layer]));
+    if (!tag.startsWith('<path d=""')) layers.push(tag);
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" version="1.1">\n` +
+    layers.map(tag => `\t${tag}\n`).join('') +
+    '</svg>';
+}
+
+// Mean colour (#rrggbb) of the pixels a single-colour trace fills, i.e. opaque
+// and darker than `threshold`, across all `buffers`; black when there are none.
+// Icon sets trace every icon in this one colour. Sampled at up to `size` px.
+async function inkColor(buffers, { threshold = 128, size = 256 } = {}) {
+  let r = 0;
+  let g = 0;
+  let b = 0;
+  let count = 0;
+  for (const buffer of buffers) {
+    const { data } = await sharp(buffer)
+      .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    for (let o = 0; o < data.length; o += 4) {
+      if (data[o + 3] < ALPHA_CUTOFF) continue;
+      if (0.2126 * data[o] + 0.7152 * data[o + 1] + 0.0722 * data[o + 2] >= threshold) continue;
+      r += data[o];
+      g += data[o + 1];
+      b += data[o + 2];
+      count++;
+    }
+  }
+  if (count === 0) return '#000000';
+  return toHex((Math.round(r / count) << 16) | (Math.round(g / count) << 8) | Math.round(b / count));
+}
+
+module.exports = {
+  MAX_COLORS,
+  MIN_COLORS,
+  TURN_POLICIES,
+  inkColor,
+  potraceParams,
+  traceColorLayers,
+  validateTraceOptions
+};
@@ -0,0 +1,313 @@
+// Framework components from an icon SVG: React (.jsx), Vue (.vue SFC) and
+// Svelte (.svelte). Every component takes size (default 1em), color (default
+// currentColor), className and title props; without a title the icon is
+// aria-hidden, with one it is role="img" with a <title>. Single-colour icons
+// are switched to currentColor so `color` recolours them; multi-colour icons
+// keep their colours and only their currentColor parts follow it.
+// buildComponentPackage() lays a set of components out as an ES module package
+// with one file per icon and "sideEffects": false, so bundlers can tree-shake it.
+const {
+  PAINT_NONE, getAttribute, recolor, recolorStyle, serializeTag, setAttribute, tokenizeSvg
+} = require('./svg-optimizer');
+
+const FRAMEWORKS = ['react', 'vue', 'svelte'];
+const EXTENSIONS = { react: 'jsx', vue: 'vue', svelte: 'svelte' };
+const CONTENT_TYPES = { react: 'text/javascript', vue: 'text/plain', svelte: 'text/plain' };
+const PEER_DEPENDENCIES = { react: { react: '>=16.8.0' }, vue: { vue: '^3.3.0' }, svelte: { svelte: '>=3.0.0' } };
+const PACKAGE_NAME_PATTERN = /^(?:@[a-z0-9-~][a-z0-9-._~]*\/)?[a-z0-9-~][a-z0-9-._~]*$/;
+// Root attributes the component sets itself or that only matter to standalone files
+const ROOT_ATTRIBUTES = /^(?:xmlns:.*|version|width|height|x|y|id|class|style|role|aria-[a-z]+|xml:space|color)$/;
+
+// PascalCase name from an icon name such as "tabler:home" or "3d rocket"
+function componentName(name, fallback = 'Icon') {
+  const words = String(name || '').split(/[^A-Za-z0-9]+/).filter(Boolean);
+  const pascal = words.map(word => word[0].toUpperCase() + word.slice(1)).join('');
+  if (!pascal) return fallback;
+  return /^[A-Z]/.test(pascal) ? pascal : `Icon${pascal}`;
+}
+
+// Explicit paint colours (fill/stroke attributes and style properties)
+function paintColors(tags) {
+  const colors = new Set();
+  for (const tag of tags) {
+    for (const property of ['fill', 'stroke']) {
+      const value = getAttribute(tag, property);
+      if (value !== undefined && !PAINT_NONE.test(value.trim()) && !/^url\(/i.test(value.trim())) colors.add(value.trim().toLowerCase());
+    }
+    const style = getAttribute(tag, 'style') || '';
+    for (const match of style.matchAll(/(?:^|;)\s*(?:fill|stroke)\s*:\s*([^;]+)/gi)) {
+      const value = match[1].trim();
+      if (!PAINT_NONE.test(value) && !/^url\(/i.test(value)) colors.add(value.toLowerCase());
+    }
+  }
+  return colors;
+}
+
+// Split an SVG into { viewBox, rootAttributes, inner tokens }, with single-colour
+// icons switched to currentColor
+function prepareSvg(svg) {
+  const tokens = tokenizeSvg(String(svg)
+    .replace(/<\?xml[\s\S]*?\?>/g, '')
+    .replace(/<!DOCTYPE[^>[]*(?:\[[\s\S]*?\])?\s*>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, ''));
+  const rootIndex = tokens.findIndex(token => typeof token !== 'string' && token.name === 'svg' && !token.closing);
+  const closeIndex = tokens.map(token => typeof token !== 'string' && token.name === 'svg' && token.closing).lastIndexOf(true);
+  if (rootIndex === -1 || closeIndex <= rootIndex) {
+    throw new Error('Not an SVG document');
+  }
+
+  const root = tokens[rootIndex];
+  const inner = tokens.slice(rootIndex + 1, closeIndex).filter(token => typeof token !== 'string' || token.trim());
+  const tags = [root, ...inner.filter(token => typeof token !== 'string' && !token.closing)];
+  if (paintColors(tags).size <= 1) {
+    for (const tag of tags) {
+      for (const property of ['fill', 'stroke']) {
+        const value = getAttribute(tag, property);
+        if (value !== undefined) setAttribute(tag, property, recolor(value));
+      }
+      const style = getAttribute(tag, 'style');
+      if (style !== undefined) setAttribute(tag, 'style', recolorStyle(style));
+    }
+    // Unpainted shapes would otherwise be black
+    if (getAttribute(root, 'fill') === undefined) setAttribute(root, 'fill', 'currentColor');
+  }
+
+  let viewBox = getAttribute(root, 'viewBox');
+  if (viewBox === undefined) {
+    const width = parseFloat(getAttribute(root, 'width'));
+    const height = parseFloat(getAttribute(root, 'height'));
+    viewBox = `0 0 ${width > 0 ? width : 24} ${height > 0 ? height : 24}`;
+  }
+  const rootAttributes = root.attributes.filter(([name]) => name !== 'xmlns' && name !== 'viewBox' && !ROOT_ATTRIBUTES.test(name));
+  return { viewBox, rootAttributes, inner };
+}
+
+// ---------------------------------------------------------------------------
+// Markup per framework
+
+const JSX_NAMES = { class: 'className', 'xlink:href': 'xlinkHref', 'xml:space': 'xmlSpace', 'xml:lang': 'xmlLang' };
+
+function camelCase(name) {
+  return name.replace(/[-:]([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+function jsxAttributeName(name) {
+  if (JSX_NAMES[name]) return JSX_NAMES[name];
+  if (/^(?:data|aria)-/.test(name)) return name;
+  return camelCase(name);
+}
+
+// "fill:red;stroke-width:2" -> {{ fill: 'red', strokeWidth: '2' }}
+function jsxStyle(style) {
+  const entries = style.split(';').map(rule => rule.split(':')).filter(parts => parts.length >= 2 && parts[0].trim())
+    .map(([property, ...value]) => `${camelCase(property.trim())}: ${JSON.stringify(value.join(':').trim())}`);
+  return `{{ ${entries.join(', ')} }}`;
+}
+
+// JSX string attributes have no backslash escapes, so values with quotes become expressions
+function jsxAttribute(name, value) {
+  if (name === 'style') return ` style=${jsxStyle(value)}`;
+  return ` ${jsxAttributeName(name)}=${/["\\]/.test(value) ? `{${JSON.stringify(value)}}` : `"${value}"`}`;
+}
+
+function jsxTag(tag) {
+  if (tag.closing) return `</${tag.name}>`;
+  const attributes = tag.attributes.map(([name, value]) => jsxAttribute(name, value)).join('');
+  return `<${tag.name}${attributes}${tag.selfClosing ? ' />' : '>'}`;
+}
+
+// Text that would be read as an expression ({ }) or markup is emitted as a string expression
+function textExpression(text, framework) {
+  const trimmed = text.trim();
+  if (!/[{}<>]/.test(trimmed)) return trimmed;
+  return framework === 'vue' ? `{{ ${JSON.stringify(trimmed)} }}` : `{${JSON.stringify(trimmed)}}`;
+}
+
+// Inner markup, one top-level element per line, indented under the <svg>
+function innerMarkup(inner, framework, indent) {
+  const lines = [];
+  let depth = 0;
+  let line = '';
+  for (const token of inner) {
+    if (typeof token === 'string') {
+      line += textExpression(token, framework);
+      continue;
+    }
+    line += framework === 'react' ? jsxTag(token) : serializeTag(token);
+    if (token.closing) depth--;
+    else if (!token.selfClosing) depth++;
+    if (depth === 0) {
+      lines.push(`${indent}${line}`);
+      line = '';
+    }
+  }
+  if (line) lines.push(`${indent}${line}`);
+  return lines.join('\n');
+}
+
+function staticAttributes(prepared, framework) {
+  return [['xmlns', 'http://www.w3.org/2000/svg'], ['viewBox', prepared.viewBox], ...prepared.rootAttributes]
+    .map(([name, value]) => (framework === 'react' ? jsxAttribute(name, value) : ` ${name}="${value.replace(/"/g, '&quot;')}"`))
+    .join('');
+}
+
+function reactComponent(name, prepared) {
+  return [
+    "import * as React from 'react';",
+    '',
+    `export default function ${name}({ size = '1em', color = 'currentColor', className, title, ...props }) {`,
+    '  return (',
+    `    <svg${staticAttributes(prepared, 'react')}`,
+    '      width={size}',
+    '      height={size}',
+    '      color={color}',
+    '      className={className}',
+    '      role={title ? \'img\' : undefined}',
+    '      aria-hidden={title ? undefined : true}',
+    '      {...props}',
+    '    >',
+    '      {title ? <title>{title}</title> : null}',
+    innerMarkup(prepared.inner, 'react', '      '),
+    '    </svg>',
+    '  );',
+    '}',
+    ''
+  ].join('\n');
+}
+
+function vueComponent(name, prepared) {
+  return [
+    '<script setup>',
+    `defineOptions({ name: '${name}' });`,
+    'defineProps({',
+    "  size: { type: [Number, String], default: '1em' },",
+    "  color: { type: String, default: 'currentColor' },",
+    '  className: { type: String, default: undefined },',
+    '  title: { type: String, default: undefined }',
+    '});',
+    '</script>',
+    '',
+    '<template>',
+    `  <svg${staticAttributes(prepared, 'vue')}`,
+    '    :width="size"',
+    '    :height="size"',
+    '    :color="color"',
+    '    :class="className"',
+    '    :role="title ? \'img\' : undefined"',
+    '    :aria-hidden="title ? undefined : \'true\'"',
+    '  >',
+    '    <title v-if="title">{{ title }}</title>',
+    innerMarkup(prepared.inner, 'vue', '    '),
+    '  </svg>',
+    '</template>',
+    ''
+  ].join('\n');
+}
+
+function svelteComponent(name, prepared) {
+  return [
+    `<!-- ${name} -->`,
+    '<script>',
+    "  export let size = '1em';",
+    "  export let color = 'currentColor';",
+    '  export let className = undefined;',
+    '  export let title = undefined;',
+    '</script>',
+    '',
+    `<svg${staticAttributes(prepared, 'svelte')}`,
+    '  width={size}',
+    '  height={size}',
+    '  {color}',
+    '  class={className}',
+    "  role={title ? 'img' : undefined}",
+    "  aria-hidden={title ? undefined : 'true'}",
+    '  {...$$restProps}',
+    '>',
+    '  {#if title}<title>{title}</title>{/if}',
+    innerMarkup(prepared.inner, 'svelte', '  '),
+    '</svg>',
+    ''
+  ].join('\n');
+}
+
+const GENERATORS = { react: reactComponent, vue: vueComponent, svelte: svelteComponent };
+
+// One component: { name, filename, code }. `name` is the icon name to derive the
+// component name from (e.g. "tabler:home" -> TablerHome)
+function generateComponent(svg, { framework, name, componentName: explicitName } = {}) {
+  if (!FRAMEWORKS.includes(framework)) throw new Error(`framework must be one of: ${FRAMEWORKS.join(', ')}`);
+  const component = explicitName || componentName(name);
+  return {
+    name: component,
+    filename: `${component}.${EXTENSIONS[framework]}`,
+    code: GENERATORS[framework](component, prepareSvg(svg))
+  };
+}
+
+// Package folder for a set: icons: [{ name, svg }]. Returns { files: [{ name, data }], components }
+function buildComponentPackage(icons, { framework, packageName = 'icons', version = '0.1.0' } = {}) {
+  const used = new Set();
+  const components = icons.map((icon) => {
+    const base = componentName(icon.name);
+    let component = base;
+    for (let n = 2; used.has(component); n++) component = `${base}${n}`;
+    used.add(component);
+    return { icon: icon.name, ...generateComponent(icon.svg, { framework, componentName: component }) };
+  });
+
+  const folder = packageName.replace(/^@[^/]+\//, '');
+  const packageJson = {
+    name: packageName,
+    version,
+    type: 'module',
+    main: './index.js',
+    module: './index.js',
+    exports: { '.': './index.js', './icons/*': './icons/*' },
+    files: ['index.js', 'icons'],
+    sideEffects: false,
+    peerDependencies: PEER_DEPENDENCIES[framework]
+  };
+  const index = components.map(c => `export { default as ${c.name} } from './icons/${c.filename}';`).join('\n');
+  const readme = [
+    `# ${packageName}`,
+    '',
+    `${components.length} ${framework === 'react' ? 'React' : framework === 'vue' ? 'Vue' : 'Svelte'} icon components, one file per icon.`,
+    'Import only the icons you use; the package has no side effects, so bundlers drop the rest.',
+    '',
+    '```js',
+    `import { ${components.slice(0, 2).map(c => c.name).join(', ')} } from '${packageName}';`,
+    '```',
+    '',
+    'Props: `size` (default `1em`), `color` (default `currentColor`), `className` and `title`.',
+    'Icons without a `title` are hidden from assistive technology.',
+    '',
+    framework === 'react'
+      ? 'The components are JSX source, so the app\'s bundler needs to transpile this package (Vite does; for Next.js add it to `transpilePackages`).'
+      : `The components are ${framework === 'vue' ? 'single-file components' : 'Svelte source'}, compiled by the app's bundler like its own.`,
+    '',
+    '| Component | Icon |',
+    '|-----------|------|',
+    ...components.map(c => `| \`${c.name}\` | ${c.icon} |`),
+    ''
+  ].join('\n');
+
+  return {
+    components,
+    files: [
+      { name: `${folder}/package.json`, data: `${JSON.stringify(packageJson, null, 2)}\n` },
+      { name: `${folder}/index.js`, data: `${index}\n` },
+      { name: `${folder}/README.md`, data: readme },
+      ...components.map(c => ({ name: `${folder}/icons/${c.filename}`, data: c.code }))
+    ]
+  };
+}
+
+module.exports = {
+  CONTENT_TYPES,
+  EXTENSIONS,
+  FRAMEWORKS,
+  PACKAGE_NAME_PATTERN,
+  buildComponentPackage,
+  componentName,
+  generateComponent
+};
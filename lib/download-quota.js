@@ -0,0 +1,82 @@
+// Monthly icon download allowance (subscription_plans.monthly_icon_downloads)
+// and per-icon download events, for metered downloads such as batch zips.
+// A download first reserves its icons (reserve_icon_downloads), which checks
+// and holds the allowance in one locked step so concurrent requests cannot
+// overspend it, then settles (settle_icon_downloads): the icons actually sent
+// are recorded and the hold is released.
+// Both go through a service-role client (see lib/service-role.js). Ids that are
+// not UUIDs (dev mode, API keys without an owner) and servers without a
+// database are unmetered.
+const { UUID_PATTERN } = require('./service-role');
+
+function createDownloadQuota(options = {}) {
+  // required: a database is configured, so without a client every reservation
+  // fails rather than downloads going unmetered
+  const { supabase = null, required = false } = options;
+
+  function metered(userId) {
+    return (Boolean(supabase) || required) && UUID_PATTERN.test(userId || '');
+  }
+
+  return {
+    // Hold `count` downloads of `userId`'s allowance for this billing period.
+    // Resolves { allowed, plan, limit, used, remaining, reservationId }
+    // (limit/remaining null when unlimited, used includes other pending holds),
+    // or null when the allowance could not be loaded.
+    async reserve(userId, count) {
+      if (!metered(userId)) {
+        return { allowed: true, plan: null, limit: null, used: 0, remaining: null, reservationId: null };
+      }
+      if (!supabase) {
+        console.log('⚠️ Download metering needs SUPABASE_SERVICE_ROLE_KEY');
+        return null;
+      }
+      try {
+        const { data, error } = await supabase.rpc('reserve_icon_downloads', { p_user_id: userId, p_count: count });
+        if (error) throw error;
+        const row = Array.isArray(data) ? data[0] : data;
+        if (!row) throw new Error('No plan found');
+        const plan = { id: row.plan_id, name: row.plan_name };
+        const used = row.used || 0;
+        const reservationId = row.reservation_id || null;
+        if (row.unlimited) {
+          return { allowed: Boolean(reservationId), plan, limit: null, used, remaining: null, reservationId };
+        }
+        const remaining = Math.max(0, row.monthly_limit - used);
+        return { allowed: Boolean(reservationId), plan, limit: row.monthly_limit, used, remaining, reservationId };
+      } catch (e) {
+        console.log('⚠️ Failed to reserve downloads:', e.message);
+        return null;
+      }
+    },
+
+    // Record one download event per icon sent, [{ iconId, source ('search' or
+    // 'generated'), formats, metadata }], and release the reservation (pass []
+    // when nothing was sent). Resolves the number of events recorded.
+    async settle(userId, reservation, downloads) {
+      if (!reservation || !reservation.reservationId) return 0;
+      try {
+        const { data, error } = await supabase.rpc('settle_icon_downloads', {
+          p_user_id: userId,
+          p_reservation_id: reservation.reservationId,
+          p_downloads: downloads.map(download => ({
+            icon_id: download.iconId,
+            source: download.source,
+            format: download.formats.join(','),
+            metadata: download.metadata || null
+          }))
+        });
+        if (error) throw error;
+        console.log(`📊 Recorded ${downloads.length} icon downloads for user ${userId}`);
+        return data ?? downloads.length;
+      } catch (e) {
+        console.error('❌ Failed to record icon downloads:', e.message);
+        return 0;
+      }
+    }
+  };
+}
+
+module.exports = {
+  createDownloadQuota
+};
@@ -0,0 +1,97 @@
+// Favicon / web app manifest package for one icon:
+//   favicon.ico (16, 32, 48), favicon-16x16/32x32/48x48.png, favicon.svg (SVG sources),
+//   apple-touch-icon.png (180), icon-192/512.png, icon-192/512-maskable.png,
+//   site.webmanifest and favicon.html (the <link> tags to paste into <head>)
+// Rendering is left to the caller: renderPng(size, padding) resolves a PNG with
+// the icon fitted into size x size, `padding` (fraction per side) kept empty.
+const sharp = require('sharp');
+const { buildIco } = require('./ico');
+
+const FAVICON_SIZES = [16, 32, 48];
+const APPLE_TOUCH_SIZE = 180;
+const APP_ICON_SIZES = [192, 512];
+const APPLE_TOUCH_PADDING = 0.1;
+// Maskable icons may be cropped to a circle of 80% diameter; an icon fitted into
+// the central 56% square keeps its corners inside it
+const MASKABLE_PADDING = 0.22;
+const DEFAULT_BACKGROUND = '#ffffff';
+const BACKGROUND_PATTERN = /^(?:#[0-9a-f]{3}|#[0-9a-f]{6}|transparent)$/i;
+
+function validateFaviconOptions({ background, name } = {}) {
+  const errors = [];
+  if (background !== undefined && (typeof background !== 'string' || !BACKGROUND_PATTERN.test(background))) {
+    errors.push('background must be a hex colour such as #ffffff, or transparent');
+  }
+  if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.length > 100)) {
+    errors.push('name must be a non-empty string of at most 100 characters');
+  }
+  return errors;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Paint a background behind a rendered PNG (no-op for transparent)
+function onBackground(png, background) {
+  if (background === 'transparent') return png;
+  return sharp(png).flatten({ background }).png().toBuffer();
+}
+
+// options: name (app name), background (hex or 'transparent', default white), svg
+// (optional source SVG, shipped as favicon.svg). Returns [{ name, data }] for lib/zip.js.
+async function buildFaviconPackage(renderPng, options = {}) {
+  const name = (options.name || 'App').trim();
+  const background = options.background || DEFAULT_BACKGROUND;
+  // Home-screen icons cannot be transparent (iOS paints them black)
+  const solid = background === 'transparent' ? DEFAULT_BACKGROUND : background;
+
+  const favicons = await Promise.all(FAVICON_SIZES.map(async size => ({
+    size,
+    data: await onBackground(await renderPng(size, 0), background)
+  })));
+  const appleTouch = await onBackground(await renderPng(APPLE_TOUCH_SIZE, APPLE_TOUCH_PADDING), solid);
+  const appIcons = [];
+  for (const size of APP_ICON_SIZES) {
+    appIcons.push({ size, purpose: 'any', file: `icon-${size}.png`, data: await onBackground(await renderPng(size, 0), background) });
+    appIcons.push({ size, purpose: 'maskable', file: `icon-${size}-maskable.png`, data: await onBackground(await renderPng(size, MASKABLE_PADDING), solid) });
+  }
+
+  const manifest = {
+    name,
+    short_name: name.length > 12 ? name.slice(0, 12).trim() : name,
+    icons: appIcons.map(icon => ({ src: `/${icon.file}`, sizes: `${icon.size}x${icon.size}`, type: 'image/png', purpose: icon.purpose })),
+    theme_color: solid,
+    background_color: solid,
+    display: 'standalone',
+    start_url: '/'
+  };
+
+  const links = [
+    '<link rel="icon" href="/favicon.ico" sizes="48x48">',
+    options.svg ? '<link rel="icon" href="/favicon.svg" type="image/svg+xml">' : null,
+    ...FAVICON_SIZES.slice(0, 2).reverse().map(size => `<link rel="icon" type="image/png" sizes="${size}x${size}" href="/favicon-${size}x${size}.png">`),
+    '<link rel="apple-touch-icon" href="/apple-touch-icon.png">',
+    '<link rel="manifest" href="/site.webmanifest">',
+    `<meta name="theme-color" content="${escapeHtml(solid)}">`,
+    `<meta name="application-name" content="${escapeHtml(name)}">`
+  ].filter(Boolean);
+
+  return [
+    { name: 'favicon.ico', data: buildIco(favicons) },
+    ...favicons.map(icon => ({ name: `favicon-${icon.size}x${icon.size}.png`, data: icon.data })),
+    ...(options.svg ? [{ name: 'favicon.svg', data: options.svg }] : []),
+    { name: 'apple-touch-icon.png', data: appleTouch },
+    ...appIcons.map(icon => ({ name: icon.file, data: icon.data })),
+    { name: 'site.webmanifest', data: JSON.stringify(manifest, null, 2) },
+    { name: 'favicon.html', data: `${links.join('\n')}\n` }
+  ];
+}
+
+module.exports = {
+  APP_ICON_SIZES,
+  FAVICON_SIZES,
+  MASKABLE_PADDING,
+  buildFaviconPackage,
+  validateFaviconOptions
+};
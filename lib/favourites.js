@@ -0,0 +1,128 @@
+// Per-user favourite icons (public.favourites): Iconify ids and generated icons.
+// The server reads and writes through list_user_favourites, add_user_favourite
+// and remove_user_favourite with a service-role client (see lib/service-role.js),
+// since RLS limits the table to the signed-in user. Ids that are not UUIDs (dev
+// mode) and servers without a database keep favourites in memory.
+const { UUID_PATTERN } = require('./service-role');
+
+const ICONIFY_ID_PATTERN = /^[a-z0-9-]+:[a-z0-9-]+$/i;
+const GENERATED_ID_PATTERN = /^\d{1,18}$/;
+const FAVOURITE_TYPES = ['iconify', 'generated'];
+
+// { type, id } from a request (plain Iconify ids are shorthand); returns
+// { favourite } or { error }
+function parseFavourite(input) {
+  const item = typeof input === 'string' ? { type: 'iconify', id: input } : input;
+  if (!item || typeof item !== 'object') {
+    return { error: 'Favourite must be an Iconify id or { type, id }' };
+  }
+  const type = item.type || 'iconify';
+  const id = typeof item.id === 'number' ? String(item.id) : item.id;
+  if (!FAVOURITE_TYPES.includes(type)) {
+    return { error: 'type must be "iconify" or "generated"' };
+  }
+  if (type === 'iconify' && (typeof id !== 'string' || !ICONIFY_ID_PATTERN.test(id))) {
+    return { error: 'id must be an Iconify id such as mdi:home' };
+  }
+  if (type === 'generated' && (typeof id !== 'string' || !GENERATED_ID_PATTERN.test(id))) {
+    return { error: 'id must be a generated icon id' };
+  }
+  return { favourite: { type, id, library: type === 'iconify' ? id.split(':')[0] : 'generated' } };
+}
+
+function fromRow(row) {
+  const favourite = { type: row.source, id: row.icon_id, library: row.library, addedAt: row.added_at };
+  if (row.source === 'generated') {
+    favourite.name = row.icon_name || null;
+    favourite.imageUrl = row.image_url || null;
+  }
+  return favourite;
+}
+
+function createFavouriteStore(options = {}) {
+  // required: a database is configured, so without a client favourites fail
+  // rather than quietly living in memory
+  const { supabase = null, required = false } = options;
+  const memory = new Map(); // userId -> Map(`${type}:${id}` -> favourite)
+
+  function persisted(userId) {
+    return (Boolean(supabase) || required) && UUID_PATTERN.test(userId);
+  }
+
+  async function rpc(name, params) {
+    if (!supabase) throw new Error('SUPABASE_SERVICE_ROLE_KEY is not configured');
+    const { data, error } = await supabase.rpc(name, params);
+    if (error) throw error;
+    return data;
+  }
+
+  function memoryFor(userId) {
+    if (!memory.has(userId)) memory.set(userId, new Map());
+    return memory.get(userId);
+  }
+
+  return {
+    // Newest first: [{ type, id, library, addedAt, name?, imageUrl? }], or
+    // null when the favourites could not be loaded
+    async list(userId) {
+      if (!persisted(userId)) {
+        return [...memoryFor(userId).values()].reverse();
+      }
+      try {
+        const data = await rpc('list_user_favourites', { p_user_id: userId });
+        return (data || []).map(fromRow);
+      } catch (e) {
+        console.log('⚠️ Failed to load favourites:', e.message);
+        return null;
+      }
+    },
+
+    // Add a parsed favourite (generated ones with their name and imageUrl);
+    // resolves it with addedAt, or null on failure. Adding twice keeps the first.
+    async add(userId, favourite) {
+      if (!persisted(userId)) {
+        const favourites = memoryFor(userId);
+        const key = `${favourite.type}:${favourite.id}`;
+        if (!favourites.has(key)) favourites.set(key, { ...favourite, addedAt: new Date().toISOString() });
+        return favourites.get(key);
+      }
+      try {
+        const data = await rpc('add_user_favourite', {
+          p_user_id: userId,
+          p_source: favourite.type,
+          p_icon_id: favourite.id,
+          p_library: favourite.library
+        });
+        console.log(`⭐ Favourite ${favourite.type}:${favourite.id} saved for user ${userId}`);
+        return { ...favourite, addedAt: data };
+      } catch (e) {
+        console.error('❌ Failed to save favourite:', e.message);
+        return null;
+      }
+    },
+
+    // Resolves true when removed, false when it was not a favourite, null on failure
+    async remove(userId, favourite) {
+      if (!persisted(userId)) {
+        return memoryFor(userId).delete(`${favourite.type}:${favourite.id}`);
+      }
+      try {
+        const data = await rpc('remove_user_favourite', {
+          p_user_id: userId,
+          p_source: favourite.type,
+          p_icon_id: favourite.id
+        });
+        return Boolean(data);
+      } catch (e) {
+        console.error('❌ Failed to remove favourite:', e.message);
+        return null;
+      }
+    }
+  };
+}
+
+module.exports = {
+  FAVOURITE_TYPES,
+  createFavouriteStore,
+  parseFavourite
+};
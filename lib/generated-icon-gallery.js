@@ -0,0 +1,146 @@
+// Generated icons gallery (GET /api/generated-icons): one page of
+// public.generated_icons at a time, with keyset (cursor) pagination so every
+// row stays reachable however many there are.
+// - subject/style/colors/background are exact matches on their btree indexes
+// - q is a case-insensitive substring search over icon_name and context
+//   (trigram indexes, see migrations/2025-08-19_add_generated_icons_gallery_indexes.sql)
+// - sort is newest (default), oldest or name; ties are broken by id
+// The cursor is the last row's sort value and id, base64url-encoded; it is only
+// valid with the sort it was issued for.
+
+const FILTER_FIELDS = ['subject', 'style', 'colors', 'background'];
+const SORTS = {
+  newest: { column: 'created_at', ascending: false },
+  oldest: { column: 'created_at', ascending: true },
+  name: { column: 'icon_name', ascending: true }
+};
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+const MAX_FILTER_LENGTH = 200;
+const MAX_SEARCH_LENGTH = 100;
+const COLUMNS = 'id, icon_name, subject, context, style, colors, background, image_url, seed, created_at';
+
+function encodeCursor(sort, row) {
+  return Buffer.from(JSON.stringify([row[SORTS[sort].column], row.id])).toString('base64url');
+}
+
+// [value, id] from a cursor, or null when it is malformed
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Array.isArray(decoded) || decoded.length !== 2) return null;
+    const [value, id] = decoded;
+    if (typeof value !== 'string' || !Number.isSafeInteger(id)) return null;
+    return decoded;
+  } catch {
+    return null;
+  }
+}
+
+// Value for a PostgREST logic tree (or=...), quoted so commas, dots and
+// parentheses inside it are not read as syntax
+function quote(value) {
+  return `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+}
+
+// Query parameters -> { query: { filters, q, sort, limit, after } } or { errors }
+function parseGalleryQuery(searchParams) {
+  const errors = [];
+  const filters = {};
+  for (const field of FILTER_FIELDS) {
+    const value = (searchParams.get(field) || '').trim();
+    if (!value) continue;
+    if (value.length > MAX_FILTER_LENGTH) errors.push(`${field} must be at most ${MAX_FILTER_LENGTH} characters`);
+    filters[field] = value;
+  }
+
+  // LIKE wildcards and PostgREST syntax characters are searched as spaces
+  const q = (searchParams.get('q') || '').replace(/[%_*\\"()]/g, ' ').replace(/\s+/g, ' ').trim();
+  if (q.length > MAX_SEARCH_LENGTH) errors.push(`q must be at most ${MAX_SEARCH_LENGTH} characters`);
+
+  const sort = searchParams.get('sort') || 'newest';
+  if (!SORTS[sort]) errors.push(`sort must be one of: ${Object.keys(SORTS).join(', ')}`);
+
+  let limit = DEFAULT_PAGE_SIZE;
+  if (searchParams.has('limit')) {
+    limit = Number(searchParams.get('limit'));
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      errors.push(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+  }
+
+  let after = null;
+  if (searchParams.get('cursor')) {
+    after = decodeCursor(searchParams.get('cursor'));
+    if (!after) errors.push('cursor is invalid');
+  }
+
+  if (errors.length > 0) return { errors };
+  return { query: { filters, q: q || null, sort, limit, after } };
+}
+
+function toPublicIcon(row) {
+  return {
+    id: row.id,
+    name: row.icon_name,
+    subject: row.subject,
+    context: row.context || null,
+    style: row.style,
+    colors: row.colors,
+    background: row.background,
+    imageUrl: row.image_url,
+    seed: row.seed ?? null,
+    createdAt: row.created_at
+  };
+}
+
+// One page of icons: { icons, nextCursor } (nextCursor null on the last page).
+// Throws the database error when the query fails.
+async function listGeneratedIcons(supabase, query) {
+  if (!supabase) return { icons: [], nextCursor: null };
+  const { filters, q, sort, limit, after } = query;
+  const { column, ascending } = SORTS[sort];
+
+  let request = supabase.from('generated_icons').select(COLUMNS);
+  for (const [field, value] of Object.entries(filters)) {
+    request = request.eq(field, value);
+  }
+  // Search and cursor conditions go into one or= tree: PostgREST does not
+  // combine repeated or= parameters
+  const alternatives = [];
+  if (q) {
+    const pattern = quote(`*${q}*`);
+    alternatives.push(`icon_name.ilike.${pattern},context.ilike.${pattern}`);
+  }
+  if (after) {
+    const [value, id] = after;
+    const op = ascending ? 'gt' : 'lt';
+    alternatives.push(`${column}.${op}.${quote(value)},and(${column}.eq.${quote(value)},id.${op}.${id})`);
+  }
+  if (alternatives.length === 1) {
+    request = request.or(alternatives[0]);
+  } else if (alternatives.length > 1) {
+    request = request.or(`and(${alternatives.map(alternative => `or(${alternative})`).join(',')})`);
+  }
+  // One extra row tells whether there is a next page
+  const { data, error } = await request
+    .order(column, { ascending })
+    .order('id', { ascending })
+    .limit(limit + 1);
+  if (error) throw error;
+
+  const rows = data || [];
+  const page = rows.slice(0, limit);
+  return {
+    icons: page.map(toPublicIcon),
+    nextCursor: rows.length > limit ? encodeCursor(sort, page[page.length - 1]) : null
+  };
+}
+
+module.exports = {
+  FILTER_FIELDS,
+  MAX_PAGE_SIZE,
+  SORTS: Object.keys(SORTS),
+  listGeneratedIcons,
+  parseGalleryQuery
+};
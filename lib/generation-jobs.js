@@ -0,0 +1,267 @@
+// Asynchronous icon generation jobs
+// With a database, public.generation_jobs is the source of truth: create()
+// queues the job with its request, a worker claims it (claim_generation_job,
+// one worker per job), and every instance reads status from the table.
+// `supabase` is a service-role client (see lib/service-role.js). Without a
+// database, and for the dev mode key, jobs live in memory and run on the
+// instance that created them.
+const crypto = require('crypto');
+
+// Pipeline stages in the order handleIconGenerate runs them
+const STAGES = ['generating', 'downloading', 'removing_background', 'vectorizing', 'saving'];
+// Icon sets normalize padding and stroke weight across the set before tracing
+const SET_STAGES = ['generating', 'downloading', 'removing_background', 'normalizing', 'vectorizing', 'saving'];
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_JOBS = 1000;
+const DEFAULT_LEASE_SECONDS = 10 * 60; // a running job not updated for this long is claimed again
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+function now() {
+  return new Date().toISOString();
+}
+
+// Shape returned by GET /api/jobs/{id} (never includes the owning key)
+function toPublicJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    stage: job.stage,
+    stages: job.stages,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    completedAt: job.completedAt || null,
+    ...(job.result && { result: job.result }),
+    ...(job.error && { error: job.error }),
+    ...(job.callback && { callback: job.callback })
+  };
+}
+
+// Columns written on every update (the request is only written on insert)
+function toRow(job) {
+  return {
+    id: job.id,
+    api_key_id: job.apiKeyId,
+    kind: job.kind,
+    status: job.status,
+    stage: job.stage,
+    stages: job.stages,
+    result: job.result || null,
+    error: job.error || null,
+    callback: job.callback || null,
+    created_at: job.createdAt,
+    updated_at: job.updatedAt,
+    completed_at: job.completedAt || null
+  };
+}
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    apiKeyId: row.api_key_id,
+    kind: row.kind || 'icon',
+    request: row.request || null,
+    attempts: row.attempts || 0,
+    status: row.status,
+    stage: row.stage,
+    stages: row.stages || [],
+    result: row.result || null,
+    error: row.error || null,
+    callback: row.callback || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    completedAt: row.completed_at || null
+  };
+}
+
+function createJobStore(options = {}) {
+  // required: a database is configured, so without a client jobs fail to
+  // queue rather than silently living in one instance's memory
+  const {
+    supabase = null,
+    required = false,
+    ttlMs = DEFAULT_TTL_MS,
+    maxJobs = DEFAULT_MAX_JOBS,
+    leaseSeconds = DEFAULT_LEASE_SECONDS,
+    maxAttempts = DEFAULT_MAX_ATTEMPTS
+  } = options;
+  const jobs = new Map(); // in-memory jobs, and durable jobs this instance is running
+  const writes = new Map(); // last pending write per durable job, so updates land in order
+
+  function durable(apiKeyId) {
+    return (Boolean(supabase) || required) && apiKeyId !== 'dev-api-key-id';
+  }
+
+  function prune() {
+    const cutoff = Date.now() - ttlMs;
+    for (const [id, job] of jobs) {
+      if (job.durable) continue;
+      const expired = Date.parse(job.updatedAt) < cutoff;
+      const finished = job.status === 'completed' || job.status === 'failed';
+      if (expired || (jobs.size >= maxJobs && finished)) jobs.delete(id);
+    }
+  }
+
+  // Write the job's current state; each write also renews the worker's lease
+  function persist(job) {
+    if (!job.durable) return;
+    const row = { ...toRow(job), locked_at: now() };
+    const previous = writes.get(job.id) || Promise.resolve();
+    const write = previous
+      .then(() => supabase.from('generation_jobs').update(row).eq('id', job.id))
+      .then(({ error } = {}) => {
+        if (error) console.log(`⚠️ Failed to persist job ${job.id}:`, error.message);
+      })
+      .catch(e => console.log(`⚠️ Failed to persist job ${job.id}:`, e.message));
+    writes.set(job.id, write);
+  }
+
+  function update(id, changes) {
+    const job = jobs.get(id);
+    if (!job) return null;
+    Object.assign(job, changes, { updatedAt: now() });
+    persist(job);
+    return job;
+  }
+
+  return {
+    // Whether jobs can be queued for a worker (a database is configured)
+    durable: Boolean(supabase),
+
+    // Queue a job. kind ('icon' | 'set') and request are what the worker runs.
+    // Durable jobs are inserted before this resolves; rejects when they cannot be.
+    async create({ apiKeyId, kind = 'icon', request = null, callbackUrl = null, stages = STAGES, skipStages = [] }) {
+      prune();
+      const job = {
+        id: crypto.randomUUID(),
+        apiKeyId,
+        kind,
+        request,
+        durable: durable(apiKeyId),
+        status: 'queued',
+        stage: null,
+        stages: stages.map(name => ({
+          name,
+          status: skipStages.includes(name) ? 'skipped' : 'pending',
+          startedAt: null,
+          finishedAt: null
+        })),
+        result: null,
+        error: null,
+        callback: callbackUrl ? { url: callbackUrl, status: 'pending', attempts: 0, lastStatusCode: null, deliveredAt: null } : null,
+        createdAt: now(),
+        updatedAt: now(),
+        completedAt: null
+      };
+      if (job.durable) {
+        if (!supabase) throw new Error('Failed to queue job: SUPABASE_SERVICE_ROLE_KEY is not configured');
+        const { error } = await supabase.from('generation_jobs').insert({ ...toRow(job), request });
+        if (error) throw new Error(`Failed to queue job: ${error.message}`);
+        return job;
+      }
+      jobs.set(job.id, job);
+      return job;
+    },
+
+    // Take the oldest queued job (or one whose worker stopped renewing its
+    // lease) for this instance to run; resolves null when there is none
+    async claim() {
+      if (!supabase) return null;
+      const { data, error } = await supabase.rpc('claim_generation_job', {
+        p_lease_seconds: leaseSeconds,
+        p_max_attempts: maxAttempts
+      });
+      if (error) throw new Error(`Failed to claim job: ${error.message}`);
+      const row = Array.isArray(data) ? data[0] : data;
+      if (!row) return null;
+      const job = { ...fromRow(row), durable: true };
+      jobs.set(job.id, job);
+      return job;
+    },
+
+    // Wait for a claimed job's writes and stop tracking it on this instance
+    async release(id) {
+      await writes.get(id);
+      writes.delete(id);
+      const job = jobs.get(id);
+      if (job && job.durable) jobs.delete(id);
+    },
+
+    // Mark the given stage running and every earlier running stage done
+    setStage(id, stageName) {
+      const job = jobs.get(id);
+      if (!job) return null;
+      const timestamp = now();
+      job.stages.forEach((stage) => {
+        if (stage.name === stageName) {
+          stage.status = 'running';
+          stage.startedAt = timestamp;
+        } else if (stage.status === 'running') {
+          stage.status = 'done';
+          stage.finishedAt = timestamp;
+        }
+      });
+      return update(id, { status: 'running', stage: stageName });
+    },
+
+    complete(id, result) {
+      const job = jobs.get(id);
+      if (!job) return null;
+      const timestamp = now();
+      job.stages.forEach((stage) => {
+        if (stage.status === 'running') {
+          stage.status = 'done';
+          stage.finishedAt = timestamp;
+        }
+      });
+      return update(id, { status: 'completed', stage: null, result, completedAt: timestamp });
+    },
+
+    fail(id, error) {
+      const job = jobs.get(id);
+      if (!job) return null;
+      const timestamp = now();
+      job.stages.forEach((stage) => {
+        if (stage.status === 'running') {
+          stage.status = 'failed';
+          stage.finishedAt = timestamp;
+        }
+      });
+      return update(id, { status: 'failed', error, completedAt: timestamp });
+    },
+
+    updateCallback(id, changes) {
+      const job = jobs.get(id);
+      if (!job || !job.callback) return null;
+      return update(id, { callback: { ...job.callback, ...changes } });
+    },
+
+    // Look up a job owned by apiKeyId (durable jobs from the database, which
+    // has the latest state whichever instance runs them)
+    async get(id, apiKeyId) {
+      let job = jobs.get(id) || null;
+      if (durable(apiKeyId) && supabase) {
+        try {
+          const { data, error } = await supabase
+            .from('generation_jobs')
+            .select('*')
+            .eq('id', id)
+            .maybeSingle();
+          if (error) throw new Error(error.message);
+          job = data ? fromRow(data) : null;
+        } catch (e) {
+          console.log(`⚠️ Failed to load job ${id}:`, e.message);
+        }
+      }
+      if (!job || job.apiKeyId !== apiKeyId) return null;
+      return job;
+    }
+  };
+}
+
+module.exports = {
+  SET_STAGES,
+  STAGES,
+  createJobStore,
+  toPublicJob
+};
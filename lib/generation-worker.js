@@ -0,0 +1,82 @@
+// Runs queued generation jobs: claims them from the job store one at a time
+// (up to `concurrency` at once) and polls while the queue is empty.
+// `node server.js` runs a worker next to the HTTP server; on hosts that only
+// serve requests (Vercel) run `node server.js --worker` somewhere persistent.
+
+const DEFAULT_POLL_INTERVAL_MS = 2000;
+const DEFAULT_CONCURRENCY = 2;
+
+function createGenerationWorker(options = {}) {
+  const { jobs, run, pollIntervalMs = DEFAULT_POLL_INTERVAL_MS, concurrency = DEFAULT_CONCURRENCY } = options;
+  let started = false;
+  let polling = false;
+  let timer = null;
+  let running = 0;
+
+  function schedule(delayMs) {
+    if (!started || timer) return;
+    timer = setTimeout(poll, delayMs);
+  }
+
+  // Poll now instead of at the next interval
+  function wake() {
+    if (!started) return;
+    clearTimeout(timer);
+    timer = null;
+    schedule(0);
+  }
+
+  async function poll() {
+    timer = null;
+    if (polling) return;
+    polling = true;
+    try {
+      while (started && running < concurrency) {
+        const job = await jobs.claim();
+        if (!job) break;
+        running++;
+        console.log(`🛠️ Running generation job ${job.id} (attempt ${job.attempts})`);
+        Promise.resolve()
+          .then(() => run(job))
+          .catch(e => console.error(`❌ Job ${job.id} crashed:`, e))
+          .then(() => jobs.release(job.id))
+          .finally(() => {
+            running--;
+            wake();
+          });
+      }
+    } catch (e) {
+      console.log('⚠️ Generation worker poll failed:', e.message);
+    } finally {
+      polling = false;
+    }
+    schedule(pollIntervalMs);
+  }
+
+  return {
+    start() {
+      if (started) return;
+      started = true;
+      console.log(`🛠️ Generation worker started (${concurrency} at a time)`);
+      schedule(0);
+    },
+
+    // Stop claiming jobs; jobs already running finish on their own
+    stop() {
+      started = false;
+      clearTimeout(timer);
+      timer = null;
+    },
+
+    // Check the queue now (a job was just queued)
+    wake,
+
+    get running() {
+      return running;
+    }
+  };
+}
+
+module.exports = {
+  createGenerationWorker
+};
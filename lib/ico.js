@@ -0,0 +1,40 @@
+// Minimal ICO writer: one PNG-compressed image per entry (supported by every
+// browser and by Windows since Vista), so no BMP encoding is needed.
+// buildIco([{ size, data }]) where data is a square PNG of size x size (1-256)
+
+const HEADER_BYTES = 6;
+const ENTRY_BYTES = 16;
+
+function buildIco(images) {
+  if (!Array.isArray(images) || images.length === 0) {
+    throw new Error('ICO needs at least one image');
+  }
+  const header = Buffer.alloc(HEADER_BYTES);
+  header.writeUInt16LE(0, 0); // reserved
+  header.writeUInt16LE(1, 2); // 1 = icon
+  header.writeUInt16LE(images.length, 4);
+
+  let offset = HEADER_BYTES + ENTRY_BYTES * images.length;
+  const entries = images.map(({ size, data }) => {
+    if (!Number.isInteger(size) || size < 1 || size > 256) {
+      throw new Error(`ICO image size must be 1-256, got ${size}`);
+    }
+    const entry = Buffer.alloc(ENTRY_BYTES);
+    entry.writeUInt8(size === 256 ? 0 : size, 0); // width (0 means 256)
+    entry.writeUInt8(size === 256 ? 0 : size, 1); // height
+    entry.writeUInt8(0, 2);                      // palette size
+    entry.writeUInt8(0, 3);                      // reserved
+    entry.writeUInt16LE(1, 4);                   // colour planes
+    entry.writeUInt16LE(32, 6);                  // bits per pixel
+    entry.writeUInt32LE(data.length, 8);
+    entry.writeUInt32LE(offset, 12);
+    offset += data.length;
+    return entry;
+  });
+
+  return Buffer.concat([header, ...entries, ...images.map(image => image.data)]);
+}
+
+module.exports = {
+  buildIco
+};
@@ -0,0 +1,346 @@
+// Icon collections: named, ordered lists of Iconify and generated icons with a
+// note and colour/size overrides per item, shareable by link (view or edit).
+// Collections live in public.icon_collections with the items as JSONB; the
+// server goes through the functions in migrations/2025-08-17_add_icon_collections.sql
+// with a service-role client (see lib/service-role.js).
+// Every save bumps `version` and must name the version it started from, so two
+// editors of a shared collection cannot overwrite each other unknowingly.
+// Owners whose ids are not UUIDs (dev mode) and servers without a database keep
+// collections in memory.
+const crypto = require('crypto');
+const { parseFavourite: parseIconRef } = require('./favourites');
+const { UUID_PATTERN } = require('./service-role');
+const { validateTransformOptions } = require('./svg-transform');
+
+const SHARE_TOKEN_PATTERN = /^[A-Za-z0-9_-]{24}$/;
+const SHARE_ACCESS = ['view', 'edit'];
+const MAX_COLLECTION_ITEMS = 500;
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const MAX_NOTE_LENGTH = 500;
+
+class CollectionConflictError extends Error {
+  constructor() {
+    super('Collection was changed by someone else; reload it and try again');
+    this.name = 'CollectionConflictError';
+    this.statusCode = 409;
+  }
+}
+
+function now() {
+  return new Date().toISOString();
+}
+
+function createShareToken() {
+  return crypto.randomBytes(18).toString('base64url');
+}
+
+// name/description of a create or update body; returns a list of error messages
+function validateCollectionFields(body, { create = false } = {}) {
+  const errors = [];
+  if (body.name !== undefined || create) {
+    if (typeof body.name !== 'string' || !body.name.trim() || body.name.trim().length > MAX_NAME_LENGTH) {
+      errors.push(`name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`);
+    }
+  }
+  if (body.description !== undefined && body.description !== null &&
+      (typeof body.description !== 'string' || body.description.length > MAX_DESCRIPTION_LENGTH)) {
+    errors.push(`description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`);
+  }
+  return errors;
+}
+
+// note, color and size of an item; null clears them. Returns a list of error messages.
+function validateItemFields(fields, label = 'item') {
+  const errors = [];
+  if (fields.note !== undefined && fields.note !== null &&
+      (typeof fields.note !== 'string' || fields.note.length > MAX_NOTE_LENGTH)) {
+    errors.push(`${label}.note must be a string of at most ${MAX_NOTE_LENGTH} characters`);
+  }
+  const { color, size } = fields;
+  validateTransformOptions({ color: color ?? undefined, size: size ?? undefined })
+    .forEach(error => errors.push(`${label}.${error}`));
+  return errors;
+}
+
+// New items from request input (Iconify id strings or { type, id, note, color, size });
+// returns { items } or { errors }
+function createItems(inputs) {
+  const errors = [];
+  const items = [];
+  inputs.forEach((input, i) => {
+    const label = inputs.length === 1 ? 'item' : `items[${i}]`;
+    const { favourite: ref, error } = parseIconRef(input);
+    if (error) {
+      errors.push(`${label}: ${error}`);
+      return;
+    }
+    const fields = typeof input === 'string' ? {} : input;
+    const fieldErrors = validateItemFields(fields, label);
+    if (fieldErrors.length > 0) {
+      errors.push(...fieldErrors);
+      return;
+    }
+    items.push({
+      id: crypto.randomUUID(),
+      type: ref.type,
+      iconId: ref.id,
+      note: fields.note || null,
+      color: fields.color ?? null,
+      size: fields.size ?? null,
+      addedAt: now()
+    });
+  });
+  return errors.length > 0 ? { errors } : { items };
+}
+
+// Apply a PATCH body ({ name, description, order }) to a collection copy;
+// `order` is every item id in the new order. Returns { collection } or { errors }.
+function updateCollection(collection, body) {
+  const errors = validateCollectionFields(body);
+  let items = collection.items;
+  if (body.order !== undefined) {
+    const byId = new Map(collection.items.map(item => [item.id, item]));
+    if (!Array.isArray(body.order) || body.order.length !== byId.size ||
+        new Set(body.order).size !== byId.size || body.order.some(id => !byId.has(id))) {
+      errors.push('order must list every item id of the collection exactly once');
+    } else {
+      items = body.order.map(id => byId.get(id));
+    }
+  }
+  if (errors.length > 0) return { errors };
+  return {
+    collection: {
+      ...collection,
+      name: body.name !== undefined ? body.name.trim() : collection.name,
+      description: body.description !== undefined ? (body.description || null) : collection.description,
+      items
+    }
+  };
+}
+
+// Insert items at `position` (0-based, default the end); returns { collection } or { errors }
+function insertItems(collection, items, position) {
+  if (collection.items.length + items.length > MAX_COLLECTION_ITEMS) {
+    return { errors: [`A collection holds at most ${MAX_COLLECTION_ITEMS} icons`] };
+  }
+  if (position !== undefined && !(Number.isInteger(position) && position >= 0)) {
+    return { errors: ['position must be a non-negative integer'] };
+  }
+  const at = Math.min(position ?? collection.items.length, collection.items.length);
+  return { collection: { ...collection, items: [...collection.items.slice(0, at), ...items, ...collection.items.slice(at)] } };
+}
+
+// Change an item's note/overrides and optionally move it to `position`;
+// returns { collection }, { errors } or { notFound: true }
+function updateItem(collection, itemId, fields) {
+  const index = collection.items.findIndex(item => item.id === itemId);
+  if (index === -1) return { notFound: true };
+  const errors = validateItemFields(fields);
+  if (fields.position !== undefined && !(Number.isInteger(fields.position) && fields.position >= 0)) {
+    errors.push('position must be a non-negative integer');
+  }
+  if (errors.length > 0) return { errors };
+
+  const item = { ...collection.items[index] };
+  for (const field of ['note', 'color', 'size']) {
+    if (fields[field] !== undefined) item[field] = fields[field] === '' ? null : fields[field];
+  }
+  const items = collection.items.filter((other, i) => i !== index);
+  const at = Math.min(fields.position ?? index, items.length);
+  items.splice(at, 0, item);
+  return { collection: { ...collection, items } };
+}
+
+function removeItem(collection, itemId) {
+  if (!collection.items.some(item => item.id === itemId)) return { notFound: true };
+  return { collection: { ...collection, items: collection.items.filter(item => item.id !== itemId) } };
+}
+
+// Shape returned by the API; `access` is 'owner', 'edit' or 'view', and only
+// owners see the share settings
+function toPublicCollection(collection, access) {
+  return {
+    id: collection.id,
+    name: collection.name,
+    description: collection.description || null,
+    access,
+    version: collection.version,
+    itemCount: collection.items.length,
+    items: collection.items,
+    ...(access === 'owner' && { share: collection.shareToken ? { token: collection.shareToken, access: collection.shareAccess } : null }),
+    createdAt: collection.createdAt,
+    updatedAt: collection.updatedAt
+  };
+}
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    ownerId: row.user_id,
+    name: row.name,
+    description: row.description || null,
+    items: Array.isArray(row.items) ? row.items : [],
+    shareToken: row.share_token || null,
+    shareAccess: row.share_access || null,
+    version: row.version,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function createCollectionStore(options = {}) {
+  // required: a database is configured, so without a client collections fail
+  // rather than quietly living in memory
+  const { supabase = null, required = false } = options;
+  const memory = new Map(); // id -> collection, for owners that are not persisted
+
+  function persisted(userId) {
+    return (Boolean(supabase) || required) && UUID_PATTERN.test(userId);
+  }
+
+  async function rpc(name, params) {
+    if (!supabase) throw new Error('SUPABASE_SERVICE_ROLE_KEY is not configured');
+    const { data, error } = await supabase.rpc(name, params);
+    if (error) {
+      if (/version conflict/i.test(error.message || '')) throw new CollectionConflictError();
+      throw error;
+    }
+    return data;
+  }
+
+  function firstRow(data) {
+    const row = Array.isArray(data) ? data[0] : data;
+    return row ? fromRow(row) : null;
+  }
+
+  return {
+    // The user's collections, most recently updated first
+    async list(userId) {
+      if (!persisted(userId)) {
+        return [...memory.values()]
+          .filter(collection => collection.ownerId === userId)
+          .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+      }
+      return (await rpc('list_icon_collections', { p_user_id: userId }) || []).map(fromRow);
+    },
+
+    // A collection the user owns, or null
+    async get(userId, id) {
+      if (!persisted(userId)) {
+        const collection = memory.get(id);
+        return collection && collection.ownerId === userId ? collection : null;
+      }
+      if (!UUID_PATTERN.test(id)) return null;
+      return firstRow(await rpc('get_icon_collection', { p_user_id: userId, p_id: id }));
+    },
+
+    // The collection behind a share link, or null
+    async getShared(token) {
+      if (!SHARE_TOKEN_PATTERN.test(token)) return null;
+      const local = [...memory.values()].find(collection => collection.shareToken === token);
+      if (local || (!supabase && !required)) return local || null;
+      return firstRow(await rpc('get_shared_icon_collection', { p_token: token }));
+    },
+
+    async create(userId, { name, description = null, items = [] }) {
+      const collection = {
+        id: crypto.randomUUID(),
+        ownerId: userId,
+        name,
+        description,
+        items,
+        shareToken: null,
+        shareAccess: null,
+        version: 1,
+        createdAt: now(),
+        updatedAt: now()
+      };
+      if (!persisted(userId)) {
+        memory.set(collection.id, collection);
+        return collection;
+      }
+      return firstRow(await rpc('create_icon_collection', {
+        p_user_id: userId,
+        p_id: collection.id,
+        p_name: name,
+        p_description: description,
+        p_items: items
+      }));
+    },
+
+    // Save name, description and items of a changed copy of a loaded collection,
+    // as its owner or through an editable share link (shareToken). Throws
+    // CollectionConflictError when it changed since it was loaded.
+    async save(collection, { userId, shareToken = null }) {
+      if (!persisted(collection.ownerId)) {
+        const current = memory.get(collection.id);
+        const allowed = current && (current.ownerId === userId ||
+          (shareToken && current.shareToken === shareToken && current.shareAccess === 'edit'));
+        if (!allowed) return null;
+        if (current.version !== collection.version) throw new CollectionConflictError();
+        const saved = {
+          ...current,
+          name: collection.name,
+          description: collection.description,
+          items: collection.items,
+          version: current.version + 1,
+          updatedAt: now()
+        };
+        memory.set(saved.id, saved);
+        return saved;
+      }
+      return firstRow(await rpc('save_icon_collection', {
+        p_user_id: UUID_PATTERN.test(userId) ? userId : null,
+        p_id: collection.id,
+        p_share_token: shareToken,
+        p_version: collection.version,
+        p_name: collection.name,
+        p_description: collection.description,
+        p_items: collection.items
+      }));
+    },
+
+    // Resolves true when the owner's collection was deleted
+    async remove(userId, id) {
+      if (!persisted(userId)) {
+        return memory.get(id)?.ownerId === userId && memory.delete(id);
+      }
+      if (!UUID_PATTERN.test(id)) return false;
+      return Boolean(await rpc('delete_icon_collection', { p_user_id: userId, p_id: id }));
+    },
+
+    // Create a new share link with 'view' or 'edit' access (replacing any
+    // previous link), or revoke it with access null; resolves the collection
+    async share(userId, id, access) {
+      const token = access ? createShareToken() : null;
+      if (!persisted(userId)) {
+        const collection = memory.get(id);
+        if (!collection || collection.ownerId !== userId) return null;
+        const shared = { ...collection, shareToken: token, shareAccess: access || null, updatedAt: now() };
+        memory.set(id, shared);
+        return shared;
+      }
+      return firstRow(await rpc('share_icon_collection', {
+        p_user_id: userId,
+        p_id: id,
+        p_token: token,
+        p_access: access || null
+      }));
+    }
+  };
+}
+
+module.exports = {
+  CollectionConflictError,
+  MAX_COLLECTION_ITEMS,
+  SHARE_ACCESS,
+  createCollectionStore,
+  createItems,
+  insertItems,
+  removeItem,
+  toPublicCollection,
+  updateCollection,
+  updateItem,
+  validateCollectionFields
+};
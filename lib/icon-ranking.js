@@ -0,0 +1,158 @@
+// Relevance ranking for Iconify search results
+// Pure functions only (no I/O) so ranking changes can be regression-tested
+// against a fixture of queries in tests/fixtures/ranking-queries.json.
+
+// Relative weight of each positive signal; the weighted sum is in [0, 1]
+const DEFAULT_WEIGHTS = {
+  exactName: 0.35,
+  tokenOverlap: 0.25,
+  collection: 0.12,
+  libraryMatch: 0.1,
+  styleMatch: 0.1,
+  position: 0.08
+};
+
+// Subtracted when the icon is a "negated" variant the query didn't ask for
+const NEGATED_VARIANT_PENALTY = 0.3;
+
+// Suffix tokens that turn an icon into its opposite (bell-off, eye-slash, ...);
+// only the last non-variant token of a multi-token name counts
+const NEGATED_SUFFIXES = ['off', 'slash', 'no'];
+
+// Tokens that describe a variant rather than the subject of the icon
+const VARIANT_TOKENS = [
+  'outline', 'outlined', 'filled', 'fill', 'solid', 'line', 'linear', 'bold', 'duotone', 'duo',
+  'light', 'thin', 'regular', 'rounded', 'round', 'sharp', 'twotone', 'alt', 'stroke', 'o', 'sm', 'lg'
+];
+
+// Well-maintained, widely used collections (0..1 preference)
+const POPULAR_COLLECTIONS = {
+  'tabler': 1,
+  'lucide': 1,
+  'material-symbols': 0.9,
+  'ph': 0.9,
+  'heroicons': 0.9,
+  'heroicons-outline': 0.85,
+  'heroicons-solid': 0.85,
+  'mdi': 0.8,
+  'iconoir': 0.8,
+  'ri': 0.75,
+  'fluent': 0.75,
+  'carbon': 0.7,
+  'bi': 0.7,
+  'octicon': 0.6,
+  'solar': 0.6,
+  'mingcute': 0.6
+};
+
+// Keywords that indicate each requested style (mirrors applyIconFilters)
+const STYLE_KEYWORDS = {
+  filled: ['fill', 'filled', 'solid'],
+  solid: ['solid', 'fill', 'filled'],
+  outline: ['outline', 'outlined', 'line', 'stroke'],
+  line: ['line', 'outline', 'outlined', 'stroke']
+};
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[\s\-_:./]+/)
+    .filter(Boolean);
+}
+
+// Fold simple plurals so "settings" matches "setting"
+function stem(token) {
+  if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+  return token;
+}
+
+function coreTokens(tokens) {
+  return tokens.filter(t => !VARIANT_TOKENS.includes(t) && !/^\d+$/.test(t));
+}
+
+function round(n) {
+  return Math.round(n * 10000) / 10000;
+}
+
+// Score each signal for one icon id; returns values in [0, 1] plus the penalty
+function scoreSignals(iconId, context = {}) {
+  const { query = '', library = 'all', subLibrary = 'all', style = 'all', position = 0, total = 1 } = context;
+  const [prefix, name = ''] = String(iconId).split(':');
+
+  const queryTokens = tokenize(query);
+  const nameTokens = tokenize(name);
+  const nameCore = coreTokens(nameTokens);
+  const queryStems = queryTokens.map(stem);
+  const coreStems = nameCore.map(stem);
+
+  let styleMatch = 0;
+  if (style && style !== 'all' && STYLE_KEYWORDS[style]) {
+    styleMatch = nameTokens.some(t => STYLE_KEYWORDS[style].includes(t)) ? 1 : 0;
+  }
+
+  // Exact name: full match, or match once variant suffixes are stripped
+  // (a stripped suffix that is the requested style counts as a full match)
+  let exactName = 0;
+  if (queryTokens.length > 0) {
+    if (nameTokens.join('-') === queryTokens.join('-')) exactName = 1;
+    else if (coreStems.join('-') === queryStems.join('-')) exactName = styleMatch ? 1 : 0.8;
+  }
+
+  // Token overlap: mean of recall (query covered) and precision (name not padded)
+  let tokenOverlap = 0;
+  if (queryStems.length > 0 && coreStems.length > 0) {
+    const matched = queryStems.filter(t => coreStems.includes(t)).length;
+    tokenOverlap = (matched / queryStems.length + matched / coreStems.length) / 2;
+  }
+
+  const collection = POPULAR_COLLECTIONS[prefix] || 0;
+
+  let libraryMatch = 0;
+  if (library && library !== 'all' && prefix === library) libraryMatch = 1;
+  if (subLibrary && subLibrary !== 'all' && prefix === subLibrary) libraryMatch = 1;
+
+  const positionScore = total > 1 ? 1 - position / total : 1;
+
+  const suffix = nameCore.length > 1 ? nameCore[nameCore.length - 1] : null;
+  const negated = Boolean(suffix) && NEGATED_SUFFIXES.includes(suffix) && !queryTokens.includes(suffix);
+
+  return {
+    exactName,
+    tokenOverlap: round(tokenOverlap),
+    collection,
+    libraryMatch,
+    styleMatch,
+    position: round(positionScore),
+    penalty: negated ? NEGATED_VARIANT_PENALTY : 0
+  };
+}
+
+// Combine signals into a single relevance score in [0, 1]
+function scoreIcon(iconId, context = {}, weights = DEFAULT_WEIGHTS) {
+  const signals = scoreSignals(iconId, context);
+  let score = 0;
+  Object.keys(weights).forEach((key) => {
+    score += (signals[key] || 0) * weights[key];
+  });
+  score -= signals.penalty;
+  return { score: round(Math.max(0, Math.min(1, score))), signals };
+}
+
+// Rank icon ids for a query; ties keep the upstream (Iconify) order
+function rankIcons(iconIds, context = {}, weights = DEFAULT_WEIGHTS) {
+  const total = iconIds.length;
+  return iconIds
+    .map((id, position) => ({ id, position, ...scoreIcon(id, { ...context, position, total }, weights) }))
+    .sort((a, b) => (b.score - a.score) || (a.position - b.position))
+    .map(({ id, score, signals }) => ({ id, score, signals }));
+}
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  NEGATED_VARIANT_PENALTY,
+  POPULAR_COLLECTIONS,
+  rankIcons,
+  scoreIcon,
+  scoreSignals,
+  tokenize
+};
@@ -0,0 +1,131 @@
+// Normalizes a set of generated icon bitmaps so they look like one family
+// before tracing: the same padding around the artwork and (approximately)
+// the same stroke weight. Works on black-on-white masks at a fixed size.
+const sharp = require('sharp');
+
+const DEFAULT_SIZE = 512;
+const DEFAULT_PADDING = 0.1;    // fraction of the canvas kept empty on each side
+const DEFAULT_THRESHOLD = 128;  // luminance below this is ink
+const MAX_STROKE_ADJUST = 6;    // px per side at the default size
+
+// Flatten, trim the background, fit the artwork into the padded box and binarize
+async function toMask(buffer, { size = DEFAULT_SIZE, padding = DEFAULT_PADDING, threshold = DEFAULT_THRESHOLD } = {}) {
+  const flattened = await sharp(buffer).flatten({ background: '#ffffff' }).grayscale().png().toBuffer();
+  let trimmed = flattened;
+  try {
+    trimmed = await sharp(flattened).trim({ background: '#ffffff', threshold: 10 }).png().toBuffer();
+  } catch (e) {
+    // Blank image: nothing to trim
+  }
+
+  const inner = Math.max(1, Math.round(size * (1 - 2 * padding)));
+  const before = Math.floor((size - inner) / 2);
+  const after = size - inner - before;
+  const { data, info } = await sharp(trimmed)
+    .resize(inner, inner, { fit: 'contain', background: '#ffffff' })
+    .extend({ top: before, bottom: after, left: before, right: after, background: '#ffffff' })
+    .flatten({ background: '#ffffff' })
+    .grayscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const mask = new Uint8Array(size * size);
+  for (let i = 0; i < mask.length; i++) mask[i] = data[i * info.channels] < threshold ? 1 : 0;
+  return mask;
+}
+
+// Average stroke width ~ 2 * area / perimeter (exact for long uniform strokes)
+function estimateStrokeWidth(mask, width, height) {
+  let area = 0;
+  let perimeter = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!mask[y * width + x]) continue;
+      area++;
+      if (x === 0 || !mask[y * width + x - 1]) perimeter++;
+      if (x === width - 1 || !mask[y * width + x + 1]) perimeter++;
+      if (y === 0 || !mask[(y - 1) * width + x]) perimeter++;
+      if (y === height - 1 || !mask[(y + 1) * width + x]) perimeter++;
+    }
+  }
+  return { area, strokeWidth: perimeter ? (2 * area) / perimeter : 0 };
+}
+
+// One pixel of dilation ('dilate') or erosion ('erode') per pass, 3x3 neighbourhood
+function morph(mask, width, height, passes, op) {
+  let current = mask;
+  const target = op === 'dilate' ? 1 : 0;
+  for (let pass = 0; pass < passes; pass++) {
+    const next = new Uint8Array(current);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        if (current[i] === target) continue;
+        for (let dy = -1; dy <= 1 && next[i] !== target; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            const nx = x + dx;
+            const ny = y + dy;
+            if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+            if (current[ny * width + nx] === target) {
+              next[i] = target;
+              break;
+            }
+          }
+        }
+      }
+    }
+    current = next;
+  }
+  return current;
+}
+
+function median(values) {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function maskToPng(mask, size) {
+  const raw = Buffer.alloc(mask.length);
+  for (let i = 0; i < mask.length; i++) raw[i] = mask[i] ? 0 : 255;
+  return sharp(raw, { raw: { width: size, height: size, channels: 1 } }).png().toBuffer();
+}
+
+// Normalize every image toward the set's median stroke width.
+// Returns { images: [PNG], targetStrokeWidth, strokeWidths: [{ before, after }] }
+async function normalizeIconSet(buffers, options = {}) {
+  const { size = DEFAULT_SIZE, normalizeStroke = true } = options;
+  const masks = [];
+  for (const buffer of buffers) masks.push(await toMask(buffer, options));
+
+  const measured = masks.map(mask => estimateStrokeWidth(mask, size, size));
+  const targetStrokeWidth = median(measured.filter(m => m.area > 0).map(m => m.strokeWidth));
+
+  const images = [];
+  const strokeWidths = [];
+  for (let i = 0; i < masks.length; i++) {
+    let mask = masks[i];
+    const { area, strokeWidth } = measured[i];
+    const delta = Math.max(-MAX_STROKE_ADJUST, Math.min(MAX_STROKE_ADJUST, Math.round((targetStrokeWidth - strokeWidth) / 2)));
+    if (normalizeStroke && area > 0 && delta !== 0) {
+      const adjusted = morph(mask, size, size, Math.abs(delta), delta > 0 ? 'dilate' : 'erode');
+      // Never erode an icon away; keep the original if most of it would vanish
+      if (delta > 0 || estimateStrokeWidth(adjusted, size, size).area >= area * 0.3) mask = adjusted;
+    }
+    strokeWidths.push({
+      before: Math.round(strokeWidth * 100) / 100,
+      after: Math.round(estimateStrokeWidth(mask, size, size).strokeWidth * 100) / 100
+    });
+    images.push(await maskToPng(mask, size));
+  }
+
+  return { images, targetStrokeWidth: Math.round(targetStrokeWidth * 100) / 100, strokeWidths };
+}
+
+module.exports = {
+  estimateStrokeWidth,
+  morph,
+  normalizeIconSet,
+  toMask
+};
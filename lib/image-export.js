@@ -0,0 +1,98 @@
+// Single-file export formats besides SVG: PNG, WebP, AVIF, ICO and vector PDF.
+// Options shared by all of them:
+//   size        px of the longer edge (ICO: the largest entry, at most 256)
+//   background  hex colour painted behind the icon, or 'transparent' (default)
+//   quality     1-100; lossy quality for WebP/AVIF, palette quantization for
+//               PNG and ICO entries below 100, ignored for PDF (vector, or a
+//               bitmap at `size` for icons with masks or clip paths)
+const sharp = require('sharp');
+const { buildIco } = require('./ico');
+const { imageToPdf, svgToPdf } = require('./svg-to-pdf');
+
+const EXPORT_FORMATS = {
+  png: 'image/png',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  ico: 'image/x-icon',
+  pdf: 'application/pdf'
+};
+const ICO_SIZES = [16, 24, 32, 48, 64, 128, 256];
+const MAX_ICO_SIZE = 256;
+const DEFAULT_PDF_SIZE = 512;
+const MAX_PDF_DENSITY = 2400; // librsvg DPI cap for the bitmap fallback
+const BACKGROUND_PATTERN = /^(?:#[0-9a-f]{3}|#[0-9a-f]{6}|transparent)$/i;
+
+// Validate { background, quality, size } for `format`; returns a list of error messages
+function validateExportOptions(format, { background, quality, size } = {}) {
+  const errors = [];
+  if (background !== undefined && (typeof background !== 'string' || !BACKGROUND_PATTERN.test(background))) {
+    errors.push('background must be a hex colour such as #ffffff, or transparent');
+  }
+  if (quality !== undefined && !(Number.isInteger(quality) && quality >= 1 && quality <= 100)) {
+    errors.push('quality must be an integer between 1 and 100');
+  }
+  if (format === 'ico' && size !== undefined && size > MAX_ICO_SIZE) {
+    errors.push(`size must be at most ${MAX_ICO_SIZE} for ico`);
+  }
+  return errors;
+}
+
+function isOpaque(background) {
+  return Boolean(background) && background !== 'transparent';
+}
+
+// Re-encode a rendered PNG as png, webp or avif
+function encodeRaster(png, format, { background, quality } = {}) {
+  let image = sharp(png);
+  if (isOpaque(background)) image = image.flatten({ background });
+  const lossy = quality !== undefined ? { quality } : {};
+  if (format === 'webp') return image.webp(lossy).toBuffer();
+  if (format === 'avif') return image.avif(lossy).toBuffer();
+  return image.png(quality !== undefined && quality < 100 ? { palette: true, quality } : {}).toBuffer();
+}
+
+// Multi-resolution ICO: every standard size below `size`, plus `size` itself.
+// renderPng(size) resolves a square PNG of size x size.
+async function exportIco(renderPng, { size = MAX_ICO_SIZE, ...options } = {}) {
+  const sizes = [...ICO_SIZES.filter(entry => entry < size), size];
+  const images = [];
+  for (const entry of sizes) {
+    images.push({ size: entry, data: await encodeRaster(await renderPng(entry), 'png', options) });
+  }
+  return buildIco(images);
+}
+
+// Vector PDF; icons with masks or clip paths embed a bitmap rendered at `size`
+async function exportPdf(svg, { size = DEFAULT_PDF_SIZE, background } = {}) {
+  const options = { size, background: isOpaque(background) ? background : undefined };
+  try {
+    return svgToPdf(svg, options);
+  } catch (error) {
+    if (error.code !== 'ERASTERONLY') throw error;
+  }
+  try {
+    const input = Buffer.from(svg);
+    const { width, height } = await sharp(input).metadata();
+    const density = Math.min(MAX_PDF_DENSITY, (72 * size) / Math.max(width, height));
+    const { data, info } = await sharp(input, { density })
+      .resize(size, size, { fit: 'inside' })
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    return imageToPdf({ data, width: info.width, height: info.height }, options);
+  } catch (error) {
+    const failure = new Error(`This icon uses masks or clip paths and could not be rendered as a PDF: ${error.message}`);
+    failure.statusCode = 422;
+    throw failure;
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  ICO_SIZES,
+  MAX_ICO_SIZE,
+  encodeRaster,
+  exportIco,
+  exportPdf,
+  validateExportOptions
+};
@@ -0,0 +1,210 @@
+// Image-generation providers
+// Every provider takes normalized requests and resolves one result per request:
+//   generate([{ taskUUID, prompt, width, height, model, seed, steps?, CFGScale?,
+//               referenceImage?, strength? }])
+//     -> [{ taskUUID, imageURL, seed, imageBuffer? }]
+// referenceImage is a PNG data URL used as the image-to-image input; strength
+// (0-1) is how far the result may move away from it.
+// imageBuffer is set when the provider already holds the bytes (so callers can
+// skip downloading imageURL). Failures throw errors with a statusCode.
+// Images from `sandbox` providers are placeholders and are not saved to the
+// public generated_icons gallery.
+const https = require('https');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const RUNWARE_ENDPOINT = 'https://api.runware.ai/v1';
+const DEFAULT_TIMEOUT_MS = 30000;
+const MAX_RESPONSE_BYTES = 5e6;
+
+function providerError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Runware REST API (https://api.runware.ai/v1), one imageInference task per request
+function createRunwareProvider(options = {}) {
+  const { apiKey = '', endpoint = RUNWARE_ENDPOINT, timeoutMs = DEFAULT_TIMEOUT_MS } = options;
+
+  function post(tasks) {
+    const payload = JSON.stringify(tasks);
+    return new Promise((resolve, reject) => {
+      const upReq = https.request(endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${apiKey}`
+        }
+      }, (upRes) => {
+        console.log(`📡 Received response from Runware API (status: ${upRes.statusCode})`);
+
+        let data = '';
+        upRes.on('data', (d) => {
+          data += d;
+          if (data.length > MAX_RESPONSE_BYTES) {
+            upReq.destroy();
+            reject(new Error('Response too large'));
+          }
+        });
+        upRes.on('end', () => {
+          try {
+            resolve({ statusCode: upRes.statusCode, data: JSON.parse(data) });
+          } catch (e) {
+            reject(new Error('Invalid JSON response'));
+          }
+        });
+      });
+      upReq.on('error', (err) => {
+        console.error(`❌ Runware API request error:`, err);
+        reject(err);
+      });
+      upReq.setTimeout(timeoutMs, () => {
+        console.log(`⏰ Request timeout after ${timeoutMs / 1000} seconds`);
+        upReq.destroy();
+        reject(new Error('Request timeout'));
+      });
+      upReq.write(payload);
+      upReq.end();
+    });
+  }
+
+  return {
+    name: 'runware',
+    sandbox: false,
+    configured: Boolean(apiKey),
+    missingConfig: 'RUNWARE_API_KEY',
+
+    async generate(requests) {
+      const tasks = requests.map(request => ({
+        taskType: 'imageInference',
+        taskUUID: request.taskUUID,
+        positivePrompt: request.prompt,
+        width: request.width,
+        height: request.height,
+        model: request.model,
+        numberResults: 1,
+        ...(request.seed !== undefined && { seed: request.seed }),
+        ...(request.steps !== undefined && { steps: request.steps }),
+        ...(request.CFGScale !== undefined && { CFGScale: request.CFGScale }),
+        ...(request.referenceImage && { seedImage: request.referenceImage, strength: request.strength })
+      }));
+
+      console.log(`🚀 Sending generation request to Runware API...`);
+      const { statusCode, data: result } = await post(tasks);
+
+      if (statusCode >= 400 || result.error || result.errors) {
+        console.error(`❌ Generation failed:`, result);
+        const msg = (Array.isArray(result?.error) && result.error[0]?.message) ||
+                    (Array.isArray(result?.errors) && result.errors[0]?.message) ||
+                    result?.message || 'Generation failed';
+        throw providerError(statusCode >= 400 ? statusCode : 500, msg);
+      }
+
+      const images = Array.isArray(result?.data)
+        ? result.data.filter(d => d.taskType === 'imageInference' && d.imageURL)
+        : [];
+      if (images.length === 0) {
+        console.error(`❌ No image URL in response:`, result);
+        throw providerError(500, 'Image generation failed');
+      }
+
+      // Match results to requests; a single request takes the first image
+      return requests
+        .map((request) => {
+          const image = images.find(d => d.taskUUID === request.taskUUID) || (requests.length === 1 ? images[0] : null);
+          return image ? { taskUUID: request.taskUUID, imageURL: image.imageURL, seed: image.seed ?? request.seed } : null;
+        })
+        .filter(Boolean);
+    }
+  };
+}
+
+// Placeholder glyph drawn from the hash bytes: black strokes on white, so the
+// background removal and tracing stages have real work to do
+function mockIconSvg(hash, width, height) {
+  const size = Math.min(width, height);
+  const stroke = Math.round(size * (0.03 + (hash[1] % 5) * 0.01));
+  const cx = width / 2;
+  const cy = height / 2;
+  const r = size * 0.3;
+  const shapes = [
+    `<circle cx="${cx}" cy="${cy}" r="${r}"/>`,
+    `<rect x="${cx - r}" y="${cy - r}" width="${2 * r}" height="${2 * r}" rx="${size * 0.06}"/>`,
+    `<path d="M${cx} ${cy - r} L${cx + r} ${cy + r * 0.8} L${cx - r} ${cy + r * 0.8} Z"/>`,
+    `<path d="M${cx} ${cy - r} L${cx + r} ${cy} L${cx} ${cy + r} L${cx - r} ${cy} Z"/>`
+  ];
+  const outer = shapes[hash[0] % shapes.length];
+  const inner = hash[2] % 2
+    ? `<circle cx="${cx}" cy="${cy}" r="${r * 0.35}"/>`
+    : `<path d="M${cx - r * 0.4} ${cy} H${cx + r * 0.4} M${cx} ${cy - r * 0.4} V${cy + r * 0.4}"/>`;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+    `<rect width="${width}" height="${height}" fill="#ffffff"/>` +
+    `<g fill="none" stroke="#000000" stroke-width="${stroke}" stroke-linecap="round" stroke-linejoin="round">${outer}${inner}</g>` +
+    '</svg>';
+}
+
+// Local, network-free provider: the same prompt, seed and size always give the
+// same PNG. Images are returned as data: URLs (and as imageBuffer).
+function createMockProvider() {
+  return {
+    name: 'mock',
+    sandbox: true,
+    configured: true,
+    missingConfig: null,
+
+    async generate(requests) {
+      console.log(`🧪 Rendering ${requests.length} mock image(s)...`);
+      const results = [];
+      for (const request of requests) {
+        const seed = request.seed ?? 1;
+        const width = request.width || 1024;
+        const height = request.height || 1024;
+        const hash = crypto.createHash('sha256').update(`${request.prompt}\n${seed}\n${request.model || ''}`);
+        if (request.referenceImage) hash.update(`\n${request.referenceImage}\n${request.strength}`);
+        const digest = hash.digest();
+        const imageBuffer = await sharp(Buffer.from(mockIconSvg(digest, width, height)))
+          .png({ palette: true })
+          .toBuffer();
+        results.push({
+          taskUUID: request.taskUUID,
+          imageURL: `data:image/png;base64,${imageBuffer.toString('base64')}`,
+          seed,
+          imageBuffer
+        });
+      }
+      return results;
+    }
+  };
+}
+
+const PROVIDER_FACTORIES = {
+  runware: createRunwareProvider,
+  mock: createMockProvider
+};
+
+// Build a provider by name ('runware' | 'mock'); throws on unknown names
+function createImageProvider(name, options = {}) {
+  const factory = PROVIDER_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown image provider "${name}" (expected one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')})`);
+  }
+  return factory(options);
+}
+
+// Provider for IMAGE_PROVIDER; unknown names warn and fall back to runware
+function createDefaultImageProvider(name, options = {}) {
+  if (!PROVIDER_FACTORIES[name]) {
+    console.warn(`⚠️ Unknown IMAGE_PROVIDER "${name}", using runware`);
+    return createRunwareProvider(options);
+  }
+  return createImageProvider(name, options);
+}
+
+module.exports = {
+  PROVIDER_NAMES: Object.keys(PROVIDER_FACTORIES),
+  createDefaultImageProvider,
+  createImageProvider,
+  createMockProvider,
+  createRunwareProvider
+};
@@ -0,0 +1,177 @@
+// Local icon index built from Iconify JSON collection files on disk
+// (the same format as the @iconify/json package: one <prefix>.json per collection).
+// Lets search, filtering and SVG rendering run without api.iconify.design.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SIZE = 16; // Iconify's default width/height when a collection omits them
+const MAX_ALIAS_DEPTH = 5;
+
+function normalizeQuery(query) {
+  return String(query || '').trim().toLowerCase();
+}
+
+function escapeAttr(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+// Wrap an icon body in the transforms requested by hFlip/vFlip/rotate
+function applyTransforms(body, { width, height, hFlip, vFlip, rotate }) {
+  const transforms = [];
+  if (hFlip) transforms.push(`translate(${width} 0) scale(-1 1)`);
+  if (vFlip) transforms.push(`translate(0 ${height}) scale(1 -1)`);
+  const turns = ((rotate || 0) % 4 + 4) % 4;
+  if (turns) transforms.unshift(`rotate(${turns * 90} ${width / 2} ${height / 2})`);
+  return transforms.length ? `<g transform="${transforms.join(' ')}">${body}</g>` : body;
+}
+
+function createLocalIconIndex(options = {}) {
+  const { dir, prefixes = null } = options;
+
+  let collections = null; // prefix -> parsed collection JSON
+  let entries = [];       // [{ id, prefix, name }] in load order
+
+  function load() {
+    if (collections) return;
+    collections = new Map();
+    entries = [];
+
+    if (!dir || !fs.existsSync(dir)) {
+      console.warn(`⚠️ Local icon index: collection directory not found (${dir || 'unset'})`);
+      return;
+    }
+
+    const files = fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort();
+    files.forEach((file) => {
+      const prefix = path.basename(file, '.json');
+      if (prefixes && !prefixes.includes(prefix)) return;
+      try {
+        const data = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        if (!data || !data.icons) return;
+        const collectionPrefix = data.prefix || prefix;
+        collections.set(collectionPrefix, data);
+        Object.keys(data.icons).forEach((name) => {
+          if (!data.icons[name].hidden) entries.push({ id: `${collectionPrefix}:${name}`, prefix: collectionPrefix, name });
+        });
+        Object.keys(data.aliases || {}).forEach((name) => {
+          if (!data.aliases[name].hidden) entries.push({ id: `${collectionPrefix}:${name}`, prefix: collectionPrefix, name });
+        });
+      } catch (e) {
+        console.warn(`⚠️ Local icon index: failed to load ${file}: ${e.message}`);
+      }
+    });
+
+    console.log(`📚 Local icon index loaded: ${entries.length} icons in ${collections.size} collections`);
+  }
+
+  // Resolve an icon (following aliases) to its body, dimensions and transforms
+  function resolveIcon(iconId) {
+    load();
+    const [prefix, name] = String(iconId).split(':');
+    const collection = collections.get(prefix);
+    if (!collection || !name) return null;
+
+    const transforms = { hFlip: false, vFlip: false, rotate: 0 };
+    const overrides = {};
+    let current = name;
+    for (let depth = 0; depth <= MAX_ALIAS_DEPTH; depth++) {
+      const icon = collection.icons[current];
+      if (icon) {
+        const resolved = { ...icon, ...overrides };
+        return {
+          body: icon.body,
+          left: resolved.left || collection.left || 0,
+          top: resolved.top || collection.top || 0,
+          width: resolved.width || collection.width || DEFAULT_SIZE,
+          height: resolved.height || collection.height || DEFAULT_SIZE,
+          hFlip: transforms.hFlip !== Boolean(icon.hFlip),
+          vFlip: transforms.vFlip !== Boolean(icon.vFlip),
+          rotate: transforms.rotate + (icon.rotate || 0)
+        };
+      }
+      const alias = collection.aliases && collection.aliases[current];
+      if (!alias) return null;
+      if (alias.hFlip) transforms.hFlip = !transforms.hFlip;
+      if (alias.vFlip) transforms.vFlip = !transforms.vFlip;
+      transforms.rotate += alias.rotate || 0;
+      ['left', 'top', 'width', 'height'].forEach((key) => {
+        if (alias[key] !== undefined && overrides[key] === undefined) overrides[key] = alias[key];
+      });
+      current = alias.parent;
+    }
+    return null;
+  }
+
+  function getCollectionInfo(prefix) {
+    load();
+    const collection = collections.get(prefix);
+    if (!collection) return null;
+    return { prefix, ...(collection.info || {}) };
+  }
+
+  return {
+    // Search icon names; returns the same shape as the Iconify /search API
+    search(query, limit = 64) {
+      load();
+      const q = normalizeQuery(query);
+      const tokens = q.split(/[\s\-_]+/).filter(Boolean);
+      const joined = tokens.join('-');
+      if (!tokens.length) return { icons: [], total: 0, limit, start: 0, collections: {} };
+
+      const matches = [];
+      entries.forEach((entry, order) => {
+        const name = entry.name.toLowerCase();
+        if (!tokens.every(t => name.includes(t))) return;
+        // Exact names first, then names starting with the query, then the rest
+        const tier = name === joined ? 0 : (name.startsWith(joined) ? 1 : 2);
+        matches.push({ entry, tier, order });
+      });
+      matches.sort((a, b) => (a.tier - b.tier) || (a.entry.name.length - b.entry.name.length) || (a.order - b.order));
+
+      const icons = matches.slice(0, limit).map(m => m.entry.id);
+      const usedPrefixes = {};
+      icons.forEach((id) => {
+        const prefix = id.split(':')[0];
+        if (!usedPrefixes[prefix]) usedPrefixes[prefix] = getCollectionInfo(prefix);
+      });
+
+      return { icons, total: icons.length, limit, start: 0, collections: usedPrefixes };
+    },
+
+    has(iconId) {
+      return resolveIcon(iconId) !== null;
+    },
+
+    // Render an icon as a standalone SVG, matching api.iconify.design/{id}.svg
+    getSvg(iconId) {
+      const icon = resolveIcon(iconId);
+      if (!icon) return null;
+      const body = applyTransforms(icon.body, icon);
+      const viewBox = `${icon.left} ${icon.top} ${icon.width} ${icon.height}`;
+      return `<svg xmlns="http://www.w3.org/2000/svg" width="1em" height="1em" viewBox="${escapeAttr(viewBox)}">${body}</svg>`;
+    },
+
+    getCollectionInfo,
+
+    listCollections() {
+      load();
+      return Array.from(collections.keys());
+    },
+
+    get size() {
+      load();
+      return entries.length;
+    },
+
+    // Drop the loaded data so the next call re-reads the directory
+    reload() {
+      collections = null;
+      entries = [];
+      load();
+    }
+  };
+}
+
+module.exports = {
+  createLocalIconIndex
+};
@@ -0,0 +1,164 @@
+// Image models callers can generate with, and which plans may use them
+// Each model lists the sizes it supports, the step/CFG ranges it accepts (null
+// when the model takes neither) and a cost weight relative to the default model.
+// Plans opt in through subscription_plans.allowed_models (NULL = every model).
+const { UUID_PATTERN } = require('./service-role');
+
+const DEFAULT_MODEL = 'google:2@3';
+const DEFAULT_CACHE_TTL_MS = 60 * 1000;
+
+const MODELS = [
+  {
+    id: 'google:2@3',
+    name: 'Google Imagen 3',
+    description: 'Clean, detailed icons with strong prompt adherence',
+    sizes: [
+      { width: 1024, height: 1024 },
+      { width: 1280, height: 896 },
+      { width: 896, height: 1280 }
+    ],
+    steps: null,
+    cfgScale: null,
+    costWeight: 1
+  },
+  {
+    id: 'runware:100@1',
+    name: 'FLUX.1 [schnell]',
+    description: 'Fast, low-cost drafts',
+    sizes: [
+      { width: 512, height: 512 },
+      { width: 768, height: 768 },
+      { width: 1024, height: 1024 }
+    ],
+    steps: { min: 1, max: 50, default: 20 },
+    cfgScale: { min: 1, max: 20, default: 7 },
+    costWeight: 0.5
+  }
+];
+
+const MODEL_IDS = MODELS.map(model => model.id);
+
+function getModel(id) {
+  return MODELS.find(model => model.id === id) || null;
+}
+
+function sizeLabel(size) {
+  return `${size.width}x${size.height}`;
+}
+
+// Validate { model, width, height, steps, CFGScale } against the model's bounds;
+// returns a list of error messages (empty when valid)
+function validateModelParams({ model = DEFAULT_MODEL, width, height, steps, CFGScale } = {}) {
+  const errors = [];
+  const entry = getModel(model);
+  if (!entry) {
+    return [`model must be one of: ${MODEL_IDS.join(', ')}`];
+  }
+
+  if (width !== undefined || height !== undefined) {
+    const size = { width: width ?? entry.sizes[0].width, height: height ?? entry.sizes[0].height };
+    if (!entry.sizes.some(s => s.width === size.width && s.height === size.height)) {
+      errors.push(`${sizeLabel(size)} is not supported by ${model} (sizes: ${entry.sizes.map(sizeLabel).join(', ')})`);
+    }
+  }
+
+  const ranges = [['steps', steps, entry.steps], ['CFGScale', CFGScale, entry.cfgScale]];
+  for (const [field, value, range] of ranges) {
+    if (value === undefined) continue;
+    if (!range) {
+      errors.push(`${field} is not supported by ${model}`);
+    } else if (typeof value !== 'number' || !Number.isFinite(value) || value < range.min || value > range.max ||
+               (field === 'steps' && !Number.isInteger(value))) {
+      errors.push(`${field} must be a${field === 'steps' ? 'n integer' : ' number'} between ${range.min} and ${range.max} for ${model}`);
+    }
+  }
+  return errors;
+}
+
+// Fill model defaults: { model, width, height, steps?, CFGScale? } ready for a provider request
+function resolveModelParams({ model = DEFAULT_MODEL, width, height, steps, CFGScale } = {}) {
+  const entry = getModel(model) || getModel(DEFAULT_MODEL);
+  const params = {
+    model: entry.id,
+    width: width ?? entry.sizes[0].width,
+    height: height ?? entry.sizes[0].height
+  };
+  if (entry.steps) params.steps = steps ?? entry.steps.default;
+  if (entry.cfgScale) params.CFGScale = CFGScale ?? entry.cfgScale.default;
+  return params;
+}
+
+// Registry entries with an `allowed` flag for the given entitlement
+function listModels(entitlement = null) {
+  return MODELS.map(model => ({
+    id: model.id,
+    name: model.name,
+    description: model.description,
+    sizes: model.sizes.map(size => ({ ...size })),
+    steps: model.steps && { ...model.steps },
+    cfgScale: model.cfgScale && { ...model.cfgScale },
+    costWeight: model.costWeight,
+    default: model.id === DEFAULT_MODEL,
+    allowed: isModelAllowed(entitlement, model.id)
+  }));
+}
+
+// entitlement = { plan, allowedModels } where allowedModels null means every model
+function isModelAllowed(entitlement, modelId) {
+  if (!entitlement || !entitlement.allowedModels) return true;
+  return entitlement.allowedModels.includes(modelId);
+}
+
+// Per-user plan lookup through the get_user_model_entitlements RPC (see
+// lib/service-role.js), cached briefly. Ids that are not UUIDs (dev mode) and servers without a
+// database get every model; a failed lookup, or a missing client when `required`,
+// falls back to the default model only.
+function createModelEntitlements(options = {}) {
+  const { supabase = null, required = false, cacheTtlMs = DEFAULT_CACHE_TTL_MS } = options;
+  const cache = new Map();
+
+  async function lookup(userId) {
+    try {
+      const { data, error } = await supabase.rpc('get_user_model_entitlements', { p_user_id: userId || null });
+      if (error) throw error;
+      const row = Array.isArray(data) ? data[0] : data;
+      if (!row) return { plan: null, allowedModels: [DEFAULT_MODEL] };
+      return {
+        plan: { id: row.plan_id, name: row.plan_name },
+        allowedModels: Array.isArray(row.allowed_models) ? row.allowed_models : null
+      };
+    } catch (e) {
+      console.log('⚠️ Failed to load model entitlements:', e.message);
+      return null;
+    }
+  }
+
+  return {
+    async forUser(userId) {
+      if ((!supabase && !required) || (userId && !UUID_PATTERN.test(userId))) {
+        return { plan: null, allowedModels: null };
+      }
+      if (!supabase) return { plan: null, allowedModels: [DEFAULT_MODEL] };
+      const key = userId || 'anonymous';
+      const cached = cache.get(key);
+      if (cached && Date.now() - cached.at < cacheTtlMs) return cached.entitlement;
+      const entitlement = await lookup(userId);
+      // Do not pin a failed lookup for the whole TTL
+      if (!entitlement) return { plan: null, allowedModels: [DEFAULT_MODEL] };
+      cache.set(key, { at: Date.now(), entitlement });
+      return entitlement;
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_MODEL,
+  MODELS,
+  MODEL_IDS,
+  createModelEntitlements,
+  getModel,
+  isModelAllowed,
+  listModels,
+  resolveModelParams,
+  validateModelParams
+};
@@ -0,0 +1,87 @@
+// Prompt templates for icon generation
+// Templates live in public.prompt_templates (current body) with every edit kept
+// in public.prompt_template_versions. The built-in default is used whenever the
+// database has no 'default' template (or is not configured).
+// Admins edit templates straight in the database (admin page), so the list is
+// cached for a minute rather than invalidated.
+//
+// Rendering and the built-in default are in public/prompt-template.js, which
+// the generate page loads too.
+
+const { DEFAULT_TEMPLATE, PLACEHOLDERS, renderTemplate } = require('../public/prompt-template');
+
+const TEMPLATE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,49}$/;
+const DEFAULT_CACHE_TTL_MS = 60 * 1000;
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description || '',
+    version: row.current_version,
+    body: row.body
+  };
+}
+
+function createPromptTemplateStore(options = {}) {
+  const { supabase = null, cacheTtlMs = DEFAULT_CACHE_TTL_MS } = options;
+  let cached = null;
+  let cachedAt = 0;
+
+  async function loadTemplates() {
+    if (cached && Date.now() - cachedAt < cacheTtlMs) return cached;
+    let rows = [];
+    if (supabase) {
+      try {
+        const { data, error } = await supabase
+          .from('prompt_templates')
+          .select('id, name, description, current_version, body')
+          .eq('is_active', true)
+          .order('name', { ascending: true });
+        if (error) throw error;
+        rows = Array.isArray(data) ? data : [];
+      } catch (e) {
+        console.log('⚠️ Failed to load prompt templates:', e.message);
+      }
+    }
+    const templates = rows.map(fromRow);
+    if (!templates.some(t => t.id === DEFAULT_TEMPLATE.id)) templates.unshift({ ...DEFAULT_TEMPLATE });
+    cached = templates;
+    cachedAt = Date.now();
+    return templates;
+  }
+
+  return {
+    list: loadTemplates,
+
+    // Resolve { id, version, body } for a template id (default when omitted) and
+    // optional older version; null when the template or version does not exist
+    async resolve(id = DEFAULT_TEMPLATE.id, version) {
+      const template = (await loadTemplates()).find(t => t.id === id);
+      if (!template) return null;
+      if (!version || version === template.version) return { id: template.id, version: template.version, body: template.body };
+      if (!supabase) return null;
+      try {
+        const { data, error } = await supabase
+          .from('prompt_template_versions')
+          .select('version, body')
+          .eq('template_id', id)
+          .eq('version', version)
+          .maybeSingle();
+        if (error || !data) return null;
+        return { id, version: data.version, body: data.body };
+      } catch (e) {
+        console.log(`⚠️ Failed to load prompt template ${id} v${version}:`, e.message);
+        return null;
+      }
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  PLACEHOLDERS,
+  TEMPLATE_ID_PATTERN,
+  createPromptTemplateStore,
+  renderTemplate
+};
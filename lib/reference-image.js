@@ -0,0 +1,91 @@
+// Reference images for restyling ("a rocket in the same style as tabler:home")
+// A reference is one of
+//   { type: 'iconify', id: 'tabler:home' }
+//   { type: 'generated', id: 123 }             (generated_icons.id)
+//   { type: 'upload', data: 'data:image/png;base64,...' }
+// plus an optional strength: 0 keeps the reference as is, 1 ignores it.
+// References are rasterized to a white-backed PNG before they reach a provider.
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const REFERENCE_TYPES = ['iconify', 'generated', 'upload'];
+const DEFAULT_STRENGTH = 0.7;
+const REFERENCE_SIZE = 512;
+const MAX_UPLOAD_BYTES = 2 * 1024 * 1024;
+const ICONIFY_ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*:[a-z0-9]+(?:[-_][a-z0-9]+)*$/;
+const DATA_URL_PATTERN = /^data:(image\/(?:png|jpeg|webp|gif|svg\+xml));base64,([A-Za-z0-9+/=]+)$/;
+
+// Returns a list of error messages (empty when the reference is valid)
+function validateReference(reference) {
+  if (!reference || typeof reference !== 'object' || Array.isArray(reference)) {
+    return ['reference must be an object with a type'];
+  }
+  const errors = [];
+  if (!REFERENCE_TYPES.includes(reference.type)) {
+    errors.push(`reference.type must be one of: ${REFERENCE_TYPES.join(', ')}`);
+  } else if (reference.type === 'iconify' && (typeof reference.id !== 'string' || !ICONIFY_ID_PATTERN.test(reference.id))) {
+    errors.push('reference.id must be an Iconify id like "tabler:home"');
+  } else if (reference.type === 'generated' && (!Number.isInteger(reference.id) || reference.id < 1)) {
+    errors.push('reference.id must be a generated icon id');
+  } else if (reference.type === 'upload') {
+    const image = parseDataUrl(reference.data);
+    if (!image) {
+      errors.push('reference.data must be a base64 data URL of a PNG, JPEG, WebP, GIF or SVG image');
+    } else if (image.buffer.length > MAX_UPLOAD_BYTES) {
+      errors.push(`reference.data must be at most ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB`);
+    }
+  }
+  if (reference.strength !== undefined &&
+      (typeof reference.strength !== 'number' || !(reference.strength >= 0 && reference.strength <= 1))) {
+    errors.push('reference.strength must be a number between 0 and 1');
+  }
+  return errors;
+}
+
+// 'data:image/png;base64,...' -> { mimeType, buffer } (null when not an image data URL)
+function parseDataUrl(dataUrl) {
+  const match = typeof dataUrl === 'string' ? DATA_URL_PATTERN.exec(dataUrl.replace(/\s+/g, '')) : null;
+  return match ? { mimeType: match[1], buffer: Buffer.from(match[2], 'base64') } : null;
+}
+
+// Fit the image into a size x size white square; SVGs are rendered at a density
+// that gives the target size directly instead of being upscaled
+async function rasterizeReference(buffer, { size = REFERENCE_SIZE } = {}) {
+  let density;
+  try {
+    const meta = await sharp(buffer).metadata();
+    if (meta.format === 'svg' && meta.width && meta.height) {
+      density = Math.min(2400, Math.ceil((72 * size) / Math.max(meta.width, meta.height)));
+    }
+  } catch (e) {
+    throw Object.assign(new Error('Reference image could not be read'), { statusCode: 400 });
+  }
+  return sharp(buffer, density ? { density } : {})
+    .resize(size, size, { fit: 'contain', background: '#ffffff' })
+    .flatten({ background: '#ffffff' })
+    .png()
+    .toBuffer();
+}
+
+function toDataUrl(png) {
+  return `data:image/png;base64,${png.toString('base64')}`;
+}
+
+// What gets stored with the generated icon: ids as given, uploads by content hash
+function describeReference(reference, png) {
+  const strength = reference.strength ?? DEFAULT_STRENGTH;
+  if (reference.type === 'upload') {
+    return { type: 'upload', sha256: crypto.createHash('sha256').update(png).digest('hex'), strength };
+  }
+  return { type: reference.type, id: reference.id, strength };
+}
+
+module.exports = {
+  DEFAULT_STRENGTH,
+  REFERENCE_TYPES,
+  describeReference,
+  parseDataUrl,
+  rasterizeReference,
+  toDataUrl,
+  validateReference
+};
@@ -0,0 +1,205 @@
+// Shared server-side response cache for upstream fetches (Iconify search/SVG, proxied images)
+// - in-memory LRU bounded by entry count and total bytes, with per-entry TTL
+// - optional disk tier (one JSON file per key) that survives restarts
+// - concurrent wrap() calls for the same key coalesce into one upstream request
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_MAX_ENTRIES = 1000;
+const DEFAULT_MAX_BYTES = 64 * 1024 * 1024;
+const DEFAULT_TTL_MS = 10 * 60 * 1000;
+
+// Buffers survive the JSON round trip to disk as base64
+function serialize(value) {
+  return JSON.stringify(value, (key, v) => (v && v.type === 'Buffer' && Array.isArray(v.data)
+    ? { __buffer: Buffer.from(v.data).toString('base64') }
+    : v));
+}
+
+function deserialize(text) {
+  return JSON.parse(text, (key, v) => (v && typeof v.__buffer === 'string' ? Buffer.from(v.__buffer, 'base64') : v));
+}
+
+// Approximate in-memory size used for the byte bound
+function sizeOf(value) {
+  if (value === null || value === undefined) return 0;
+  if (Buffer.isBuffer(value)) return value.length;
+  if (typeof value === 'string') return value.length * 2;
+  if (typeof value === 'object') {
+    return Object.keys(value).reduce((sum, key) => sum + key.length * 2 + sizeOf(value[key]), 0);
+  }
+  return 8;
+}
+
+// Stats are grouped by the key's namespace ("svg:...", "search:...")
+function namespaceOf(key) {
+  const i = key.indexOf(':');
+  return i > 0 ? key.slice(0, i) : 'default';
+}
+
+function createResponseCache(options = {}) {
+  const {
+    maxEntries = DEFAULT_MAX_ENTRIES,
+    maxBytes = DEFAULT_MAX_BYTES,
+    defaultTtlMs = DEFAULT_TTL_MS,
+    diskDir = null
+  } = options;
+
+  const entries = new Map(); // key -> { value, size, expiresAt }; Map order is LRU order
+  const inflight = new Map(); // key -> Promise
+  let totalBytes = 0;
+  const counters = {};
+
+  if (diskDir) {
+    try {
+      fs.mkdirSync(diskDir, { recursive: true });
+    } catch (e) {
+      console.warn(`⚠️ Response cache: cannot create disk tier at ${diskDir}: ${e.message}`);
+    }
+  }
+
+  function count(key, field) {
+    const ns = namespaceOf(key);
+    if (!counters[ns]) counters[ns] = { hits: 0, misses: 0, diskHits: 0, coalesced: 0, evictions: 0 };
+    counters[ns][field]++;
+  }
+
+  function diskPath(key) {
+    return path.join(diskDir, `${crypto.createHash('sha256').update(key).digest('hex')}.json`);
+  }
+
+  function remove(key) {
+    const entry = entries.get(key);
+    if (!entry) return;
+    totalBytes -= entry.size;
+    entries.delete(key);
+  }
+
+  function setMemory(key, value, expiresAt) {
+    remove(key);
+    const size = sizeOf(value);
+    if (size > maxBytes) return; // never cache a single value larger than the whole budget
+    entries.set(key, { value, size, expiresAt });
+    totalBytes += size;
+    // Evict least recently used entries until both bounds hold
+    while (entries.size > maxEntries || totalBytes > maxBytes) {
+      const oldestKey = entries.keys().next().value;
+      remove(oldestKey);
+      count(oldestKey, 'evictions');
+    }
+  }
+
+  function getMemory(key) {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      remove(key);
+      return undefined;
+    }
+    // Refresh LRU position
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.value;
+  }
+
+  async function getDisk(key) {
+    if (!diskDir) return undefined;
+    try {
+      const record = deserialize(await fs.promises.readFile(diskPath(key), 'utf8'));
+      if (record.key !== key) return undefined;
+      if (record.expiresAt <= Date.now()) {
+        fs.promises.unlink(diskPath(key)).catch(() => {});
+        return undefined;
+      }
+      setMemory(key, record.value, record.expiresAt);
+      return record.value;
+    } catch {
+      return undefined;
+    }
+  }
+
+  function setDisk(key, value, expiresAt) {
+    if (!diskDir) return;
+    fs.promises.writeFile(diskPath(key), serialize({ key, expiresAt, value }))
+      .catch(e => console.warn(`⚠️ Response cache: disk write failed: ${e.message}`));
+  }
+
+  async function get(key) {
+    const memoryValue = getMemory(key);
+    if (memoryValue !== undefined) {
+      count(key, 'hits');
+      return memoryValue;
+    }
+    const diskValue = await getDisk(key);
+    if (diskValue !== undefined) {
+      count(key, 'hits');
+      count(key, 'diskHits');
+      return diskValue;
+    }
+    count(key, 'misses');
+    return undefined;
+  }
+
+  function set(key, value, ttlMs = defaultTtlMs) {
+    const expiresAt = Date.now() + ttlMs;
+    setMemory(key, value, expiresAt);
+    setDisk(key, value, expiresAt);
+  }
+
+  // Return the cached value for key, or run loader once for all concurrent callers.
+  // Loader errors are never cached; shouldCache(value) can skip caching e.g. error statuses.
+  async function wrap(key, loader, wrapOptions = {}) {
+    const { ttlMs = defaultTtlMs, shouldCache = () => true } = wrapOptions;
+
+    if (inflight.has(key)) {
+      count(key, 'coalesced');
+      return inflight.get(key);
+    }
+
+    const promise = (async () => {
+      const cached = await get(key);
+      if (cached !== undefined) return cached;
+      const value = await loader();
+      if (value !== undefined && shouldCache(value)) set(key, value, ttlMs);
+      return value;
+    })();
+
+    inflight.set(key, promise);
+    try {
+      return await promise;
+    } finally {
+      inflight.delete(key);
+    }
+  }
+
+  function stats() {
+    const totals = { hits: 0, misses: 0, diskHits: 0, coalesced: 0, evictions: 0 };
+    Object.values(counters).forEach((c) => {
+      Object.keys(totals).forEach((field) => { totals[field] += c[field]; });
+    });
+    const lookups = totals.hits + totals.misses;
+    return {
+      ...totals,
+      hitRate: lookups ? Math.round((totals.hits / lookups) * 1000) / 1000 : 0,
+      entries: entries.size,
+      bytes: totalBytes,
+      inflight: inflight.size,
+      maxEntries,
+      maxBytes,
+      diskTier: Boolean(diskDir),
+      namespaces: JSON.parse(JSON.stringify(counters))
+    };
+  }
+
+  function clear() {
+    entries.clear();
+    totalBytes = 0;
+  }
+
+  return { get, set, wrap, stats, clear };
+}
+
+module.exports = {
+  createResponseCache
+};
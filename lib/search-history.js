@@ -0,0 +1,92 @@
+// Search history from public.searches, which the search page writes to with
+// the signed-in user and the number of icons found. The server reads it through
+// get_user_recent_searches, clear_user_searches and get_trending_searches
+// (migrations/2025-08-18_add_search_history.sql), since RLS limits the table to
+// the signed-in user; `supabase` is a service-role client (see
+// lib/service-role.js). Trending queries are aggregated in the database and only
+// include queries searched by at least 3 users.
+// Ids that are not UUIDs (dev mode) and servers without a database have no history.
+const { UUID_PATTERN } = require('./service-role');
+
+const DEFAULT_RECENT_LIMIT = 10;
+const MAX_RECENT_LIMIT = 50;
+const DEFAULT_TRENDING_DAYS = 7;
+const MAX_TRENDING_DAYS = 90;
+const DEFAULT_TRENDING_LIMIT = 10;
+const MAX_TRENDING_LIMIT = 50;
+
+// Whole number from a query string value, clamped to [1, max]; fallback when missing
+function parseBound(value, fallback, max) {
+  if (value === null || value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) return null;
+  return Math.min(number, max);
+}
+
+// { limit } for recent searches from query parameters; returns { options } or { error }
+function parseRecentOptions(searchParams) {
+  const limit = parseBound(searchParams.get('limit'), DEFAULT_RECENT_LIMIT, MAX_RECENT_LIMIT);
+  if (limit === null) return { error: 'limit must be a positive integer' };
+  return { options: { limit } };
+}
+
+// { days, limit } for trending searches from query parameters; returns { options } or { error }
+function parseTrendingOptions(searchParams) {
+  const days = parseBound(searchParams.get('days'), DEFAULT_TRENDING_DAYS, MAX_TRENDING_DAYS);
+  if (days === null) return { error: 'days must be a positive integer' };
+  const limit = parseBound(searchParams.get('limit'), DEFAULT_TRENDING_LIMIT, MAX_TRENDING_LIMIT);
+  if (limit === null) return { error: 'limit must be a positive integer' };
+  return { options: { days, limit } };
+}
+
+function createSearchHistory(options = {}) {
+  const { supabase = null } = options;
+
+  function persisted(userId) {
+    return Boolean(supabase) && UUID_PATTERN.test(userId);
+  }
+
+  // Function result (empty when it returned nothing), or null on failure
+  async function rpc(name, params, empty = []) {
+    const { data, error } = await supabase.rpc(name, params);
+    if (error) {
+      console.warn(`⚠️ ${name} failed:`, error.message || error);
+      return null;
+    }
+    return data ?? empty;
+  }
+
+  return {
+    // The user's latest distinct queries, newest first:
+    // [{ query, library, resultCount, searchedAt }], or null when they could not be loaded
+    async recent(userId, { limit = DEFAULT_RECENT_LIMIT } = {}) {
+      if (!persisted(userId)) return [];
+      const rows = await rpc('get_user_recent_searches', { p_user_id: userId, p_limit: limit });
+      return rows && rows.map(row => ({
+        query: row.query,
+        library: row.library,
+        resultCount: row.result_count ?? null,
+        searchedAt: row.searched_at
+      }));
+    },
+
+    // Resolves the number of searches removed, or null on failure
+    async clear(userId) {
+      if (!persisted(userId)) return 0;
+      return rpc('clear_user_searches', { p_user_id: userId }, 0);
+    },
+
+    // Most searched queries across all users: [{ query, count }], or null on failure
+    async trending({ days = DEFAULT_TRENDING_DAYS, limit = DEFAULT_TRENDING_LIMIT } = {}) {
+      if (!supabase) return [];
+      const rows = await rpc('get_trending_searches', { p_days: days, p_limit: limit });
+      return rows && rows.map(row => ({ query: row.query, count: row.search_count }));
+    }
+  };
+}
+
+module.exports = {
+  createSearchHistory,
+  parseRecentOptions,
+  parseTrendingOptions
+};
@@ -0,0 +1,13 @@
+// Shared by the stores that reach Supabase with the service role: generation
+// jobs, model entitlements, download quota, favourites, collections and search
+// history. Their functions take a user id the server has already authenticated,
+// so they (and the tables behind them) are only granted to the service role and
+// each store's `supabase` must be a service-role client (supabaseService in
+// server.js and api/_utils.js). Only UUIDs are database users; other ids (dev
+// mode) never reach these functions.
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+module.exports = {
+  UUID_PATTERN
+};
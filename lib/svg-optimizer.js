@@ -0,0 +1,380 @@
+// Lossy-by-precision SVG optimizer for the icons we serve (potrace output,
+// Iconify SVGs). Not a general SVG tool: it works on the tag stream, so it
+// understands flat documents of shapes and groups, and leaves anything it does
+// not recognise (text content, <style>, unknown elements) as it was.
+//
+// optimizeSvg(svg, { precision, currentColor, mergePaths, keepSize })
+//   - strips comments, XML/DOCTYPE prologue, <metadata> and editor attributes
+//   - ensures a viewBox (from width/height) and drops width/height unless keepSize
+//   - rounds path data and geometry attributes to `precision` decimals
+//   - merges sibling paths with identical attributes whose bounds do not overlap
+//   - optionally turns every fill/stroke colour into currentColor
+
+const DEFAULT_PRECISION = 2;
+const MAX_PRECISION = 6;
+
+const GEOMETRY_ATTRIBUTES = new Set(['x', 'y', 'width', 'height', 'cx', 'cy', 'r', 'rx', 'ry', 'x1', 'y1', 'x2', 'y2', 'stroke-width']);
+const EDITOR_ATTRIBUTE = /^(?:inkscape|sodipodi|sketch|serif|xmlns:(?:inkscape|sodipodi|sketch|serif|dc|cc|rdf))(?::|$)/;
+const DROPPED_ELEMENTS = /<metadata[\s>][\s\S]*?<\/metadata>|<metadata\s*\/>/gi;
+const PATH_ARG_COUNTS = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+
+// ---------------------------------------------------------------------------
+// Numbers
+
+function round(value, precision) {
+  const factor = 10 ** precision;
+  const rounded = Math.round(value * factor) / factor;
+  return Object.is(rounded, -0) ? 0 : rounded;
+}
+
+// Shortest text for a number: "0.50" -> ".5", "-0.25" -> "-.25"
+function formatNumber(value) {
+  let text = String(value);
+  if (/e/i.test(text)) text = value.toFixed(MAX_PRECISION).replace(/\.?0+$/, '');
+  return text.replace(/^(-?)0\./, '$1.');
+}
+
+// Trim trailing zeros without changing the value ("512.000000" -> "512")
+function trimNumbers(text) {
+  return text.replace(/-?\d*\.?\d+(?:e[-+]?\d+)?/gi, match => formatNumber(Number(match)));
+}
+
+// ---------------------------------------------------------------------------
+// Path data
+
+// "M10 10L20 20z" -> [{ command: 'M', args: [10, 10] }, ...]; arc flags may be
+// written without separators ("a1 1 0 011 1"), so arcs are read positionally
+function parsePath(d) {
+  const segments = [];
+  let i = 0;
+  let command = null;
+
+  const skipSeparators = () => {
+    while (i < d.length && /[\s,]/.test(d[i])) i++;
+  };
+  const readNumber = () => {
+    const match = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/.exec(d.slice(i));
+    if (!match) return null;
+    i += match[0].length;
+    return Number(match[0]);
+  };
+  const readFlag = () => {
+    if (d[i] === '0' || d[i] === '1') return Number(d[i++]);
+    return null;
+  };
+
+  while (true) {
+    skipSeparators();
+    if (i >= d.length) break;
+    if (/[a-zA-Z]/.test(d[i])) {
+      command = d[i++];
+      if (!(command.toUpperCase() in PATH_ARG_COUNTS)) return null;
+      if (command.toUpperCase() === 'Z') {
+        segments.push({ command, args: [] });
+        continue;
+      }
+    } else if (!command || command.toUpperCase() === 'Z') {
+      return null;
+    }
+
+    const upper = command.toUpperCase();
+    const args = [];
+    for (let n = 0; n < PATH_ARG_COUNTS[upper]; n++) {
+      skipSeparators();
+      const value = upper === 'A' && (n === 3 || n === 4) ? readFlag() : readNumber();
+      if (value === null) return null;
+      args.push(value);
+    }
+    segments.push({ command, args });
+    // Extra pairs after a moveto are linetos
+    if (upper === 'M') command = command === 'M' ? 'L' : 'l';
+  }
+  return segments;
+}
+
+function serializePath(segments, precision) {
+  let out = '';
+  let previous = null;
+  let lastNumber = null; // text of the number just written, null after a command letter
+  for (const { command, args } of segments) {
+    const upper = command.toUpperCase();
+    // Repeated commands may drop the letter (not moveto, where repeats mean lineto)
+    if (command !== previous || upper === 'M' || upper === 'Z') {
+      out += command;
+      lastNumber = null;
+    }
+    args.forEach((arg, n) => {
+      const text = upper === 'A' && (n === 3 || n === 4) ? String(arg) : formatNumber(round(arg, precision));
+      // "1 2" needs a space; "1-2" and "1.5.5" do not
+      const needsSeparator = lastNumber !== null && !text.startsWith('-') &&
+        !(text.startsWith('.') && lastNumber.includes('.'));
+      out += (needsSeparator ? ' ' : '') + text;
+      lastNumber = text;
+    });
+    previous = command;
+  }
+  return out;
+}
+
+// Conservative bounding box (control points and arc radii included)
+function pathBounds(segments) {
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  const box = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+  const add = (px, py, pad = 0) => {
+    box.minX = Math.min(box.minX, px - pad);
+    box.minY = Math.min(box.minY, py - pad);
+    box.maxX = Math.max(box.maxX, px + pad);
+    box.maxY = Math.max(box.maxY, py + pad);
+  };
+  for (const { command, args } of segments) {
+    const upper = command.toUpperCase();
+    const relative = command !== upper;
+    const ox = relative ? x : 0;
+    const oy = relative ? y : 0;
+    if (upper === 'Z') {
+      x = startX;
+      y = startY;
+    } else if (upper === 'H') {
+      x = ox + args[0];
+      add(x, y);
+    } else if (upper === 'V') {
+      y = oy + args[0];
+      add(x, y);
+    } else if (upper === 'A') {
+      const endX = ox + args[5];
+      const endY = oy + args[6];
+      const radius = Math.max(Math.abs(args[0]), Math.abs(args[1]));
+      add(x, y, radius);
+      add(endX, endY, radius);
+      x = endX;
+      y = endY;
+    } else {
+      for (let n = 0; n < args.length; n += 2) add(ox + args[n], oy + args[n + 1]);
+      x = ox + args[args.length - 2];
+      y = oy + args[args.length - 1];
+      if (upper === 'M') {
+        startX = x;
+        startY = y;
+      }
+    }
+  }
+  return box;
+}
+
+function boxesOverlap(a, b) {
+  return a.minX < b.maxX && b.minX < a.maxX && a.minY < b.maxY && b.minY < a.maxY;
+}
+
+// ---------------------------------------------------------------------------
+// Tags
+
+const ATTRIBUTE_PATTERN = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+function parseTag(raw) {
+  const match = /^<\s*(\/)?\s*([^\s/>]+)([\s\S]*?)(\/)?\s*>$/.exec(raw);
+  if (!match) return null;
+  const attributes = [];
+  if (!match[1]) {
+    for (const attr of match[3].matchAll(ATTRIBUTE_PATTERN)) {
+      attributes.push([attr[1], attr[2] !== undefined ? attr[2] : attr[3]]);
+    }
+  }
+  return { name: match[2], closing: Boolean(match[1]), selfClosing: Boolean(match[4]), attributes };
+}
+
+function escapeAttribute(value) {
+  return String(value).replace(/&(?!(?:[a-z]+|#\d+|#x[0-9a-f]+);)/gi, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+function serializeTag(tag) {
+  if (tag.closing) return `</${tag.name}>`;
+  const attributes = tag.attributes.map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`).join('');
+  return `<${tag.name}${attributes}${tag.selfClosing ? '/>' : '>'}`;
+}
+
+function getAttribute(tag, name) {
+  const found = tag.attributes.find(([key]) => key === name);
+  return found ? found[1] : undefined;
+}
+
+function setAttribute(tag, name, value) {
+  const found = tag.attributes.find(([key]) => key === name);
+  if (found) found[1] = value;
+  else tag.attributes.push([name, value]);
+}
+
+function removeAttribute(tag, name) {
+  tag.attributes = tag.attributes.filter(([key]) => key !== name);
+}
+
+const PAINT_NONE = /^(?:none|transparent|currentColor|inherit)$/i;
+
+// Replace a fill/stroke colour; none, currentColor and url(#gradient) paints are kept
+function recolor(value, color = 'currentColor') {
+  if (value === undefined || PAINT_NONE.test(value.trim()) || /^url\(/i.test(value.trim())) return value;
+  return color;
+}
+
+function recolorStyle(style, color = 'currentColor') {
+  return style.replace(/(^|;)\s*(fill|stroke)\s*:\s*([^;]+)/gi, (match, lead, property, value) => `${lead}${property}:${recolor(value.trim(), color)}`);
+}
+
+function optimizeTag(tag, options, isRoot) {
+  const { precision, currentColor, keepSize } = options;
+  tag.attributes = tag.attributes.filter(([name]) => !EDITOR_ATTRIBUTE.test(name) && !/^data-/.test(name));
+
+  if (isRoot) {
+    removeAttribute(tag, 'version');
+    removeAttribute(tag, 'xml:space');
+    // Served as standalone files, so the namespace must be there
+    if (getAttribute(tag, 'xmlns') === undefined) tag.attributes.unshift(['xmlns', 'http://www.w3.org/2000/svg']);
+    const width = parseFloat(getAttribute(tag, 'width'));
+    const height = parseFloat(getAttribute(tag, 'height'));
+    const sizeIsAbsolute = value => value !== undefined && /^\s*[\d.]+\s*(?:px)?\s*$/.test(value);
+    if (getAttribute(tag, 'viewBox') === undefined && sizeIsAbsolute(getAttribute(tag, 'width')) && sizeIsAbsolute(getAttribute(tag, 'height'))) {
+      setAttribute(tag, 'viewBox', `0 0 ${formatNumber(width)} ${formatNumber(height)}`);
+    }
+    if (!keepSize && getAttribute(tag, 'viewBox') !== undefined) {
+      removeAttribute(tag, 'width');
+      removeAttribute(tag, 'height');
+    }
+    if (getAttribute(tag, 'viewBox') !== undefined) setAttribute(tag, 'viewBox', trimNumbers(getAttribute(tag, 'viewBox')));
+  }
+
+  tag.attributes.forEach((attr) => {
+    const [name, value] = attr;
+    if (name === 'd') {
+      const segments = parsePath(value);
+      if (segments) attr[1] = serializePath(segments, precision);
+    } else if (!isRoot && GEOMETRY_ATTRIBUTES.has(name) && /^\s*-?[\d.]+(?:e[-+]?\d+)?\s*$/i.test(value)) {
+      attr[1] = formatNumber(round(Number(value), precision));
+    } else if (name === 'points') {
+      attr[1] = value.trim().split(/[\s,]+/).map(n => formatNumber(round(Number(n), precision))).join(' ');
+    } else if (name === 'transform') {
+      attr[1] = trimNumbers(value);
+    } else if (currentColor && (name === 'fill' || name === 'stroke')) {
+      attr[1] = recolor(value);
+    } else if (currentColor && name === 'style') {
+      attr[1] = recolorStyle(value);
+    }
+  });
+}
+
+// Paths merge when everything but `d` matches, there is no id or marker, and
+// their bounds do not overlap (so fill-rule cannot change what gets painted)
+function mergeKey(tag) {
+  if (tag.name !== 'path' || !tag.selfClosing) return null;
+  if (tag.attributes.some(([name]) => name === 'id' || /^marker/.test(name))) return null;
+  return JSON.stringify(tag.attributes.filter(([name]) => name !== 'd').sort(([a], [b]) => (a < b ? -1 : 1)));
+}
+
+function mergeSiblingPaths(tokens, precision) {
+  const out = [];
+  let run = null; // { key, tag, segments, boxes }
+  const flush = () => {
+    if (run) {
+      setAttribute(run.tag, 'd', serializePath(run.segments, precision));
+      out.push(run.tag);
+    }
+    run = null;
+  };
+  for (const token of tokens) {
+    if (typeof token === 'string') {
+      if (token.trim()) {
+        flush();
+        out.push(token);
+      }
+      continue;
+    }
+    const key = mergeKey(token);
+    const segments = key ? parsePath(getAttribute(token, 'd') || '') : null;
+    if (!segments || !segments.length || segments[0].command.toUpperCase() !== 'M') {
+      flush();
+      out.push(token);
+      continue;
+    }
+    const box = pathBounds(segments);
+    if (run && run.key === key && !run.boxes.some(other => boxesOverlap(other, box))) {
+      // A leading 'm' is absolute on its own path but would be relative once appended
+      const [first, ...rest] = segments;
+      run.segments.push({ command: 'M', args: first.args }, ...rest);
+      run.boxes.push(box);
+      continue;
+    }
+    flush();
+    run = { key, tag: token, segments, boxes: [box] };
+  }
+  flush();
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+
+// Split an SVG into text strings and parsed tags ({ name, closing, selfClosing, attributes })
+function tokenizeSvg(svg) {
+  return (svg.match(/<[^>]+>|[^<]+/g) || []).map((raw) => {
+    if (!raw.startsWith('<') || raw.startsWith('<!') || raw.startsWith('<?')) return raw;
+    return parseTag(raw) || raw;
+  });
+}
+
+function serializeTokens(tokens) {
+  return tokens.map(token => (typeof token === 'string' ? token : serializeTag(token))).join('');
+}
+
+function optimizeSvg(svg, options = {}) {
+  const settings = {
+    precision: Math.max(0, Math.min(MAX_PRECISION, Number.isInteger(options.precision) ? options.precision : DEFAULT_PRECISION)),
+    currentColor: options.currentColor === true,
+    mergePaths: options.mergePaths !== false,
+    keepSize: options.keepSize === true
+  };
+  if (typeof svg !== 'string' || !/<svg[\s>]/i.test(svg)) return svg;
+
+  const cleaned = svg
+    .replace(/<\?xml[\s\S]*?\?>/g, '')
+    .replace(/<!DOCTYPE[^>[]*(?:\[[\s\S]*?\])?\s*>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(DROPPED_ELEMENTS, '');
+
+  // Leave documents with raw text we cannot safely tokenise alone (CDATA, <style>, <script>)
+  if (/<!\[CDATA\[|<(?:style|script)[\s>]/i.test(cleaned)) return cleaned.trim();
+
+  const tokens = tokenizeSvg(cleaned);
+  let seenRoot = false;
+  for (const tag of tokens) {
+    if (typeof tag === 'string' || tag.closing) continue;
+    optimizeTag(tag, settings, !seenRoot && tag.name === 'svg');
+    if (tag.name === 'svg') seenRoot = true;
+  }
+
+  // stroke="none" is the initial value; potrace writes it on every path
+  const tags = tokens.filter(token => typeof token !== 'string');
+  const strokes = tags.some(tag => tag.attributes.some(([name, value]) =>
+    (name === 'stroke' && value !== 'none') || (name === 'style' && /(?:^|;)\s*stroke\s*:/.test(value))));
+  if (!strokes) tags.forEach(tag => removeAttribute(tag, 'stroke'));
+
+  const merged = settings.mergePaths ? mergeSiblingPaths(tokens, settings.precision) : tokens.filter(t => typeof t !== 'string' || t.trim());
+  return merged.map(token => (typeof token === 'string' ? token.trim() : serializeTag(token))).join('');
+}
+
+module.exports = {
+  DEFAULT_PRECISION,
+  MAX_PRECISION,
+  PAINT_NONE,
+  formatNumber,
+  getAttribute,
+  optimizeSvg,
+  parsePath,
+  recolor,
+  recolorStyle,
+  removeAttribute,
+  serializePath,
+  serializeTag,
+  serializeTokens,
+  setAttribute,
+  tokenizeSvg
+};
@@ -0,0 +1,157 @@
+// SVG symbol sprites: many icons in one file, each a <symbol id> that pages
+// show with <svg><use href="sprite.svg#id"/></svg>.
+// buildSprite(icons, { currentColor, idPrefix })
+//   - every symbol gets a square viewBox (from the icon's viewBox or size,
+//     widened around its centre), so icons line up in 1em boxes
+//   - ids inside an icon (gradients, clip paths, masks) are prefixed with the
+//     symbol id, along with the url(#...) and href="#..." references to them
+//   - currentColor: every fill/stroke colour becomes currentColor
+const {
+  formatNumber, getAttribute, recolor, recolorStyle, serializeTokens, setAttribute, tokenizeSvg
+} = require('./svg-optimizer');
+
+const SYMBOL_ID_PATTERN = /^[a-z][a-z0-9_-]*$/;
+// Root attributes that describe the document rather than the drawing
+const DOCUMENT_ATTRIBUTES = /^(?:xmlns(?::.*)?|version|width|height|viewBox|x|y|id|class|role|aria-[a-z]+|xml:space|preserveAspectRatio)$/;
+
+function fmt(value) {
+  return formatNumber(Math.round(value * 1e4) / 1e4);
+}
+
+// Lowercase letters, digits, - and _, starting with a letter
+function symbolId(name, fallback = 'icon') {
+  const cleaned = String(name || '').toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^[-_]+|[-_]+$/g, '');
+  if (!cleaned) return fallback;
+  return /^[a-z]/.test(cleaned) ? cleaned : `i-${cleaned}`;
+}
+
+// Square viewBox around the icon's own box (missing size defaults to 24, as in lib/svg-transform.js)
+function squareViewBox(root) {
+  let box = (getAttribute(root, 'viewBox') || '').trim().split(/[\s,]+/).map(Number);
+  if (!(box.length === 4 && box.every(Number.isFinite) && box[2] > 0 && box[3] > 0)) {
+    const width = parseFloat(getAttribute(root, 'width'));
+    const height = parseFloat(getAttribute(root, 'height'));
+    box = [0, 0, width > 0 ? width : 24, height > 0 ? height : 24];
+  }
+  const [x, y, width, height] = box;
+  const side = Math.max(width, height);
+  return [x - (side - width) / 2, y - (side - height) / 2, side, side].map(fmt).join(' ');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Rename every id in `tokens` to `${prefix}-${id}` and rewrite references to it
+function prefixIds(tokens, prefix) {
+  const renamed = new Map();
+  tokens.forEach((token) => {
+    if (typeof token === 'string' || token.closing) return;
+    const id = getAttribute(token, 'id');
+    if (id !== undefined) {
+      renamed.set(id, `${prefix}-${id}`);
+      setAttribute(token, 'id', `${prefix}-${id}`);
+    }
+  });
+  if (renamed.size === 0) return;
+
+  const reference = new RegExp(`#(${[...renamed.keys()].map(escapeRegExp).join('|')})(?![\\w-])`, 'g');
+  const rewrite = text => text.replace(reference, (match, id) => `#${renamed.get(id)}`);
+  tokens.forEach((token, index) => {
+    if (typeof token === 'string') {
+      tokens[index] = rewrite(token); // <style> rules
+      return;
+    }
+    token.attributes.forEach((attr) => {
+      if (attr[0] !== 'id' && attr[1].includes('#')) attr[1] = rewrite(attr[1]);
+    });
+  });
+}
+
+// One <symbol> from an SVG document; returns { markup, viewBox, xlink }
+function toSymbol(svg, id, { currentColor = false } = {}) {
+  const tokens = tokenizeSvg(String(svg)
+    .replace(/<\?xml[\s\S]*?\?>/g, '')
+    .replace(/<!DOCTYPE[^>[]*(?:\[[\s\S]*?\])?\s*>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, ''));
+  const rootIndex = tokens.findIndex(token => typeof token !== 'string' && token.name === 'svg' && !token.closing);
+  const closeIndex = tokens.map(token => typeof token !== 'string' && token.name === 'svg' && token.closing).lastIndexOf(true);
+  if (rootIndex === -1 || closeIndex <= rootIndex) {
+    throw new Error('Not an SVG document');
+  }
+
+  const root = tokens[rootIndex];
+  const inner = tokens.slice(rootIndex + 1, closeIndex).filter(token => typeof token !== 'string' || token.trim());
+  prefixIds(inner, id);
+
+  const viewBox = squareViewBox(root);
+  const symbol = { name: 'symbol', closing: false, selfClosing: false, attributes: [['id', id], ['viewBox', viewBox]] };
+  root.attributes
+    .filter(([name]) => !DOCUMENT_ATTRIBUTES.test(name))
+    .forEach(([name, value]) => symbol.attributes.push([name, value]));
+
+  if (currentColor) {
+    for (const tag of [symbol, ...inner.filter(token => typeof token !== 'string' && !token.closing)]) {
+      for (const property of ['fill', 'stroke']) {
+        const value = getAttribute(tag, property);
+        if (value !== undefined) setAttribute(tag, property, recolor(value));
+      }
+      const style = getAttribute(tag, 'style');
+      if (style !== undefined) setAttribute(tag, 'style', recolorStyle(style));
+    }
+    // Unpainted shapes would otherwise be black
+    if (getAttribute(symbol, 'fill') === undefined) setAttribute(symbol, 'fill', 'currentColor');
+  }
+
+  const markup = serializeTokens([symbol, ...inner, { name: 'symbol', closing: true, attributes: [] }]);
+  return { markup, viewBox, xlink: /\sxlink:/.test(markup) };
+}
+
+function usageSnippet(symbols, { currentColor = false, file = 'sprite.svg' } = {}) {
+  const html = [
+    `<!-- ${file} served next to the page, or pasted inline at the top of <body> -->`,
+    ...symbols.map(symbol => `<svg class="icon" aria-hidden="true"><use href="${file}#${symbol.id}"></use></svg>`)
+  ].join('\n');
+  const css = [
+    '.icon {',
+    '  display: inline-block;',
+    '  width: 1em;',
+    '  height: 1em;',
+    '  vertical-align: -0.125em;',
+    ...(currentColor ? ['  fill: currentColor; /* icons follow the text colour */'] : []),
+    '}'
+  ].join('\n');
+  return { html, css };
+}
+
+// icons: [{ name, svg }]. options: currentColor (boolean), idPrefix (prepended
+// to every symbol id). Returns { sprite, symbols: [{ id, name, viewBox }], usage: { html, css } }.
+function buildSprite(icons, options = {}) {
+  const { currentColor = false, idPrefix = '' } = options;
+  const used = new Set();
+  const symbols = [];
+  const markup = [];
+  let xlink = false;
+  for (const icon of icons) {
+    const base = symbolId(`${idPrefix}${icon.name}`);
+    let id = base;
+    for (let n = 2; used.has(id); n++) id = `${base}-${n}`;
+    used.add(id);
+
+    const symbol = toSymbol(icon.svg, id, { currentColor });
+    xlink = xlink || symbol.xlink;
+    markup.push(symbol.markup);
+    symbols.push({ id, name: icon.name, viewBox: symbol.viewBox });
+  }
+
+  const namespaces = `xmlns="http://www.w3.org/2000/svg"${xlink ? ' xmlns:xlink="http://www.w3.org/1999/xlink"' : ''}`;
+  const sprite = `<svg ${namespaces}>\n${markup.map(line => `  ${line}`).join('\n')}\n</svg>\n`;
+  return { sprite, symbols, usage: usageSnippet(symbols, { currentColor }) };
+}
+
+module.exports = {
+  SYMBOL_ID_PATTERN,
+  buildSprite,
+  symbolId,
+  toSymbol
+};
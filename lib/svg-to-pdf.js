@@ -0,0 +1,529 @@
+// Single-page vector PDF from an SVG icon: shapes and paths become PDF path
+// operators (arcs and quadratics as cubics), groups and transforms become q/cm/Q.
+// Supported: path, rect, circle, ellipse, line, polyline, polygon and g (nested
+// svg elements draw as groups); use (of anything with an id, defs included;
+// symbols draw unscaled); solid fill/stroke from attributes or style, fill-rule,
+// stroke width, caps, joins, currentColor, opacity, fill-opacity and
+// stroke-opacity (group opacity is applied to each shape). Gradients paint black
+// and text is dropped. Masks and clip paths cannot be drawn: svgToPdf throws an
+// error with code ERASTERONLY, and imageToPdf embeds a bitmap render instead.
+// svgToPdf(svg, { size, background }) -> Buffer
+const zlib = require('zlib');
+const { getAttribute, parsePath, tokenizeSvg } = require('./svg-optimizer');
+
+const PX_TO_PT = 0.75; // CSS px are 1/96in, PDF points 1/72in
+const DEFAULT_SIZE = 512;
+const CONTAINERS = new Set(['svg', 'g', 'a', 'switch']);
+const SHAPES = new Set(['path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon']);
+const INHERITED = ['fill', 'stroke', 'stroke-width', 'fill-rule', 'stroke-linecap', 'stroke-linejoin', 'stroke-miterlimit', 'color', 'fill-opacity', 'stroke-opacity'];
+const PROPERTIES = [...INHERITED, 'opacity'];
+const MAX_USE_DEPTH = 8;
+const MAX_USES = 500; // <use> elements drawn per document, nested ones included
+const RASTER_ONLY = /\b(?:mask|clip-path)\s*[=:]\s*["']?\s*url\(/i;
+const LINE_CAPS = { butt: 0, round: 1, square: 2 };
+const LINE_JOINS = { miter: 0, round: 1, bevel: 2 };
+const NAMED_COLORS = {
+  black: '#000000', white: '#ffffff', red: '#ff0000', green: '#008000', blue: '#0000ff',
+  yellow: '#ffff00', orange: '#ffa500', purple: '#800080', gray: '#808080', grey: '#808080',
+  silver: '#c0c0c0', maroon: '#800000', navy: '#000080', teal: '#008080', lime: '#00ff00',
+  aqua: '#00ffff', cyan: '#00ffff', fuchsia: '#ff00ff', magenta: '#ff00ff', olive: '#808000'
+};
+
+function fmt(value) {
+  const rounded = Math.round(value * 1000) / 1000;
+  return Object.is(rounded, -0) ? '0' : String(rounded);
+}
+
+// [r, g, b] in 0-1, or null for no paint
+function parseColor(value, currentColor) {
+  const text = String(value || '').trim().toLowerCase();
+  if (!text || text === 'none' || text === 'transparent') return null;
+  if (text === 'currentcolor') return parseColor(currentColor || '#000000');
+  const hex = NAMED_COLORS[text] || text;
+  let match = /^#([0-9a-f]{3,4})$/.exec(hex);
+  if (match) return match[1].slice(0, 3).split('').map(c => parseInt(c + c, 16) / 255);
+  match = /^#([0-9a-f]{6})(?:[0-9a-f]{2})?$/.exec(hex);
+  if (match) return [0, 2, 4].map(i => parseInt(match[1].slice(i, i + 2), 16) / 255);
+  match = /^rgba?\(([^)]*)\)$/.exec(text);
+  if (match) {
+    return match[1].split(/[\s,/]+/).slice(0, 3).map(part => (
+      part.endsWith('%') ? parseFloat(part) / 100 : Math.min(255, parseFloat(part) || 0) / 255
+    ));
+  }
+  // Gradients, patterns and unknown names
+  return [0, 0, 0];
+}
+
+// Presentation attributes, overridden by the style attribute
+function ownProperties(tag) {
+  const props = {};
+  for (const name of PROPERTIES) {
+    const value = getAttribute(tag, name);
+    if (value !== undefined) props[name] = value.trim();
+  }
+  for (const declaration of (getAttribute(tag, 'style') || '').split(';')) {
+    const [name, ...rest] = declaration.split(':');
+    if (name && PROPERTIES.includes(name.trim()) && rest.length > 0) props[name.trim()] = rest.join(':').trim();
+  }
+  return props;
+}
+
+// Opacity value (number or percentage) clamped to 0-1; 1 when absent or invalid
+function unitValue(value) {
+  const number = parseFloat(value);
+  if (!Number.isFinite(number)) return 1;
+  return Math.max(0, Math.min(1, String(value).trim().endsWith('%') ? number / 100 : number));
+}
+
+function isHidden(tag) {
+  const style = getAttribute(tag, 'style') || '';
+  return getAttribute(tag, 'display') === 'none' || /(?:^|;)\s*display\s*:\s*none/i.test(style);
+}
+
+function multiply([a1, b1, c1, d1, e1, f1], [a2, b2, c2, d2, e2, f2]) {
+  return [
+    a1 * a2 + c1 * b2, b1 * a2 + d1 * b2,
+    a1 * c2 + c1 * d2, b1 * c2 + d1 * d2,
+    a1 * e2 + c1 * f2 + e1, b1 * e2 + d1 * f2 + f1
+  ];
+}
+
+// SVG transform list -> [a b c d e f], or null when absent/identity
+function parseTransform(text) {
+  if (!text) return null;
+  let matrix = [1, 0, 0, 1, 0, 0];
+  for (const [, name, rawArgs] of text.matchAll(/(\w+)\s*\(([^)]*)\)/g)) {
+    const args = rawArgs.trim().split(/[\s,]+/).filter(Boolean).map(Number);
+    const rad = deg => (deg * Math.PI) / 180;
+    let step = null;
+    if (name === 'matrix' && args.length === 6) step = args;
+    else if (name === 'translate') step = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+    else if (name === 'scale') step = [args[0] ?? 1, 0, 0, args[1] ?? args[0] ?? 1, 0, 0];
+    else if (name === 'rotate') {
+      const [angle = 0, cx = 0, cy = 0] = args;
+      const cos = Math.cos(rad(angle));
+      const sin = Math.sin(rad(angle));
+      step = multiply(multiply([1, 0, 0, 1, cx, cy], [cos, sin, -sin, cos, 0, 0]), [1, 0, 0, 1, -cx, -cy]);
+    } else if (name === 'skewX') step = [1, 0, Math.tan(rad(args[0] || 0)), 1, 0, 0];
+    else if (name === 'skewY') step = [1, Math.tan(rad(args[0] || 0)), 0, 1, 0, 0];
+    if (step && step.every(Number.isFinite)) matrix = multiply(matrix, step);
+  }
+  return matrix.join() === '1,0,0,1,0,0' ? null : matrix;
+}
+
+function number(tag, name) {
+  const value = parseFloat(getAttribute(tag, name));
+  return Number.isFinite(value) ? value : 0;
+}
+
+// Basic shapes as path data
+function shapeToPath(tag) {
+  switch (tag.name) {
+    case 'path':
+      return getAttribute(tag, 'd') || '';
+    case 'rect': {
+      const x = number(tag, 'x');
+      const y = number(tag, 'y');
+      const w = number(tag, 'width');
+      const h = number(tag, 'height');
+      if (w <= 0 || h <= 0) return '';
+      const rxAttr = getAttribute(tag, 'rx');
+      const ryAttr = getAttribute(tag, 'ry');
+      let rx = Math.max(0, number(tag, rxAttr !== undefined ? 'rx' : 'ry'));
+      let ry = Math.max(0, number(tag, ryAttr !== undefined ? 'ry' : 'rx'));
+      rx = Math.min(rx, w / 2);
+      ry = Math.min(ry, h / 2);
+      if (!rx || !ry) return `M${x} ${y}H${x + w}V${y + h}H${x}Z`;
+      return `M${x + rx} ${y}H${x + w - rx}A${rx} ${ry} 0 0 1 ${x + w} ${y + ry}V${y + h - ry}` +
+        `A${rx} ${ry} 0 0 1 ${x + w - rx} ${y + h}H${x + rx}A${rx} ${ry} 0 0 1 ${x} ${y + h - ry}` +
+        `V${y + ry}A${rx} ${ry} 0 0 1 ${x + rx} ${y}Z`;
+    }
+    case 'circle':
+    case 'ellipse': {
+      const cx = number(tag, 'cx');
+      const cy = number(tag, 'cy');
+      const rx = tag.name === 'circle' ? number(tag, 'r') : number(tag, 'rx');
+      const ry = tag.name === 'circle' ? rx : number(tag, 'ry');
+      if (rx <= 0 || ry <= 0) return '';
+      return `M${cx - rx} ${cy}A${rx} ${ry} 0 1 0 ${cx + rx} ${cy}A${rx} ${ry} 0 1 0 ${cx - rx} ${cy}Z`;
+    }
+    case 'line':
+      return `M${number(tag, 'x1')} ${number(tag, 'y1')}L${number(tag, 'x2')} ${number(tag, 'y2')}`;
+    case 'polyline':
+    case 'polygon': {
+      const points = (getAttribute(tag, 'points') || '').trim().split(/[\s,]+/).filter(Boolean);
+      if (points.length < 4) return '';
+      return `M${points.join(' ')}${tag.name === 'polygon' ? 'Z' : ''}`;
+    }
+    default:
+      return '';
+  }
+}
+
+// Endpoint arc to cubic Béziers (SVG spec, appendix B.2.4); null for a straight line
+function arcToCubics(x1, y1, rx, ry, angle, largeArc, sweep, x2, y2) {
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  if (!rx || !ry) return null;
+  if (x1 === x2 && y1 === y2) return [];
+  const phi = (angle * Math.PI) / 180;
+  const cosPhi = Math.cos(phi);
+  const sinPhi = Math.sin(phi);
+  const dx = (x1 - x2) / 2;
+  const dy = (y1 - y2) / 2;
+  const x1p = cosPhi * dx + sinPhi * dy;
+  const y1p = -sinPhi * dx + cosPhi * dy;
+  const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+  const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+  const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+  const coef = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+  const cxp = (coef * rx * y1p) / ry;
+  const cyp = (-coef * ry * x1p) / rx;
+  const cx = cosPhi * cxp - sinPhi * cyp + (x1 + x2) / 2;
+  const cy = sinPhi * cxp + cosPhi * cyp + (y1 + y2) / 2;
+
+  const vectorAngle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const theta = vectorAngle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+  let delta = vectorAngle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+  if (!sweep && delta > 0) delta -= 2 * Math.PI;
+  if (sweep && delta < 0) delta += 2 * Math.PI;
+
+  const segments = Math.max(1, Math.ceil(Math.abs(delta) / (Math.PI / 2)));
+  const step = delta / segments;
+  const k = (4 / 3) * Math.tan(step / 4);
+  const point = (ux, uy) => [cx + rx * ux * cosPhi - ry * uy * sinPhi, cy + rx * ux * sinPhi + ry * uy * cosPhi];
+  const curves = [];
+  for (let i = 0; i < segments; i++) {
+    const t1 = theta + i * step;
+    const t2 = t1 + step;
+    const [cos1, sin1, cos2, sin2] = [Math.cos(t1), Math.sin(t1), Math.cos(t2), Math.sin(t2)];
+    const end = i === segments - 1 ? [x2, y2] : point(cos2, sin2);
+    curves.push([...point(cos1 - k * sin1, sin1 + k * cos1), ...point(cos2 + k * sin2, sin2 - k * cos2), ...end]);
+  }
+  return curves;
+}
+
+// Path data -> PDF path construction operators
+function pathOperators(d) {
+  const segments = parsePath(d);
+  if (!segments) return '';
+  const ops = [];
+  let [x, y] = [0, 0];
+  let [startX, startY] = [0, 0];
+  let control = null; // last control point, for S/T reflection
+  let previous = null;
+  const curve = (c1x, c1y, c2x, c2y, ex, ey) => ops.push(`${fmt(c1x)} ${fmt(c1y)} ${fmt(c2x)} ${fmt(c2y)} ${fmt(ex)} ${fmt(ey)} c`);
+
+  for (const { command, args } of segments) {
+    const upper = command.toUpperCase();
+    const relative = command !== upper;
+    const ox = relative ? x : 0;
+    const oy = relative ? y : 0;
+    let nextControl = null;
+    switch (upper) {
+      case 'M':
+        [x, y] = [ox + args[0], oy + args[1]];
+        [startX, startY] = [x, y];
+        ops.push(`${fmt(x)} ${fmt(y)} m`);
+        break;
+      case 'L':
+      case 'H':
+      case 'V':
+        if (upper === 'L') [x, y] = [ox + args[0], oy + args[1]];
+        else if (upper === 'H') x = ox + args[0];
+        else y = oy + args[0];
+        ops.push(`${fmt(x)} ${fmt(y)} l`);
+        break;
+      case 'C':
+      case 'S': {
+        let c1;
+        let rest = args;
+        if (upper === 'C') {
+          c1 = [ox + args[0], oy + args[1]];
+          rest = args.slice(2);
+        } else {
+          c1 = control && (previous === 'C' || previous === 'S') ? [2 * x - control[0], 2 * y - control[1]] : [x, y];
+        }
+        const c2 = [ox + rest[0], oy + rest[1]];
+        const end = [ox + rest[2], oy + rest[3]];
+        curve(...c1, ...c2, ...end);
+        nextControl = c2;
+        [x, y] = end;
+        break;
+      }
+      case 'Q':
+      case 'T': {
+        const q = upper === 'Q'
+          ? [ox + args[0], oy + args[1]]
+          : (control && (previous === 'Q' || previous === 'T') ? [2 * x - control[0], 2 * y - control[1]] : [x, y]);
+        const end = upper === 'Q' ? [ox + args[2], oy + args[3]] : [ox + args[0], oy + args[1]];
+        curve(x + (2 / 3) * (q[0] - x), y + (2 / 3) * (q[1] - y), end[0] + (2 / 3) * (q[0] - end[0]), end[1] + (2 / 3) * (q[1] - end[1]), ...end);
+        nextControl = q;
+        [x, y] = end;
+        break;
+      }
+      case 'A': {
+        const end = [ox + args[5], oy + args[6]];
+        const curves = arcToCubics(x, y, args[0], args[1], args[2], args[3], args[4], ...end);
+        if (curves === null) ops.push(`${fmt(end[0])} ${fmt(end[1])} l`);
+        else curves.forEach(c => curve(...c));
+        [x, y] = end;
+        break;
+      }
+      case 'Z':
+        ops.push('h');
+        [x, y] = [startX, startY];
+        break;
+      default:
+        break;
+    }
+    control = nextControl;
+    previous = upper;
+  }
+  return ops.join('\n');
+}
+
+// Graphics state and painting operator for a shape with the given properties.
+// Transparency goes through ExtGState entries registered in `states`
+// (ca/CA values -> resource name).
+function paintOperators(props, states) {
+  const fill = parseColor(props.fill ?? '#000000', props.color);
+  const stroke = parseColor(props.stroke ?? 'none', props.color);
+  const width = parseFloat(props['stroke-width'] ?? '1');
+  const ops = [];
+  const alpha = props.alpha ?? 1;
+  const fillAlpha = fmt(alpha * unitValue(props['fill-opacity']));
+  const strokeAlpha = fmt(alpha * unitValue(props['stroke-opacity']));
+  if (fillAlpha !== '1' || strokeAlpha !== '1') {
+    const key = `/ca ${fillAlpha} /CA ${strokeAlpha}`;
+    if (!states.has(key)) states.set(key, `GS${states.size}`);
+    ops.push(`/${states.get(key)} gs`);
+  }
+  if (fill) ops.push(`${fill.map(fmt).join(' ')} rg`);
+  if (stroke && width > 0) {
+    ops.push(`${stroke.map(fmt).join(' ')} RG`, `${fmt(width)} w`);
+    if (props['stroke-linecap'] in LINE_CAPS) ops.push(`${LINE_CAPS[props['stroke-linecap']]} J`);
+    if (props['stroke-linejoin'] in LINE_JOINS) ops.push(`${LINE_JOINS[props['stroke-linejoin']]} j`);
+    const miter = parseFloat(props['stroke-miterlimit']);
+    if (miter >= 1) ops.push(`${fmt(miter)} M`);
+  }
+  const evenOdd = props['fill-rule'] === 'evenodd' ? '*' : '';
+  const stroked = Boolean(stroke) && width > 0;
+  const operator = fill && stroked ? `B${evenOdd}` : fill ? `f${evenOdd}` : stroked ? 'S' : 'n';
+  return { setup: ops, operator };
+}
+
+function readViewBox(root) {
+  const viewBox = (getAttribute(root, 'viewBox') || '').trim().split(/[\s,]+/).map(Number);
+  if (viewBox.length === 4 && viewBox.every(Number.isFinite) && viewBox[2] > 0 && viewBox[3] > 0) {
+    return { x: viewBox[0], y: viewBox[1], width: viewBox[2], height: viewBox[3] };
+  }
+  const width = parseFloat(getAttribute(root, 'width'));
+  const height = parseFloat(getAttribute(root, 'height'));
+  return { x: 0, y: 0, width: width > 0 ? width : 24, height: height > 0 ? height : 24 };
+}
+
+// Index after the element opened at tokens[index] (past its closing tag)
+function subtreeEnd(tokens, index) {
+  if (tokens[index].selfClosing) return index + 1;
+  let depth = 0;
+  for (let i = index; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (typeof token === 'string' || token.selfClosing) continue;
+    depth += token.closing ? -1 : 1;
+    if (depth === 0) return i + 1;
+  }
+  return tokens.length;
+}
+
+// Page transform and optional background fill shared by vector and bitmap pages
+function pageSetup(pageWidth, pageHeight, background) {
+  const fill = background ? parseColor(background) : null;
+  return fill ? [`${fill.map(fmt).join(' ')} rg`, `0 0 ${fmt(pageWidth)} ${fmt(pageHeight)} re`, 'f'] : [];
+}
+
+// Page content: y flipped and the viewBox scaled onto the page, then the SVG tree.
+// ExtGState entries used by the content are added to `states`.
+function contentStream(tokens, root, pageWidth, pageHeight, background, states) {
+  const box = readViewBox(root);
+  const scale = Math.min(pageWidth / box.width, pageHeight / box.height);
+  const offsetX = (pageWidth - box.width * scale) / 2;
+  const offsetY = (pageHeight - box.height * scale) / 2;
+  const ops = pageSetup(pageWidth, pageHeight, background);
+  ops.push(`${fmt(scale)} 0 0 ${fmt(-scale)} ${fmt(offsetX - box.x * scale)} ${fmt(pageHeight - offsetY + box.y * scale)} cm`);
+
+  const ids = new Map();
+  tokens.forEach((token, index) => {
+    const id = typeof token !== 'string' && !token.closing ? getAttribute(token, 'id') : undefined;
+    if (id && !ids.has(id)) ids.set(id, index);
+  });
+  let uses = 0;
+
+  // Draws tokens[from, to); the first element of a <use> target draws even when
+  // it sits in <defs> or is a <symbol>
+  const draw = (from, to, baseProps, depth) => {
+    // One frame per open element: inherited properties, skipped subtree, pending Q
+    const stack = [{ props: baseProps, skip: false, restore: false }];
+    for (let index = from; index < to; index++) {
+      const token = tokens[index];
+      if (typeof token === 'string') continue;
+      if (token.closing) {
+        if (stack.length > 1) {
+          const frame = stack.pop();
+          if (frame.restore) ops.push('Q');
+        }
+        continue;
+      }
+      const parent = stack[stack.length - 1];
+      const isRoot = token === root;
+      const target = depth > 0 && index === from;
+      const drawable = CONTAINERS.has(token.name) || SHAPES.has(token.name) || token.name === 'use' || (target && token.name === 'symbol');
+      const skip = parent.skip || isHidden(token) || !drawable;
+      if (skip) {
+        if (!token.selfClosing) stack.push({ props: parent.props, skip: true, restore: false });
+        continue;
+      }
+      const { opacity, ...own } = ownProperties(token);
+      const props = { ...parent.props, ...own, alpha: (parent.props.alpha ?? 1) * unitValue(opacity) };
+      const matrix = isRoot ? null : parseTransform(getAttribute(token, 'transform'));
+
+      if (token.name === 'use') {
+        const href = getAttribute(token, 'href') ?? getAttribute(token, 'xlink:href') ?? '';
+        const targetIndex = href.startsWith('#') ? ids.get(href.slice(1)) : undefined;
+        if (targetIndex !== undefined && depth < MAX_USE_DEPTH && uses < MAX_USES) {
+          uses++;
+          const offset = [1, 0, 0, 1, number(token, 'x'), number(token, 'y')];
+          ops.push('q', `${(matrix ? multiply(matrix, offset) : offset).map(fmt).join(' ')} cm`);
+          draw(targetIndex, subtreeEnd(tokens, targetIndex), props, depth + 1);
+          ops.push('Q');
+        }
+        if (!token.selfClosing) stack.push({ props, skip: true, restore: false });
+        continue;
+      }
+
+      if (SHAPES.has(token.name)) {
+        const path = pathOperators(shapeToPath(token));
+        if (path) {
+          const { setup, operator } = paintOperators(props, states);
+          ops.push('q');
+          if (matrix) ops.push(`${matrix.map(fmt).join(' ')} cm`);
+          ops.push(...setup, path, operator, 'Q');
+        }
+        if (!token.selfClosing) stack.push({ props, skip: true, restore: false });
+        continue;
+      }
+
+      if (token.selfClosing) continue;
+      if (matrix) ops.push('q', `${matrix.map(fmt).join(' ')} cm`);
+      stack.push({ props, skip: false, restore: Boolean(matrix) });
+    }
+    // A target cut short by malformed markup still restores its transforms
+    while (stack.length > 1) {
+      if (stack.pop().restore) ops.push('Q');
+    }
+  };
+  draw(0, tokens.length, {}, 0);
+  return ops.join('\n');
+}
+
+function streamObject(dictionary, data) {
+  return Buffer.concat([Buffer.from(`<< ${dictionary} /Length ${data.length} >>\nstream\n`), data, Buffer.from('\nendstream')]);
+}
+
+// Minimal PDF file: catalog, page tree, one page, one Flate-compressed content
+// stream, then any `extra` objects (numbered from 5) the resources refer to
+function writePdf(pageWidth, pageHeight, content, { resources = '<< >>', extra = [] } = {}) {
+  const stream = zlib.deflateSync(Buffer.from(content, 'latin1'));
+  const objects = [
+    Buffer.from('<< /Type /Catalog /Pages 2 0 R >>'),
+    Buffer.from('<< /Type /Pages /Kids [3 0 R] /Count 1 >>'),
+    Buffer.from(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${fmt(pageWidth)} ${fmt(pageHeight)}] /Contents 4 0 R /Resources ${resources} >>`),
+    streamObject('/Filter /FlateDecode', stream),
+    ...extra
+  ];
+
+  const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  let length = chunks[0].length;
+  const offsets = objects.map((body, index) => {
+    const offset = length;
+    const chunk = Buffer.concat([Buffer.from(`${index + 1} 0 obj\n`), body, Buffer.from('\nendobj\n')]);
+    chunks.push(chunk);
+    length += chunk.length;
+    return offset;
+  });
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root 1 0 R >>`,
+    'startxref',
+    String(length),
+    '%%EOF',
+    ''
+  ].join('\n');
+  chunks.push(Buffer.from(xref));
+  return Buffer.concat(chunks);
+}
+
+function pageBackground(options) {
+  return options.background && options.background !== 'transparent' ? options.background : null;
+}
+
+// options: size (px of the longer edge, default 512), background (CSS colour;
+// omitted or 'transparent' leaves the page unpainted)
+function svgToPdf(svg, options = {}) {
+  const text = String(svg || '');
+  const tokens = tokenizeSvg(text);
+  const root = tokens.find(token => typeof token !== 'string' && token.name === 'svg' && !token.closing);
+  if (!root) throw new Error('Not an SVG document');
+  if (RASTER_ONLY.test(text)) {
+    const error = new Error('Masks and clip paths cannot be drawn as PDF vectors');
+    error.code = 'ERASTERONLY';
+    throw error;
+  }
+  const box = readViewBox(root);
+  const size = options.size || DEFAULT_SIZE;
+  const scale = size / Math.max(box.width, box.height);
+  const pageWidth = Math.max(1, Math.round(box.width * scale)) * PX_TO_PT;
+  const pageHeight = Math.max(1, Math.round(box.height * scale)) * PX_TO_PT;
+  const states = new Map();
+  const content = contentStream(tokens, root, pageWidth, pageHeight, pageBackground(options), states);
+  const entries = [...states].map(([values, name]) => `/${name} << ${values} >>`);
+  return writePdf(pageWidth, pageHeight, content, { resources: entries.length > 0 ? `<< /ExtGState << ${entries.join(' ')} >> >>` : '<< >>' });
+}
+
+// Single-page PDF embedding a bitmap: raw 8-bit RGBA pixels ({ data, width,
+// height }), one pixel per px at 0.75 pt, alpha kept as a soft mask
+function imageToPdf({ data, width, height }, options = {}) {
+  const pixels = width * height;
+  const rgb = Buffer.alloc(pixels * 3);
+  const alpha = Buffer.alloc(pixels);
+  for (let i = 0; i < pixels; i++) {
+    data.copy(rgb, i * 3, i * 4, i * 4 + 3);
+    alpha[i] = data[i * 4 + 3];
+  }
+  const pageWidth = width * PX_TO_PT;
+  const pageHeight = height * PX_TO_PT;
+  const image = `/Type /XObject /Subtype /Image /Width ${width} /Height ${height} /BitsPerComponent 8 /Filter /FlateDecode`;
+  const content = [...pageSetup(pageWidth, pageHeight, pageBackground(options)), 'q', `${fmt(pageWidth)} 0 0 ${fmt(pageHeight)} 0 0 cm`, '/Im0 Do', 'Q'];
+  return writePdf(pageWidth, pageHeight, content.join('\n'), {
+    resources: '<< /XObject << /Im0 5 0 R >> >>',
+    extra: [
+      streamObject(`${image} /ColorSpace /DeviceRGB /SMask 6 0 R`, zlib.deflateSync(rgb)),
+      streamObject(`${image} /ColorSpace /DeviceGray`, zlib.deflateSync(alpha))
+    ]
+  });
+}
+
+module.exports = {
+  arcToCubics,
+  imageToPdf,
+  pathOperators,
+  svgToPdf
+};
@@ -0,0 +1,199 @@
+// Per-download SVG transforms: recolour, stroke width, rotate, flip, padding, size
+// transformSvg(svg, { color, strokeWidth, rotate, flip, padding, size })
+//   color        any CSS colour; explicit fills/strokes are replaced and the root
+//                `color` is set so currentColor icons (Iconify) follow it too
+//   strokeWidth  in the icon's own viewBox units; stroked icons have every
+//                stroke-width scaled so the main one becomes this value, filled
+//                icons (potrace output) get an outline of their own colour
+//   rotate       degrees clockwise about the centre; 90/270 swap the aspect ratio
+//   flip         'horizontal', 'vertical' or 'both'
+//   padding      empty margin per side as a fraction of the output (0-0.4)
+//   size         output size in px of the longer edge
+const {
+  formatNumber, getAttribute, recolor, recolorStyle, removeAttribute, serializeTokens, setAttribute, tokenizeSvg
+} = require('./svg-optimizer');
+
+const FLIPS = ['horizontal', 'vertical', 'both'];
+const MAX_PADDING = 0.4;
+const MAX_SIZE = 2048;
+const MAX_STROKE_WIDTH = 100;
+const COLOR_PATTERN = /^(?:#[0-9a-f]{3,4}|#[0-9a-f]{6}|#[0-9a-f]{8}|[a-z]+|rgba?\([\d\s.,%]+\))$/i;
+const SHAPES = new Set(['path', 'circle', 'ellipse', 'line', 'polygon', 'polyline', 'rect']);
+const TRANSFORM_FIELDS = ['color', 'strokeWidth', 'rotate', 'flip', 'padding', 'size'];
+
+// Validate transform options; returns a list of error messages
+function validateTransformOptions({ color, strokeWidth, rotate, flip, padding, size } = {}) {
+  const errors = [];
+  if (color !== undefined && (typeof color !== 'string' || !COLOR_PATTERN.test(color))) {
+    errors.push('color must be a CSS colour such as #ff0000, red or currentColor');
+  }
+  if (strokeWidth !== undefined && !(typeof strokeWidth === 'number' && strokeWidth > 0 && strokeWidth <= MAX_STROKE_WIDTH)) {
+    errors.push(`strokeWidth must be a number between 0 and ${MAX_STROKE_WIDTH}`);
+  }
+  if (rotate !== undefined && !(typeof rotate === 'number' && Number.isFinite(rotate) && Math.abs(rotate) <= 360)) {
+    errors.push('rotate must be a number of degrees between -360 and 360');
+  }
+  if (flip !== undefined && !FLIPS.includes(flip)) {
+    errors.push(`flip must be one of: ${FLIPS.join(', ')}`);
+  }
+  if (padding !== undefined && !(typeof padding === 'number' && padding >= 0 && padding <= MAX_PADDING)) {
+    errors.push(`padding must be a number between 0 and ${MAX_PADDING}`);
+  }
+  if (size !== undefined && !(Number.isInteger(size) && size >= 1 && size <= MAX_SIZE)) {
+    errors.push(`size must be an integer between 1 and ${MAX_SIZE}`);
+  }
+  return errors;
+}
+
+function hasTransform(options = {}) {
+  return TRANSFORM_FIELDS.some(field => options[field] !== undefined);
+}
+
+function fmt(value) {
+  return formatNumber(Math.round(value * 1e4) / 1e4);
+}
+
+function readViewBox(root) {
+  const viewBox = (getAttribute(root, 'viewBox') || '').trim().split(/[\s,]+/).map(Number);
+  if (viewBox.length === 4 && viewBox.every(Number.isFinite) && viewBox[2] > 0 && viewBox[3] > 0) {
+    return { x: viewBox[0], y: viewBox[1], width: viewBox[2], height: viewBox[3] };
+  }
+  const width = parseFloat(getAttribute(root, 'width'));
+  const height = parseFloat(getAttribute(root, 'height'));
+  return { x: 0, y: 0, width: width > 0 ? width : 24, height: height > 0 ? height : 24 };
+}
+
+function styleValue(tag, property) {
+  const match = new RegExp(`(?:^|;)\\s*${property}\\s*:\\s*([^;]+)`, 'i').exec(getAttribute(tag, 'style') || '');
+  return match ? match[1].trim() : undefined;
+}
+
+function paint(tag, property) {
+  return styleValue(tag, property) ?? getAttribute(tag, property);
+}
+
+function applyColor(tags, root, color) {
+  for (const tag of tags) {
+    for (const property of ['fill', 'stroke']) {
+      const value = getAttribute(tag, property);
+      if (value !== undefined) setAttribute(tag, property, recolor(value, color));
+    }
+    const style = getAttribute(tag, 'style');
+    if (style !== undefined) setAttribute(tag, 'style', recolorStyle(style, color));
+  }
+  // Unpainted shapes default to black, and currentColor resolves against `color`
+  if (getAttribute(root, 'fill') === undefined) setAttribute(root, 'fill', color);
+  if (color.toLowerCase() !== 'currentcolor') setAttribute(root, 'color', color);
+}
+
+function applyStrokeWidth(tags, root, strokeWidth) {
+  const stroked = tags.some(tag => {
+    const value = paint(tag, 'stroke');
+    return value !== undefined && value.trim() !== 'none';
+  });
+
+  if (stroked) {
+    // Scale relative to the first stroke width (1 when none is set) to keep proportions
+    const widths = tags.map(tag => parseFloat(paint(tag, 'stroke-width'))).filter(Number.isFinite);
+    const factor = strokeWidth / (widths.length > 0 && widths[0] > 0 ? widths[0] : 1);
+    for (const tag of tags) {
+      const width = parseFloat(getAttribute(tag, 'stroke-width'));
+      if (Number.isFinite(width)) setAttribute(tag, 'stroke-width', fmt(width * factor));
+      const style = getAttribute(tag, 'style');
+      if (style !== undefined) {
+        setAttribute(tag, 'style', style.replace(/(^|;)(\s*stroke-width\s*:\s*)([\d.]+)/i, (m, lead, prop, value) => `${lead}${prop}${fmt(Number(value) * factor)}`));
+      }
+    }
+    if (widths.length === 0) setAttribute(root, 'stroke-width', fmt(strokeWidth));
+    return;
+  }
+
+  // Filled artwork: thicken every filled shape with an outline in its own colour
+  const rootFill = getAttribute(root, 'fill') || '#000000';
+  for (const tag of tags) {
+    if (tag === root || !SHAPES.has(tag.name)) continue;
+    const fill = paint(tag, 'fill') ?? rootFill;
+    if (fill.trim() === 'none') continue;
+    removeAttribute(tag, 'stroke');
+    tag.attributes.push(['stroke', fill], ['stroke-width', fmt(strokeWidth)], ['stroke-linejoin', 'round']);
+  }
+}
+
+// Rotation/flip about the centre of the viewBox, and the padded, possibly
+// rotated viewBox the result is shown through
+function layout(box, { rotate = 0, flip, padding = 0 }) {
+  const cx = box.x + box.width / 2;
+  const cy = box.y + box.height / 2;
+  const angle = ((rotate % 360) + 360) % 360;
+  const radians = (angle * Math.PI) / 180;
+  // Axis-aligned bounds of the rotated viewBox
+  const cos = Math.abs(Math.cos(radians));
+  const sin = Math.abs(Math.sin(radians));
+  const width = box.width * cos + box.height * sin;
+  const height = box.width * sin + box.height * cos;
+  const grow = 1 / (1 - 2 * padding);
+
+  const parts = [];
+  const sx = flip === 'horizontal' || flip === 'both' ? -1 : 1;
+  const sy = flip === 'vertical' || flip === 'both' ? -1 : 1;
+  if (angle !== 0 || sx !== 1 || sy !== 1) {
+    parts.push(`translate(${fmt(cx)} ${fmt(cy)})`);
+    if (angle !== 0) parts.push(`rotate(${fmt(angle)})`);
+    if (sx !== 1 || sy !== 1) parts.push(`scale(${sx} ${sy})`);
+    parts.push(`translate(${fmt(-cx)} ${fmt(-cy)})`);
+  }
+
+  return {
+    transform: parts.join(' '),
+    viewBox: {
+      x: cx - (width * grow) / 2,
+      y: cy - (height * grow) / 2,
+      width: width * grow,
+      height: height * grow
+    },
+    swapped: angle % 180 !== 0
+  };
+}
+
+function transformSvg(svg, options = {}) {
+  if (typeof svg !== 'string' || !hasTransform(options)) return svg;
+  const tokens = tokenizeSvg(svg);
+  const rootIndex = tokens.findIndex(token => typeof token !== 'string' && token.name === 'svg' && !token.closing);
+  const closeIndex = tokens.map(token => typeof token !== 'string' && token.name === 'svg' && token.closing).lastIndexOf(true);
+  if (rootIndex === -1 || closeIndex <= rootIndex) return svg;
+
+  const root = tokens[rootIndex];
+  const tags = tokens.filter(token => typeof token !== 'string' && !token.closing);
+
+  if (options.color !== undefined) applyColor(tags, root, options.color);
+  if (options.strokeWidth !== undefined) applyStrokeWidth(tags, root, options.strokeWidth);
+
+  const box = readViewBox(root);
+  const { transform, viewBox, swapped } = layout(box, options);
+  setAttribute(root, 'viewBox', [viewBox.x, viewBox.y, viewBox.width, viewBox.height].map(fmt).join(' '));
+  if (transform) {
+    tokens.splice(closeIndex, 0, { name: 'g', closing: true, selfClosing: false, attributes: [] });
+    tokens.splice(rootIndex + 1, 0, { name: 'g', closing: false, selfClosing: false, attributes: [['transform', transform]] });
+  }
+
+  if (options.size !== undefined) {
+    const scale = options.size / Math.max(viewBox.width, viewBox.height);
+    setAttribute(root, 'width', fmt(Math.max(1, Math.round(viewBox.width * scale))));
+    setAttribute(root, 'height', fmt(Math.max(1, Math.round(viewBox.height * scale))));
+  } else if (swapped && getAttribute(root, 'width') !== undefined && getAttribute(root, 'height') !== undefined) {
+    const width = getAttribute(root, 'width');
+    setAttribute(root, 'width', getAttribute(root, 'height'));
+    setAttribute(root, 'height', width);
+  }
+
+  return serializeTokens(tokens);
+}
+
+module.exports = {
+  FLIPS,
+  MAX_SIZE,
+  TRANSFORM_FIELDS,
+  hasTransform,
+  transformSvg,
+  validateTransformOptions
+};
@@ -0,0 +1,146 @@
+// Signed webhook delivery for finished generation jobs
+// Signature: X-Aicon-Signature: sha256=HMAC_SHA256(secret, `${timestamp}.${rawBody}`)
+// The callback host is resolved before every attempt and the connection is
+// pinned to the checked address, so a name that resolves (or re-resolves) to a
+// private network address is never contacted.
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+
+const SIGNATURE_HEADER = 'X-Aicon-Signature';
+const TIMESTAMP_HEADER = 'X-Aicon-Timestamp';
+const DEFAULT_RETRY_DELAYS_MS = [2000, 10000]; // waits before the 2nd and 3rd attempt
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+// Loopback, private, link-local, shared, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+function isPrivateAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// First address of hostname, checking every address it resolves to; throws
+// when any of them is private
+async function resolvePublicAddress(hostname, lookup) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host)
+    ? [{ address: host, family: net.isIP(host) }]
+    : await lookup(host, { all: true, verbatim: true });
+  if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+    const error = new Error('Callback host resolves to a private network address');
+    error.code = 'EPRIVATEADDRESS';
+    throw error;
+  }
+  return addresses[0];
+}
+
+// Agent whose connections go to the already checked address (TLS still
+// verifies the certificate against the URL's hostname)
+function pinnedAgent(protocol, { address, family }) {
+  const Agent = protocol === 'http:' ? http.Agent : https.Agent;
+  return new Agent({
+    lookup(hostname, options, callback) {
+      if (options && options.all) return callback(null, [{ address, family }]);
+      return callback(null, address, family);
+    }
+  });
+}
+
+function signPayload(secret, rawBody, timestamp) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+// For receivers: check the signature and reject stale timestamps (replays)
+function verifySignature(secret, rawBody, timestamp, signature, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS) {
+  if (!secret || !signature || !timestamp) return false;
+  const age = Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp));
+  if (!Number.isFinite(age) || age > toleranceSeconds) return false;
+  const expected = Buffer.from(signPayload(secret, rawBody, timestamp));
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// POST payload to url; retries network errors and 5xx/429 responses, but not
+// hosts that resolve to a private address.
+// Resolves { delivered, attempts, statusCode, error } and never rejects.
+async function deliverWebhook(url, payload, options = {}) {
+  const {
+    secret, event, headers = {}, retryDelaysMs = DEFAULT_RETRY_DELAYS_MS, timeoutMs = 10000,
+    lookup = dns.promises.lookup
+  } = options;
+  const rawBody = JSON.stringify(payload);
+  const target = new URL(url);
+  let attempts = 0;
+  let statusCode = null;
+  let lastError = null;
+
+  for (let attempt = 0; attempt <= retryDelaysMs.length; attempt++) {
+    if (attempt > 0) await wait(retryDelaysMs[attempt - 1]);
+    attempts++;
+
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    try {
+      const agent = pinnedAgent(target.protocol, await resolvePublicAddress(target.hostname, lookup));
+      const response = await axios.post(url, rawBody, {
+        timeout: timeoutMs,
+        maxRedirects: 0,
+        proxy: false,
+        httpAgent: agent,
+        httpsAgent: agent,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'aicon-webhooks/1.0',
+          ...(event && { 'X-Aicon-Event': event }),
+          [TIMESTAMP_HEADER]: timestamp,
+          ...(secret && { [SIGNATURE_HEADER]: signPayload(secret, rawBody, timestamp) }),
+          ...headers
+        },
+        validateStatus: () => true
+      });
+      statusCode = response.status;
+      if (statusCode >= 200 && statusCode < 300) {
+        return { delivered: true, attempts, statusCode, error: null };
+      }
+      lastError = `Callback responded with ${statusCode}`;
+      if (statusCode < 500 && statusCode !== 429) break;
+    } catch (e) {
+      lastError = e.message;
+      if (e.code === 'EPRIVATEADDRESS') break;
+    }
+  }
+
+  return { delivered: false, attempts, statusCode, error: lastError };
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  deliverWebhook,
+  isPrivateAddress,
+  signPayload,
+  verifySignature
+};
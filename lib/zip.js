@@ -0,0 +1,125 @@
+// Minimal ZIP writer (no external deps) for multi-file downloads.
+// Entries are written as they are added, so a writer can stream straight
+// into an HTTP response. No ZIP64: up to 65535 entries and 4 GB in total.
+const zlib = require('zlib');
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buf) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) crc = CRC_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+// Compressing already-compressed formats only wastes CPU
+const STORED_EXTENSIONS = /\.(png|jpe?g|gif|webp|avif|zip|gz|ico)$/i;
+
+// write(chunk) receives Buffers in order; returns { addFile, finish }
+function createZipWriter(write) {
+  const central = [];
+  let offset = 0;
+  let finished = false;
+
+  function emit(buf) {
+    write(buf);
+    offset += buf.length;
+  }
+
+  return {
+    addFile(name, data, options = {}) {
+      if (finished) throw new Error('ZIP already finished');
+      if (central.length >= 0xffff) throw new Error('Too many ZIP entries');
+      const content = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+      const store = options.store !== undefined ? options.store : STORED_EXTENSIONS.test(name);
+      const compressed = store ? content : zlib.deflateRawSync(content);
+      const method = store ? 0 : 8;
+      const nameBuf = Buffer.from(name, 'utf8');
+      const crc = crc32(content);
+      const { time, day } = dosDateTime(options.date || new Date());
+
+      const header = Buffer.alloc(30);
+      header.writeUInt32LE(0x04034b50, 0);
+      header.writeUInt16LE(20, 4);      // version needed
+      header.writeUInt16LE(0x0800, 6);  // UTF-8 names
+      header.writeUInt16LE(method, 8);
+      header.writeUInt16LE(time, 10);
+      header.writeUInt16LE(day, 12);
+      header.writeUInt32LE(crc, 14);
+      header.writeUInt32LE(compressed.length, 18);
+      header.writeUInt32LE(content.length, 22);
+      header.writeUInt16LE(nameBuf.length, 26);
+      header.writeUInt16LE(0, 28);
+
+      central.push({ nameBuf, method, time, day, crc, compressedSize: compressed.length, size: content.length, offset });
+      emit(header);
+      emit(nameBuf);
+      emit(compressed);
+    },
+
+    finish() {
+      if (finished) return;
+      finished = true;
+      const start = offset;
+      central.forEach((entry) => {
+        const record = Buffer.alloc(46);
+        record.writeUInt32LE(0x02014b50, 0);
+        record.writeUInt16LE(20, 4);     // version made by
+        record.writeUInt16LE(20, 6);     // version needed
+        record.writeUInt16LE(0x0800, 8);
+        record.writeUInt16LE(entry.method, 10);
+        record.writeUInt16LE(entry.time, 12);
+        record.writeUInt16LE(entry.day, 14);
+        record.writeUInt32LE(entry.crc, 16);
+        record.writeUInt32LE(entry.compressedSize, 20);
+        record.writeUInt32LE(entry.size, 24);
+        record.writeUInt16LE(entry.nameBuf.length, 28);
+        record.writeUInt32LE(entry.offset, 42);
+        emit(record);
+        emit(entry.nameBuf);
+      });
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(0x06054b50, 0);
+      end.writeUInt16LE(central.length, 8);
+      end.writeUInt16LE(central.length, 10);
+      end.writeUInt32LE(offset - start, 12);
+      end.writeUInt32LE(start, 16);
+      emit(end);
+    }
+  };
+}
+
+// Build a whole archive in memory from [{ name, data }]
+function buildZip(files) {
+  const chunks = [];
+  const writer = createZipWriter(chunk => chunks.push(chunk));
+  files.forEach(file => writer.addFile(file.name, file.data, file));
+  writer.finish();
+  return Buffer.concat(chunks);
+}
+
+// Make names safe for archive entries ("My Icon/1" -> "my-icon-1")
+function safeFileName(name, fallback = 'file') {
+  const cleaned = String(name || '').toLowerCase().replace(/[^a-z0-9._-]+/g, '-').replace(/^-+|-+$/g, '');
+  return cleaned || fallback;
+}
+
+module.exports = {
+  buildZip,
+  crc32,
+  createZipWriter,
+  safeFileName
+};
@@ -0,0 +1,159 @@
+-- Async generation jobs and signed webhook delivery
+-- POST /api/icons/generate with async: true queues a job here with its request;
+-- a generation worker claims it with claim_generation_job() and writes its
+-- stages and result back, and GET /api/jobs/{id} reads it from any instance.
+-- Jobs hold request bodies and callback URLs and are billed to their key, so
+-- only the service role (the server and its workers) may touch them.
+
+-- Per-key secret used to sign callback payloads (X-Aicon-Signature). Kept out
+-- of public.api_keys, which the anon key can read: only the service role reads
+-- this table, and admins see a key's secret through
+-- admin_get_api_key_webhook_secret().
+CREATE TABLE IF NOT EXISTS public.api_key_webhook_secrets (
+    api_key_id UUID PRIMARY KEY REFERENCES public.api_keys(id) ON DELETE CASCADE,
+    secret TEXT NOT NULL DEFAULT encode(gen_random_bytes(32), 'hex'),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Keep secrets already issued in api_keys.webhook_secret, then drop that column
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = 'public' AND table_name = 'api_keys' AND column_name = 'webhook_secret'
+    ) THEN
+        INSERT INTO public.api_key_webhook_secrets (api_key_id, secret)
+        SELECT id, webhook_secret FROM public.api_keys
+        ON CONFLICT (api_key_id) DO NOTHING;
+        ALTER TABLE public.api_keys DROP COLUMN webhook_secret;
+    END IF;
+END;
+$$;
+
+INSERT INTO public.api_key_webhook_secrets (api_key_id)
+SELECT id FROM public.api_keys
+ON CONFLICT (api_key_id) DO NOTHING;
+
+-- Every new key gets a secret
+CREATE OR REPLACE FUNCTION public.create_api_key_webhook_secret()
+RETURNS TRIGGER AS $$
+BEGIN
+    INSERT INTO public.api_key_webhook_secrets (api_key_id) VALUES (NEW.id)
+    ON CONFLICT (api_key_id) DO NOTHING;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS api_keys_webhook_secret ON public.api_keys;
+CREATE TRIGGER api_keys_webhook_secret
+    AFTER INSERT ON public.api_keys
+    FOR EACH ROW EXECUTE FUNCTION public.create_api_key_webhook_secret();
+
+-- No policies: only the service role reads it
+ALTER TABLE public.api_key_webhook_secrets ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON public.api_key_webhook_secrets FROM anon, authenticated;
+GRANT SELECT ON public.api_key_webhook_secrets TO service_role;
+
+-- A key's secret for the API admin page (super admins only)
+CREATE OR REPLACE FUNCTION public.admin_get_api_key_webhook_secret(p_api_key_id UUID)
+RETURNS TEXT AS $$
+DECLARE
+    result TEXT;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM public.profiles WHERE id = auth.uid() AND is_super_admin = TRUE) THEN
+        RAISE EXCEPTION 'Access denied: Admin privileges required';
+    END IF;
+    SELECT s.secret INTO result FROM public.api_key_webhook_secrets s WHERE s.api_key_id = p_api_key_id;
+    RETURN result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER STABLE;
+
+REVOKE ALL ON FUNCTION public.create_api_key_webhook_secret() FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.admin_get_api_key_webhook_secret(UUID) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.admin_get_api_key_webhook_secret(UUID) TO authenticated;
+
+CREATE TABLE IF NOT EXISTS public.generation_jobs (
+    id UUID PRIMARY KEY,
+    api_key_id UUID NOT NULL REFERENCES public.api_keys(id) ON DELETE CASCADE,
+    status TEXT NOT NULL CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+    stage TEXT, -- generating | downloading | removing_background | vectorizing | saving
+    stages JSONB NOT NULL DEFAULT '[]'::jsonb,
+    result JSONB, -- same payload as a synchronous generate response
+    error JSONB,
+    callback JSONB, -- { url, status, attempts, lastStatusCode, deliveredAt }
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    completed_at TIMESTAMPTZ
+);
+
+-- Queue columns: what to run, and the lease of the worker running it
+ALTER TABLE public.generation_jobs ADD COLUMN IF NOT EXISTS kind TEXT NOT NULL DEFAULT 'icon' CHECK (kind IN ('icon', 'set'));
+ALTER TABLE public.generation_jobs ADD COLUMN IF NOT EXISTS request JSONB; -- the validated request body
+ALTER TABLE public.generation_jobs ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE public.generation_jobs ADD COLUMN IF NOT EXISTS locked_at TIMESTAMPTZ; -- renewed on every update while running
+
+CREATE INDEX IF NOT EXISTS idx_generation_jobs_api_key_id ON public.generation_jobs(api_key_id);
+CREATE INDEX IF NOT EXISTS idx_generation_jobs_created_at ON public.generation_jobs(created_at);
+CREATE INDEX IF NOT EXISTS idx_generation_jobs_pending ON public.generation_jobs(created_at)
+    WHERE status IN ('queued', 'running');
+
+-- No policies: only the service role reads and writes jobs
+ALTER TABLE public.generation_jobs ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON public.generation_jobs FROM anon, authenticated;
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.generation_jobs TO service_role;
+
+-- Claim the oldest queued job, or a running job whose worker has not renewed
+-- its lease for p_lease_seconds (it crashed or was stopped). SKIP LOCKED lets
+-- several workers claim at once without taking the same job. Jobs that used up
+-- p_max_attempts are failed instead of being retried again.
+CREATE OR REPLACE FUNCTION public.claim_generation_job(
+    p_lease_seconds INTEGER DEFAULT 600,
+    p_max_attempts INTEGER DEFAULT 3
+)
+RETURNS SETOF public.generation_jobs AS $$
+BEGIN
+    UPDATE public.generation_jobs
+    SET status = 'failed',
+        error = jsonb_build_object('statusCode', 500, 'message', 'Generation did not finish'),
+        completed_at = NOW(),
+        updated_at = NOW()
+    WHERE status = 'running'
+      AND locked_at < NOW() - make_interval(secs => p_lease_seconds)
+      AND attempts >= p_max_attempts;
+
+    RETURN QUERY
+    UPDATE public.generation_jobs j
+    SET status = 'running',
+        attempts = j.attempts + 1,
+        locked_at = NOW(),
+        updated_at = NOW()
+    WHERE j.id = (
+        SELECT id FROM public.generation_jobs
+        WHERE status = 'queued'
+           OR (status = 'running' AND locked_at < NOW() - make_interval(secs => p_lease_seconds))
+        ORDER BY created_at
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING j.*;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE ALL ON FUNCTION public.claim_generation_job(INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.claim_generation_job(INTEGER, INTEGER) TO service_role;
+
+-- Finished jobs are only needed for a day
+CREATE OR REPLACE FUNCTION public.cleanup_generation_jobs()
+RETURNS INTEGER AS $$
+DECLARE
+    deleted INTEGER;
+BEGIN
+    DELETE FROM public.generation_jobs
+    WHERE status IN ('completed', 'failed') AND updated_at < NOW() - INTERVAL '1 day';
+    GET DIAGNOSTICS deleted = ROW_COUNT;
+    RETURN deleted;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE ALL ON FUNCTION public.cleanup_generation_jobs() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.cleanup_generation_jobs() TO service_role;
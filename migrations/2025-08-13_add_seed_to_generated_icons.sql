@@ -0,0 +1,12 @@
+-- Record the Runware seed of each generated icon so a variant can be regenerated exactly
+BEGIN;
+
+ALTER TABLE public.generated_icons
+  ADD COLUMN IF NOT EXISTS seed bigint;
+
+-- Keep the view in sync (append new column at the end to satisfy REPLACE rules)
+CREATE OR REPLACE VIEW public.generated_icons_view AS
+SELECT id, deterministic_id, icon_name, subject, style, colors, background, image_url, user_id, custom_id, created_at, context, seed
+FROM public.generated_icons;
+
+COMMIT;
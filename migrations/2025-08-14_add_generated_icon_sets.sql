@@ -0,0 +1,40 @@
+-- Consistent icon sets: POST /api/icons/generate/set and the generate page's set mode
+-- store one record per set; each member is also a generated_icons row pointing at it.
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.generated_icon_sets (
+  id UUID PRIMARY KEY,
+  name TEXT NOT NULL,
+  subjects TEXT[] NOT NULL,
+  context TEXT NOT NULL DEFAULT '',
+  style TEXT NOT NULL,
+  colors TEXT NOT NULL,
+  background TEXT NOT NULL,
+  seed BIGINT NOT NULL, -- shared by every icon in the set
+  prompt_scaffold TEXT NOT NULL, -- prompt with a {subject} placeholder
+  target_stroke_width REAL, -- median stroke width (px at 512) the set was normalized to
+  icons JSONB NOT NULL DEFAULT '[]'::jsonb, -- [{ index, subject, id, imageUrl, svg, seed, strokeWidth }]
+  user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE,
+  api_key_id UUID REFERENCES public.api_keys(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_generated_icon_sets_user_id ON public.generated_icon_sets(user_id);
+CREATE INDEX IF NOT EXISTS idx_generated_icon_sets_api_key_id ON public.generated_icon_sets(api_key_id);
+
+-- Server-side access with the anon key, like generation_jobs
+ALTER TABLE public.generated_icon_sets DISABLE ROW LEVEL SECURITY;
+GRANT SELECT, INSERT ON public.generated_icon_sets TO anon;
+GRANT SELECT, INSERT ON public.generated_icon_sets TO authenticated;
+
+ALTER TABLE public.generated_icons
+  ADD COLUMN IF NOT EXISTS set_id UUID REFERENCES public.generated_icon_sets(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS generated_icons_set_id_idx ON public.generated_icons (set_id);
+
+-- Keep the view in sync (append new column at the end to satisfy REPLACE rules)
+CREATE OR REPLACE VIEW public.generated_icons_view AS
+SELECT id, deterministic_id, icon_name, subject, style, colors, background, image_url, user_id, custom_id, created_at, context, seed, set_id
+FROM public.generated_icons;
+
+COMMIT;
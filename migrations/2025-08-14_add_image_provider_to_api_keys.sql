@@ -0,0 +1,5 @@
+-- Per-key image generation provider
+-- NULL uses the server's IMAGE_PROVIDER; 'mock' makes a sandbox key that runs the
+-- whole generate pipeline on locally rendered placeholder images (no Runware calls).
+ALTER TABLE public.api_keys
+ADD COLUMN IF NOT EXISTS image_provider TEXT CHECK (image_provider IN ('runware', 'mock'));
@@ -0,0 +1,69 @@
+-- Per-plan image model entitlements
+-- subscription_plans.allowed_models lists the model ids (lib/model-registry.js) a
+-- plan may generate with; NULL allows every model. The server reads a user's
+-- entitlement through get_user_model_entitlements with the service role key;
+-- callers holding the anon key cannot look up other users' plans.
+BEGIN;
+
+ALTER TABLE public.subscription_plans
+ADD COLUMN IF NOT EXISTS allowed_models TEXT[];
+
+-- Free users keep the model every generation used before the registry existed
+UPDATE public.subscription_plans
+SET allowed_models = ARRAY['google:2@3'], updated_at = NOW()
+WHERE id = 'free' AND allowed_models IS NULL;
+
+-- Active plan (free when the user has no subscription, or for anonymous callers)
+CREATE OR REPLACE FUNCTION public.get_user_model_entitlements(p_user_id UUID)
+RETURNS TABLE (
+  plan_id TEXT,
+  plan_name TEXT,
+  allowed_models TEXT[]
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT sp.id, sp.name, sp.allowed_models
+  FROM public.subscription_plans sp
+  WHERE sp.id = COALESCE(
+    (SELECT us.plan_id FROM public.user_subscriptions us
+     WHERE us.user_id = p_user_id AND us.status = 'active'
+     LIMIT 1),
+    'free'
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER STABLE;
+
+REVOKE ALL ON FUNCTION public.get_user_model_entitlements(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.get_user_model_entitlements(UUID) TO service_role;
+
+-- Set the models a plan may use; NULL or an empty array allows every model
+CREATE OR REPLACE FUNCTION public.admin_set_plan_models(
+  p_admin_user_id UUID,
+  p_plan_id TEXT,
+  p_models TEXT[]
+)
+RETURNS BOOLEAN AS $$
+BEGIN
+  -- Check if user is admin
+  IF p_admin_user_id IS DISTINCT FROM auth.uid()
+     OR NOT EXISTS (SELECT 1 FROM public.profiles WHERE id = p_admin_user_id AND is_super_admin = TRUE) THEN
+    RAISE EXCEPTION 'Access denied: Admin privileges required';
+  END IF;
+
+  UPDATE public.subscription_plans SET
+    allowed_models = NULLIF(p_models, ARRAY[]::TEXT[]),
+    updated_at = NOW()
+  WHERE id = p_plan_id;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Plan not found: %', p_plan_id;
+  END IF;
+
+  RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE ALL ON FUNCTION public.admin_set_plan_models(UUID, TEXT, TEXT[]) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.admin_set_plan_models(UUID, TEXT, TEXT[]) TO authenticated;
+
+COMMIT;
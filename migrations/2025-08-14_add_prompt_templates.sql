@@ -0,0 +1,151 @@
+-- Admin-editable prompt templates for icon generation
+-- prompt_templates holds the current body of each template; every save also
+-- appends a row to prompt_template_versions so older versions stay usable
+-- (templateVersion on the API) and generated icons can point at what made them.
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.prompt_templates (
+  id TEXT PRIMARY KEY, -- slug used as `template` on the API
+  name TEXT NOT NULL,
+  description TEXT,
+  body TEXT NOT NULL, -- {subject} {context} {style} {colors} {background}; [optional text]
+  current_version INTEGER NOT NULL DEFAULT 1,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS public.prompt_template_versions (
+  template_id TEXT NOT NULL REFERENCES public.prompt_templates(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  body TEXT NOT NULL,
+  created_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (template_id, version)
+);
+
+-- Built-in template (same text as lib/prompt-templates.js DEFAULT_TEMPLATE)
+INSERT INTO public.prompt_templates (id, name, description, body)
+VALUES (
+  'default',
+  'Minimal flat icon',
+  'Built-in prompt used when no template is chosen',
+  'Design a simple, flat, minimalist icon of a {subject}[ for {context}] {style} style, {colors} colors, {background} background, evenly spaced elements. Maintain geometric balance and consistent stroke width, no text, only icon.'
+)
+ON CONFLICT (id) DO NOTHING;
+
+INSERT INTO public.prompt_template_versions (template_id, version, body)
+SELECT id, current_version, body FROM public.prompt_templates WHERE id = 'default'
+ON CONFLICT DO NOTHING;
+
+-- Anyone can read templates (the server lists them with the anon key); admins write through the functions below
+ALTER TABLE public.prompt_templates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.prompt_template_versions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can read prompt templates" ON public.prompt_templates;
+CREATE POLICY "Anyone can read prompt templates" ON public.prompt_templates FOR SELECT USING (TRUE);
+DROP POLICY IF EXISTS "Anyone can read prompt template versions" ON public.prompt_template_versions;
+CREATE POLICY "Anyone can read prompt template versions" ON public.prompt_template_versions FOR SELECT USING (TRUE);
+
+GRANT SELECT ON public.prompt_templates TO anon, authenticated;
+-- Everything but created_by, which would list admin user ids
+REVOKE SELECT ON public.prompt_template_versions FROM anon, authenticated;
+GRANT SELECT (template_id, version, body, created_at) ON public.prompt_template_versions TO anon, authenticated;
+
+-- Create a template or save a new version of an existing one; returns the new version.
+-- p_admin_user_id must be the signed-in caller.
+CREATE OR REPLACE FUNCTION public.admin_save_prompt_template(
+  p_admin_user_id UUID,
+  p_id TEXT,
+  p_name TEXT,
+  p_description TEXT,
+  p_body TEXT
+)
+RETURNS INTEGER AS $$
+DECLARE
+  new_version INTEGER;
+BEGIN
+  -- Check if user is admin
+  IF p_admin_user_id IS DISTINCT FROM auth.uid()
+     OR NOT EXISTS (SELECT 1 FROM public.profiles WHERE id = p_admin_user_id AND is_super_admin = TRUE) THEN
+    RAISE EXCEPTION 'Access denied: Admin privileges required';
+  END IF;
+  
+  IF p_id !~ '^[a-z0-9][a-z0-9-]{0,49}$' THEN
+    RAISE EXCEPTION 'Template id must be lowercase letters, digits and dashes';
+  END IF;
+  
+  IF position('{subject}' IN p_body) = 0 THEN
+    RAISE EXCEPTION 'Template body must contain {subject}';
+  END IF;
+  
+  SELECT current_version + 1 INTO new_version FROM public.prompt_templates WHERE id = p_id FOR UPDATE;
+  
+  IF new_version IS NULL THEN
+    new_version := 1;
+    INSERT INTO public.prompt_templates (id, name, description, body, current_version)
+    VALUES (p_id, p_name, p_description, p_body, new_version);
+  ELSE
+    UPDATE public.prompt_templates SET
+      name = p_name,
+      description = p_description,
+      body = p_body,
+      current_version = new_version,
+      is_active = TRUE,
+      updated_at = NOW()
+    WHERE id = p_id;
+  END IF;
+  
+  INSERT INTO public.prompt_template_versions (template_id, version, body, created_by)
+  VALUES (p_id, new_version, p_body, p_admin_user_id);
+  
+  RETURN new_version;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION public.admin_delete_prompt_template(
+  p_admin_user_id UUID,
+  p_id TEXT
+)
+RETURNS BOOLEAN AS $$
+BEGIN
+  -- Check if user is admin
+  IF p_admin_user_id IS DISTINCT FROM auth.uid()
+     OR NOT EXISTS (SELECT 1 FROM public.profiles WHERE id = p_admin_user_id AND is_super_admin = TRUE) THEN
+    RAISE EXCEPTION 'Access denied: Admin privileges required';
+  END IF;
+  
+  IF p_id = 'default' THEN
+    RAISE EXCEPTION 'Cannot delete the default template';
+  END IF;
+  
+  -- Deactivate instead of delete so generated icons keep their template reference
+  UPDATE public.prompt_templates SET is_active = FALSE, updated_at = NOW()
+  WHERE id = p_id;
+  
+  RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE ALL ON FUNCTION public.admin_save_prompt_template(UUID, TEXT, TEXT, TEXT, TEXT) FROM PUBLIC, anon;
+REVOKE ALL ON FUNCTION public.admin_delete_prompt_template(UUID, TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.admin_save_prompt_template(UUID, TEXT, TEXT, TEXT, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.admin_delete_prompt_template(UUID, TEXT) TO authenticated;
+
+-- Record which template produced each generated icon and set
+ALTER TABLE public.generated_icons
+  ADD COLUMN IF NOT EXISTS template_id TEXT,
+  ADD COLUMN IF NOT EXISTS template_version INTEGER;
+
+ALTER TABLE public.generated_icon_sets
+  ADD COLUMN IF NOT EXISTS template_id TEXT,
+  ADD COLUMN IF NOT EXISTS template_version INTEGER;
+
+CREATE INDEX IF NOT EXISTS generated_icons_template_idx ON public.generated_icons (template_id, template_version);
+
+-- Keep the view in sync (append new columns at the end to satisfy REPLACE rules)
+CREATE OR REPLACE VIEW public.generated_icons_view AS
+SELECT id, deterministic_id, icon_name, subject, style, colors, background, image_url, user_id, custom_id, created_at, context, seed, set_id, template_id, template_version
+FROM public.generated_icons;
+
+COMMIT;
@@ -0,0 +1,14 @@
+-- Record the reference icon a generated icon was restyled from:
+-- {"type":"iconify","id":"tabler:home","strength":0.7}, {"type":"generated","id":123,...}
+-- or {"type":"upload","sha256":"...",...} for uploaded images
+BEGIN;
+
+ALTER TABLE public.generated_icons
+  ADD COLUMN IF NOT EXISTS reference jsonb;
+
+-- Keep the view in sync (append new column at the end to satisfy REPLACE rules)
+CREATE OR REPLACE VIEW public.generated_icons_view AS
+SELECT id, deterministic_id, icon_name, subject, style, colors, background, image_url, user_id, custom_id, created_at, context, seed, set_id, template_id, template_version, reference
+FROM public.generated_icons;
+
+COMMIT;
@@ -0,0 +1,146 @@
+-- Metered icon downloads (POST /api/icons/download/batch)
+-- Each downloaded icon is one 'download' usage event, counted against
+-- subscription_plans.monthly_icon_downloads for the current billing period.
+-- A download reserves its icons before the zip is streamed and settles after:
+--   reserve_icon_downloads checks the allowance, counting other pending
+--     reservations, and holds the icons, under a per-user lock;
+--   settle_icon_downloads records the icons actually sent and drops the hold.
+-- The functions take the user id from the server, which has authenticated the
+-- caller, so only the service role may execute them.
+BEGIN;
+
+CREATE INDEX IF NOT EXISTS idx_usage_events_user_period_type
+  ON public.usage_events (user_id, billing_period_start, event_type);
+
+-- Downloads in progress; a hold left by a crashed request expires on its own
+CREATE TABLE IF NOT EXISTS public.download_reservations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  icon_count INTEGER NOT NULL CHECK (icon_count > 0),
+  expires_at TIMESTAMPTZ NOT NULL DEFAULT NOW() + INTERVAL '15 minutes'
+);
+
+CREATE INDEX IF NOT EXISTS idx_download_reservations_user ON public.download_reservations (user_id, expires_at);
+
+-- No policies: only the functions below (and the service role) touch it
+ALTER TABLE public.download_reservations ENABLE ROW LEVEL SECURITY;
+
+-- Active plan (free when the user has no subscription) and the downloads
+-- already recorded this billing period
+CREATE OR REPLACE FUNCTION public.get_user_download_allowance(p_user_id UUID)
+RETURNS TABLE (
+  plan_id TEXT,
+  plan_name TEXT,
+  monthly_limit INTEGER,
+  unlimited BOOLEAN,
+  used INTEGER
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT sp.id, sp.name, sp.monthly_icon_downloads, COALESCE(sp.unlimited_downloads, FALSE),
+    (SELECT COUNT(*)::INTEGER FROM public.usage_events ue
+     WHERE ue.user_id = p_user_id
+       AND ue.event_type = 'download'
+       AND ue.billing_period_start = public.get_billing_period_start())
+  FROM public.subscription_plans sp
+  WHERE sp.id = COALESCE(
+    (SELECT us.plan_id FROM public.user_subscriptions us
+     WHERE us.user_id = p_user_id AND us.status = 'active'
+     LIMIT 1),
+    'free'
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER STABLE;
+
+-- Hold p_count downloads for p_user_id. `used` counts recorded downloads plus
+-- every pending hold; reservation_id is NULL when the allowance is too small.
+CREATE OR REPLACE FUNCTION public.reserve_icon_downloads(p_user_id UUID, p_count INTEGER)
+RETURNS TABLE (
+  plan_id TEXT,
+  plan_name TEXT,
+  monthly_limit INTEGER,
+  unlimited BOOLEAN,
+  used INTEGER,
+  reservation_id UUID
+) AS $$
+DECLARE
+  allowance RECORD;
+  held INTEGER;
+  reserved UUID;
+BEGIN
+  -- Serializes reservations per user until this transaction ends
+  PERFORM pg_advisory_xact_lock(hashtext('icon_downloads'), hashtext(p_user_id::text));
+
+  DELETE FROM public.download_reservations dr WHERE dr.user_id = p_user_id AND dr.expires_at < NOW();
+
+  SELECT * INTO allowance FROM public.get_user_download_allowance(p_user_id);
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'No plan found';
+  END IF;
+
+  SELECT COALESCE(SUM(dr.icon_count), 0)::INTEGER INTO held
+  FROM public.download_reservations dr WHERE dr.user_id = p_user_id;
+
+  IF allowance.unlimited OR allowance.used + held + p_count <= allowance.monthly_limit THEN
+    INSERT INTO public.download_reservations (user_id, icon_count)
+    VALUES (p_user_id, p_count)
+    RETURNING id INTO reserved;
+  END IF;
+
+  RETURN QUERY SELECT allowance.plan_id, allowance.plan_name, allowance.monthly_limit,
+    allowance.unlimited, allowance.used + held, reserved;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Record one download event per element of p_downloads:
+-- [{ icon_id, source ('search' or 'generated'), format, metadata }]
+-- and release the reservation. Only as many icons as were reserved are recorded.
+CREATE OR REPLACE FUNCTION public.settle_icon_downloads(
+  p_user_id UUID,
+  p_reservation_id UUID,
+  p_downloads JSONB
+)
+RETURNS INTEGER AS $$
+DECLARE
+  download JSONB;
+  reserved INTEGER;
+  recorded INTEGER := 0;
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('icon_downloads'), hashtext(p_user_id::text));
+
+  DELETE FROM public.download_reservations
+  WHERE id = p_reservation_id AND user_id = p_user_id
+  RETURNING icon_count INTO reserved;
+  IF reserved IS NULL THEN
+    RAISE EXCEPTION 'Unknown or expired download reservation';
+  END IF;
+
+  FOR download IN SELECT * FROM jsonb_array_elements(p_downloads) LIMIT reserved LOOP
+    PERFORM public.track_usage_event(
+      p_user_id,
+      'download',
+      download->>'format',
+      download->>'icon_id',
+      download->'metadata',
+      NULL,
+      NULL,
+      download->>'icon_id',
+      download->>'source'
+    );
+    recorded := recorded + 1;
+  END LOOP;
+  RETURN recorded;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE ALL ON FUNCTION public.get_user_download_allowance(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.reserve_icon_downloads(UUID, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.settle_icon_downloads(UUID, UUID, JSONB) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.get_user_download_allowance(UUID) TO service_role;
+GRANT EXECUTE ON FUNCTION public.reserve_icon_downloads(UUID, INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION public.settle_icon_downloads(UUID, UUID, JSONB) TO service_role;
+
+-- Replaced by settle_icon_downloads
+DROP FUNCTION IF EXISTS public.record_icon_downloads(UUID, JSONB);
+
+COMMIT;
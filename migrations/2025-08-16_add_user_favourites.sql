@@ -0,0 +1,109 @@
+-- Per-user favourites (GET/POST/DELETE /api/favourites and the star on icon cards)
+-- icon_id is the Iconify id ('tabler:home') or the generated_icons id; library is
+-- the Iconify prefix, or 'generated'. Nothing wrote to the table before; rows
+-- without an owner stop the migration so they can be assigned or removed by hand.
+-- RLS limits browser clients to their own rows. The server (API-key callers
+-- have no session) goes through the SECURITY DEFINER functions below, which
+-- take the user id it has authenticated, so only the service role may run them.
+BEGIN;
+
+ALTER TABLE public.favourites
+  ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE,
+  ADD COLUMN IF NOT EXISTS source TEXT NOT NULL DEFAULT 'iconify' CHECK (source IN ('iconify', 'generated'));
+
+DO $$
+DECLARE
+  orphaned BIGINT;
+BEGIN
+  SELECT COUNT(*) INTO orphaned FROM public.favourites WHERE user_id IS NULL;
+  IF orphaned > 0 THEN
+    RAISE EXCEPTION '% favourites rows have no user_id; set their user_id or delete them, then rerun this migration', orphaned;
+  END IF;
+END $$;
+ALTER TABLE public.favourites ALTER COLUMN user_id SET NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS favourites_user_icon_idx ON public.favourites (user_id, source, icon_id);
+CREATE INDEX IF NOT EXISTS favourites_user_added_at_idx ON public.favourites (user_id, added_at DESC);
+
+ALTER TABLE public.favourites ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own favourites" ON public.favourites;
+CREATE POLICY "Users can view own favourites" ON public.favourites FOR SELECT
+  USING (auth.uid() = user_id);
+DROP POLICY IF EXISTS "Users can add own favourites" ON public.favourites;
+CREATE POLICY "Users can add own favourites" ON public.favourites FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+DROP POLICY IF EXISTS "Users can delete own favourites" ON public.favourites;
+CREATE POLICY "Users can delete own favourites" ON public.favourites FOR DELETE
+  USING (auth.uid() = user_id);
+
+GRANT SELECT, INSERT, DELETE ON public.favourites TO authenticated;
+
+-- Newest first; generated favourites carry the icon's name and image
+CREATE OR REPLACE FUNCTION public.list_user_favourites(p_user_id UUID)
+RETURNS TABLE (
+  source TEXT,
+  icon_id TEXT,
+  library TEXT,
+  added_at TIMESTAMPTZ,
+  icon_name TEXT,
+  image_url TEXT
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT f.source, f.icon_id, f.library, f.added_at, gi.icon_name, gi.image_url
+  FROM public.favourites f
+  LEFT JOIN public.generated_icons gi
+    ON f.source = 'generated' AND gi.id::TEXT = f.icon_id
+  WHERE f.user_id = p_user_id
+  ORDER BY f.added_at DESC;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER STABLE;
+
+-- Idempotent; returns when the icon was (first) added
+CREATE OR REPLACE FUNCTION public.add_user_favourite(
+  p_user_id UUID,
+  p_source TEXT,
+  p_icon_id TEXT,
+  p_library TEXT
+)
+RETURNS TIMESTAMPTZ AS $$
+DECLARE
+  result TIMESTAMPTZ;
+BEGIN
+  IF p_source = 'generated' AND NOT EXISTS (SELECT 1 FROM public.generated_icons WHERE id::TEXT = p_icon_id) THEN
+    RAISE EXCEPTION 'Generated icon % not found', p_icon_id;
+  END IF;
+
+  INSERT INTO public.favourites (user_id, source, icon_id, library)
+  VALUES (p_user_id, p_source, p_icon_id, p_library)
+  ON CONFLICT (user_id, source, icon_id) DO NOTHING;
+
+  SELECT f.added_at INTO result FROM public.favourites f
+  WHERE f.user_id = p_user_id AND f.source = p_source AND f.icon_id = p_icon_id;
+  RETURN result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- TRUE when a favourite was removed
+CREATE OR REPLACE FUNCTION public.remove_user_favourite(
+  p_user_id UUID,
+  p_source TEXT,
+  p_icon_id TEXT
+)
+RETURNS BOOLEAN AS $$
+BEGIN
+  DELETE FROM public.favourites
+  WHERE user_id = p_user_id AND source = p_source AND icon_id = p_icon_id;
+  RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE ALL ON FUNCTION public.list_user_favourites(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.add_user_favourite(UUID, TEXT, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.remove_user_favourite(UUID, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.list_user_favourites(UUID) TO service_role;
+GRANT EXECUTE ON FUNCTION public.add_user_favourite(UUID, TEXT, TEXT, TEXT) TO service_role;
+GRANT EXECUTE ON FUNCTION public.remove_user_favourite(UUID, TEXT, TEXT) TO service_role;
+
+COMMIT;
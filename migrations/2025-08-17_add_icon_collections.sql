@@ -0,0 +1,146 @@
+-- Icon collections (/api/collections): named, ordered lists of Iconify and
+-- generated icons, each item with a note and colour/size overrides:
+-- items = [{ id, type ('iconify' or 'generated'), iconId, note, color, size, addedAt }]
+-- A collection can have one share link (share_token) giving 'view' or 'edit' access.
+-- RLS limits the table to its owner; the server goes through the SECURITY
+-- DEFINER functions below, which check ownership or the share token against
+-- the user id the server has authenticated, so only the service role may run them.
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.icon_collections (
+  id UUID PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  description TEXT,
+  items JSONB NOT NULL DEFAULT '[]'::jsonb,
+  share_token TEXT UNIQUE,
+  share_access TEXT CHECK (share_access IN ('view', 'edit')),
+  version INTEGER NOT NULL DEFAULT 1, -- bumped by every save, for conflict detection
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT icon_collections_share_check CHECK ((share_token IS NULL) = (share_access IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_icon_collections_user_updated ON public.icon_collections (user_id, updated_at DESC);
+
+ALTER TABLE public.icon_collections ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can manage own collections" ON public.icon_collections;
+CREATE POLICY "Users can manage own collections" ON public.icon_collections FOR ALL
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.icon_collections TO authenticated;
+
+CREATE OR REPLACE FUNCTION public.list_icon_collections(p_user_id UUID)
+RETURNS SETOF public.icon_collections AS $$
+  SELECT * FROM public.icon_collections
+  WHERE user_id = p_user_id
+  ORDER BY updated_at DESC;
+$$ LANGUAGE sql SECURITY DEFINER STABLE;
+
+CREATE OR REPLACE FUNCTION public.get_icon_collection(p_user_id UUID, p_id UUID)
+RETURNS SETOF public.icon_collections AS $$
+  SELECT * FROM public.icon_collections
+  WHERE id = p_id AND user_id = p_user_id;
+$$ LANGUAGE sql SECURITY DEFINER STABLE;
+
+CREATE OR REPLACE FUNCTION public.get_shared_icon_collection(p_token TEXT)
+RETURNS SETOF public.icon_collections AS $$
+  SELECT * FROM public.icon_collections
+  WHERE share_token = p_token;
+$$ LANGUAGE sql SECURITY DEFINER STABLE;
+
+CREATE OR REPLACE FUNCTION public.create_icon_collection(
+  p_user_id UUID,
+  p_id UUID,
+  p_name TEXT,
+  p_description TEXT,
+  p_items JSONB
+)
+RETURNS SETOF public.icon_collections AS $$
+  INSERT INTO public.icon_collections (id, user_id, name, description, items)
+  VALUES (p_id, p_user_id, p_name, p_description, COALESCE(p_items, '[]'::jsonb))
+  RETURNING *;
+$$ LANGUAGE sql SECURITY DEFINER;
+
+-- Save as the owner, or with an editable share link (p_share_token).
+-- p_version is the version the change was made from; anything else raises
+-- 'version conflict'. Returns no row when the caller may not edit.
+CREATE OR REPLACE FUNCTION public.save_icon_collection(
+  p_user_id UUID,
+  p_id UUID,
+  p_share_token TEXT,
+  p_version INTEGER,
+  p_name TEXT,
+  p_description TEXT,
+  p_items JSONB
+)
+RETURNS SETOF public.icon_collections AS $$
+DECLARE
+  current public.icon_collections;
+BEGIN
+  SELECT * INTO current FROM public.icon_collections WHERE id = p_id FOR UPDATE;
+  IF NOT FOUND OR NOT (
+    current.user_id = p_user_id
+    OR (p_share_token IS NOT NULL AND current.share_token = p_share_token AND current.share_access = 'edit')
+  ) THEN
+    RETURN;
+  END IF;
+
+  IF current.version <> p_version THEN
+    RAISE EXCEPTION 'version conflict';
+  END IF;
+
+  RETURN QUERY
+  UPDATE public.icon_collections SET
+    name = p_name,
+    description = p_description,
+    items = p_items,
+    version = current.version + 1,
+    updated_at = NOW()
+  WHERE id = p_id
+  RETURNING *;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION public.delete_icon_collection(p_user_id UUID, p_id UUID)
+RETURNS BOOLEAN AS $$
+BEGIN
+  DELETE FROM public.icon_collections WHERE id = p_id AND user_id = p_user_id;
+  RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- New share link (p_token, p_access) replacing any previous one; NULLs revoke it
+CREATE OR REPLACE FUNCTION public.share_icon_collection(
+  p_user_id UUID,
+  p_id UUID,
+  p_token TEXT,
+  p_access TEXT
+)
+RETURNS SETOF public.icon_collections AS $$
+  UPDATE public.icon_collections SET
+    share_token = p_token,
+    share_access = p_access,
+    updated_at = NOW()
+  WHERE id = p_id AND user_id = p_user_id
+  RETURNING *;
+$$ LANGUAGE sql SECURITY DEFINER;
+
+REVOKE ALL ON FUNCTION public.list_icon_collections(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.get_icon_collection(UUID, UUID) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.get_shared_icon_collection(TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.create_icon_collection(UUID, UUID, TEXT, TEXT, JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.save_icon_collection(UUID, UUID, TEXT, INTEGER, TEXT, TEXT, JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.delete_icon_collection(UUID, UUID) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.share_icon_collection(UUID, UUID, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.list_icon_collections(UUID) TO service_role;
+GRANT EXECUTE ON FUNCTION public.get_icon_collection(UUID, UUID) TO service_role;
+GRANT EXECUTE ON FUNCTION public.get_shared_icon_collection(TEXT) TO service_role;
+GRANT EXECUTE ON FUNCTION public.create_icon_collection(UUID, UUID, TEXT, TEXT, JSONB) TO service_role;
+GRANT EXECUTE ON FUNCTION public.save_icon_collection(UUID, UUID, TEXT, INTEGER, TEXT, TEXT, JSONB) TO service_role;
+GRANT EXECUTE ON FUNCTION public.delete_icon_collection(UUID, UUID) TO service_role;
+GRANT EXECUTE ON FUNCTION public.share_icon_collection(UUID, UUID, TEXT, TEXT) TO service_role;
+
+COMMIT;
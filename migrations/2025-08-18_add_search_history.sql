@@ -0,0 +1,125 @@
+-- Search history (public.searches): the search page logs each query with the
+-- signed-in user and how many icons it found, and reads back
+--   - the user's recent searches (get_user_recent_searches),
+--   - trending queries across all users (get_trending_searches), which only
+--     returns query text and counts, for queries searched by several users,
+--   - a zero-result report for admins (admin_get_zero_result_searches).
+-- RLS lets browsers log their own searches and read only their own rows. The
+-- first three functions take the user id the server has authenticated, so only
+-- the service role may run them; the admin report checks its caller.
+BEGIN;
+
+ALTER TABLE public.searches ADD COLUMN IF NOT EXISTS result_count INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_searches_user_searched ON public.searches (user_id, searched_at DESC);
+CREATE INDEX IF NOT EXISTS idx_searches_searched_at ON public.searches (searched_at);
+
+ALTER TABLE public.searches ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can log searches" ON public.searches;
+CREATE POLICY "Anyone can log searches" ON public.searches FOR INSERT
+  WITH CHECK (user_id IS NULL OR auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can view own searches" ON public.searches;
+CREATE POLICY "Users can view own searches" ON public.searches FOR SELECT
+  USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can delete own searches" ON public.searches;
+CREATE POLICY "Users can delete own searches" ON public.searches FOR DELETE
+  USING (auth.uid() = user_id);
+
+GRANT INSERT ON public.searches TO anon, authenticated;
+GRANT SELECT, DELETE ON public.searches TO authenticated;
+
+-- The user's latest distinct queries (case-insensitive), newest first
+CREATE OR REPLACE FUNCTION public.get_user_recent_searches(p_user_id UUID, p_limit INTEGER DEFAULT 10)
+RETURNS TABLE (query TEXT, library TEXT, result_count INTEGER, searched_at TIMESTAMPTZ) AS $$
+  SELECT latest.query, latest.library, latest.result_count, latest.searched_at
+  FROM (
+    SELECT DISTINCT ON (lower(trim(s.query))) s.query, s.library, s.result_count, s.searched_at
+    FROM public.searches s
+    WHERE s.user_id = p_user_id
+    ORDER BY lower(trim(s.query)), s.searched_at DESC
+  ) latest
+  ORDER BY latest.searched_at DESC
+  LIMIT LEAST(GREATEST(p_limit, 1), 50);
+$$ LANGUAGE sql SECURITY DEFINER STABLE;
+
+CREATE OR REPLACE FUNCTION public.clear_user_searches(p_user_id UUID)
+RETURNS INTEGER AS $$
+DECLARE
+  removed INTEGER;
+BEGIN
+  DELETE FROM public.searches WHERE user_id = p_user_id;
+  GET DIAGNOSTICS removed = ROW_COUNT;
+  RETURN removed;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Most searched queries of the last p_days days. Only queries that at least
+-- 3 signed-in users searched are returned, so nothing points back at one
+-- person; anonymous searches count towards totals only.
+DROP FUNCTION IF EXISTS public.get_trending_searches(INTEGER, INTEGER, INTEGER);
+CREATE OR REPLACE FUNCTION public.get_trending_searches(
+  p_days INTEGER DEFAULT 7,
+  p_limit INTEGER DEFAULT 10
+)
+RETURNS TABLE (query TEXT, search_count INTEGER) AS $$
+  SELECT lower(trim(s.query)) AS query, COUNT(*)::integer AS search_count
+  FROM public.searches s
+  WHERE s.searched_at >= NOW() - make_interval(days => LEAST(GREATEST(p_days, 1), 90))
+    AND trim(s.query) <> ''
+  GROUP BY lower(trim(s.query))
+  HAVING COUNT(DISTINCT s.user_id) >= 3
+  ORDER BY search_count DESC, query
+  LIMIT LEAST(GREATEST(p_limit, 1), 50);
+$$ LANGUAGE sql SECURITY DEFINER STABLE;
+
+-- Queries that found no icons in the last p_days days, most frequent first.
+-- p_admin_user_id must be the signed-in caller.
+CREATE OR REPLACE FUNCTION public.admin_get_zero_result_searches(
+  p_admin_user_id UUID,
+  p_days INTEGER DEFAULT 30,
+  p_limit INTEGER DEFAULT 100
+)
+RETURNS TABLE (
+  query TEXT,
+  search_count INTEGER,
+  user_count INTEGER,
+  libraries TEXT[],
+  last_searched_at TIMESTAMPTZ
+) AS $$
+BEGIN
+  IF p_admin_user_id IS DISTINCT FROM auth.uid() OR NOT EXISTS (
+    SELECT 1 FROM public.profiles
+    WHERE id = p_admin_user_id AND is_super_admin = TRUE
+  ) THEN
+    RAISE EXCEPTION 'Access denied: Admin privileges required';
+  END IF;
+
+  RETURN QUERY
+  SELECT
+    lower(trim(s.query)) AS query,
+    COUNT(*)::integer AS search_count,
+    COUNT(DISTINCT s.user_id)::integer AS user_count,
+    array_agg(DISTINCT s.library) AS libraries,
+    MAX(s.searched_at) AS last_searched_at
+  FROM public.searches s
+  WHERE s.result_count = 0
+    AND s.searched_at >= NOW() - make_interval(days => LEAST(GREATEST(p_days, 1), 365))
+  GROUP BY lower(trim(s.query))
+  ORDER BY search_count DESC, last_searched_at DESC
+  LIMIT LEAST(GREATEST(p_limit, 1), 500);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE ALL ON FUNCTION public.get_user_recent_searches(UUID, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.clear_user_searches(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.get_trending_searches(INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.admin_get_zero_result_searches(UUID, INTEGER, INTEGER) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.get_user_recent_searches(UUID, INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION public.clear_user_searches(UUID) TO service_role;
+GRANT EXECUTE ON FUNCTION public.get_trending_searches(INTEGER, INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION public.admin_get_zero_result_searches(UUID, INTEGER, INTEGER) TO authenticated;
+
+COMMIT;
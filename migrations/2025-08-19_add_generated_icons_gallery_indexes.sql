@@ -0,0 +1,14 @@
+-- Indexes for GET /api/generated-icons: keyset pagination in each sort order
+-- (created_at or icon_name, then id) and trigram indexes for the q search
+-- (icon_name/context ILIKE '%...%'). subject/style/colors/background already
+-- have btree indexes for the exact-match filters.
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX IF NOT EXISTS generated_icons_created_at_id_idx ON public.generated_icons (created_at, id);
+CREATE INDEX IF NOT EXISTS generated_icons_icon_name_id_idx ON public.generated_icons (icon_name, id);
+CREATE INDEX IF NOT EXISTS generated_icons_icon_name_trgm_idx ON public.generated_icons USING gin (icon_name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS generated_icons_context_trgm_idx ON public.generated_icons USING gin (context gin_trgm_ops);
+
+COMMIT;
@@ -5,6 +5,7 @@ let isEditingPlan = false;
 let editingPlanId = null;
 let isEditingDiscount = false;
 let editingDiscountId = null;
+let imageModels = [];
 
 // Helper: ensure we have a Supabase client
 function ensureAuthClient() {
@@ -27,8 +28,10 @@ document.addEventListener('DOMContentLoaded', async function() {
     showAdminContent();
     
     // Load initial data
+    await loadImageModels();
     await loadPlans();
     await loadDiscountCodes();
+    await loadPromptTemplates();
     await loadAnalytics();
     
     // Set up form handlers
@@ -159,6 +162,8 @@ function showSection(sectionName) {
   // Lazy-load data for certain sections when shown
   if (sectionName === 'customers') {
     loadCustomers();
+  } else if (sectionName === 'searches') {
+    loadZeroResultSearches();
   }
 }
 
@@ -170,6 +175,10 @@ function setupFormHandlers() {
   // Discount form handler
   document.getElementById('discount-form').addEventListener('submit', handleDiscountSubmit);
   
+  // Prompt template form handlers
+  document.getElementById('template-form').addEventListener('submit', handleTemplateSubmit);
+  document.getElementById('template-versions').addEventListener('change', loadTemplateVersion);
+  
   // Navigation handlers
   document.querySelectorAll('.nav-btn[data-section]').forEach(btn => {
     btn.addEventListener('click', (e) => {
@@ -215,14 +224,50 @@ function handleButtonAction(action, event) {
     case 'reset-discount-form':
       resetDiscountForm();
       break;
+    case 'reset-template-form':
+      resetTemplateForm();
+      break;
     case 'load-customers':
       loadCustomers();
       break;
+    case 'load-zero-result-searches':
+      loadZeroResultSearches();
+      break;
     default:
       console.warn('Unknown button action:', action);
   }
 }
 
+// Image models from the server registry, shown as checkboxes on the plan form
+async function loadImageModels() {
+  try {
+    const response = await fetch('/api/models');
+    const json = await response.json();
+    imageModels = Array.isArray(json.models) ? json.models : [];
+  } catch (error) {
+    console.error('Failed to load image models:', error);
+    imageModels = [];
+  }
+  
+  const container = document.getElementById('plan-models');
+  container.innerHTML = '';
+  imageModels.forEach(model => {
+    const col = document.createElement('div');
+    col.className = 'form-col';
+    col.innerHTML = `
+      <div class="checkbox-group">
+        <input type="checkbox" id="plan-model-${model.id}" value="${model.id}" data-plan-model>
+        <label for="plan-model-${model.id}">${model.name} <small>(${model.id}, cost ×${model.costWeight})</small></label>
+      </div>
+    `;
+    container.appendChild(col);
+  });
+}
+
+function selectedPlanModels() {
+  return Array.from(document.querySelectorAll('[data-plan-model]:checked')).map(input => input.value);
+}
+
 // Load subscription plans
 async function loadPlans() {
   try {
@@ -246,6 +291,7 @@ async function loadPlans() {
         <td>${plan.unlimited_searches ? 'Unlimited' : plan.monthly_icon_searches}</td>
         <td>${plan.unlimited_downloads ? 'Unlimited' : plan.monthly_icon_downloads}</td>
         <td>${plan.unlimited_generation ? 'Unlimited' : plan.monthly_icon_generation}</td>
+        <td>${Array.isArray(plan.allowed_models) && plan.allowed_models.length ? plan.allowed_models.join(', ') : 'All'}</td>
         <td>
           <button class="btn btn-secondary" onclick="editPlan('${plan.id}')">Edit</button>
           ${plan.id !== 'free' ? `<button class="btn btn-danger" onclick="deletePlan('${plan.id}')">Delete</button>` : ''}
@@ -324,6 +370,14 @@ async function handlePlanSubmit(event) {
       showAlert('Plan created successfully', 'success');
     }
     
+    // Model entitlements are saved separately (no models checked = all models)
+    const { error: modelsError } = await supabaseClient.rpc('admin_set_plan_models', {
+      p_admin_user_id: currentUser.id,
+      p_plan_id: isEditingPlan ? editingPlanId : formData.id,
+      p_models: selectedPlanModels()
+    });
+    if (modelsError) throw modelsError;
+    
     // Reset form and reload plans
     resetPlanForm();
     await loadPlans();
@@ -360,6 +414,9 @@ async function editPlan(planId) {
     document.getElementById('plan-unlimited-downloads').checked = plan.unlimited_downloads;
     document.getElementById('plan-unlimited-generation').checked = plan.unlimited_generation;
     document.getElementById('plan-unlimited-generated-usage').checked = plan.unlimited_generated_usage;
+    document.querySelectorAll('[data-plan-model]').forEach(input => {
+      input.checked = Array.isArray(plan.allowed_models) && plan.allowed_models.includes(input.value);
+    });
     
     // Update form state
     isEditingPlan = true;
@@ -413,6 +470,158 @@ function resetPlanForm() {
   editingPlanId = null;
 }
 
+// Load prompt templates (including deactivated ones)
+async function loadPromptTemplates() {
+  try {
+    const { data: templates, error } = await supabaseClient
+      .from('prompt_templates')
+      .select('*')
+      .order('id', { ascending: true });
+    
+    if (error) throw error;
+    
+    const tbody = document.getElementById('templates-tbody');
+    tbody.innerHTML = '';
+    
+    templates.forEach(template => {
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <td><code>${template.id}</code></td>
+        <td>${template.name}</td>
+        <td>v${template.current_version}</td>
+        <td>
+          <span style="color: ${template.is_active ? 'green' : 'red'}">
+            ${template.is_active ? 'Active' : 'Inactive'}
+          </span>
+        </td>
+        <td>${new Date(template.updated_at).toLocaleString()}</td>
+        <td>
+          <button class="btn btn-secondary" onclick="editTemplate('${template.id}')">Edit</button>
+          ${template.id !== 'default' && template.is_active ? `<button class="btn btn-danger" onclick="deleteTemplate('${template.id}')">Delete</button>` : ''}
+        </td>
+      `;
+      tbody.appendChild(row);
+    });
+  } catch (error) {
+    console.error('Failed to load prompt templates:', error);
+    showAlert('Failed to load prompt templates: ' + error.message, 'danger');
+  }
+}
+
+// Save a template; every save becomes a new version
+async function handleTemplateSubmit(event) {
+  event.preventDefault();
+  
+  try {
+    const body = document.getElementById('template-body').value.trim();
+    if (!body.includes('{subject}')) {
+      throw new Error('The prompt must contain {subject}');
+    }
+    
+    const { data: version, error } = await supabaseClient.rpc('admin_save_prompt_template', {
+      p_admin_user_id: currentUser.id,
+      p_id: document.getElementById('template-id').value.trim().toLowerCase(),
+      p_name: document.getElementById('template-name').value.trim(),
+      p_description: document.getElementById('template-description').value.trim(),
+      p_body: body
+    });
+    
+    if (error) throw error;
+    showAlert(`Template saved as version ${version}`, 'success');
+    
+    resetTemplateForm();
+    await loadPromptTemplates();
+    
+  } catch (error) {
+    console.error('Failed to save template:', error);
+    showAlert('Failed to save template: ' + error.message, 'danger');
+  }
+}
+
+// Edit template
+async function editTemplate(templateId) {
+  try {
+    const { data: template, error } = await supabaseClient
+      .from('prompt_templates')
+      .select('*')
+      .eq('id', templateId)
+      .single();
+    
+    if (error) throw error;
+    
+    const { data: versions, error: versionsError } = await supabaseClient
+      .from('prompt_template_versions')
+      .select('version, body, created_at')
+      .eq('template_id', templateId)
+      .order('version', { ascending: false });
+    
+    if (versionsError) throw versionsError;
+    
+    document.getElementById('template-id').value = template.id;
+    document.getElementById('template-id').disabled = true; // Can't change ID when editing
+    document.getElementById('template-name').value = template.name;
+    document.getElementById('template-description').value = template.description || '';
+    document.getElementById('template-body').value = template.body;
+    
+    const select = document.getElementById('template-versions');
+    select.innerHTML = '';
+    versions.forEach(v => {
+      const option = document.createElement('option');
+      option.value = v.version;
+      option.textContent = `v${v.version} – ${new Date(v.created_at).toLocaleString()}${v.version === template.current_version ? ' (current)' : ''}`;
+      option.dataset.body = v.body;
+      select.appendChild(option);
+    });
+    document.getElementById('template-versions-group').style.display = versions.length ? 'block' : 'none';
+    
+    document.getElementById('template-form-title').textContent = `Edit Template: ${template.name} (v${template.current_version})`;
+    
+  } catch (error) {
+    console.error('Failed to load template for editing:', error);
+    showAlert('Failed to load template: ' + error.message, 'danger');
+  }
+}
+
+// Put an older version's prompt into the editor
+function loadTemplateVersion(event) {
+  const option = event.target.selectedOptions[0];
+  if (option) {
+    document.getElementById('template-body').value = option.dataset.body;
+  }
+}
+
+// Delete (deactivate) template
+async function deleteTemplate(templateId) {
+  if (!confirm(`Are you sure you want to delete the template "${templateId}"?`)) {
+    return;
+  }
+  
+  try {
+    const { error } = await supabaseClient.rpc('admin_delete_prompt_template', {
+      p_admin_user_id: currentUser.id,
+      p_id: templateId
+    });
+    
+    if (error) throw error;
+    
+    showAlert('Template deleted successfully', 'success');
+    await loadPromptTemplates();
+    
+  } catch (error) {
+    console.error('Failed to delete template:', error);
+    showAlert('Failed to delete template: ' + error.message, 'danger');
+  }
+}
+
+// Reset template form
+function resetTemplateForm() {
+  document.getElementById('template-form').reset();
+  document.getElementById('template-id').disabled = false;
+  document.getElementById('template-form-title').textContent = 'Create New Template';
+  document.getElementById('template-versions').innerHTML = '';
+  document.getElementById('template-versions-group').style.display = 'none';
+}
+
 // Load discount codes
 async function loadDiscountCodes() {
   try {
@@ -729,6 +938,53 @@ async function loadCustomers() {
   }
 }
 
+// Load queries that found no icons (admin RPC over public.searches)
+async function loadZeroResultSearches() {
+  try {
+    if (!ensureAuthClient()) {
+      await waitForAuthClient();
+      if (!ensureAuthClient()) throw new Error('Authentication system not ready');
+    }
+    if (!currentUser) {
+      await checkAdminAccess();
+    }
+    if (!currentUser) throw new Error('Access denied: Admin privileges required');
+
+    const { data: rows, error } = await supabaseClient.rpc('admin_get_zero_result_searches', {
+      p_admin_user_id: currentUser.id,
+      p_days: Number(document.getElementById('search-report-days').value),
+      p_limit: 200
+    });
+    if (error) throw error;
+
+    const tbody = document.getElementById('zero-result-tbody');
+    tbody.innerHTML = '';
+    rows.forEach(r => {
+      const tr = document.createElement('tr');
+      // Queries are user input, so cells are filled as text
+      [
+        r.query,
+        r.search_count,
+        r.user_count,
+        (r.libraries || []).join(', '),
+        new Date(r.last_searched_at).toLocaleString()
+      ].forEach(value => {
+        const td = document.createElement('td');
+        td.textContent = value;
+        tr.appendChild(td);
+      });
+      tbody.appendChild(tr);
+    });
+
+    if (rows.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="5" style="text-align:center;color:#666;padding:40px;">No zero-result searches in this period</td></tr>';
+    }
+  } catch (error) {
+    console.error('Failed to load zero-result searches:', error);
+    showAlert('Failed to load zero-result searches: ' + error.message, 'danger');
+  }
+}
+
 // Show alert message
 function showAlert(message, type = 'info') {
   const alertContainer = document.getElementById('alerts-container');
@@ -398,6 +398,13 @@ async function viewApiKeyDetails(apiKeyId) {
 
         if (keyError) throw keyError;
 
+        // The webhook secret is kept out of api_keys; admins read it through a function
+        const { data: webhookSecret, error: secretError } = await supabase.rpc('admin_get_api_key_webhook_secret', {
+            p_api_key_id: apiKeyId
+        });
+        if (secretError) console.error('Error loading webhook secret:', secretError);
+        keyData.webhook_secret = webhookSecret || null;
+
         const { data: dailyUsage, error: usageError } = await supabase
             .from('api_key_daily_usage')
             .select('*')
@@ -466,6 +473,10 @@ function showApiKeyDetailsModal(keyData, dailyUsage) {
                                 <dt class="text-sm font-medium text-gray-500">Last Used</dt>
                                 <dd class="text-sm text-gray-900">${lastUsed}</dd>
                             </div>
+                            <div>
+                                <dt class="text-sm font-medium text-gray-500">Webhook Secret</dt>
+                                <dd class="text-sm text-gray-900 font-mono break-all">${keyData.webhook_secret ? escapeHtml(keyData.webhook_secret) : 'N/A'}</dd>
+                            </div>
                         </dl>
                     </div>
                     
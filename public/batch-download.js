@@ -0,0 +1,372 @@
+// Multi-select for result grids: pick icons, then download them as one zip
+// through POST /api/icons/download/batch, as an SVG sprite through
+// POST /api/icons/sprite, or as a component package through POST /api/icons/components,
+// or add them to one of the user's collections (/api/collections)
+
+class BatchDownload {
+  static FORMATS = ['svg', 'png', 'webp', 'avif', 'ico', 'pdf'];
+  static MAX_ICONS = 100;
+
+  // Adds the toolbar above `resultsDiv`; cards are registered with attach()
+  constructor(resultsDiv) {
+    this.resultsDiv = resultsDiv;
+    this.selected = new Map(); // key -> request item, kept across re-renders
+    this.cards = new Map(); // key -> checkbox of the card currently shown
+    this.toolbar = this.createToolbar();
+    resultsDiv.parentNode.insertBefore(this.toolbar, resultsDiv);
+  }
+
+  static keyFor(iconData) {
+    return iconData.type === 'iconify' ? iconData.id : iconData.imageUrl;
+  }
+
+  static requestItem(iconData, name) {
+    if (iconData.type === 'iconify') return { type: 'iconify', id: iconData.id };
+    const item = { type: 'generated', url: iconData.imageUrl, name };
+    if (iconData.id) item.id = iconData.id;
+    return item;
+  }
+
+  createToolbar() {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'batch-toolbar';
+
+    this.toggleBtn = document.createElement('button');
+    this.toggleBtn.className = 'batch-toggle';
+    this.toggleBtn.textContent = 'Select';
+    this.toggleBtn.addEventListener('click', () => this.setSelecting(!this.selecting));
+
+    this.panel = document.createElement('div');
+    this.panel.className = 'batch-panel';
+    this.panel.style.display = 'none';
+
+    this.countEl = document.createElement('span');
+    this.countEl.className = 'batch-count';
+
+    const allBtn = document.createElement('button');
+    allBtn.textContent = 'Select all';
+    allBtn.addEventListener('click', () => this.selectAll());
+
+    const clearBtn = document.createElement('button');
+    clearBtn.textContent = 'Clear';
+    clearBtn.addEventListener('click', () => this.clear());
+
+    const formats = document.createElement('span');
+    formats.className = 'batch-formats';
+    this.formatInputs = BatchDownload.FORMATS.map((format) => {
+      const label = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.value = format;
+      input.checked = format === 'svg' || format === 'png';
+      label.appendChild(input);
+      label.appendChild(document.createTextNode(format.toUpperCase()));
+      formats.appendChild(label);
+      return input;
+    });
+
+    this.sizesInput = document.createElement('input');
+    this.sizesInput.type = 'text';
+    this.sizesInput.className = 'batch-sizes';
+    this.sizesInput.title = 'PNG/WebP/AVIF sizes in px, comma separated';
+    this.sizesInput.value = String(window.Settings ? window.Settings.get('exportSize') : 512);
+
+    this.downloadBtn = document.createElement('button');
+    this.downloadBtn.className = 'batch-download-btn';
+    this.downloadBtn.textContent = 'Download ZIP';
+    this.downloadBtn.addEventListener('click', () => this.download());
+
+    this.spriteBtn = document.createElement('button');
+    this.spriteBtn.className = 'batch-sprite-btn';
+    this.spriteBtn.textContent = 'Sprite';
+    this.spriteBtn.title = 'Download sprite.svg with one <symbol> per icon';
+    this.spriteBtn.addEventListener('click', () => this.downloadSprite());
+
+    const currentColorLabel = document.createElement('label');
+    currentColorLabel.title = 'Sprite icons follow the text colour';
+    this.currentColorInput = document.createElement('input');
+    this.currentColorInput.type = 'checkbox';
+    this.currentColorInput.checked = true;
+    currentColorLabel.append(this.currentColorInput, document.createTextNode('currentColor'));
+
+    this.componentSelect = document.createElement('select');
+    this.componentSelect.className = 'batch-components';
+    this.componentSelect.title = 'Download a component package with one file per icon';
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = 'Components…';
+    this.componentSelect.appendChild(placeholder);
+    Object.entries(IconUtils.COMPONENT_FRAMEWORKS).forEach(([framework, label]) => {
+      const option = document.createElement('option');
+      option.value = framework;
+      option.textContent = `${label} package`;
+      this.componentSelect.appendChild(option);
+    });
+    this.componentSelect.addEventListener('change', () => this.downloadComponents(this.componentSelect.value));
+
+    // Filled with the user's collections the first time it is opened
+    this.collectionSelect = document.createElement('select');
+    this.collectionSelect.className = 'batch-collections';
+    this.collectionSelect.title = 'Add the selected icons to a collection';
+    this.resetCollectionOptions();
+    this.collectionSelect.addEventListener('focus', () => this.loadCollections(), { once: true });
+    this.collectionSelect.addEventListener('change', () => this.addToCollection(this.collectionSelect.value));
+
+    // Usage snippet of the last sprite
+    this.usageEl = document.createElement('details');
+    this.usageEl.className = 'sprite-usage';
+    this.usageEl.style.display = 'none';
+
+    this.panel.append(this.countEl, allBtn, clearBtn, formats, this.sizesInput, this.downloadBtn, this.spriteBtn, currentColorLabel, this.componentSelect, this.collectionSelect);
+    toolbar.append(this.toggleBtn, this.panel, this.usageEl);
+    this.updateCount();
+    return toolbar;
+  }
+
+  setSelecting(selecting) {
+    this.selecting = selecting;
+    this.toggleBtn.textContent = selecting ? 'Done' : 'Select';
+    this.panel.style.display = selecting ? '' : 'none';
+    this.resultsDiv.classList.toggle('selecting', selecting);
+  }
+
+  // Call before re-rendering the grid
+  reset() {
+    this.cards.clear();
+  }
+
+  // Add a selection checkbox to a result card
+  attach(card, iconData, name) {
+    const key = BatchDownload.keyFor(iconData);
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'batch-select';
+    checkbox.title = 'Select for bulk download';
+    checkbox.checked = this.selected.has(key);
+    card.classList.toggle('selected', checkbox.checked);
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) this.selected.set(key, BatchDownload.requestItem(iconData, name));
+      else this.selected.delete(key);
+      card.classList.toggle('selected', checkbox.checked);
+      this.updateCount();
+    });
+    card.insertBefore(checkbox, card.firstChild);
+    this.cards.set(key, { checkbox, card, item: BatchDownload.requestItem(iconData, name) });
+  }
+
+  selectAll() {
+    this.cards.forEach(({ checkbox, card, item }, key) => {
+      if (this.selected.size >= BatchDownload.MAX_ICONS && !this.selected.has(key)) return;
+      this.selected.set(key, item);
+      checkbox.checked = true;
+      card.classList.add('selected');
+    });
+    this.updateCount();
+  }
+
+  clear() {
+    this.selected.clear();
+    this.cards.forEach(({ checkbox, card }) => {
+      checkbox.checked = false;
+      card.classList.remove('selected');
+    });
+    this.updateCount();
+  }
+
+  updateCount() {
+    const count = this.selected.size;
+    this.countEl.textContent = `${count} selected`;
+    this.downloadBtn.disabled = count === 0 || count > BatchDownload.MAX_ICONS;
+    this.downloadBtn.title = count > BatchDownload.MAX_ICONS ? `At most ${BatchDownload.MAX_ICONS} icons per download` : '';
+    this.spriteBtn.disabled = this.downloadBtn.disabled;
+    this.componentSelect.disabled = this.downloadBtn.disabled;
+    this.collectionSelect.disabled = count === 0;
+  }
+
+  static saveBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
+
+  static async errorMessage(response) {
+    const errorData = await response.json().catch(() => ({}));
+    const details = errorData.details?.errors ? `: ${errorData.details.errors[0].error || errorData.details.errors[0]}` : '';
+    return `${errorData.error || `HTTP ${response.status}`}${details}`;
+  }
+
+  async download() {
+    const formats = this.formatInputs.filter(input => input.checked).map(input => input.value);
+    const sizes = this.sizesInput.value.split(/[\s,]+/).filter(Boolean).map(Number);
+    const exportParams = window.Settings ? window.Settings.getExportParams() : {};
+    const body = {
+      icons: [...this.selected.values()],
+      formats: formats.length ? formats : ['svg'],
+      sizes: sizes.length ? sizes : undefined,
+      background: exportParams.background,
+      quality: exportParams.quality
+    };
+
+    const originalText = this.downloadBtn.textContent;
+    this.downloadBtn.disabled = true;
+    this.downloadBtn.textContent = 'Preparing...';
+    try {
+      const response = await IconUtils.authenticatedFetch('/api/icons/download/batch', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      if (!response.ok) throw new Error(await BatchDownload.errorMessage(response));
+
+      BatchDownload.saveBlob(await response.blob(), `icons-${body.icons.length}.zip`);
+      this.downloadBtn.textContent = 'Downloaded!';
+    } catch (error) {
+      console.error('Bulk download failed:', error);
+      this.downloadBtn.textContent = 'Error';
+      this.downloadBtn.title = error.message;
+    }
+    setTimeout(() => {
+      this.downloadBtn.textContent = originalText;
+      this.updateCount();
+    }, 1500);
+  }
+
+  async downloadSprite() {
+    const originalText = this.spriteBtn.textContent;
+    this.spriteBtn.disabled = true;
+    this.spriteBtn.textContent = 'Building...';
+    try {
+      const response = await IconUtils.authenticatedFetch('/api/icons/sprite', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ icons: [...this.selected.values()], currentColor: this.currentColorInput.checked })
+      });
+      if (!response.ok) throw new Error(await BatchDownload.errorMessage(response));
+
+      const result = await response.json();
+      BatchDownload.saveBlob(new Blob([result.sprite], { type: 'image/svg+xml' }), 'sprite.svg');
+      this.showUsage(result);
+      this.spriteBtn.textContent = 'Downloaded!';
+    } catch (error) {
+      console.error('Sprite download failed:', error);
+      this.spriteBtn.textContent = 'Error';
+      this.spriteBtn.title = error.message;
+    }
+    setTimeout(() => {
+      this.spriteBtn.textContent = originalText;
+      this.updateCount();
+    }, 1500);
+  }
+
+  async downloadComponents(framework) {
+    if (!framework) return;
+    const placeholder = this.componentSelect.options[0];
+    this.componentSelect.value = '';
+    this.componentSelect.disabled = true;
+    placeholder.textContent = 'Generating...';
+    try {
+      const response = await IconUtils.authenticatedFetch('/api/icons/components', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ framework, icons: [...this.selected.values()] })
+      });
+      if (!response.ok) throw new Error(await BatchDownload.errorMessage(response));
+
+      BatchDownload.saveBlob(await response.blob(), `${framework}-icons.zip`);
+      placeholder.textContent = 'Downloaded!';
+    } catch (error) {
+      console.error('Component package download failed:', error);
+      placeholder.textContent = 'Error';
+      this.componentSelect.title = error.message;
+    }
+    setTimeout(() => {
+      placeholder.textContent = 'Components…';
+      this.updateCount();
+    }, 1500);
+  }
+
+  resetCollectionOptions(collections = []) {
+    this.collectionSelect.innerHTML = '';
+    [['', 'Add to collection…'], ...collections.map(c => [c.id, c.name]), ['new', 'New collection…']].forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      this.collectionSelect.appendChild(option);
+    });
+  }
+
+  async loadCollections() {
+    try {
+      const response = await IconUtils.authenticatedFetch('/api/collections');
+      if (!response.ok) throw new Error(await BatchDownload.errorMessage(response));
+      this.resetCollectionOptions((await response.json()).collections);
+    } catch (error) {
+      console.warn('Failed to load collections:', error);
+    }
+  }
+
+  // Generated icons can only be added once they are saved (have an id)
+  async addToCollection(target) {
+    if (!target) return;
+    const placeholder = this.collectionSelect.options[0];
+    this.collectionSelect.value = '';
+    const items = [...this.selected.values()]
+      .filter(item => item.type === 'iconify' || item.id)
+      .map(item => (item.type === 'iconify' ? item.id : { type: 'generated', id: item.id }));
+    const skipped = this.selected.size - items.length;
+    try {
+      let url = `/api/collections/${target}/items`;
+      let body = { items };
+      if (target === 'new') {
+        const name = prompt('Collection name');
+        if (!name || !name.trim()) return;
+        url = '/api/collections';
+        body = { name, items };
+      }
+      const response = await IconUtils.authenticatedFetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      if (!response.ok) throw new Error(await BatchDownload.errorMessage(response));
+      const { collection } = await response.json();
+      placeholder.textContent = `Added to ${collection.name}${skipped ? ` (${skipped} unsaved skipped)` : ''}`;
+      if (target === 'new') await this.loadCollections();
+    } catch (error) {
+      console.error('Adding to collection failed:', error);
+      placeholder.textContent = 'Error';
+      this.collectionSelect.title = error.message;
+    }
+    setTimeout(() => {
+      this.collectionSelect.options[0].textContent = 'Add to collection…';
+    }, 2000);
+  }
+
+  showUsage({ symbols, usage, errors }) {
+    this.usageEl.innerHTML = '';
+    const summary = document.createElement('summary');
+    summary.textContent = `sprite.svg: ${symbols.length} symbols${errors.length ? `, ${errors.length} skipped` : ''} (usage)`;
+    this.usageEl.appendChild(summary);
+    [['HTML', usage.html], ['CSS', usage.css]].forEach(([label, code]) => {
+      const heading = document.createElement('div');
+      heading.className = 'sprite-usage-label';
+      heading.textContent = label;
+      const copyBtn = document.createElement('button');
+      copyBtn.textContent = 'Copy';
+      copyBtn.addEventListener('click', () => navigator.clipboard.writeText(code));
+      heading.appendChild(copyBtn);
+      const pre = document.createElement('pre');
+      pre.textContent = code;
+      this.usageEl.append(heading, pre);
+    });
+    this.usageEl.style.display = '';
+    this.usageEl.open = true;
+  }
+}
+
+window.BatchDownload = BatchDownload;
@@ -0,0 +1,324 @@
+// Collections page: the user's icon collections (/api/collections), or the one
+// behind a share link (?share=<token>, /api/shared/collections). Items can be
+// reordered, annotated and given colour/size overrides unless the link is read-only.
+
+document.addEventListener('DOMContentLoaded', () => {
+  const resultsDiv = document.getElementById('results');
+  const controls = document.getElementById('collectionControls');
+  const collectionSelect = document.getElementById('collectionSelect');
+  const newCollectionBtn = document.getElementById('newCollectionBtn');
+  const details = document.getElementById('collectionDetails');
+  const nameInput = document.getElementById('collectionName');
+  const descriptionInput = document.getElementById('collectionDescription');
+  const exportBtn = document.getElementById('exportCollectionBtn');
+  const shareAccess = document.getElementById('shareAccess');
+  const shareLink = document.getElementById('shareLink');
+  const copyShareLinkBtn = document.getElementById('copyShareLinkBtn');
+  const deleteBtn = document.getElementById('deleteCollectionBtn');
+  const statusEl = document.getElementById('collectionStatus');
+
+  const shareToken = new URLSearchParams(window.location.search).get('share');
+  let collection = null;
+
+  function baseUrl() {
+    return shareToken ? `/api/shared/collections/${encodeURIComponent(shareToken)}` : `/api/collections/${collection.id}`;
+  }
+
+  function setStatus(message) {
+    statusEl.textContent = message || '';
+  }
+
+  // Shared collections can be viewed signed out, so reads skip the login redirect
+  async function readJson(url) {
+    const response = shareToken ? await fetch(url) : await IconUtils.authenticatedFetch(url);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+    return data;
+  }
+
+  // Send a change; a 409 means someone else saved first, so reload their version
+  async function send(method, path, body) {
+    const response = await IconUtils.authenticatedFetch(`${baseUrl()}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify({ ...body, version: collection.version }) : undefined
+    });
+    const data = await response.json().catch(() => ({}));
+    if (response.status === 409) {
+      await loadCollection();
+      setStatus('Someone else changed this collection; showing the latest version.');
+      return null;
+    }
+    if (!response.ok) {
+      const details = data.details?.errors ? `: ${data.details.errors.join(', ')}` : '';
+      setStatus(`${data.error || `HTTP ${response.status}`}${details}`);
+      return null;
+    }
+    setStatus('');
+    return data;
+  }
+
+  async function applyChange(method, path, body) {
+    const data = await send(method, path, body);
+    if (data?.collection) {
+      collection = data.collection;
+      render();
+    }
+    return data;
+  }
+
+  function editable() {
+    return collection && (collection.access === 'owner' || collection.access === 'edit');
+  }
+
+  function createItemCard(item, index) {
+    const card = document.createElement('div');
+    card.className = 'icon-card collection-item';
+    const canEdit = editable();
+
+    let preview;
+    let iconData;
+    if (item.type === 'iconify') {
+      preview = document.createElement('iconify-icon');
+      preview.setAttribute('icon', item.iconId);
+      preview.setAttribute('height', '32');
+      if (item.color) preview.style.color = item.color;
+      iconData = { type: 'iconify', id: item.iconId };
+    } else {
+      preview = document.createElement('img');
+      preview.alt = item.name || '';
+      preview.style.maxWidth = '100%'; preview.style.height = 'auto'; preview.style.aspectRatio = '1'; preview.style.objectFit = 'contain';
+      if (item.imageUrl) preview.src = `/proxy-image?url=${encodeURIComponent(item.imageUrl)}`;
+      iconData = { type: 'generated', imageUrl: item.imageUrl };
+    }
+    const name = item.type === 'iconify' ? item.iconId.split(':')[1].replace(/-/g, ' ') : (item.name || `Generated icon ${item.iconId}`);
+    const nameEl = document.createElement('div');
+    nameEl.className = 'icon-name';
+    nameEl.textContent = name;
+    card.append(preview, nameEl);
+
+    const note = document.createElement(canEdit ? 'input' : 'div');
+    note.className = 'collection-note';
+    if (canEdit) {
+      note.type = 'text';
+      note.maxLength = 500;
+      note.placeholder = 'Note';
+      note.value = item.note || '';
+      note.addEventListener('change', () => applyChange('PATCH', `/items/${item.id}`, { note: note.value }));
+    } else {
+      note.textContent = item.note || '';
+    }
+    card.appendChild(note);
+
+    const overrides = document.createElement('div');
+    overrides.className = 'collection-overrides';
+    if (canEdit) {
+      const color = document.createElement('input');
+      color.type = 'color';
+      color.title = 'Colour override';
+      color.value = /^#[0-9a-f]{6}$/i.test(item.color || '') ? item.color : '#000000';
+      color.addEventListener('change', () => applyChange('PATCH', `/items/${item.id}`, { color: color.value }));
+      const size = document.createElement('input');
+      size.type = 'number';
+      size.min = '1'; size.max = '2048';
+      size.placeholder = 'Size';
+      size.title = 'Size override (px)';
+      size.value = item.size || '';
+      size.addEventListener('change', () => applyChange('PATCH', `/items/${item.id}`, { size: size.value ? Number(size.value) : null }));
+      const reset = document.createElement('button');
+      reset.textContent = 'Reset';
+      reset.title = 'Remove the colour and size overrides';
+      reset.disabled = !item.color && !item.size;
+      reset.addEventListener('click', () => applyChange('PATCH', `/items/${item.id}`, { color: null, size: null }));
+      overrides.append(color, size, reset);
+    } else {
+      overrides.textContent = [item.color, item.size && `${item.size}px`].filter(Boolean).join(' · ');
+    }
+    card.appendChild(overrides);
+
+    // Single downloads use the original icon; Export ZIP applies the overrides
+    if (item.type === 'iconify' || item.imageUrl) {
+      card.appendChild(IconUtils.createActionButtons(iconData, name.replace(/\s+/g, '-')));
+    }
+
+    if (canEdit) {
+      const move = document.createElement('div');
+      move.className = 'collection-move';
+      [['←', index - 1, 'Move left'], ['→', index + 1, 'Move right']].forEach(([label, position, title]) => {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.title = title;
+        button.disabled = position < 0 || position >= collection.items.length;
+        button.addEventListener('click', () => applyChange('PATCH', `/items/${item.id}`, { position }));
+        move.appendChild(button);
+      });
+      const remove = document.createElement('button');
+      remove.textContent = '✕';
+      remove.title = 'Remove from collection';
+      remove.addEventListener('click', () => applyChange('DELETE', `/items/${item.id}`));
+      move.appendChild(remove);
+      card.appendChild(move);
+    }
+    return card;
+  }
+
+  function render() {
+    resultsDiv.innerHTML = '';
+    if (!collection) {
+      details.style.display = 'none';
+      return;
+    }
+    details.style.display = '';
+    nameInput.value = collection.name;
+    descriptionInput.value = collection.description || '';
+    nameInput.disabled = descriptionInput.disabled = !editable();
+    details.querySelectorAll('.owner-only').forEach((el) => { el.style.display = collection.access === 'owner' ? '' : 'none'; });
+
+    if (collection.access === 'owner') {
+      shareAccess.value = collection.share?.access || '';
+      const url = collection.share ? `${window.location.origin}/collections.html?share=${collection.share.token}` : '';
+      shareLink.value = url;
+      shareLink.style.display = copyShareLinkBtn.style.display = url ? '' : 'none';
+    }
+
+    if (!collection.items.length) {
+      resultsDiv.textContent = 'No icons yet. Select icons on the search, generated or favourites pages and use "Add to collection".';
+      return;
+    }
+    collection.items.forEach((item, index) => resultsDiv.appendChild(createItemCard(item, index)));
+  }
+
+  async function loadCollection() {
+    const id = collection?.id || collectionSelect.value;
+    if (!shareToken && !id) {
+      collection = null;
+      render();
+      return;
+    }
+    try {
+      collection = (await readJson(shareToken ? baseUrl() : `/api/collections/${id}`)).collection;
+    } catch (error) {
+      collection = null;
+      resultsDiv.textContent = `Failed to load collection: ${error.message}`;
+      details.style.display = 'none';
+      return;
+    }
+    render();
+  }
+
+  async function loadList(selectId) {
+    const { collections } = await readJson('/api/collections');
+    collectionSelect.innerHTML = '';
+    collections.forEach((summary) => {
+      const option = document.createElement('option');
+      option.value = summary.id;
+      option.textContent = `${summary.name} (${summary.itemCount})`;
+      collectionSelect.appendChild(option);
+    });
+    if (!collections.length) {
+      const option = document.createElement('option');
+      option.value = '';
+      option.textContent = 'No collections yet';
+      collectionSelect.appendChild(option);
+    }
+    if (selectId) collectionSelect.value = selectId;
+    collection = null;
+    await loadCollection();
+  }
+
+  collectionSelect.addEventListener('change', () => {
+    collection = null;
+    setStatus('');
+    loadCollection();
+  });
+
+  newCollectionBtn.addEventListener('click', async () => {
+    const name = prompt('Collection name');
+    if (!name || !name.trim()) return;
+    const response = await IconUtils.authenticatedFetch('/api/collections', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name })
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      setStatus(data.error || `HTTP ${response.status}`);
+      return;
+    }
+    await loadList(data.collection.id);
+  });
+
+  nameInput.addEventListener('change', () => {
+    if (nameInput.value.trim()) applyChange('PATCH', '', { name: nameInput.value });
+  });
+  descriptionInput.addEventListener('change', () => applyChange('PATCH', '', { description: descriptionInput.value }));
+
+  exportBtn.addEventListener('click', async () => {
+    const originalText = exportBtn.textContent;
+    exportBtn.disabled = true;
+    exportBtn.textContent = 'Preparing...';
+    try {
+      const exportParams = window.Settings ? window.Settings.getExportParams() : {};
+      const response = await IconUtils.authenticatedFetch(`${baseUrl()}/export`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ formats: ['svg', 'png'], background: exportParams.background, quality: exportParams.quality })
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${collection.name.replace(/[^\w-]+/g, '-')}.zip`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Collection export failed:', error);
+      setStatus(`Export failed: ${error.message}`);
+    }
+    exportBtn.textContent = originalText;
+    exportBtn.disabled = false;
+  });
+
+  shareAccess.addEventListener('change', async () => {
+    const access = shareAccess.value;
+    const response = await IconUtils.authenticatedFetch(`/api/collections/${collection.id}/share`, {
+      method: access ? 'POST' : 'DELETE',
+      headers: { 'Content-Type': 'application/json' },
+      body: access ? JSON.stringify({ access }) : undefined
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      setStatus(data.error || `HTTP ${response.status}`);
+      return;
+    }
+    collection = data.collection;
+    render();
+    setStatus(access ? 'New share link created; older links no longer work.' : 'Share link revoked.');
+  });
+
+  copyShareLinkBtn.addEventListener('click', () => navigator.clipboard.writeText(shareLink.value));
+
+  deleteBtn.addEventListener('click', async () => {
+    if (!confirm(`Delete "${collection.name}"? This cannot be undone.`)) return;
+    const response = await IconUtils.authenticatedFetch(`/api/collections/${collection.id}`, { method: 'DELETE' });
+    if (!response.ok) {
+      setStatus(`Delete failed: HTTP ${response.status}`);
+      return;
+    }
+    await loadList();
+  });
+
+  if (shareToken) {
+    controls.style.display = 'none';
+    loadCollection();
+  } else {
+    loadList().catch((error) => {
+      resultsDiv.textContent = `Failed to load collections: ${error.message}`;
+    });
+  }
+});
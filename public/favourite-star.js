@@ -0,0 +1,102 @@
+// Star toggle on icon cards, backed by /api/favourites. The signed-in user's
+// favourites are loaded once per page; cards call FavouriteStar.create().
+
+class FavouriteStar {
+  static keys = new Set(); // `${type}:${id}` of the user's favourites
+  static buttons = new Map(); // key -> star buttons currently shown
+  static loading = null;
+
+  static keyFor(iconData) {
+    return `${iconData.type}:${iconData.id}`;
+  }
+
+  // Load the user's favourites once; anonymous visitors just see empty stars
+  static load() {
+    if (!FavouriteStar.loading) {
+      FavouriteStar.loading = FavouriteStar.fetchFavourites()
+        .then((favourites) => {
+          favourites.forEach(favourite => FavouriteStar.keys.add(FavouriteStar.keyFor(favourite)));
+          FavouriteStar.buttons.forEach((buttons, key) => buttons.forEach(button => FavouriteStar.render(button, FavouriteStar.keys.has(key))));
+          return favourites;
+        })
+        .catch((error) => {
+          console.warn('Failed to load favourites:', error);
+          return [];
+        });
+    }
+    return FavouriteStar.loading;
+  }
+
+  // Plain fetch so signed-out visitors are not sent to the login page on load
+  static async fetchFavourites() {
+    const headers = {};
+    const client = window.supabaseClient || window.supabaseAuthClient;
+    if (client) {
+      const { data: { session } } = await client.auth.getSession();
+      if (session?.access_token) headers.Authorization = `Bearer ${session.access_token}`;
+    }
+    const response = await fetch('/api/favourites', { headers });
+    if (response.status === 401) return [];
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return (await response.json()).favourites;
+  }
+
+  static render(button, active) {
+    button.textContent = active ? '★' : '☆';
+    button.classList.toggle('active', active);
+    button.title = active ? 'Remove from favourites' : 'Add to favourites';
+    button.setAttribute('aria-pressed', String(active));
+  }
+
+  // Star button for a card. iconData: { type: 'iconify', id } or { type: 'generated', id }.
+  // onChange(active) runs after a successful toggle.
+  static create(iconData, onChange) {
+    const key = FavouriteStar.keyFor(iconData);
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'favourite-star';
+    FavouriteStar.render(button, FavouriteStar.keys.has(key));
+    if (!FavouriteStar.buttons.has(key)) FavouriteStar.buttons.set(key, new Set());
+    FavouriteStar.buttons.get(key).add(button);
+
+    button.addEventListener('click', async () => {
+      const active = !FavouriteStar.keys.has(key);
+      button.disabled = true;
+      try {
+        await FavouriteStar.save(iconData, active);
+        if (active) FavouriteStar.keys.add(key);
+        else FavouriteStar.keys.delete(key);
+        FavouriteStar.buttons.get(key).forEach((other) => {
+          if (other.isConnected) FavouriteStar.render(other, active);
+          else FavouriteStar.buttons.get(key).delete(other);
+        });
+        if (onChange) onChange(active);
+      } catch (error) {
+        console.error('Favourite update failed:', error);
+        button.title = error.message;
+      }
+      button.disabled = false;
+    });
+
+    FavouriteStar.load();
+    return button;
+  }
+
+  static async save(iconData, active) {
+    const { type, id } = iconData;
+    const response = active
+      ? await IconUtils.authenticatedFetch('/api/favourites', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ type, id })
+      })
+      : await IconUtils.authenticatedFetch(`/api/favourites?${new URLSearchParams({ type, id })}`, { method: 'DELETE' });
+    // Removing something that is already gone is fine
+    if (!response.ok && !(response.status === 404 && !active)) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `HTTP ${response.status}`);
+    }
+  }
+}
+
+window.FavouriteStar = FavouriteStar;
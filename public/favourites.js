@@ -0,0 +1,84 @@
+// Favourites page: the signed-in user's starred Iconify and generated icons,
+// newest first, with the same actions as the search and generated pages
+
+document.addEventListener('DOMContentLoaded', () => {
+  const resultsDiv = document.getElementById('results');
+  const typeSelect = document.getElementById('filterType');
+  const nameInput = document.getElementById('filterName');
+  const batch = new BatchDownload(resultsDiv); // multi-select for bulk zip downloads
+  let favourites = [];
+
+  function displayName(favourite) {
+    if (favourite.type === 'iconify') return favourite.id.split(':')[1].replace(/-/g, ' ');
+    return favourite.name || `Generated icon ${favourite.id}`;
+  }
+
+  function createCard(favourite) {
+    const card = document.createElement('div');
+    card.className = 'icon-card';
+    const name = displayName(favourite);
+
+    let preview;
+    let iconData;
+    if (favourite.type === 'iconify') {
+      preview = document.createElement('iconify-icon');
+      preview.setAttribute('icon', favourite.id);
+      preview.setAttribute('height', '32');
+      iconData = { type: 'iconify', id: favourite.id };
+    } else {
+      preview = document.createElement('img');
+      preview.alt = name;
+      preview.style.maxWidth = '100%'; preview.style.height = 'auto'; preview.style.aspectRatio = '1'; preview.style.objectFit = 'contain';
+      if (favourite.imageUrl) preview.src = `/proxy-image?url=${encodeURIComponent(favourite.imageUrl)}`;
+      iconData = { type: 'generated', imageUrl: favourite.imageUrl };
+    }
+
+    const nameEl = document.createElement('div');
+    nameEl.className = 'icon-name';
+    nameEl.textContent = name;
+    const libraryEl = document.createElement('div');
+    libraryEl.style.fontSize = '12px'; libraryEl.style.color = '#666';
+    libraryEl.textContent = favourite.type === 'iconify' ? favourite.library.replace(/-/g, ' ') : 'generated';
+
+    card.appendChild(preview);
+    card.appendChild(nameEl);
+    card.appendChild(libraryEl);
+    // Generated icons that were deleted since have nothing to download
+    if (favourite.type === 'iconify' || favourite.imageUrl) {
+      card.appendChild(IconUtils.createActionButtons(iconData, name.replace(/\s+/g, '-')));
+      batch.attach(card, { ...iconData, id: favourite.id }, name);
+    }
+    card.appendChild(FavouriteStar.create({ type: favourite.type, id: favourite.id }, (active) => {
+      if (active) return;
+      favourites = favourites.filter(other => other !== favourite);
+      card.remove();
+      if (!resultsDiv.children.length) render();
+    }));
+    return card;
+  }
+
+  function render() {
+    resultsDiv.innerHTML = '';
+    batch.reset();
+    const type = typeSelect.value;
+    const query = nameInput.value.trim().toLowerCase();
+    const shown = favourites.filter(favourite =>
+      (type === 'all' || favourite.type === type) &&
+      (!query || displayName(favourite).toLowerCase().includes(query) || favourite.id.toLowerCase().includes(query)));
+    if (!shown.length) {
+      resultsDiv.textContent = favourites.length ? 'No favourites match the filters.' : 'No favourites yet. Star icons in search results or on the Generated Icons page.';
+      return;
+    }
+    shown.forEach(favourite => resultsDiv.appendChild(createCard(favourite)));
+  }
+
+  typeSelect.addEventListener('change', render);
+  nameInput.addEventListener('input', () => { clearTimeout(nameInput._t); nameInput._t = setTimeout(render, 250); });
+
+  resultsDiv.textContent = 'Loading favourites...';
+  FavouriteStar.load().then((list) => {
+    favourites = list;
+    console.log(`✅ Loaded ${favourites.length} favourites`);
+    render();
+  });
+});
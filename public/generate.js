@@ -19,24 +19,84 @@ document.addEventListener('DOMContentLoaded', () => {
   const styleSelect = document.getElementById('styleSelect');
   const colorsInput = document.getElementById('colorsInput');
   const backgroundInput = document.getElementById('backgroundInput');
+  const variantsInput = document.getElementById('variantsInput');
+  const seedInput = document.getElementById('seedInput');
+  const modeSelect = document.getElementById('modeSelect');
+  const templateSelect = document.getElementById('templateSelect');
+  const modelSelect = document.getElementById('modelSelect');
+  const sizeSelect = document.getElementById('sizeSelect');
+  const variantsField = document.getElementById('variantsField');
+  const setSubjectsField = document.getElementById('setSubjectsField');
+  const setSubjectsInput = document.getElementById('setSubjectsInput');
+  const setSection = document.getElementById('setSection');
+  const setTitle = document.getElementById('setTitle');
+  const setSummary = document.getElementById('setSummary');
+  const setResult = document.getElementById('setResult');
+  const downloadSetBtn = document.getElementById('downloadSetBtn');
+  const referenceFields = document.getElementById('referenceFields');
+  const referenceInput = document.getElementById('referenceInput');
+  const referenceFileInput = document.getElementById('referenceFileInput');
+  const referenceStrengthInput = document.getElementById('referenceStrengthInput');
+  const referenceStrengthValue = document.getElementById('referenceStrengthValue');
+
+  const MAX_VARIANTS = 8;
+  const MAX_SEED = 2147483647;
+  const MAX_SET_SUBJECTS = 6; // larger sets need the API's async jobs
 
   let lastGeneratedUrl = null;
   let supabaseClient = null;
   let currentUserId = null;
+  let currentSet = null;
+  let promptTemplates = [];
+  let imageModels = [];
+
+  // public/prompt-template.js renders templates the same way the server does
+  const { DEFAULT_TEMPLATE, renderTemplate } = window.PromptTemplate;
+
+  function selectedTemplate() {
+    return promptTemplates.find(t => t.id === templateSelect?.value) || promptTemplates[0] || null;
+  }
+
+  async function loadPromptTemplates() {
+    try {
+      const response = await fetch('/api/prompt-templates');
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const json = await response.json();
+      promptTemplates = Array.isArray(json.templates) ? json.templates : [];
+    } catch (e) {
+      logError('Failed to load prompt templates');
+      promptTemplates = [];
+    }
+    // The server falls back to the same built-in template
+    if (promptTemplates.length === 0) promptTemplates = [DEFAULT_TEMPLATE];
+    if (templateSelect) {
+      templateSelect.innerHTML = '';
+      promptTemplates.forEach((template) => {
+        const option = document.createElement('option');
+        option.value = template.id;
+        option.textContent = `${template.name} (v${template.version})`;
+        option.title = template.description || '';
+        templateSelect.appendChild(option);
+      });
+    }
+    buildPrompt();
+  }
 
   function buildPrompt() {
-    const subject = (iconSubjectInput?.value || '').trim() || 'generic icon';
-    const context = (contextInput?.value || '').trim();
-    const style = (styleSelect?.value || 'outline').trim();
-    const colors = (colorsInput?.value || 'black and white').trim();
-    const background = (backgroundInput?.value || 'white').trim();
-    const contextPart = context ? ` for ${context}` : '';
-    const prompt = `Design a simple, flat, minimalist icon of a ${subject}${contextPart} ${style} style, ${colors} colors, ${background} background, evenly spaced elements. Maintain geometric balance and consistent stroke width, no text, only icon.`;
+    const template = selectedTemplate();
+    if (!template) return '';
+    const prompt = renderTemplate(template.body, {
+      subject: (iconSubjectInput?.value || '').trim() || 'generic icon',
+      context: (contextInput?.value || '').trim(),
+      style: (styleSelect?.value || 'outline').trim(),
+      colors: (colorsInput?.value || 'black and white').trim(),
+      background: (backgroundInput?.value || 'white').trim()
+    });
     if (promptInput) promptInput.value = prompt;
     return prompt;
   }
 
-  buildPrompt();
+  loadPromptTemplates();
 
   // Initialize Settings first
   if (window.Settings) {
@@ -97,6 +157,60 @@ document.addEventListener('DOMContentLoaded', () => {
     logError('Database configuration missing');
   }
 
+  // Model picker: every registered model, with the ones the user's plan excludes disabled
+  async function loadModels() {
+    let defaultModel = null;
+    try {
+      const response = await fetch('/api/models', { headers: await getAuthHeaders() });
+      const json = await response.json();
+      imageModels = Array.isArray(json.models) ? json.models : [];
+      defaultModel = json.defaultModel || null;
+    } catch (e) {
+      logError('Failed to load models');
+      imageModels = [];
+    }
+    if (!modelSelect) return;
+    modelSelect.innerHTML = '';
+    imageModels.forEach((model) => {
+      const option = document.createElement('option');
+      option.value = model.id;
+      option.textContent = model.allowed ? model.name : `${model.name} (upgrade required)`;
+      option.title = model.description || '';
+      option.disabled = !model.allowed;
+      modelSelect.appendChild(option);
+    });
+    const preferred = imageModels.find(m => m.id === defaultModel && m.allowed) || imageModels.find(m => m.allowed);
+    if (preferred) modelSelect.value = preferred.id;
+    updateSizeOptions();
+  }
+
+  function selectedModel() {
+    return imageModels.find(m => m.id === modelSelect?.value) || null;
+  }
+
+  function updateSizeOptions() {
+    if (!sizeSelect) return;
+    const model = selectedModel();
+    sizeSelect.innerHTML = '';
+    (model ? model.sizes : []).forEach((size, index) => {
+      const option = document.createElement('option');
+      option.value = `${size.width}x${size.height}`;
+      option.textContent = `${size.width} × ${size.height}${index === 0 ? ' (default)' : ''}`;
+      sizeSelect.appendChild(option);
+    });
+  }
+
+  // { model, width, height } for the request; the server picks its default model when none is loaded
+  function selectedModelParams() {
+    const model = selectedModel();
+    if (!model) return {};
+    const [width, height] = (sizeSelect?.value || '').split('x').map(Number);
+    return width && height ? { model: model.id, width, height } : { model: model.id };
+  }
+
+  if (modelSelect) modelSelect.addEventListener('change', updateSizeOptions);
+  loadModels();
+
   function normalize(str) { return (str || '').toString().trim(); }
   function buildIconName({ subject, context, style, colors, background }) { return `${normalize(subject)} ${normalize(context)} ${normalize(style)} ${normalize(colors)} ${normalize(background)}`.replace(/\s+/g, ' ').trim(); }
   async function computeStableHash(input) { const enc = new TextEncoder(); const data = enc.encode(input); const d = await crypto.subtle.digest('SHA-256', data); return Array.from(new Uint8Array(d)).map(b=>b.toString(16).padStart(2,'0')).join(''); }
@@ -111,7 +225,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
   let isFlushingQueue = false;
 
-  async function saveGeneratedIcon({ generatedImageUrl, promptParts }) {
+  async function saveGeneratedIcon({ generatedImageUrl, promptParts, seed, template, reference }) {
     // Save only the original Runware URL and metadata
     const payload = { 
       subject: normalize(promptParts.subject), 
@@ -124,6 +238,16 @@ document.addEventListener('DOMContentLoaded', () => {
     };
     const deterministic_id = await computeStableHash(`${payload.icon_name}|${payload.image_url}`);
     const record = { ...payload, deterministic_id };
+    if (seed) {
+      record.seed = seed;
+    }
+    if (template) {
+      record.template_id = template.id;
+      record.template_version = template.version;
+    }
+    if (reference) {
+      record.reference = reference;
+    }
     if (currentUserId) {
       record.user_id = currentUserId;
     }
@@ -187,34 +311,79 @@ document.addEventListener('DOMContentLoaded', () => {
   window.addEventListener('online', () => { flushSaveQueue(); });
   flushSaveQueue();
 
-  [iconSubjectInput, contextInput, styleSelect, colorsInput, backgroundInput].forEach((el) => { if (el) el.addEventListener('input', buildPrompt); if (el && el.tagName==='SELECT') el.addEventListener('change', buildPrompt); });
+  [iconSubjectInput, contextInput, styleSelect, colorsInput, backgroundInput, templateSelect].forEach((el) => { if (el) el.addEventListener('input', buildPrompt); if (el && el.tagName==='SELECT') el.addEventListener('change', buildPrompt); });
 
-  async function generateImage() {
-    const prompt = buildPrompt().trim(); if (!prompt) { errorMessage.textContent='Please enter a description for the image.'; errorSection.classList.remove('hidden'); return; }
-    setLoadingState(true); errorSection.classList.add('hidden'); resultSection.classList.add('hidden');
-    const model = 'google:2@3';
-    try {
-      const result = await tryGenerateWithModel(prompt, model);
-      if (result) {
-        lastGeneratedUrl = result.imageURL; 
-        
-        // Save metadata with original URL
-        const promptParts = { subject: iconSubjectInput?.value || '', context: contextInput?.value || '', style: styleSelect?.value || '', colors: colorsInput?.value || '', background: backgroundInput?.value || '' };
-        await saveGeneratedIcon({ generatedImageUrl: result.imageURL, promptParts });
-        displayGeneratedImage(result.imageURL);
-        
-        svgSection.classList.add('hidden'); svgResult.innerHTML='';
-      }
-    } catch (err) {
-      errorMessage.textContent = `Generation failed: ${err.message || 'Unknown error'}`; errorSection.classList.remove('hidden');
-    } finally { setLoadingState(false); }
+  // Variant count (1-8) and optional seed from the form
+  function readVariantOptions() {
+    const variants = Math.max(1, Math.min(MAX_VARIANTS, parseInt(variantsInput?.value, 10) || 1));
+    const rawSeed = (seedInput?.value || '').trim();
+    if (!rawSeed) return { variants, seed: null };
+    const seed = Number(rawSeed);
+    if (!Number.isInteger(seed) || seed < 1 || seed > MAX_SEED) throw new Error(`Seed must be a whole number between 1 and ${MAX_SEED}`);
+    return { variants, seed };
   }
 
-  async function tryGenerateWithModel(prompt, model) {
-    const taskUUID = 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => { const r = Math.random()*16|0, v = c==='x'?r:(r&0x3|0x8); return v.toString(16); });
-    const payload = [{ taskType:'imageInference', taskUUID, positivePrompt: prompt, width:1024, height:1024, model, numberResults:1 }];
-    
-    // Add authorization header if user is logged in
+  // Set mode swaps the single subject and variant count for a list of subjects
+  function isSetMode() { return modeSelect?.value === 'set'; }
+  function updateModeFields() {
+    const setMode = isSetMode();
+    iconSubjectInput?.closest('.field')?.classList.toggle('hidden', setMode);
+    variantsField?.classList.toggle('hidden', setMode);
+    referenceFields?.classList.toggle('hidden', setMode);
+    setSubjectsField?.classList.toggle('hidden', !setMode);
+    generateBtn.textContent = setMode ? 'Generate Icon Set' : 'Generate Image';
+  }
+  if (modeSelect) modeSelect.addEventListener('change', updateModeFields);
+  updateModeFields();
+
+  // Reference to restyle: an uploaded file wins over the text field, which takes an
+  // Iconify id ("tabler:home") or a generated icon id ("#123"); null when empty
+  const REFERENCE_UPLOAD_SIZE = 512;
+  async function readReference() {
+    const strength = Number(referenceStrengthInput?.value) || 0.7;
+    const file = referenceFileInput?.files?.[0];
+    if (file) return { type: 'upload', data: await imageFileToDataUrl(file), strength };
+    const raw = (referenceInput?.value || '').trim();
+    if (!raw) return null;
+    if (/^#?\d+$/.test(raw)) return { type: 'generated', id: Number(raw.replace('#', '')), strength };
+    if (/^[a-z0-9-]+:[a-z0-9_-]+$/i.test(raw)) return { type: 'iconify', id: raw.toLowerCase(), strength };
+    throw new Error('Reference must be an Iconify id like tabler:home or a generated icon id like #123');
+  }
+
+  // Downscale uploads in the browser so the request stays small
+  function imageFileToDataUrl(file) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(file);
+      const img = new Image();
+      img.onload = () => {
+        const scale = Math.min(1, REFERENCE_UPLOAD_SIZE / Math.max(img.naturalWidth || REFERENCE_UPLOAD_SIZE, img.naturalHeight || REFERENCE_UPLOAD_SIZE));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round((img.naturalWidth || REFERENCE_UPLOAD_SIZE) * scale));
+        canvas.height = Math.max(1, Math.round((img.naturalHeight || REFERENCE_UPLOAD_SIZE) * scale));
+        canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+        URL.revokeObjectURL(url);
+        resolve(canvas.toDataURL('image/png'));
+      };
+      img.onerror = () => { URL.revokeObjectURL(url); reject(new Error('Could not read the reference image')); };
+      img.src = url;
+    });
+  }
+
+  if (referenceStrengthInput && referenceStrengthValue) {
+    referenceStrengthInput.addEventListener('input', () => { referenceStrengthValue.textContent = referenceStrengthInput.value; });
+  }
+
+  // ?reference=tabler:home (e.g. from a search result) prefills the reference field
+  const referenceParam = new URLSearchParams(window.location.search).get('reference');
+  if (referenceParam && referenceInput) referenceInput.value = referenceParam;
+
+  function readSetSubjects() {
+    const subjects = (setSubjectsInput?.value || '').split('\n').map(s => s.trim()).filter(Boolean);
+    if (subjects.length < 2 || subjects.length > MAX_SET_SUBJECTS) throw new Error(`Enter between 2 and ${MAX_SET_SUBJECTS} subjects, one per line`);
+    return subjects;
+  }
+
+  async function getAuthHeaders() {
     const headers = { 'Content-Type': 'application/json' };
     if (supabaseClient) {
       try {
@@ -226,39 +395,199 @@ document.addEventListener('DOMContentLoaded', () => {
         // Ignore auth errors for tracking
       }
     }
+    return headers;
+  }
+
+  async function redirectToLogin(response) {
+    const errorData = await response.json().catch(() => ({}));
+    console.warn('Authentication required for image generation');
+    if (errorData.redirect) {
+      const current = new URL(window.location.href);
+      window.location.href = `${errorData.redirect}?redirect=${encodeURIComponent(current.pathname)}`;
+    } else {
+      window.location.href = `/login.html?redirect=${encodeURIComponent(window.location.pathname)}`;
+    }
+  }
+
+  async function generateIconSet() {
+    let subjects;
+    let seed;
+    try {
+      subjects = readSetSubjects();
+      seed = readVariantOptions().seed;
+    } catch (e) { showError(e.message); return; }
+    setLoadingState(true); errorSection.classList.add('hidden'); resultSection.classList.add('hidden'); setSection.classList.add('hidden');
+    try {
+      const body = {
+        subjects,
+        context: (contextInput?.value || '').trim(),
+        style: (styleSelect?.value || 'outline').trim(),
+        colors: (colorsInput?.value || 'black and white').trim(),
+        background: (backgroundInput?.value || 'white').trim(),
+        removeBackground: window.Settings ? window.Settings.get('removeBackground') !== false : true
+      };
+      if (seed) body.seed = seed;
+      if (selectedTemplate()) body.template = selectedTemplate().id;
+      Object.assign(body, selectedModelParams());
+      const response = await fetch('/api/generate/set', { method: 'POST', headers: await getAuthHeaders(), body: JSON.stringify(body) });
+      if (response.status === 401) { await redirectToLogin(response); return; }
+      const json = await response.json().catch(() => ({}));
+      if (!response.ok || !json.set) {
+        const detail = Array.isArray(json.errors) ? `: ${json.errors.join(', ')}` : '';
+        throw new Error(`${json.error || `Request failed (${response.status})`}${detail}`);
+      }
+      displayIconSet(json.set);
+    } catch (err) {
+      showError(`Set generation failed: ${err.message || 'Unknown error'}`);
+    } finally { setLoadingState(false); }
+  }
+
+  function displayIconSet(set) {
+    currentSet = set;
+    setTitle.textContent = set.name;
+    setSummary.textContent = `${set.icons.length} icons · ${set.parameters.style} · seed ${set.seed}`;
+    setResult.innerHTML = '';
+    set.icons.forEach((icon) => {
+      const item = document.createElement('div');
+      item.className = 'set-item';
+      item.innerHTML = icon.svg;
+      const label = document.createElement('span');
+      label.textContent = icon.subject;
+      item.appendChild(label);
+      setResult.appendChild(item);
+    });
+    setSection.classList.remove('hidden');
+  }
+
+  async function downloadIconSet() {
+    if (!currentSet) return;
+    try {
+      const response = await fetch(currentSet.downloadUrl, { headers: await getAuthHeaders() });
+      if (response.status === 401) { await redirectToLogin(response); return; }
+      if (!response.ok) throw new Error(`Download failed (${response.status})`);
+      const blob = await response.blob();
+      const match = /filename="([^"]+)"/.exec(response.headers.get('Content-Disposition') || '');
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = match ? match[1] : 'icon-set.zip';
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    } catch (err) {
+      showError(err.message);
+    }
+  }
+  if (downloadSetBtn) downloadSetBtn.addEventListener('click', downloadIconSet);
+
+  async function generateImage() {
+    if (isSetMode()) return generateIconSet();
+    if (!promptTemplates.length) await loadPromptTemplates();
+    const template = selectedTemplate();
+    const prompt = buildPrompt().trim(); if (!prompt) { errorMessage.textContent='Prompt templates are unavailable, please try again.'; errorSection.classList.remove('hidden'); return; }
+    let options;
+    let reference;
+    try {
+      options = readVariantOptions();
+      reference = await readReference();
+    } catch (e) { showError(e.message); return; }
+    setLoadingState(true); errorSection.classList.add('hidden'); resultSection.classList.add('hidden'); setSection.classList.add('hidden');
+    try {
+      const results = await tryGenerateWithModel(prompt, { ...selectedModelParams(), ...(reference && { reference }) }, options);
+      if (results && results.length) {
+        lastGeneratedUrl = results[0].imageURL; 
+        
+        // Save metadata with original URL and seed for every variant
+        const promptParts = { subject: iconSubjectInput?.value || '', context: contextInput?.value || '', style: styleSelect?.value || '', colors: colorsInput?.value || '', background: backgroundInput?.value || '' };
+        for (const result of results) {
+          await saveGeneratedIcon({ generatedImageUrl: result.imageURL, promptParts, seed: result.seed, template: { id: template.id, version: template.version }, reference: result.reference });
+        }
+        displayGeneratedImages(results);
+        
+        svgSection.classList.add('hidden'); svgResult.innerHTML='';
+      }
+    } catch (err) {
+      errorMessage.textContent = `Generation failed: ${err.message || 'Unknown error'}`; errorSection.classList.remove('hidden');
+    } finally { setLoadingState(false); }
+  }
+
+  function randomSeed() {
+    const buf = new Uint32Array(1);
+    crypto.getRandomValues(buf);
+    return (buf[0] % MAX_SEED) + 1;
+  }
+
+  // One task per variant with seeds seed, seed+1, ... so each result can be reproduced on its own
+  async function tryGenerateWithModel(prompt, taskParams, { variants = 1, seed = null } = {}) {
+    const baseSeed = seed || randomSeed();
+    const payload = Array.from({ length: variants }, (_, i) => {
+      const taskUUID = 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => { const r = Math.random()*16|0, v = c==='x'?r:(r&0x3|0x8); return v.toString(16); });
+      return { taskType:'imageInference', taskUUID, positivePrompt: prompt, ...taskParams, numberResults:1, seed: ((baseSeed - 1 + i) % MAX_SEED) + 1 };
+    });
+
+    // Add authorization header if user is logged in
+    const headers = await getAuthHeaders();
     
     const response = await fetch('/api/generate', { method:'POST', headers, body: JSON.stringify(payload) });
     
     // Handle authentication errors
     if (response.status === 401) {
-      const errorData = await response.json().catch(() => ({}));
-      console.warn('Authentication required for image generation');
-      if (errorData.redirect) {
-        const current = new URL(window.location.href);
-        window.location.href = `${errorData.redirect}?redirect=${encodeURIComponent(current.pathname)}`;
-      } else {
-        window.location.href = `/login.html?redirect=${encodeURIComponent(window.location.pathname)}`;
-      }
+      await redirectToLogin(response);
       return;
     }
     
     const text = await response.text(); let json; try { json = JSON.parse(text || '{}'); } catch { throw new Error(`Bad response (${response.status})`); }
-    if (!response.ok || json.error || json.errors) { const msg = (Array.isArray(json?.error) && json.error[0]?.message) || (Array.isArray(json?.errors) && json.errors[0]?.message) || json?.message || 'Request failed'; throw new Error(msg); }
-    const result = Array.isArray(json?.data) ? json.data.find(d => d.taskType === 'imageInference') : null; if (!result || !result.imageURL) throw new Error('Image generation failed'); return result;
+    if (!response.ok || json.error || json.errors) { const msg = (Array.isArray(json?.error) && json.error[0]?.message) || (Array.isArray(json?.errors) && json.errors[0]?.message) || (typeof json?.error === 'string' && json.error) || json?.message || 'Request failed'; throw new Error(msg); }
+    const images = Array.isArray(json?.data) ? json.data.filter(d => d.taskType === 'imageInference' && d.imageURL) : [];
+    if (!images.length) throw new Error('Image generation failed');
+    // Keep submission order and attach the seed each task was sent with
+    return payload
+      .map(task => {
+        const image = images.find(d => d.taskUUID === task.taskUUID);
+        return image ? { ...image, seed: task.seed } : null;
+      })
+      .filter(Boolean);
   }
 
 
-  function displayGeneratedImage(imageURL) { 
-    imageResult.innerHTML = `<img src="${imageURL}" alt="Generated image" />`;
-    resultSection.classList.remove('hidden');
+  function displayGeneratedImages(results) { 
+    imageResult.innerHTML = '';
+    const grid = document.createElement('div');
+    grid.className = results.length > 1 ? 'variant-grid' : '';
+    
+    results.forEach((result, index) => {
+      const card = document.createElement('div');
+      card.className = 'variant-card';
+      const img = document.createElement('img');
+      img.src = result.imageURL;
+      img.alt = `Generated image ${index + 1}`;
+      card.appendChild(img);
+      
+      // Seed label with a shortcut to reproduce this variant
+      const seedRow = document.createElement('div');
+      seedRow.className = 'variant-seed';
+      seedRow.innerHTML = `Seed <code>${result.seed}</code>`;
+      const useSeedBtn = document.createElement('button');
+      useSeedBtn.type = 'button';
+      useSeedBtn.className = 'use-seed-btn';
+      useSeedBtn.textContent = 'Use seed';
+      useSeedBtn.onclick = () => {
+        if (seedInput) seedInput.value = result.seed;
+        if (variantsInput) variantsInput.value = '1';
+      };
+      seedRow.appendChild(useSeedBtn);
+      card.appendChild(seedRow);
+      
+      // Unified action buttons per variant
+      const iconData = { type: 'generated', imageUrl: result.imageURL };
+      const filename = `generated-icon-${result.seed}`;
+      card.appendChild(IconUtils.createActionButtons(iconData, filename));
+      grid.appendChild(card);
+    });
     
-    // Create unified action buttons
-    const unifiedActionsContainer = document.getElementById('unifiedActions');
-    const iconData = { type: 'generated', imageUrl: imageURL };
-    const filename = `generated-icon-${Date.now()}`;
-    const actions = IconUtils.createActionButtons(iconData, filename);
-    unifiedActionsContainer.innerHTML = '';
-    unifiedActionsContainer.appendChild(actions);
+    imageResult.appendChild(grid);
+    resultSection.classList.remove('hidden');
+    document.getElementById('unifiedActions').innerHTML = '';
     
     // Keep regenerate button functionality
     const regenerateBtn = document.getElementById('regenerateBtn');
@@ -269,7 +598,7 @@ document.addEventListener('DOMContentLoaded', () => {
       iconSubjectInput?.focus(); 
     };
   }
-  function setLoadingState(loading){ if(loading){ generateBtn.disabled=true; generateBtn.textContent='Generating...'; loadingSpinner.classList.remove('hidden'); } else { generateBtn.disabled=false; generateBtn.textContent='Generate Image'; loadingSpinner.classList.add('hidden'); } }
+  function setLoadingState(loading){ if(loading){ generateBtn.disabled=true; generateBtn.textContent='Generating...'; loadingSpinner.classList.remove('hidden'); } else { generateBtn.disabled=false; generateBtn.textContent=isSetMode() ? 'Generate Icon Set' : 'Generate Image'; loadingSpinner.classList.add('hidden'); } }
   function showError(message){ errorMessage.textContent=message; errorSection.classList.remove('hidden'); }
 
   // Utility functions for development
@@ -1,31 +1,44 @@
-// Generated Icons page: lists icons saved to Supabase with filters and provides Copy SVG
+// Generated Icons page: pages through /api/generated-icons with infinite scroll,
+// with search, exact filters and sorting done by the server, and provides Copy SVG
 
 document.addEventListener('DOMContentLoaded', () => {
   const resultsDiv = document.getElementById('results');
+  const loadMoreDiv = document.getElementById('loadMore');
+  const queryInput = document.getElementById('filterQuery');
   const subjectInput = document.getElementById('filterSubject');
   const styleInput = document.getElementById('filterStyle');
   const colorsInput = document.getElementById('filterColors');
   const backgroundInput = document.getElementById('filterBackground');
+  const sortSelect = document.getElementById('sortSelect');
+  const batch = new BatchDownload(resultsDiv); // multi-select for bulk zip downloads
+  const filterInputs = { subject: subjectInput, style: styleInput, colors: colorsInput, background: backgroundInput };
+  const seenValues = { subject: new Set(), style: new Set(), colors: new Set(), background: new Set() }; // datalist suggestions
 
-  // Create fresh anonymous client to ensure no user filtering
-  const client = typeof supabase !== 'undefined' ? supabase.createClient(SUPABASE_URL, SUPABASE_ANON_KEY) : null;
+  let nextCursor = null;
+  let loading = false;
+  let exhausted = false;
+  let requestId = 0; // a newer filter change discards pages still in flight
 
   function normalize(str) { return (str || '').toString().trim(); }
   function logInfo(msg){ console.log(`ℹ️ ${msg}`);} function logSuccess(msg){ console.log(`✅ ${msg}`);} function logWarning(msg){ console.warn(`⚠️ ${msg}`);} function logError(msg){ console.error(`❌ ${msg}`);} 
 
-  async function fetchIcons() {
-    if (!client) { logError('Database not available'); resultsDiv.textContent = 'Database is not configured.'; return []; }
-    try {
-      logInfo('Loading icons...');
-      const { data, error } = await client
-        .from('generated_icons')
-        .select('*')
-        .order('created_at', { ascending: false })
-        .limit(500);
-      if (error) { logError('Failed to load icons'); resultsDiv.textContent = `Failed to load icons: ${error.message}`; return []; }
-      logSuccess(`Loaded ${data?.length || 0} icons`);
-      return data || [];
-    } catch (err) { logError('Network error occurred'); resultsDiv.textContent = 'Failed to load icons due to network error.'; return []; }
+  function pageUrl() {
+    const params = new URLSearchParams({ sort: sortSelect.value, limit: '50' });
+    const q = normalize(queryInput.value);
+    if (q) params.set('q', q);
+    Object.entries(filterInputs).forEach(([field, input]) => { const value = normalize(input.value); if (value) params.set(field, value); });
+    if (nextCursor) params.set('cursor', nextCursor);
+    return `/api/generated-icons?${params}`;
+  }
+
+  async function fetchPage() {
+    const response = await fetch(pageUrl());
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const details = data.details?.errors ? `: ${data.details.errors.join(', ')}` : '';
+      throw new Error(`${data.error || `HTTP ${response.status}`}${details}`);
+    }
+    return data;
   }
 
   // Local vectorization using ImageTracer (client-side, fast for icons)
@@ -61,42 +74,92 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 
 
-  function render(icons) {
-    resultsDiv.innerHTML = '';
-    if (!icons.length) { resultsDiv.textContent = 'No icons found.'; return; }
-    icons.forEach((row) => {
-      const card = document.createElement('div'); card.className = 'icon-card';
+  function createCard(icon) {
+    const card = document.createElement('div'); card.className = 'icon-card';
+
+    // Always use the original Runware URL (proxied) for display
+    const displayUrl = `/proxy-image?url=${encodeURIComponent(icon.imageUrl)}`;
 
-      // Always use the original Runware URL (proxied) for display
-      const displayUrl = `/proxy-image?url=${encodeURIComponent(row.image_url)}`;
+    const img = document.createElement('img'); img.src = displayUrl; img.alt = icon.name; img.loading = 'lazy'; img.style.maxWidth = '100%'; img.style.height = 'auto'; img.style.aspectRatio = '1'; img.style.objectFit = 'contain';
 
-      const img = document.createElement('img'); img.src = displayUrl; img.alt = row.icon_name; img.style.maxWidth = '100%'; img.style.height = 'auto'; img.style.aspectRatio = '1'; img.style.objectFit = 'contain';
+    const nameEl = document.createElement('div'); nameEl.className = 'icon-name'; nameEl.textContent = icon.name;
+    const info = document.createElement('div'); info.style.fontSize = '12px'; info.style.color = '#666'; info.textContent = `${icon.subject} | ${icon.style} | ${icon.colors} | ${icon.background}`;
 
-      const nameEl = document.createElement('div'); nameEl.className = 'icon-name'; nameEl.textContent = row.icon_name;
-      const info = document.createElement('div'); info.style.fontSize = '12px'; info.style.color = '#666'; info.textContent = `${row.subject} | ${row.style} | ${row.colors} | ${row.background}`;
+    // Create unified action buttons
+    const iconData = { type: 'generated', imageUrl: icon.imageUrl };
+    const filename = icon.name.replace(/\s+/g, '-');
+    const actions = IconUtils.createActionButtons(iconData, filename);
 
-      // Create unified action buttons
-      const iconData = { type: 'generated', imageUrl: row.image_url };
-      const filename = row.icon_name.replace(/\s+/g, '-');
-      const actions = IconUtils.createActionButtons(iconData, filename);
+    card.appendChild(img); card.appendChild(nameEl); card.appendChild(info); card.appendChild(actions);
+    card.appendChild(FavouriteStar.create({ type: 'generated', id: icon.id }));
+    batch.attach(card, { ...iconData, id: icon.id }, icon.name);
+    return card;
+  }
 
-      card.appendChild(img); card.appendChild(nameEl); card.appendChild(info); card.appendChild(actions); resultsDiv.appendChild(card);
+  // Offer values seen so far as suggestions for the exact-match filters
+  function rememberValues(icons) {
+    Object.keys(seenValues).forEach((field) => {
+      const list = document.getElementById(`${field}Options`);
+      icons.forEach((icon) => {
+        if (!icon[field] || seenValues[field].has(icon[field])) return;
+        seenValues[field].add(icon[field]);
+        const option = document.createElement('option'); option.value = icon[field];
+        list.appendChild(option);
+      });
     });
   }
 
-  async function applyFilters() {
-    let icons = await fetchIcons();
-    const subject = normalize(subjectInput.value); const style = normalize(styleInput.value); const colors = normalize(colorsInput.value); const background = normalize(backgroundInput.value);
-    if (subject) icons = icons.filter((r) => r.subject?.toLowerCase().includes(subject.toLowerCase()));
-    if (style) icons = icons.filter((r) => r.style?.toLowerCase().includes(style.toLowerCase()));
-    if (colors) icons = icons.filter((r) => r.colors?.toLowerCase().includes(colors.toLowerCase()));
-    if (background) icons = icons.filter((r) => r.background?.toLowerCase().includes(background.toLowerCase()));
-    render(icons);
+  async function loadNextPage() {
+    if (loading || exhausted) return;
+    loading = true;
+    const current = requestId;
+    loadMoreDiv.textContent = 'Loading icons...';
+    try {
+      logInfo('Loading icons...');
+      const { icons, nextCursor: cursor } = await fetchPage();
+      if (current !== requestId) return;
+      icons.forEach(icon => resultsDiv.appendChild(createCard(icon)));
+      rememberValues(icons);
+      nextCursor = cursor;
+      exhausted = !cursor;
+      logSuccess(`Loaded ${icons.length} icons`);
+      if (!resultsDiv.children.length) resultsDiv.textContent = 'No icons found.';
+      loadMoreDiv.textContent = '';
+    } catch (err) {
+      if (current !== requestId) return;
+      logError('Failed to load icons');
+      loadMoreDiv.textContent = `Failed to load icons: ${err.message}`;
+      exhausted = true;
+    } finally {
+      if (current === requestId) loading = false;
+    }
+    // Keep loading while the sentinel is still on screen (short pages, tall windows)
+    if (current === requestId && !exhausted && isSentinelVisible()) loadNextPage();
+  }
+
+  function isSentinelVisible() {
+    return loadMoreDiv.getBoundingClientRect().top < window.innerHeight + 400;
   }
 
-  [subjectInput, styleInput, colorsInput, backgroundInput].forEach((el) => { el.addEventListener('input', () => { clearTimeout(el._t); el._t = setTimeout(applyFilters, 250); }); });
+  // Start over from the first page with the current filters
+  function reload() {
+    requestId++;
+    loading = false;
+    exhausted = false;
+    nextCursor = null;
+    resultsDiv.innerHTML = '';
+    batch.reset();
+    loadNextPage();
+  }
+
+  new IntersectionObserver((entries) => {
+    if (entries.some(entry => entry.isIntersecting)) loadNextPage();
+  }, { rootMargin: '400px' }).observe(loadMoreDiv);
+
+  [queryInput, subjectInput, styleInput, colorsInput, backgroundInput].forEach((el) => { el.addEventListener('input', () => { clearTimeout(el._t); el._t = setTimeout(reload, 250); }); });
+  sortSelect.addEventListener('change', reload);
 
-  applyFilters();
+  reload();
 });
 
 
@@ -197,6 +197,97 @@ class IconUtils {
     }
   }
   
+  // Server-rendered formats offered next to PNG/SVG: format -> [label, file extension]
+  static SERVER_FORMATS = {
+    webp: ['WebP', 'webp'],
+    avif: ['AVIF', 'avif'],
+    ico: ['ICO', 'ico'],
+    pdf: ['PDF', 'pdf']
+  };
+  
+  // Framework components offered by the Component menu: framework -> label
+  static COMPONENT_FRAMEWORKS = {
+    react: 'React',
+    vue: 'Vue',
+    svelte: 'Svelte'
+  };
+  
+  // Helper: Download a format rendered by /api/icons/download
+  // (downloadName null keeps the server's file name)
+  static async serverDownload(iconData, downloadName, format, extraParams = {}) {
+    const params = new URLSearchParams({ type: iconData.type, format });
+    if (iconData.type === 'iconify') {
+      params.set('id', iconData.id);
+    } else if (iconData.type === 'generated') {
+      params.set('url', iconData.imageUrl);
+    } else {
+      throw new Error(`${format} downloads need an Iconify or generated icon`);
+    }
+    Object.entries(extraParams).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) params.set(key, String(value));
+    });
+    
+    const response = await this.authenticatedFetch(`/api/icons/download?${params.toString()}`);
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `HTTP ${response.status}`);
+    }
+    
+    const blob = await response.blob();
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = downloadName || (response.headers.get('Content-Disposition') || '').match(/filename="([^"]+)"/)?.[1] || `icon.${format}`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
+  
+  // Download icon as WebP, AVIF, ICO or PDF using the export settings
+  static async downloadFormat(iconData, filename = 'icon', format) {
+    try {
+      console.log(`Starting ${format} download for:`, iconData);
+      const [, extension] = this.SERVER_FORMATS[format];
+      const exportParams = window.Settings ? window.Settings.getExportParams() : {};
+      // ICO entries stop at 256px; PDF is vector, so quality does not apply
+      const size = format === 'ico' ? Math.min(exportParams.size || 256, 256) : exportParams.size;
+      await this.serverDownload(iconData, `${filename}.${extension}`, format, {
+        size,
+        background: exportParams.background,
+        quality: format === 'pdf' ? undefined : exportParams.quality
+      });
+      console.log(`${format} download completed`);
+    } catch (error) {
+      console.error(`${format} download failed:`, error);
+      throw new Error(`${format.toUpperCase()} download failed: ${error.message}`);
+    }
+  }
+  
+  // Download iOS AppIcon.appiconset and Android mipmap icons as a zip (rendered server-side)
+  static async downloadAppIcons(iconData, filename = 'icon') {
+    try {
+      console.log('Starting app icon download for:', iconData);
+      await this.serverDownload(iconData, `${filename}-app-icons.zip`, 'app-icons');
+      console.log('App icon download completed');
+    } catch (error) {
+      console.error('App icon download failed:', error);
+      throw new Error(`App icon download failed: ${error.message}`);
+    }
+  }
+  
+  // Download a React/Vue/Svelte component named after the icon
+  static async downloadComponent(iconData, framework) {
+    try {
+      console.log(`Starting ${framework} component download for:`, iconData);
+      await this.serverDownload(iconData, null, framework);
+      console.log(`${framework} component download completed`);
+    } catch (error) {
+      console.error(`${framework} component download failed:`, error);
+      throw new Error(`Component download failed: ${error.message}`);
+    }
+  }
+  
   // Copy SVG code to clipboard
   static async copySVGCode(iconData) {
     try {
@@ -480,9 +571,110 @@ class IconUtils {
       }
     });
     
+    // Download iOS/Android app icons button (needs a server-side source)
+    let appBtn = null;
+    if (iconData.type === 'iconify' || iconData.type === 'generated') {
+      appBtn = document.createElement('button');
+      appBtn.className = 'action-btn app-btn';
+      appBtn.textContent = 'App Icons';
+      appBtn.title = 'iOS AppIcon.appiconset and Android mipmap icons (zip)';
+      appBtn.addEventListener('click', async () => {
+        const originalText = appBtn.textContent;
+        try {
+          appBtn.disabled = true;
+          appBtn.textContent = 'Downloading...';
+          await IconUtils.downloadAppIcons(iconData, filename);
+          appBtn.textContent = 'Downloaded!';
+          setTimeout(() => {
+            appBtn.textContent = originalText;
+            appBtn.disabled = false;
+          }, 1500);
+        } catch (error) {
+          appBtn.textContent = 'Error';
+          setTimeout(() => {
+            appBtn.textContent = originalText;
+            appBtn.disabled = false;
+          }, 1500);
+        }
+      });
+    }
+    
+    // More formats menu (WebP, AVIF, ICO, PDF; needs a server-side source)
+    let formatSelect = null;
+    if (iconData.type === 'iconify' || iconData.type === 'generated') {
+      formatSelect = document.createElement('select');
+      formatSelect.className = 'action-btn format-select';
+      formatSelect.title = 'Download in another format (size, background and quality from Settings)';
+      const placeholder = document.createElement('option');
+      placeholder.value = '';
+      placeholder.textContent = 'More…';
+      formatSelect.appendChild(placeholder);
+      Object.entries(IconUtils.SERVER_FORMATS).forEach(([format, [label]]) => {
+        const option = document.createElement('option');
+        option.value = format;
+        option.textContent = label;
+        formatSelect.appendChild(option);
+      });
+      formatSelect.addEventListener('change', async () => {
+        const format = formatSelect.value;
+        if (!format) return;
+        try {
+          formatSelect.disabled = true;
+          placeholder.textContent = 'Downloading...';
+          formatSelect.value = '';
+          await IconUtils.downloadFormat(iconData, filename, format);
+          placeholder.textContent = 'Downloaded!';
+        } catch (error) {
+          placeholder.textContent = 'Error';
+        }
+        setTimeout(() => {
+          placeholder.textContent = 'More…';
+          formatSelect.disabled = false;
+        }, 1500);
+      });
+    }
+    
+    // Component menu (React, Vue, Svelte; generated server-side)
+    let componentSelect = null;
+    if (iconData.type === 'iconify' || iconData.type === 'generated') {
+      componentSelect = document.createElement('select');
+      componentSelect.className = 'action-btn format-select component-select';
+      componentSelect.title = 'Download as a framework component with size, color, className and title props';
+      const placeholder = document.createElement('option');
+      placeholder.value = '';
+      placeholder.textContent = 'Component…';
+      componentSelect.appendChild(placeholder);
+      Object.entries(IconUtils.COMPONENT_FRAMEWORKS).forEach(([framework, label]) => {
+        const option = document.createElement('option');
+        option.value = framework;
+        option.textContent = label;
+        componentSelect.appendChild(option);
+      });
+      componentSelect.addEventListener('change', async () => {
+        const framework = componentSelect.value;
+        if (!framework) return;
+        try {
+          componentSelect.disabled = true;
+          placeholder.textContent = 'Downloading...';
+          componentSelect.value = '';
+          await IconUtils.downloadComponent(iconData, framework);
+          placeholder.textContent = 'Downloaded!';
+        } catch (error) {
+          placeholder.textContent = 'Error';
+        }
+        setTimeout(() => {
+          placeholder.textContent = 'Component…';
+          componentSelect.disabled = false;
+        }, 1500);
+      });
+    }
+    
     container.appendChild(pngBtn);
     container.appendChild(svgBtn);
     container.appendChild(copyBtn);
+    if (appBtn) container.appendChild(appBtn);
+    if (formatSelect) container.appendChild(formatSelect);
+    if (componentSelect) container.appendChild(componentSelect);
     
     return container;
   }
@@ -1,7 +1,8 @@
 // Main script for the icon search app
 // This script handles searching icons via the Iconify API, filtering by the
 // selected library, rendering results, and copying/downloading icons. It also
-// logs searches to Supabase if credentials are provided.
+// logs searches to Supabase if credentials are provided, and shows the user's
+// recent searches and trending queries while the search box is empty.
 
 document.addEventListener('DOMContentLoaded', () => {
   const librarySelect = document.getElementById('librarySelect');
@@ -10,6 +11,10 @@ document.addEventListener('DOMContentLoaded', () => {
   const lineSolidSelect = document.getElementById('lineSolidSelect');
   const searchInput = document.getElementById('searchInput');
   const resultsDiv = document.getElementById('results');
+  const suggestionsDiv = document.getElementById('searchSuggestions');
+  const recentSearchesDiv = document.getElementById('recentSearches');
+  const trendingSearchesDiv = document.getElementById('trendingSearches');
+  const batch = new BatchDownload(resultsDiv); // multi-select for bulk zip downloads
 
   // Initialize Supabase if env variables exist
   let supabaseClient = null;
@@ -44,10 +49,81 @@ document.addEventListener('DOMContentLoaded', () => {
 
   let debounceTimer;
   let lastData = null; // cache last search results
+  let recentSearches = []; // signed-in user's latest queries, newest first
+
+  async function getSession() {
+    if (!supabaseClient) return null;
+    try {
+      const { data: { session } } = await supabaseClient.auth.getSession();
+      return session;
+    } catch (e) {
+      console.warn('Failed to get session for API request:', e);
+      return null;
+    }
+  }
+
+  function runSearch(query) {
+    searchInput.value = query;
+    clearTimeout(debounceTimer);
+    searchIcons(query);
+  }
+
+  function renderChips(container, queries) {
+    const list = container.querySelector('.search-chips-list');
+    list.innerHTML = '';
+    queries.forEach((query) => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'search-chip';
+      chip.textContent = query;
+      chip.addEventListener('click', () => runSearch(query));
+      list.appendChild(chip);
+    });
+    container.style.display = queries.length ? '' : 'none';
+  }
+
+  // Recent searches need a session; signed-out visitors only see trending ones
+  async function loadSearchSuggestions() {
+    const session = await getSession();
+    if (session?.access_token) {
+      fetch('/api/searches/recent?limit=8', { headers: { Authorization: `Bearer ${session.access_token}` } })
+        .then(response => (response.ok ? response.json() : { searches: [] }))
+        .then((data) => {
+          recentSearches = data.searches.map(search => search.query);
+          renderChips(recentSearchesDiv, recentSearches);
+        })
+        .catch(e => console.warn('Failed to load recent searches:', e));
+    }
+    fetch('/api/searches/trending?limit=8')
+      .then(response => (response.ok ? response.json() : { searches: [] }))
+      .then(data => renderChips(trendingSearchesDiv, data.searches.map(search => search.query)))
+      .catch(e => console.warn('Failed to load trending searches:', e));
+  }
+
+  recentSearchesDiv.querySelector('.search-chips-clear').addEventListener('click', async () => {
+    const response = await IconUtils.authenticatedFetch('/api/searches/recent', { method: 'DELETE' });
+    if (!response.ok) return;
+    recentSearches = [];
+    renderChips(recentSearchesDiv, recentSearches);
+  });
+
+  async function logSearch(query, resultCount) {
+    if (!supabaseClient) return;
+    const session = await getSession();
+    supabaseClient.from('searches').insert([
+      { query: query, library: librarySelect.value, user_id: session?.user?.id || null, result_count: resultCount }
+    ]).then(() => {}).catch(() => {});
+    if (session?.user) {
+      recentSearches = [query, ...recentSearches.filter(other => other.toLowerCase() !== query.toLowerCase())].slice(0, 8);
+      renderChips(recentSearchesDiv, recentSearches);
+    }
+  }
 
   async function searchIcons(query) {
+    suggestionsDiv.style.display = query ? 'none' : '';
     if (!query) {
       resultsDiv.innerHTML = '';
+      batch.reset();
       lastData = null;
       return;
     }
@@ -58,15 +134,9 @@ document.addEventListener('DOMContentLoaded', () => {
       
       // Add authorization header if user is logged in
       const headers = { 'cache-control': 'no-store' };
-      if (supabaseClient) {
-        try {
-          const { data: { session } } = await supabaseClient.auth.getSession();
-          if (session?.access_token) {
-            headers.Authorization = `Bearer ${session.access_token}`;
-          }
-        } catch (e) {
-          console.warn('Failed to get session for API request:', e);
-        }
+      const session = await getSession();
+      if (session?.access_token) {
+        headers.Authorization = `Bearer ${session.access_token}`;
       }
       
       const response = await fetch(url, { headers });
@@ -110,11 +180,7 @@ document.addEventListener('DOMContentLoaded', () => {
       applyFiltersAndRender();
 
       // log search to supabase
-      if (supabaseClient) {
-        supabaseClient.from('searches').insert([
-          { query: query, library: librarySelect.value }
-        ]).then(() => {}).catch(() => {});
-      }
+      logSearch(query, data.icons ? data.icons.length : 0);
     } catch (err) {
       console.error('Search error:', err);
       lastData = null;
@@ -178,6 +244,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
   function renderResults(iconIds) {
     resultsDiv.innerHTML = '';
+    batch.reset();
     if (!iconIds.length) {
       resultsDiv.textContent = 'No results found.';
       return;
@@ -226,6 +293,8 @@ document.addEventListener('DOMContentLoaded', () => {
           card.appendChild(iconEl);
           card.appendChild(nameEl);
           card.appendChild(actions);
+          card.appendChild(FavouriteStar.create(iconData));
+          batch.attach(card, iconData, name);
           iconContainer.appendChild(card);
         });
       });
@@ -250,6 +319,8 @@ document.addEventListener('DOMContentLoaded', () => {
             card.appendChild(iconEl);
             card.appendChild(nameEl);
             card.appendChild(actions);
+            card.appendChild(FavouriteStar.create(iconData));
+            batch.attach(card, iconData, name);
             resultsDiv.appendChild(card);
         });
     }
@@ -263,6 +334,8 @@ document.addEventListener('DOMContentLoaded', () => {
     }, 300);
   });
 
+  loadSearchSuggestions();
+
   librarySelect.addEventListener('change', applyFiltersAndRender);
   subLibrarySelect.addEventListener('change', applyFiltersAndRender);
   fillOutlineSelect.addEventListener('change', applyFiltersAndRender);
@@ -0,0 +1,40 @@
+// Prompt template rendering and the built-in default template, shared by the
+// server (lib/prompt-templates.js) and the generate page (window.PromptTemplate)
+//
+// Placeholders: {subject} {context} {style} {colors} {background}
+// Text in [brackets] is dropped when a placeholder inside it is empty,
+// e.g. "icon of a {subject}[ for {context}]".
+(function () {
+  const PLACEHOLDERS = ['subject', 'context', 'style', 'colors', 'background'];
+
+  const DEFAULT_TEMPLATE = {
+    id: 'default',
+    name: 'Minimal flat icon',
+    description: 'Built-in prompt used when no template is chosen',
+    version: 1,
+    body: 'Design a simple, flat, minimalist icon of a {subject}[ for {context}] {style} style, {colors} colors, {background} background, evenly spaced elements. Maintain geometric balance and consistent stroke width, no text, only icon.'
+  };
+
+  function fill(text, fields) {
+    return text.replace(/\{(\w+)\}/g, (match, key) => (PLACEHOLDERS.includes(key) ? String(fields[key] || '').trim() : match));
+  }
+
+  // Render a template body with the given fields
+  function renderTemplate(body, fields = {}) {
+    return body
+      .replace(/\[([^[\]]*)\]/g, (match, inner) => {
+        const keys = [...inner.matchAll(/\{(\w+)\}/g)].map(m => m[1]);
+        return keys.some(key => !String(fields[key] || '').trim()) ? '' : fill(inner, fields);
+      })
+      .replace(/\{(\w+)\}/g, (match, key) => fill(match, fields))
+      .replace(/ {2,}/g, ' ')
+      .trim();
+  }
+
+  const api = { DEFAULT_TEMPLATE, PLACEHOLDERS, renderTemplate };
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    window.PromptTemplate = api;
+  }
+})();
@@ -40,7 +40,12 @@ class SettingsUI {
       hardnessValue: document.getElementById('hardnessValue'),
       featherValue: document.getElementById('featherValue'),
       despeckleValue: document.getElementById('despeckleValue'),
-      advancedSettings: document.getElementById('advancedSettings')
+      advancedSettings: document.getElementById('advancedSettings'),
+      exportSize: document.getElementById('exportSize'),
+      exportTransparent: document.getElementById('exportTransparent'),
+      exportBackground: document.getElementById('exportBackground'),
+      exportQuality: document.getElementById('exportQuality'),
+      qualityValue: document.getElementById('qualityValue')
     };
   }
   
@@ -84,12 +89,19 @@ class SettingsUI {
       });
     }
     
+    if (this.elements.exportTransparent && this.elements.exportBackground) {
+      this.elements.exportTransparent.addEventListener('change', () => {
+        this.elements.exportBackground.disabled = this.elements.exportTransparent.checked;
+      });
+    }
+    
     // Range inputs with live value updates
     const rangeInputs = [
       { input: this.elements.backgroundTolerance, display: this.elements.toleranceValue },
       { input: this.elements.backgroundHardness, display: this.elements.hardnessValue },
       { input: this.elements.backgroundFeather, display: this.elements.featherValue },
-      { input: this.elements.backgroundDespeckle, display: this.elements.despeckleValue }
+      { input: this.elements.backgroundDespeckle, display: this.elements.despeckleValue },
+      { input: this.elements.exportQuality, display: this.elements.qualityValue }
     ];
     
     rangeInputs.forEach(({ input, display }) => {
@@ -150,6 +162,23 @@ class SettingsUI {
       this.elements.despeckleValue.textContent = settings.backgroundDespeckle;
     }
     
+    // Export settings
+    if (this.elements.exportSize) {
+      this.elements.exportSize.value = settings.exportSize;
+    }
+    
+    if (this.elements.exportTransparent && this.elements.exportBackground) {
+      const transparent = settings.exportBackground === 'transparent';
+      this.elements.exportTransparent.checked = transparent;
+      this.elements.exportBackground.disabled = transparent;
+      if (!transparent) this.elements.exportBackground.value = settings.exportBackground;
+    }
+    
+    if (this.elements.exportQuality) {
+      this.elements.exportQuality.value = settings.exportQuality;
+      this.elements.qualityValue.textContent = settings.exportQuality;
+    }
+    
     this.toggleAdvancedSettings();
   }
   
@@ -168,7 +197,12 @@ class SettingsUI {
       backgroundTolerance: parseFloat(this.elements.backgroundTolerance?.value ?? 35),
       backgroundHardness: parseFloat(this.elements.backgroundHardness?.value ?? 55),
       backgroundFeather: parseFloat(this.elements.backgroundFeather?.value ?? 2.5),
-      backgroundDespeckle: parseInt(this.elements.backgroundDespeckle?.value ?? 1)
+      backgroundDespeckle: parseInt(this.elements.backgroundDespeckle?.value ?? 1),
+      exportSize: Math.min(2048, Math.max(16, parseInt(this.elements.exportSize?.value ?? 512) || 512)),
+      exportBackground: this.elements.exportTransparent?.checked === false
+        ? (this.elements.exportBackground?.value ?? '#ffffff')
+        : 'transparent',
+      exportQuality: parseInt(this.elements.exportQuality?.value ?? 90)
     };
     
     this.settingsManager.setMultiple(newSettings);
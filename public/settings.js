@@ -13,7 +13,11 @@ class SettingsManager {
       backgroundTolerance: 20,
       backgroundHardness: 40,
       backgroundFeather: 1.5,
-      backgroundDespeckle: 0
+      backgroundDespeckle: 0,
+      // Server-rendered exports (WebP, AVIF, ICO, PDF)
+      exportSize: 512,
+      exportBackground: 'transparent',
+      exportQuality: 90
     };
     
     // Load settings on initialization
@@ -166,6 +170,15 @@ class SettingsManager {
       despeckle: this.get('backgroundDespeckle')
     };
   }
+  
+  // Get export parameters (size, background, quality) for download API calls
+  getExportParams() {
+    return {
+      size: this.get('exportSize'),
+      background: this.get('exportBackground'),
+      quality: this.get('exportQuality')
+    };
+  }
 }
 
 // Create global settings manager
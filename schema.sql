@@ -2,8 +2,9 @@
 -- Updated to match production database structure
 -- Run this in your Supabase project's SQL editor to create the complete schema
 
--- Enable UUID extension if not already enabled
+-- Enable extensions if not already enabled
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+CREATE EXTENSION IF NOT EXISTS pg_trgm; -- generated icons gallery search
 
 -- =============================================================================
 -- CORE USER MANAGEMENT
@@ -41,23 +42,50 @@ CREATE POLICY "Admin can view all profiles" ON public.profiles FOR SELECT
 -- ICON SEARCH AND STORAGE
 -- =============================================================================
 
--- Search logging table
+-- Search logging table (see migrations/2025-08-18_add_search_history.sql)
 CREATE TABLE IF NOT EXISTS public.searches (
   id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
   query text NOT NULL,
   library text NOT NULL,
   user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE,
-  searched_at timestamptz NOT NULL DEFAULT now()
+  searched_at timestamptz NOT NULL DEFAULT now(),
+  result_count integer -- icons found; 0 feeds the admin zero-result report
 );
 
--- Optional: table to store favourite icons or search results
+CREATE INDEX IF NOT EXISTS idx_searches_user_searched ON public.searches (user_id, searched_at DESC);
+CREATE INDEX IF NOT EXISTS idx_searches_searched_at ON public.searches (searched_at);
+
+-- Per-user favourite icons (see migrations/2025-08-16_add_user_favourites.sql)
 CREATE TABLE IF NOT EXISTS public.favourites (
   id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
-  icon_id text NOT NULL,
-  library text NOT NULL,
-  added_at timestamptz NOT NULL DEFAULT now()
+  icon_id text NOT NULL, -- Iconify id ('tabler:home') or generated_icons(id)
+  library text NOT NULL, -- Iconify prefix, or 'generated'
+  added_at timestamptz NOT NULL DEFAULT now(),
+  user_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  source text NOT NULL DEFAULT 'iconify' CHECK (source IN ('iconify', 'generated'))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS favourites_user_icon_idx ON public.favourites (user_id, source, icon_id);
+CREATE INDEX IF NOT EXISTS favourites_user_added_at_idx ON public.favourites (user_id, added_at DESC);
+
+-- Icon collections with ordered items and an optional share link
+-- (see migrations/2025-08-17_add_icon_collections.sql)
+CREATE TABLE IF NOT EXISTS public.icon_collections (
+  id UUID PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  name text NOT NULL,
+  description text,
+  items jsonb NOT NULL DEFAULT '[]'::jsonb, -- [{ id, type, iconId, note, color, size, addedAt }]
+  share_token text UNIQUE,
+  share_access text CHECK (share_access IN ('view', 'edit')),
+  version integer NOT NULL DEFAULT 1,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT icon_collections_share_check CHECK ((share_token IS NULL) = (share_access IS NULL))
 );
 
+CREATE INDEX IF NOT EXISTS idx_icon_collections_user_updated ON public.icon_collections (user_id, updated_at DESC);
+
 -- Generated icons storage with custom_id field (matches production)
 CREATE TABLE IF NOT EXISTS public.generated_icons (
   id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
@@ -72,6 +100,11 @@ CREATE TABLE IF NOT EXISTS public.generated_icons (
   user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE,
   custom_id text, -- Custom identifier for generated icons
   created_at timestamptz NOT NULL DEFAULT now(),
+  seed bigint, -- Runware seed; regenerate the exact image with the same prompt and seed
+  set_id UUID, -- generated_icon_sets(id) when the icon was generated as part of a set
+  template_id text, -- prompt_templates(id) and version the prompt was rendered from
+  template_version integer,
+  reference jsonb, -- reference icon the image was restyled from ({type, id | sha256, strength})
   CONSTRAINT generated_icons_deterministic_id_unique UNIQUE (deterministic_id)
 );
 
@@ -83,10 +116,17 @@ CREATE INDEX IF NOT EXISTS generated_icons_style_idx ON public.generated_icons (
 CREATE INDEX IF NOT EXISTS generated_icons_colors_idx ON public.generated_icons (colors);
 CREATE INDEX IF NOT EXISTS generated_icons_background_idx ON public.generated_icons (background);
 CREATE INDEX IF NOT EXISTS generated_icons_custom_id_idx ON public.generated_icons (custom_id);
+CREATE INDEX IF NOT EXISTS generated_icons_set_id_idx ON public.generated_icons (set_id);
+CREATE INDEX IF NOT EXISTS generated_icons_template_idx ON public.generated_icons (template_id, template_version);
+-- Gallery paging and search (see migrations/2025-08-19_add_generated_icons_gallery_indexes.sql)
+CREATE INDEX IF NOT EXISTS generated_icons_created_at_id_idx ON public.generated_icons (created_at, id);
+CREATE INDEX IF NOT EXISTS generated_icons_icon_name_id_idx ON public.generated_icons (icon_name, id);
+CREATE INDEX IF NOT EXISTS generated_icons_icon_name_trgm_idx ON public.generated_icons USING gin (icon_name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS generated_icons_context_trgm_idx ON public.generated_icons USING gin (context gin_trgm_ops);
 
 -- View reflecting current schema (context appended last to avoid rename issues)
 CREATE OR REPLACE VIEW public.generated_icons_view AS
-SELECT id, deterministic_id, icon_name, subject, style, colors, background, image_url, user_id, custom_id, created_at, context
+SELECT id, deterministic_id, icon_name, subject, style, colors, background, image_url, user_id, custom_id, created_at, context, seed, set_id, template_id, template_version, reference
 FROM public.generated_icons;
 
 -- =============================================================================
@@ -207,6 +247,9 @@ CREATE TABLE IF NOT EXISTS public.subscription_plans (
   unlimited_generation BOOLEAN DEFAULT FALSE,
   unlimited_generated_usage BOOLEAN DEFAULT FALSE,
   
+  -- Image models the plan may generate with (lib/model-registry.js ids); NULL = all
+  allowed_models TEXT[],
+  
   -- Plan metadata
   is_active BOOLEAN DEFAULT TRUE,
   created_at TIMESTAMPTZ DEFAULT NOW(),
@@ -214,8 +257,8 @@ CREATE TABLE IF NOT EXISTS public.subscription_plans (
 );
 
 -- Insert basic free plan
-INSERT INTO public.subscription_plans (id, name, description) VALUES
-('free', 'Free', 'Basic plan for all users')
+INSERT INTO public.subscription_plans (id, name, description, allowed_models) VALUES
+('free', 'Free', 'Basic plan for all users', ARRAY['google:2@3'])
 ON CONFLICT (id) DO NOTHING;
 
 -- Create user subscriptions table
@@ -395,6 +438,9 @@ ALTER TABLE public.monthly_usage_summary ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.user_settings ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.discount_codes ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.discount_code_usage ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.favourites ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.icon_collections ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.searches ENABLE ROW LEVEL SECURITY;
 
 -- RLS Policies for subscription_plans (read-only for all)
 CREATE POLICY "Allow read subscription plans to all" ON public.subscription_plans FOR SELECT USING (is_active = true);
@@ -442,6 +488,31 @@ CREATE POLICY "Users can view own discount usage" ON public.discount_code_usage
 CREATE POLICY "System can insert discount usage" ON public.discount_code_usage FOR INSERT 
   WITH CHECK (true);
 
+-- RLS Policies for favourites
+CREATE POLICY "Users can view own favourites" ON public.favourites FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can add own favourites" ON public.favourites FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own favourites" ON public.favourites FOR DELETE
+  USING (auth.uid() = user_id);
+
+-- RLS Policies for icon_collections (share links go through the server)
+CREATE POLICY "Users can manage own collections" ON public.icon_collections FOR ALL
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+-- RLS Policies for searches (trending and admin reports go through functions)
+CREATE POLICY "Anyone can log searches" ON public.searches FOR INSERT
+  WITH CHECK (user_id IS NULL OR auth.uid() = user_id);
+
+CREATE POLICY "Users can view own searches" ON public.searches FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own searches" ON public.searches FOR DELETE
+  USING (auth.uid() = user_id);
+
 -- Allow read to all for generated_icons (keeping existing policy)
 DO $$ BEGIN
   IF NOT EXISTS (
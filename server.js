@@ -6,6 +6,35 @@ const axios = require('axios');
 const sharp = require('sharp');
 const potrace = require('potrace');
 const { createClient } = require('@supabase/supabase-js');
+const { rankIcons } = require('./lib/icon-ranking');
+const { createLocalIconIndex } = require('./lib/local-icon-index');
+const { createResponseCache } = require('./lib/response-cache');
+const { SET_STAGES, createJobStore, toPublicJob } = require('./lib/generation-jobs');
+const { createGenerationWorker } = require('./lib/generation-worker');
+const { deliverWebhook } = require('./lib/webhooks');
+const { normalizeIconSet } = require('./lib/icon-set-normalizer');
+const { buildZip, createZipWriter, safeFileName } = require('./lib/zip');
+const { TEMPLATE_ID_PATTERN, createPromptTemplateStore, renderTemplate } = require('./lib/prompt-templates');
+const { PROVIDER_NAMES, createDefaultImageProvider, createImageProvider } = require('./lib/image-providers');
+const { DEFAULT_STRENGTH, describeReference, parseDataUrl, rasterizeReference, toDataUrl, validateReference } = require('./lib/reference-image');
+const { DEFAULT_PRECISION, MAX_PRECISION, optimizeSvg } = require('./lib/svg-optimizer');
+const { inkColor, potraceParams, traceColorLayers, validateTraceOptions } = require('./lib/color-trace');
+const { hasTransform, transformSvg, validateTransformOptions } = require('./lib/svg-transform');
+const { buildFaviconPackage, validateFaviconOptions } = require('./lib/favicon-package');
+const { buildAppIconSet, validateAppIconOptions } = require('./lib/app-icons');
+const { EXPORT_FORMATS, MAX_ICO_SIZE, encodeRaster, exportIco, exportPdf, validateExportOptions } = require('./lib/image-export');
+const { DEFAULT_MODEL, createModelEntitlements, getModel, isModelAllowed, listModels, resolveModelParams, validateModelParams } = require('./lib/model-registry');
+const { createDownloadQuota } = require('./lib/download-quota');
+const { UUID_PATTERN } = require('./lib/service-role');
+const { SYMBOL_ID_PATTERN, buildSprite } = require('./lib/svg-sprite');
+const { CONTENT_TYPES: COMPONENT_CONTENT_TYPES, FRAMEWORKS, PACKAGE_NAME_PATTERN, buildComponentPackage, generateComponent } = require('./lib/component-codegen');
+const { createFavouriteStore, parseFavourite } = require('./lib/favourites');
+const {
+  MAX_COLLECTION_ITEMS, SHARE_ACCESS, createCollectionStore, createItems, insertItems, removeItem, toPublicCollection,
+  updateCollection, updateItem, validateCollectionFields
+} = require('./lib/icon-collections');
+const { createSearchHistory, parseRecentOptions, parseTrendingOptions } = require('./lib/search-history');
+const { listGeneratedIcons, parseGalleryQuery } = require('./lib/generated-icon-gallery');
 
 // Load .env (lightweight parser, no external deps)
 (function loadDotEnv() {
@@ -28,9 +57,36 @@ const { createClient } = require('@supabase/supabase-js');
 })();
 
 const RUNWARE_API_KEY = process.env.RUNWARE_API_KEY || '';
+// Image generation backend: 'runware' or 'mock' (local placeholder images, no network)
+const IMAGE_PROVIDER = process.env.IMAGE_PROVIDER || 'runware';
 const PORT = process.env.PORT || 3000;
 const SUPABASE_URL = process.env.SUPABASE_URL || '';
 const SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || '';
+const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || '';
+
+// Where icon search and SVGs come from: 'remote' (api.iconify.design),
+// 'local' (on-disk Iconify JSON collections only) or 'local-fallback'
+// (local index first, api.iconify.design when the index has no match)
+const ICON_SOURCES = ['remote', 'local', 'local-fallback'];
+let ICON_SOURCE = (process.env.ICON_SOURCE || 'remote').toLowerCase();
+if (!ICON_SOURCES.includes(ICON_SOURCE)) {
+  console.warn(`⚠️ Unknown ICON_SOURCE "${ICON_SOURCE}", using remote`);
+  ICON_SOURCE = 'remote';
+}
+const ICONIFY_JSON_DIR = process.env.ICONIFY_JSON_DIR || path.join(__dirname, 'data', 'iconify');
+const ICONIFY_COLLECTIONS = process.env.ICONIFY_COLLECTIONS
+  ? process.env.ICONIFY_COLLECTIONS.split(',').map(p => p.trim()).filter(Boolean)
+  : null;
+
+// Shared cache for upstream fetches (Iconify search/SVG, proxied images);
+// RESPONSE_CACHE_DIR adds a disk tier that survives restarts
+const RESPONSE_CACHE_MAX_ENTRIES = parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES, 10) || 2000;
+const RESPONSE_CACHE_MAX_MB = parseInt(process.env.RESPONSE_CACHE_MAX_MB, 10) || 64;
+const RESPONSE_CACHE_DIR = process.env.RESPONSE_CACHE_DIR || null;
+const SVG_CACHE_TTL_MS = 24 * 60 * 60 * 1000;   // Iconify SVGs are immutable per id
+const SEARCH_CACHE_TTL_MS = 10 * 60 * 1000;
+const IMAGE_CACHE_TTL_MS = 60 * 60 * 1000;
+const TRENDING_CACHE_TTL_MS = 5 * 60 * 1000;
 
 // Initialize Supabase client for server-side usage tracking
 let supabase = null;
@@ -45,6 +101,21 @@ if (SUPABASE_URL && SUPABASE_ANON_KEY) {
   console.warn('⚠️ Supabase configuration missing - usage tracking disabled');
 }
 
+// Service-role client for the tables and functions only the server may use:
+// webhook secrets and the stores listed in lib/service-role.js. Server-side only.
+let supabaseService = null;
+if (SUPABASE_URL && SUPABASE_SERVICE_ROLE_KEY) {
+  try {
+    supabaseService = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
+      auth: { persistSession: false, autoRefreshToken: false }
+    });
+  } catch (e) {
+    console.warn('⚠️ Failed to initialize Supabase service client:', e.message);
+  }
+} else if (supabase) {
+  console.warn('⚠️ SUPABASE_SERVICE_ROLE_KEY missing - metered downloads and async jobs will be refused, plans limited to the default model, favourites, collections and search history unavailable');
+}
+
 const ALLOWED_IMAGE_HOSTS = new Set([
   'im.runware.ai',
   'api.runware.ai',
@@ -52,10 +123,51 @@ const ALLOWED_IMAGE_HOSTS = new Set([
 ]);
 
 const MAX_BYTES = 12 * 1024 * 1024; // 12MB cap for PNG-to-SVG conversion
+const DEFAULT_PNG_SIZE = 512;       // PNG downloads without an explicit size
+const DOWNLOAD_PACKAGES = ['favicon-package', 'app-icons']; // zip downloads built from one icon
+const MAX_ANONYMOUS_DOWNLOAD_SIZE = DEFAULT_PNG_SIZE; // larger renders need an API key or session
+const DOWNLOAD_FORMATS = ['svg', ...Object.keys(EXPORT_FORMATS), ...DOWNLOAD_PACKAGES, ...FRAMEWORKS];
+const BATCH_FORMATS = ['svg', ...Object.keys(EXPORT_FORMATS)]; // POST /api/icons/download/batch
+const BATCH_SIZED_FORMATS = ['png', 'webp', 'avif']; // one file per requested size
+const MAX_BATCH_ICONS = 100;
+const MAX_BATCH_SIZES = 8;
+const MAX_BATCH_SIZE = 2048;
 const MAX_EDGE_SAMPLES = 5000;      // border pixels to sample for bg estimate
 
 // Removed Aicon URL mapping/cache; we always use the original source URLs now
 
+// Async generation jobs (POST /api/icons/generate with async: true)
+const generationJobs = createJobStore({ supabase: supabaseService, required: Boolean(supabase) });
+const generationWorker = createGenerationWorker({ jobs: generationJobs, run: job => runQueuedJob(job) });
+const promptTemplates = createPromptTemplateStore({ supabase });
+const modelEntitlements = createModelEntitlements({ supabase: supabaseService, required: Boolean(supabase) });
+const downloadQuota = createDownloadQuota({ supabase: supabaseService, required: Boolean(supabase) });
+const favourites = createFavouriteStore({ supabase: supabaseService, required: Boolean(supabase) });
+const iconCollections = createCollectionStore({ supabase: supabaseService, required: Boolean(supabase) });
+const searchHistory = createSearchHistory({ supabase: supabaseService });
+const imageProviders = Object.fromEntries(PROVIDER_NAMES.map(name => [name, createImageProvider(name, { apiKey: RUNWARE_API_KEY })]));
+const defaultImageProvider = createDefaultImageProvider(IMAGE_PROVIDER, { apiKey: RUNWARE_API_KEY });
+
+// Provider for a request: the API key's image_provider (e.g. 'mock' for sandbox keys) or IMAGE_PROVIDER
+function imageProviderFor(keyInfo = null) {
+  return imageProviders[keyInfo?.imageProvider] || defaultImageProvider;
+}
+
+const responseCache = createResponseCache({
+  maxEntries: RESPONSE_CACHE_MAX_ENTRIES,
+  maxBytes: RESPONSE_CACHE_MAX_MB * 1024 * 1024,
+  diskDir: RESPONSE_CACHE_DIR
+});
+
+// Loaded lazily on first use so remote-only deployments never read the disk
+const localIconIndex = createLocalIconIndex({ dir: ICONIFY_JSON_DIR, prefixes: ICONIFY_COLLECTIONS });
+
+// Extract "prefix:name" from an api.iconify.design SVG URL (null for other URLs)
+function iconifyIdFromUrl(url) {
+  const m = String(url || '').match(/^https:\/\/api\.iconify\.design\/([a-z0-9-]+:[a-z0-9-]+)\.svg$/i);
+  return m ? m[1] : null;
+}
+
 function setSecurityHeaders(res) {
   res.setHeader('X-Content-Type-Options', 'nosniff');
   res.setHeader('Referrer-Policy', 'no-referrer');
@@ -101,9 +213,10 @@ function serveStatic(req, res) {
   });
 }
 
-function isPrivateHost(hostname) {
+// Loopback, private and link-local hosts (by name/literal IP only, no DNS lookup)
+function isPrivateNetworkHost(hostname) {
   if (!hostname) return true;
-  const lower = hostname.toLowerCase();
+  const lower = hostname.toLowerCase().replace(/^\[|\]$/g, '');
   
   // Block localhost variants
   if (lower === 'localhost' || lower === '127.0.0.1' || lower === '0.0.0.0') return true;
@@ -117,11 +230,51 @@ function isPrivateHost(hostname) {
   // Block loopback IPv6
   if (lower === '::1' || lower === 'localhost6') return true;
   
-  if (ALLOWED_IMAGE_HOSTS.has(lower)) return false;
+  return false;
+}
+
+function isPrivateHost(hostname) {
+  if (isPrivateNetworkHost(hostname)) return true;
+  if (ALLOWED_IMAGE_HOSTS.has(hostname.toLowerCase())) return false;
   return true; // default deny unless allowed list
 }
 
-function proxyImage(req, res) {
+// GET a URL into a Buffer; resolves { statusCode, contentType, body } for any status
+function fetchUpstream(targetUrl, options = {}) {
+  const { headers = {}, maxBytes = MAX_BYTES, timeoutMs = 10000 } = options;
+  const parsed = new URL(targetUrl);
+  const client = parsed.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const upReq = client.get(parsed.toString(), { headers }, (upRes) => {
+      const chunks = [];
+      let size = 0;
+      upRes.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > maxBytes) {
+          upReq.destroy();
+          reject(new Error('Response too large'));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      upRes.on('end', () => {
+        resolve({
+          statusCode: upRes.statusCode || 502,
+          contentType: upRes.headers['content-type'] || 'application/octet-stream',
+          body: Buffer.concat(chunks)
+        });
+      });
+    });
+    upReq.on('error', reject);
+    upReq.setTimeout(timeoutMs, () => {
+      upReq.destroy();
+      reject(new Error('Request timeout'));
+    });
+  });
+}
+
+async function proxyImage(req, res) {
   try {
     const urlObj = new URL(req.url, 'http://localhost');
     const target = urlObj.searchParams.get('url');
@@ -139,30 +292,34 @@ function proxyImage(req, res) {
       return;
     }
 
-    const client = parsed.protocol === 'https:' ? https : http;
-    const upstream = client.get(parsed.toString(), { headers: { 'Accept': 'image/*' } }, (upstreamRes) => {
-      if (upstreamRes.statusCode && upstreamRes.statusCode >= 400) {
-        setSecurityHeaders(res);
-        res.writeHead(upstreamRes.statusCode, { 'Content-Type': 'text/plain' });
-        upstreamRes.pipe(res);
-        return;
-      }
-      const contentType = upstreamRes.headers['content-type'] || 'application/octet-stream';
-      if (!/^image\//i.test(contentType)) {
-        setSecurityHeaders(res);
-        res.writeHead(415, { 'Content-Type': 'text/plain' });
-        res.end('Unsupported media type');
-        return;
-      }
-      setSecurityHeaders(res);
-      res.writeHead(200, { 'Content-Type': contentType, 'Cache-Control': 'no-store' });
-      upstreamRes.pipe(res);
-    });
-    upstream.on('error', () => {
+    let upstream;
+    try {
+      // Only successful image responses are cached; errors are passed through
+      upstream = await responseCache.wrap(`image:${parsed.toString()}`,
+        () => fetchUpstream(parsed.toString(), { headers: { 'Accept': 'image/*' } }),
+        { ttlMs: IMAGE_CACHE_TTL_MS, shouldCache: r => r.statusCode === 200 && /^image\//i.test(r.contentType) });
+    } catch (e) {
       setSecurityHeaders(res);
       res.writeHead(502, { 'Content-Type': 'text/plain' });
       res.end('Upstream error');
-    });
+      return;
+    }
+
+    if (upstream.statusCode >= 400) {
+      setSecurityHeaders(res);
+      res.writeHead(upstream.statusCode, { 'Content-Type': 'text/plain' });
+      res.end(upstream.body);
+      return;
+    }
+    if (!/^image\//i.test(upstream.contentType)) {
+      setSecurityHeaders(res);
+      res.writeHead(415, { 'Content-Type': 'text/plain' });
+      res.end('Unsupported media type');
+      return;
+    }
+    setSecurityHeaders(res);
+    res.writeHead(200, { 'Content-Type': upstream.contentType, 'Cache-Control': 'no-store' });
+    res.end(upstream.body);
   } catch (e) {
     setSecurityHeaders(res);
     res.writeHead(500, { 'Content-Type': 'text/plain' });
@@ -181,6 +338,111 @@ function potraceTrace(buffer, opts) {
   });
 }
 
+// SVG optimization settings from a JSON body (optimizeSvg, svgPrecision, currentColor);
+// optimization is on unless the caller opts out
+function svgOptionsFromBody(body = {}) {
+  return {
+    optimize: body.optimizeSvg !== false,
+    precision: body.svgPrecision ?? DEFAULT_PRECISION,
+    currentColor: body.currentColor === true
+  };
+}
+
+// Same settings from a query string (optimize, precision, currentColor); returns { error } when invalid
+function svgOptionsFromQuery(searchParams, optimizeByDefault) {
+  const precision = searchParams.get('precision');
+  if (precision !== null && !(/^\d$/.test(precision) && Number(precision) <= MAX_PRECISION)) {
+    return { error: `precision must be an integer between 0 and ${MAX_PRECISION}` };
+  }
+  return {
+    optimize: searchParams.has('optimize') ? searchParams.get('optimize') === 'true' : optimizeByDefault,
+    precision: precision === null ? DEFAULT_PRECISION : Number(precision),
+    currentColor: searchParams.get('currentColor') === 'true'
+  };
+}
+
+function applySvgOptions(svg, svgOptions) {
+  return svgOptions.optimize ? optimizeSvg(svg, svgOptions) : svg;
+}
+
+// Tracing settings from a JSON body: traceColors (1 = single-colour potrace,
+// 2-16 = stacked colour layers) plus potrace's turnPolicy, alphaMax and optCurve
+function traceOptionsFromBody(body = {}) {
+  const { traceColors = 1, turnPolicy, alphaMax, optCurve } = body;
+  return { traceColors, ...potraceParams({ turnPolicy, alphaMax, optCurve }) };
+}
+
+function queryNumber(searchParams, name) {
+  return searchParams.has(name) ? Number(searchParams.get(name)) : undefined;
+}
+
+// Same settings from a query string; returns { error } when invalid
+function traceOptionsFromQuery(searchParams) {
+  const optCurve = searchParams.get('optCurve');
+  const options = {
+    traceColors: queryNumber(searchParams, 'traceColors'),
+    turnPolicy: searchParams.get('turnPolicy') ?? undefined,
+    alphaMax: queryNumber(searchParams, 'alphaMax'),
+    optCurve: optCurve === null ? undefined : (optCurve === 'true' || optCurve === 'false' ? optCurve === 'true' : optCurve)
+  };
+  const errors = validateTraceOptions(options);
+  return errors.length > 0 ? { error: errors[0] } : traceOptionsFromBody(options);
+}
+
+// Download/details transforms from a query string (color, strokeWidth, rotate,
+// flip, padding, size); returns { error } when invalid
+function transformOptionsFromQuery(searchParams) {
+  const options = {};
+  for (const name of ['color', 'flip']) {
+    if (searchParams.has(name)) options[name] = searchParams.get(name);
+  }
+  for (const name of ['strokeWidth', 'rotate', 'padding', 'size']) {
+    if (searchParams.has(name)) options[name] = queryNumber(searchParams, name);
+  }
+  const errors = validateTransformOptions(options);
+  return errors.length > 0 ? { error: errors[0] } : options;
+}
+
+// Rotate/flip/padding/size for raster sources, through sharp (flips first, as in transformSvg)
+async function transformRaster(buf, { rotate, flip, padding = 0, size } = {}) {
+  let image = sharp(buf).ensureAlpha();
+  if (flip === 'horizontal' || flip === 'both') image = image.flop();
+  if (flip === 'vertical' || flip === 'both') image = image.flip();
+  let out = await image.png().toBuffer();
+  if (rotate) {
+    out = await sharp(out).rotate(rotate, { background: { r: 0, g: 0, b: 0, alpha: 0 } }).png().toBuffer();
+  }
+  
+  if (size === undefined && !padding) {
+    return sharp(out).resize({ width: DEFAULT_PNG_SIZE, height: DEFAULT_PNG_SIZE, fit: 'inside', withoutEnlargement: true }).png().toBuffer();
+  }
+  const meta = await sharp(out).metadata();
+  const edge = size ?? Math.max(meta.width, meta.height);
+  const margin = Math.round(edge * padding);
+  const inner = Math.max(1, edge - 2 * margin);
+  return sharp(out)
+    .resize(inner, inner, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+    .extend({ top: margin, bottom: margin, left: margin, right: margin, background: { r: 0, g: 0, b: 0, alpha: 0 } })
+    .png()
+    .toBuffer();
+}
+
+// Trace an image to SVG: one potrace pass in `color`, or stacked colour layers
+async function traceImage(buf, traceOptions, { color = '#000000', threshold = 128, turdSize = 2, invert = false, size = 512 } = {}) {
+  const { traceColors, ...params } = traceOptions;
+  if (traceColors > 1) {
+    return traceColorLayers(buf, { ...params, colors: traceColors, size, turdSize, optTolerance: 0.2 });
+  }
+  
+  // Normalize to paletted PNG (Potrace prefers bitmap)
+  const png = await sharp(buf)
+    .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+    .png({ palette: true })
+    .toBuffer();
+  
+  return potraceTrace(png, { ...params, color, threshold, turdSize, invert, optTolerance: 0.2 });
+}
+
 // Background removal utility functions
 function clamp(n, lo, hi){ return Math.max(lo, Math.min(hi, n)); }
 function lerp(a,b,t){ return a+(b-a)*t; }
@@ -378,6 +640,15 @@ async function handleVectorize(req, res) {
     const threshold = parseInt(urlObj.searchParams.get('threshold') || '128');
     const turdSize = parseInt(urlObj.searchParams.get('turdSize') || '2');
     const invert = urlObj.searchParams.get('invert') === 'true';
+    const svgOptions = svgOptionsFromQuery(urlObj.searchParams, true);
+    const traceOptions = traceOptionsFromQuery(urlObj.searchParams);
+    
+    if (svgOptions.error || traceOptions.error) {
+      setSecurityHeaders(res);
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: svgOptions.error || traceOptions.error }));
+      return;
+    }
     
     if (!imageUrl) {
       setSecurityHeaders(res);
@@ -418,24 +689,18 @@ async function handleVectorize(req, res) {
       return;
     }
 
-    // Normalize to paletted PNG (Potrace prefers bitmap)
-    const png = await sharp(buf)
-      .resize({ width: 1024, height: 1024, fit: 'inside', withoutEnlargement: true })
-      .png({ palette: true })
-      .toBuffer();
-
-    // Convert to SVG using potrace
-    const svg = await potraceTrace(png, {
+    // Convert to SVG using potrace (one layer, or one per colour with traceColors)
+    const svg = await traceImage(buf, traceOptions, {
       color: String(color),
       threshold: Number(threshold),
       turdSize: Number(turdSize),
       invert: Boolean(invert),
-      optTolerance: 0.2
+      size: 1024
     });
 
     setSecurityHeaders(res);
     res.writeHead(200, { 'Content-Type': 'image/svg+xml; charset=utf-8' });
-    res.end(svg);
+    res.end(applySvgOptions(svg, svgOptions));
   } catch (err) {
     console.error('vectorize error:', err);
     const msg = (err && err.response && err.response.status) 
@@ -447,10 +712,9 @@ async function handleVectorize(req, res) {
   }
 }
 
-function readJson(req) {
+function readJson(req, maxSize = 1e5) { // 100KB limit for JSON requests by default
   return new Promise((resolve, reject) => {
     let body = '';
-    const maxSize = 1e5; // 100KB limit for JSON requests
     req.on('data', (chunk) => { 
       body += chunk; 
       if (body.length > maxSize) {
@@ -541,6 +805,31 @@ function getClientInfo(req) {
   };
 }
 
+// Session user id from the bearer access token, verified with Supabase Auth
+// (unlike extractUserFromAuthHeader); null when missing, invalid or expired
+async function verifySessionUser(req) {
+  const authHeader = req.headers.authorization || '';
+  if (!authHeader.startsWith('Bearer ') || !supabase) return null;
+  try {
+    const { data, error } = await supabase.auth.getUser(authHeader.substring(7));
+    if (error || !data.user) return null;
+    return data.user.id;
+  } catch (e) {
+    console.log('⚠️ Session verification failed:', e.message);
+    return null;
+  }
+}
+
+function sendAuthenticationRequired(res) {
+  setSecurityHeaders(res);
+  res.writeHead(401, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ 
+    error: 'Authentication required', 
+    message: 'Please log in to use this feature',
+    redirect: '/login.html'
+  }));
+}
+
 function requireAuthentication(req, res) {
   // Dev mode bypass for testing
   if (process.env.DEV_MODE === 'true') {
@@ -550,18 +839,43 @@ function requireAuthentication(req, res) {
   
   const userId = extractUserFromAuthHeader(req);
   if (!userId) {
-    setSecurityHeaders(res);
-    res.writeHead(401, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ 
-      error: 'Authentication required', 
-      message: 'Please log in to use this feature',
-      redirect: '/login.html'
-    }));
+    sendAuthenticationRequired(res);
     return false;
   }
   return userId;
 }
 
+// Like requireAuthentication, for endpoints that act on the user's own data:
+// the token must verify. Resolves the user id, or null once a 401 has been sent.
+async function requireSessionUser(req, res) {
+  if (process.env.DEV_MODE === 'true') {
+    console.log('DEV MODE: Bypassing authentication');
+    return 'dev-user-id';
+  }
+  
+  const userId = await verifySessionUser(req);
+  if (!userId) {
+    sendAuthenticationRequired(res);
+    return null;
+  }
+  return userId;
+}
+
+// Caller's user: the API key's owner (X-API-Key or an ak_ bearer token) or the
+// session user. Resolves { userId, auth } (auth null for sessions), or null once
+// a 401/403 has been sent.
+async function requireUser(req, res, endpoint, options = {}) {
+  const authHeader = req.headers.authorization || '';
+  if (req.headers['x-api-key'] || authHeader.startsWith('Bearer ak_')) {
+    const auth = await requireApiKey(req, res, endpoint, options);
+    if (!auth) return null;
+    return { userId: auth.keyInfo.ownerId, auth };
+  }
+  const userId = await requireSessionUser(req, res);
+  if (!userId) return null;
+  return { userId, auth: null };
+}
+
 // API response helpers
 function sendJson(res, statusCode, data) {
   setSecurityHeaders(res);
@@ -575,6 +889,35 @@ function sendError(res, statusCode, message, details = null) {
   sendJson(res, statusCode, error);
 }
 
+// Decoded URL path segment, or null when its percent-encoding is malformed
+// (decodeURIComponent throws URIError, which must not escape the router)
+function decodePathSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (e) {
+    return null;
+  }
+}
+
+// Search paging bounds (Iconify returns at most 999 results per query)
+const DEFAULT_SEARCH_UPSTREAM_LIMIT = 50;
+const MAX_SEARCH_UPSTREAM_LIMIT = 999;
+const MAX_SEARCH_OFFSET = 799;
+const SVG_FETCH_CONCURRENCY = 8;
+const MAX_BATCH_SEARCH_ITEMS = 200;
+const BATCH_SEARCH_CONCURRENCY = 4; // max Iconify requests in flight per batch
+
+const MAX_GENERATE_VARIANTS = 8;
+const VARIANT_TRACE_CONCURRENCY = 2; // variants converted to SVG at once
+const MAX_GENERATE_SEED = 2147483647;
+const MIN_ICON_SET_SUBJECTS = 2;
+const MAX_ICON_SET_SUBJECTS = 30;
+const ICON_SET_GENERATE_BATCH = 10; // requests per provider call when generating a set
+// The generate page waits for its set in one request (30 s on Vercel); larger
+// sets go through the API's async jobs
+const MAX_SESSION_ICON_SET_SUBJECTS = 6;
+const MAX_GENERATE_JSON_BYTES = 3e6; // room for an uploaded reference image
+
 // Request validation helpers
 function validateSearchRequest(body) {
   const errors = [];
@@ -593,10 +936,34 @@ function validateSearchRequest(body) {
     errors.push(`style must be one of: ${validStyles.join(', ')}`);
   }
   
-  if (body.limit && (!Number.isInteger(body.limit) || body.limit < 1 || body.limit > 200)) {
+  if (body.limit !== undefined && (!Number.isInteger(body.limit) || body.limit < 1 || body.limit > 200)) {
     errors.push('limit must be an integer between 1 and 200');
   }
   
+  if (body.offset !== undefined && (!Number.isInteger(body.offset) || body.offset < 0 || body.offset > MAX_SEARCH_OFFSET)) {
+    errors.push(`offset must be an integer between 0 and ${MAX_SEARCH_OFFSET}`);
+  }
+  
+  if (body.includeSvg !== undefined && typeof body.includeSvg !== 'boolean') {
+    errors.push('includeSvg must be a boolean');
+  }
+  
+  return errors;
+}
+
+function validateBatchSearchRequest(body) {
+  const errors = [];
+  
+  if (!Array.isArray(body.queries) || body.queries.length === 0) {
+    errors.push('queries is required and must be a non-empty array');
+  } else if (body.queries.length > MAX_BATCH_SEARCH_ITEMS) {
+    errors.push(`queries must contain at most ${MAX_BATCH_SEARCH_ITEMS} items`);
+  }
+  
+  // Shared filters use the same rules as a single search (query is per item)
+  const sharedErrors = validateSearchRequest({ ...body, query: 'shared' });
+  errors.push(...sharedErrors);
+  
   return errors;
 }
 
@@ -631,9 +998,122 @@ function validateGenerateRequest(body) {
     }
   }
   
+  // Variants and reproducible seeds
+  if (body.variants !== undefined) {
+    if (!Number.isInteger(body.variants) || body.variants < 1 || body.variants > MAX_GENERATE_VARIANTS) {
+      errors.push(`variants must be an integer between 1 and ${MAX_GENERATE_VARIANTS}`);
+    }
+  }
+  
+  if (body.seed !== undefined) {
+    if (!Number.isInteger(body.seed) || body.seed < 1 || body.seed > MAX_GENERATE_SEED) {
+      errors.push(`seed must be an integer between 1 and ${MAX_GENERATE_SEED}`);
+    }
+  }
+  
+  // Prompt template (see GET /api/prompt-templates)
+  if (body.template !== undefined && (typeof body.template !== 'string' || !TEMPLATE_ID_PATTERN.test(body.template))) {
+    errors.push('template must be a template id (lowercase letters, digits and dashes)');
+  }
+  
+  if (body.templateVersion !== undefined && (!Number.isInteger(body.templateVersion) || body.templateVersion < 1)) {
+    errors.push('templateVersion must be a positive integer');
+  }
+  
+  // Reference icon to restyle (Iconify id, generated icon or uploaded image)
+  if (body.reference !== undefined) {
+    errors.push(...validateReference(body.reference));
+  }
+  
+  // SVG output optimization (on by default)
+  if (body.optimizeSvg !== undefined && typeof body.optimizeSvg !== 'boolean') {
+    errors.push('optimizeSvg must be a boolean');
+  }
+  
+  if (body.svgPrecision !== undefined &&
+      (!Number.isInteger(body.svgPrecision) || body.svgPrecision < 0 || body.svgPrecision > MAX_PRECISION)) {
+    errors.push(`svgPrecision must be an integer between 0 and ${MAX_PRECISION}`);
+  }
+  
+  if (body.currentColor !== undefined && typeof body.currentColor !== 'boolean') {
+    errors.push('currentColor must be a boolean');
+  }
+  
+  // Tracing: traceColors layers plus potrace's turnPolicy, alphaMax and optCurve
+  errors.push(...validateTraceOptions(body));
+  
+  // Model, size, steps and CFG scale (see GET /api/models)
+  if (body.model !== undefined && typeof body.model !== 'string') {
+    errors.push('model must be a string');
+  } else {
+    errors.push(...validateModelParams(body));
+  }
+  
+  // Async jobs and webhook delivery
+  if (body.async !== undefined && typeof body.async !== 'boolean') {
+    errors.push('async must be a boolean');
+  }
+  
+  if (body.callbackUrl !== undefined) {
+    if (body.async !== true) {
+      errors.push('callbackUrl requires async: true');
+    }
+    let callback = null;
+    try {
+      callback = new URL(String(body.callbackUrl));
+    } catch (e) {
+      // reported below
+    }
+    if (!callback || callback.protocol !== 'https:' || isPrivateNetworkHost(callback.hostname)) {
+      errors.push('callbackUrl must be a public https URL');
+    }
+  }
+  
   return errors;
 }
 
+function validateIconSetRequest(body) {
+  const errors = [];
+  
+  if (!Array.isArray(body.subjects) || body.subjects.length < MIN_ICON_SET_SUBJECTS || body.subjects.length > MAX_ICON_SET_SUBJECTS) {
+    errors.push(`subjects must be an array of ${MIN_ICON_SET_SUBJECTS}-${MAX_ICON_SET_SUBJECTS} strings`);
+  } else if (body.subjects.some(subject => typeof subject !== 'string' || !subject.trim() || subject.length > 100)) {
+    errors.push('each subject must be a non-empty string of at most 100 characters');
+  }
+  
+  if (body.name !== undefined && (typeof body.name !== 'string' || body.name.length > 100)) {
+    errors.push('name must be a string of at most 100 characters');
+  }
+  
+  if (body.variants !== undefined) {
+    errors.push('variants is not supported for icon sets');
+  }
+  
+  if (body.reference !== undefined) {
+    errors.push('reference is not supported for icon sets');
+  }
+  
+  // Sets are normalized to black-on-white masks before tracing
+  if (body.traceColors !== undefined && body.traceColors !== 1) {
+    errors.push('traceColors is not supported for icon sets');
+  }
+  
+  if (body.padding !== undefined) {
+    const padding = Number(body.padding);
+    if (isNaN(padding) || padding < 0 || padding > 0.3) {
+      errors.push('padding must be a number between 0 and 0.3');
+    }
+  }
+  
+  if (body.normalizeStroke !== undefined && typeof body.normalizeStroke !== 'boolean') {
+    errors.push('normalizeStroke must be a boolean');
+  }
+  
+  // Shared style fields, seed, async and callbackUrl follow the single-icon rules
+  const { subjects, variants, reference, ...shared } = body;
+  return errors.concat(validateGenerateRequest({ ...shared, subject: 'set' }));
+}
+
 // Production API Key Authentication System using Supabase
 const bcrypt = require('bcrypt');
 
@@ -650,6 +1130,55 @@ function initializeApiKeySystem() {
   console.log('🔑 Production API key system initialized');
 }
 
+function toKeyInfo(keyRecord) {
+  return {
+    id: keyRecord.id,
+    name: keyRecord.name,
+    imageProvider: keyRecord.image_provider || null, // 'mock' for sandbox keys
+    prefix: keyRecord.key_prefix,
+    permissions: {
+      canSearch: keyRecord.can_search,
+      canGenerate: keyRecord.can_generate,
+      canDownload: keyRecord.can_download
+    },
+    limits: {
+      perMinute: keyRecord.rate_limit_per_minute,
+      daily: keyRecord.daily_limit,
+      monthly: keyRecord.monthly_limit
+    },
+    ownerId: keyRecord.created_by || null // plan entitlements follow the key's owner
+  };
+}
+
+// Secret that signs the key's job callbacks (public.api_key_webhook_secrets,
+// readable by the service role only); the dev mode key carries its own.
+// Resolves null when the key has none; rejects when it cannot be loaded.
+async function loadWebhookSecret(auth) {
+  if (auth.keyInfo.webhookSecret) return auth.keyInfo.webhookSecret;
+  if (!supabaseService) throw new Error('SUPABASE_SERVICE_ROLE_KEY is not configured');
+  const { data, error } = await supabaseService
+    .from('api_key_webhook_secrets')
+    .select('secret')
+    .eq('api_key_id', auth.apiKeyId)
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  return data ? data.secret : null;
+}
+
+// Current settings of an active key, for jobs that run after the request
+// (null when the key was deactivated, expired or deleted)
+async function loadApiKeyInfo(apiKeyId) {
+  const { data: keyRecord, error } = await supabase
+    .from('api_keys')
+    .select('*')
+    .eq('id', apiKeyId)
+    .eq('is_active', true)
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  if (!keyRecord || (keyRecord.expires_at && new Date(keyRecord.expires_at) < new Date())) return null;
+  return toKeyInfo(keyRecord);
+}
+
 async function validateApiKey(req) {
   // Dev mode bypass for testing
   if (process.env.DEV_MODE === 'true') {
@@ -663,7 +1192,9 @@ async function validateApiKey(req) {
           canDownload: true
         },
         name: 'Dev Mode Key',
-        ownerEmail: 'dev@test.com'
+        ownerEmail: 'dev@test.com',
+        ownerId: 'dev-user-id',
+        webhookSecret: process.env.DEV_WEBHOOK_SECRET || 'dev-webhook-secret'
       },
       apiKeyId: 'dev-api-key-id'
     };
@@ -745,21 +1276,7 @@ async function validateApiKey(req) {
     }
 
     // Cache the validated key
-    const keyInfo = {
-      id: keyRecord.id,
-      name: keyRecord.name,
-      prefix: keyRecord.key_prefix,
-      permissions: {
-        canSearch: keyRecord.can_search,
-        canGenerate: keyRecord.can_generate,
-        canDownload: keyRecord.can_download
-      },
-      limits: {
-        perMinute: keyRecord.rate_limit_per_minute,
-        daily: keyRecord.daily_limit,
-        monthly: keyRecord.monthly_limit
-      }
-    };
+    const keyInfo = toKeyInfo(keyRecord);
 
     API_KEY_CACHE.set(cacheKey, {
       keyInfo,
@@ -775,6 +1292,24 @@ async function validateApiKey(req) {
   }
 }
 
+// Per-minute rate limit for `count` requests at once: batch endpoints count
+// every item, not the one HTTP request. Resolves { allowed, limit, remaining },
+// or null when the limit could not be checked (no database, unknown key).
+async function checkApiKeyRateLimit(apiKeyId, count) {
+  if (!supabase) return null;
+  try {
+    const { data, error } = await supabase.rpc('check_api_key_rate_limit', {
+      p_api_key_id: apiKeyId,
+      p_check_type: 'minute'
+    });
+    if (error || !data || typeof data.remaining !== 'number') return null;
+    return { allowed: data.remaining >= count, limit: data.limit, remaining: data.remaining };
+  } catch (error) {
+    console.error('Failed to check API key rate limit:', error.message);
+    return null;
+  }
+}
+
 async function trackEndpointUsage(apiKeyId, endpoint, method = 'POST', statusCode = 200, responseTime = null) {
   if (!supabase || !apiKeyId) {
     return;
@@ -793,7 +1328,8 @@ async function trackEndpointUsage(apiKeyId, endpoint, method = 'POST', statusCod
   }
 }
 
-async function requireApiKey(req, res, endpoint) {
+async function requireApiKey(req, res, endpoint, options = {}) {
+  const { trackUsage = true } = options;
   const validation = await validateApiKey(req);
   
   if (!validation.valid) {
@@ -812,8 +1348,10 @@ async function requireApiKey(req, res, endpoint) {
     return sendError(res, 403, 'API key does not have download permission');
   }
 
-  // Track usage asynchronously (don't wait for it)
-  trackEndpointUsage(validation.apiKeyId, endpoint, req.method).catch(console.error);
+  // Track usage asynchronously (don't wait for it); batch handlers count per item instead
+  if (trackUsage) {
+    trackEndpointUsage(validation.apiKeyId, endpoint, req.method).catch(console.error);
+  }
   
   console.log(`🔑 API call: ${endpoint} by ${validation.keyInfo.name} (${validation.keyInfo.prefix})`);
   
@@ -930,33 +1468,66 @@ async function removeBackgroundFromBuffer(imageBuffer, options = {}) {
   }
 }
 
-// Helper function to fetch SVG content
+// Helper function to fetch SVG content (Iconify SVGs come from the local index when enabled)
 async function fetchSvgContent(url) {
+  const iconId = ICON_SOURCE !== 'remote' ? iconifyIdFromUrl(url) : null;
+  if (iconId) {
+    const localSvg = localIconIndex.getSvg(iconId);
+    if (localSvg || ICON_SOURCE === 'local') return localSvg;
+  }
+  
   try {
-    const response = await axios.get(url, {
-      responseType: 'text',
-      timeout: 10000,
-      headers: { 
-        'User-Agent': 'icon-search-app/1.0 (+https://local)', 
-        'Accept': 'image/svg+xml,text/plain,*/*' 
-      },
-      validateStatus: s => s >= 200 && s < 400
-    });
-    
-    return response.data;
+    // Failed fetches reject inside wrap, so they are retried rather than cached
+    return await responseCache.wrap(`svg:${url}`, async () => {
+      const response = await axios.get(url, {
+        responseType: 'text',
+        timeout: 10000,
+        headers: { 
+          'User-Agent': 'icon-search-app/1.0 (+https://local)', 
+          'Accept': 'image/svg+xml,text/plain,*/*' 
+        },
+        validateStatus: s => s >= 200 && s < 400
+      });
+      return response.data;
+    }, { ttlMs: SVG_CACHE_TTL_MS });
   } catch (error) {
     console.error('Failed to fetch SVG:', error.message);
     return null;
   }
 }
 
+// Download a generated image into a Buffer (capped at MAX_BYTES)
+async function downloadImage(imageUrl) {
+  const response = await axios.get(imageUrl, {
+    responseType: 'arraybuffer',
+    timeout: 20000,
+    maxContentLength: MAX_BYTES,
+    maxBodyLength: MAX_BYTES,
+    headers: { 
+      'User-Agent': 'icon-search-app/1.0 (+https://local)', 
+      'Accept': 'image/*,*/*' 
+    },
+    validateStatus: s => s >= 200 && s < 400
+  });
+
+  const buf = Buffer.from(response.data);
+  if (buf.length > MAX_BYTES) {
+    throw new Error('Image too large');
+  }
+  return buf;
+}
+
 // Helper function to convert generated image to SVG
 async function convertToSvg(imageUrl, options = {}) {
   const {
     removeBackground = true, // Default: remove background
     backgroundTolerance = 35,
     backgroundFeather = 2.5,
-    backgroundDespeckle = 1
+    backgroundDespeckle = 1,
+    imageBuffer = null, // bytes the image provider already returned (skips the download)
+    svgOptions = svgOptionsFromBody(), // see lib/svg-optimizer.js
+    traceOptions = traceOptionsFromBody(), // see lib/color-trace.js
+    onStage = () => {} // progress callback for async generation jobs
   } = options;
 
   try {
@@ -966,25 +1537,12 @@ async function convertToSvg(imageUrl, options = {}) {
     }
     
     // Download the image
-    const response = await axios.get(imageUrl, {
-      responseType: 'arraybuffer',
-      timeout: 20000,
-      maxContentLength: MAX_BYTES,
-      maxBodyLength: MAX_BYTES,
-      headers: { 
-        'User-Agent': 'icon-search-app/1.0 (+https://local)', 
-        'Accept': 'image/*,*/*' 
-      },
-      validateStatus: s => s >= 200 && s < 400
-    });
-
-    let buf = Buffer.from(response.data);
-    if (buf.length > MAX_BYTES) {
-      throw new Error('Image too large');
-    }
+    onStage('downloading');
+    let buf = imageBuffer || await downloadImage(imageUrl);
 
     // Apply background removal if requested
     if (removeBackground) {
+      onStage('removing_background');
       try {
         console.log(`🧹 Removing background...`);
         buf = await removeBackgroundFromBuffer(buf, {
@@ -999,23 +1557,12 @@ async function convertToSvg(imageUrl, options = {}) {
       }
     }
 
-    // Normalize to paletted PNG for potrace
-    const png = await sharp(buf)
-      .resize({ width: 512, height: 512, fit: 'inside', withoutEnlargement: true })
-      .png({ palette: true })
-      .toBuffer();
-
     // Convert to SVG using potrace
-    const svg = await potraceTrace(png, {
-      color: '#000000',
-      threshold: 128,
-      turdSize: 2,
-      invert: false,
-      optTolerance: 0.2
-    });
+    onStage('vectorizing');
+    const svg = await traceImage(buf, traceOptions);
     
     console.log(`✅ Successfully vectorized to SVG`);
-    return svg;
+    return applySvgOptions(svg, svgOptions);
     
   } catch (error) {
     console.log(`⚠️  Vectorization failed (${error.message}), creating simple SVG wrapper`);
@@ -1063,115 +1610,196 @@ function applyIconFilters(icons, filters) {
   return filteredIcons;
 }
 
-async function handleIconSearch(req, res) {
-  // Require API key for MCP usage
-  const auth = await requireApiKey(req, res, 'search');
-  if (!auth) return; // Error already sent
-  
+// Search icons through the configured source (local index and/or Iconify API)
+async function searchIconify(query, limit = DEFAULT_SEARCH_UPSTREAM_LIMIT) {
+  if (ICON_SOURCE !== 'remote') {
+    const localResult = localIconIndex.search(query, limit);
+    if (ICON_SOURCE === 'local' || localResult.icons.length > 0) return localResult;
+  }
+  return searchIconifyRemote(query, limit);
+}
+
+// Fetch the raw Iconify search API response through the shared cache
+// (shared by searchIconifyRemote and the /api/iconify-search proxy)
+function fetchIconifySearch(query, limit) {
+  const upstreamUrl = `https://api.iconify.design/search?query=${encodeURIComponent(query)}&limit=${limit}`;
+  return responseCache.wrap(`search:${upstreamUrl}`, async () => {
+    const upstream = await fetchUpstream(upstreamUrl, {
+      headers: {
+        'Accept': 'application/json',
+        'User-Agent': 'icon-search-app/1.0 (+local)'
+      },
+      maxBytes: 5e6
+    });
+    return { statusCode: upstream.statusCode, body: upstream.body.toString('utf8') };
+  }, { ttlMs: SEARCH_CACHE_TTL_MS, shouldCache: r => r.statusCode === 200 && r.body.trim().startsWith('{') });
+}
+
+// Query the Iconify search API and return its parsed JSON result
+async function searchIconifyRemote(query, limit = DEFAULT_SEARCH_UPSTREAM_LIMIT) {
+  const upstream = await fetchIconifySearch(query, limit);
   try {
-    console.log(`🔍 Starting icon search...`);
-    
-    const body = await readJson(req);
-    const validationErrors = validateSearchRequest(body);
-    
-    if (validationErrors.length > 0) {
-      return sendError(res, 400, 'Validation failed', { errors: validationErrors });
-    }
-    
+    return JSON.parse(upstream.body);
+  } catch (e) {
+    throw new Error('Invalid JSON response');
+  }
+}
+
+// Run an async mapper over items with at most `concurrency` calls in flight
+async function mapWithConcurrency(items, concurrency, mapper) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await mapper(items[index], index);
+    }
+  };
+  const workers = [];
+  for (let i = 0; i < Math.min(concurrency, items.length); i++) workers.push(worker());
+  await Promise.all(workers);
+  return results;
+}
+
+// Build the JSON entry for one search result, optionally with its SVG
+async function buildSearchResult(iconId, score, rank, includeSvg) {
+  const [prefix, name] = iconId.split(':');
+  const iconUrl = `https://api.iconify.design/${iconId}.svg`;
+  const result = {
+    id: iconId,
+    name: name.replace(/-/g, ' '),
+    prefix,
+    library: prefix,
+    url: iconUrl,
+    score,
+    rank
+  };
+  if (includeSvg) {
+    result.svg = await fetchSvgContent(iconUrl);
+  }
+  return result;
+}
+
+// Search, filter and rank icons for one query (shared by single and batch search)
+async function findRankedIcons(query, filters, upstreamLimit = DEFAULT_SEARCH_UPSTREAM_LIMIT) {
+  const searchResult = await searchIconify(query, upstreamLimit);
+  
+  if (!searchResult.icons || !Array.isArray(searchResult.icons)) {
+    throw new Error('Invalid response from search service');
+  }
+  
+  const filteredIcons = applyIconFilters(searchResult.icons, filters);
+  
+  // Score and reorder candidates instead of trusting Iconify's first hit
+  const ranked = rankIcons(filteredIcons, { query, ...filters });
+  
+  return {
+    ranked,
+    metadata: {
+      totalFound: searchResult.icons.length,
+      filtered: filteredIcons.length,
+      filters
+    }
+  };
+}
+
+async function handleIconSearch(req, res) {
+  // Require API key for MCP usage
+  const auth = await requireApiKey(req, res, 'search');
+  if (!auth) return; // Error already sent
+  
+  try {
+    console.log(`🔍 Starting icon search...`);
+    
+    const body = await readJson(req);
+    const validationErrors = validateSearchRequest(body);
+    
+    if (validationErrors.length > 0) {
+      return sendError(res, 400, 'Validation failed', { errors: validationErrors });
+    }
+    
     const query = body.query.trim();
     const library = body.library || 'all';
     const subLibrary = body.subLibrary || 'all';
     const style = body.style || 'all';
     
-    console.log(`🔍 Searching for: "${query}" (library: ${library}, style: ${style})`);
-    
-    // Search Iconify API with higher limit to filter down to best match
-    const upstreamUrl = `https://api.iconify.design/search?query=${encodeURIComponent(query)}&limit=50`;
-    
-    const searchPromise = new Promise((resolve, reject) => {
-      const upReq = https.get(upstreamUrl, {
-        headers: {
-          'Accept': 'application/json',
-          'User-Agent': 'icon-search-app/1.0 (+local)'
-        }
-      }, (upRes) => {
-        let data = '';
-        upRes.on('data', (chunk) => { 
-          data += chunk; 
-          if (data.length > 5e6) {
-            upReq.destroy();
-            reject(new Error('Response too large'));
-          }
-        });
-        upRes.on('end', () => {
-          try {
-            const result = JSON.parse(data);
-            resolve(result);
-          } catch (e) {
-            reject(new Error('Invalid JSON response'));
-          }
-        });
-      });
-      upReq.on('error', reject);
-      upReq.setTimeout(10000, () => {
-        upReq.destroy();
-        reject(new Error('Request timeout'));
-      });
-    });
+    // Passing limit or offset switches to ranked multi-result mode
+    const multiResult = body.limit !== undefined || body.offset !== undefined;
+    const limit = body.limit || 20;
+    const offset = body.offset || 0;
+    const includeSvg = body.includeSvg !== false;
     
-    const searchResult = await searchPromise;
+    console.log(`🔍 Searching for: "${query}" (library: ${library}, style: ${style})`);
     
-    if (!searchResult.icons || !Array.isArray(searchResult.icons)) {
-      return sendError(res, 502, 'Invalid response from search service');
+    // Search Iconify API with a high enough limit to cover the requested page
+    const upstreamLimit = multiResult
+      ? Math.min(MAX_SEARCH_UPSTREAM_LIMIT, Math.max(DEFAULT_SEARCH_UPSTREAM_LIMIT, offset + limit))
+      : DEFAULT_SEARCH_UPSTREAM_LIMIT;
+    let ranked, metadata;
+    try {
+      ({ ranked, metadata } = await findRankedIcons(query, { library, subLibrary, style }, upstreamLimit));
+    } catch (error) {
+      if (error.message === 'Invalid response from search service') {
+        return sendError(res, 502, error.message);
+      }
+      throw error;
     }
     
-    console.log(`📊 Found ${searchResult.icons.length} icons, applying filters...`);
+    console.log(`📊 Found ${metadata.totalFound} icons, ${metadata.filtered} after filters`);
     
-    // Apply filters
-    const filteredIcons = applyIconFilters(searchResult.icons, {
-      library,
-      subLibrary,
-      style
-    });
-    
-    if (filteredIcons.length === 0) {
+    if (ranked.length === 0) {
       console.log(`❌ No icons found matching criteria`);
       return sendError(res, 404, 'No icons found matching your criteria');
     }
     
-    // Return only the first (best match) icon for MCP usage
-    const iconId = filteredIcons[0];
-    const [prefix, name] = iconId.split(':');
-    const iconUrl = `https://api.iconify.design/${iconId}.svg`;
+    if (multiResult) {
+      const page = ranked.slice(offset, offset + limit);
+      
+      console.log(`📄 Returning ${page.length} ranked icons (offset: ${offset}, limit: ${limit})`);
+      
+      const icons = await mapWithConcurrency(page, SVG_FETCH_CONCURRENCY, (entry, i) =>
+        buildSearchResult(entry.id, entry.score, offset + i + 1, includeSvg)
+      );
+      
+      const hasMore = offset + page.length < ranked.length;
+      
+      return sendJson(res, 200, {
+        success: true,
+        query,
+        icons,
+        metadata,
+        pagination: {
+          limit,
+          offset,
+          returned: icons.length,
+          total: ranked.length,
+          hasMore,
+          nextOffset: hasMore ? offset + page.length : null
+        }
+      });
+    }
+    
+    // Return only the top-ranked (best match) icon for MCP usage
+    const iconId = ranked[0].id;
     
     console.log(`✅ Selected best match: ${iconId}`);
     console.log(`📥 Fetching SVG content...`);
     
-    // Fetch SVG content
-    const svgContent = await fetchSvgContent(iconUrl);
+    const icon = await buildSearchResult(iconId, ranked[0].score, 1, true);
     
-    if (!svgContent) {
+    if (!icon.svg) {
       return sendError(res, 502, 'Failed to fetch icon SVG content');
     }
     
-    console.log(`✅ Successfully fetched SVG content (${svgContent.length} bytes)`);
+    console.log(`✅ Successfully fetched SVG content (${icon.svg.length} bytes)`);
     
     // Build response with single icon and SVG content
     const response = {
       success: true,
       query,
       icon: {
-        id: iconId,
-        name: name.replace(/-/g, ' '),
-        prefix,
-        library: prefix,
-        url: iconUrl,
-        svg: svgContent,
-        metadata: {
-          totalFound: searchResult.icons.length,
-          filtered: filteredIcons.length,
-          filters: { library, subLibrary, style }
-        }
+        ...icon,
+        metadata
       }
     };
     
@@ -1186,218 +1814,1303 @@ async function handleIconSearch(req, res) {
   }
 }
 
+// Normalize one batch entry (a string or an object) on top of the shared filters
+function normalizeBatchItem(item, shared) {
+  const fields = typeof item === 'string' ? { query: item } : (item && typeof item === 'object' ? item : {});
+  return {
+    query: fields.query,
+    library: fields.library || shared.library,
+    subLibrary: fields.subLibrary || shared.subLibrary,
+    style: fields.style || shared.style,
+    limit: fields.limit !== undefined ? fields.limit : shared.limit,
+    includeSvg: fields.includeSvg !== undefined ? fields.includeSvg : shared.includeSvg
+  };
+}
+
+// Resolve one batch entry to a per-item result or a per-item error
+async function resolveBatchSearchItem(params, index) {
+  const validationErrors = validateSearchRequest(params);
+  if (validationErrors.length > 0) {
+    return { index, query: params.query, success: false, status: 400, error: 'Validation failed', details: { errors: validationErrors } };
+  }
+  
+  const query = params.query.trim();
+  const filters = {
+    library: params.library || 'all',
+    subLibrary: params.subLibrary || 'all',
+    style: params.style || 'all'
+  };
+  const limit = params.limit || 1;
+  const includeSvg = params.includeSvg !== false;
+  
+  try {
+    const { ranked, metadata } = await findRankedIcons(query, filters, Math.max(DEFAULT_SEARCH_UPSTREAM_LIMIT, limit));
+    
+    if (ranked.length === 0) {
+      return { index, query, success: false, status: 404, error: 'No icons found matching your criteria', metadata };
+    }
+    
+    // SVGs are fetched one at a time per item so BATCH_SEARCH_CONCURRENCY bounds all upstream calls
+    const icons = await mapWithConcurrency(ranked.slice(0, limit), 1, (entry, i) =>
+      buildSearchResult(entry.id, entry.score, i + 1, includeSvg)
+    );
+    
+    return { index, query, success: true, status: 200, icons, metadata };
+  } catch (error) {
+    console.error(`❌ Batch item ${index} ("${query}") failed:`, error.message);
+    if (error.message === 'Request timeout') {
+      return { index, query, success: false, status: 504, error: 'Search service timeout' };
+    }
+    return { index, query, success: false, status: 502, error: 'Search temporarily unavailable' };
+  }
+}
+
+async function handleBatchIconSearch(req, res) {
+  // One API key check for the whole batch; rate limit and usage count per item below
+  const auth = await requireApiKey(req, res, 'search/batch', { trackUsage: false });
+  if (!auth) return; // Error already sent
+  
+  try {
+    const body = await readJson(req);
+    const validationErrors = validateBatchSearchRequest(body);
+    
+    if (validationErrors.length > 0) {
+      return sendError(res, 400, 'Validation failed', { errors: validationErrors });
+    }
+    
+    // The key's check above counted one request; each item counts as one
+    const rateLimit = await checkApiKeyRateLimit(auth.apiKeyId, body.queries.length);
+    if (rateLimit && !rateLimit.allowed) {
+      return sendError(res, 429, `Rate limit exceeded. ${rateLimit.remaining} requests remaining this minute.`, {
+        limit: rateLimit.limit,
+        remaining: rateLimit.remaining,
+        requested: body.queries.length
+      });
+    }
+    
+    const shared = {
+      library: body.library,
+      subLibrary: body.subLibrary,
+      style: body.style,
+      limit: body.limit,
+      includeSvg: body.includeSvg
+    };
+    
+    console.log(`🔍 Starting batch icon search (${body.queries.length} items)...`);
+    
+    // Identical items within one batch share a single lookup
+    const inflight = new Map();
+    const results = await mapWithConcurrency(body.queries, BATCH_SEARCH_CONCURRENCY, async (item, index) => {
+      const params = normalizeBatchItem(item, shared);
+      const key = JSON.stringify({ ...params, query: typeof params.query === 'string' ? params.query.trim().toLowerCase() : params.query });
+      if (!inflight.has(key)) {
+        inflight.set(key, resolveBatchSearchItem(params, index));
+      }
+      // Items that differ only in case share the lookup but echo their own query
+      const lookup = await inflight.get(key);
+      const result = { ...lookup, index, query: lookup.status === 400 ? params.query : params.query.trim() };
+      
+      trackEndpointUsage(auth.apiKeyId, 'search/batch', req.method, result.status).catch(console.error);
+      
+      return result;
+    });
+    
+    const succeeded = results.filter(r => r.success).length;
+    
+    console.log(`✅ Batch search completed: ${succeeded}/${results.length} succeeded`);
+    
+    sendJson(res, 200, {
+      success: true,
+      results,
+      summary: {
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded
+      }
+    });
+    
+  } catch (error) {
+    console.error('❌ Batch icon search error:', error);
+    sendError(res, 500, 'Batch search temporarily unavailable');
+  }
+}
+
+function randomTaskUUID() {
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => { 
+    const r = Math.random() * 16 | 0;
+    const v = c === 'x' ? r : (r & 0x3 | 0x8); 
+    return v.toString(16); 
+  });
+}
+
+function randomSeed() {
+  return require('crypto').randomInt(1, MAX_GENERATE_SEED + 1);
+}
+
+// Seed for the i-th variant, wrapping within 1..MAX_GENERATE_SEED
+function variantSeed(baseSeed, index) {
+  return ((baseSeed - 1 + index) % MAX_GENERATE_SEED) + 1;
+}
+
+// Error raised inside the generation pipeline that maps to an HTTP status
+function generationError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function generationErrorMessage(error) {
+  if (error.statusCode) return error.message;
+  return error.message === 'Request timeout' 
+    ? 'Generation service timeout' 
+    : 'Generation temporarily unavailable';
+}
+
 async function handleIconGenerate(req, res) {
-  // Require API key for MCP usage
-  const auth = await requireApiKey(req, res, 'generate');
+  // Require API key for MCP usage; usage is counted per variant below
+  const auth = await requireApiKey(req, res, 'generate', { trackUsage: false });
   if (!auth) return; // Error already sent
   
-  if (!RUNWARE_API_KEY) {
-    return sendError(res, 500, 'Server not configured: RUNWARE_API_KEY missing');
+  const provider = imageProviderFor(auth.keyInfo);
+  if (!provider.configured) {
+    return sendError(res, 500, `Server not configured: ${provider.missingConfig} missing`);
   }
   
   try {
     console.log(`🎨 Starting icon generation...`);
     
-    const body = await readJson(req);
+    const body = await readJson(req, MAX_GENERATE_JSON_BYTES);
     const validationErrors = validateGenerateRequest(body);
     
     if (validationErrors.length > 0) {
       return sendError(res, 400, 'Validation failed', { errors: validationErrors });
     }
     
-    // Build prompt from structured inputs
-    const subject = body.subject.trim();
-    const context = (body.context || '').trim();
-    const style = body.style || 'outline';
-    const colors = body.colors || 'black and white';
-    const background = body.background || 'white';
+    // Fail fast on an unknown template or a model outside the plan instead of inside an async job
+    await resolvePromptTemplate(body);
+    await checkModelAccess(auth.keyInfo.ownerId, body.model);
     
-    // Background removal options (default: enabled)
-    const removeBackground = body.removeBackground !== false; // Default true unless explicitly false
-    const backgroundTolerance = body.backgroundTolerance || 35;
-    const backgroundFeather = body.backgroundFeather || 2.5;
+    // Each variant is one generation, for the rate limit and for usage
+    const variantCount = body.variants || 1;
+    const rateLimit = await checkApiKeyRateLimit(auth.apiKeyId, variantCount);
+    if (rateLimit && !rateLimit.allowed) {
+      return sendError(res, 429, `Rate limit exceeded. ${rateLimit.remaining} requests remaining this minute.`, {
+        limit: rateLimit.limit,
+        remaining: rateLimit.remaining,
+        requested: variantCount
+      });
+    }
+    for (let i = 0; i < variantCount; i++) {
+      trackEndpointUsage(auth.apiKeyId, 'generate', req.method).catch(console.error);
+    }
     
-    const contextPart = context ? ` for ${context}` : '';
-    const prompt = `Design a simple, flat, minimalist icon of a ${subject}${contextPart} ${style} style, ${colors} colors, ${background} background, evenly spaced elements. Maintain geometric balance and consistent stroke width, no text, only icon.`;
+    // Async mode: answer with a job id now, run the pipeline in the background
+    if (body.async === true) {
+      return queueGenerationJob(res, auth, body, { kind: 'icon' });
+    }
     
-    console.log(`📝 Generated prompt: "${prompt}"`);
+    const response = await generateIcon(body, { provider });
+    sendJson(res, 200, response);
     
-    // Generate UUID for the task
-    const taskUUID = 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => { 
-      const r = Math.random() * 16 | 0;
-      const v = c === 'x' ? r : (r & 0x3 | 0x8); 
-      return v.toString(16); 
+  } catch (error) {
+    console.error('❌ Icon generation error:', error);
+    sendError(res, error.statusCode || 500, generationErrorMessage(error));
+  }
+}
+
+// Record an async job and answer 202 with its id. Durable jobs are run by a
+// generation worker (see lib/generation-worker.js); in-memory jobs run here.
+async function queueGenerationJob(res, auth, body, { kind, stages }) {
+  if (body.callbackUrl) {
+    let secret;
+    try {
+      secret = await loadWebhookSecret(auth);
+    } catch (error) {
+      console.error('❌ Failed to load webhook secret:', error.message);
+      return sendError(res, 503, 'Job queue temporarily unavailable');
+    }
+    if (!secret) return sendError(res, 400, 'API key has no webhook secret configured');
+  }
+  let job;
+  try {
+    job = await generationJobs.create({
+      apiKeyId: auth.apiKeyId,
+      kind,
+      request: body,
+      callbackUrl: body.callbackUrl || null,
+      stages,
+      skipStages: body.removeBackground === false ? ['removing_background'] : []
     });
-    
-    console.log(`🆔 Task UUID: ${taskUUID}`);
-    
-    // Prepare Runware API request
-    const tasks = [{
-      taskType: 'imageInference',
-      taskUUID,
-      positivePrompt: prompt,
-      width: 1024,
-      height: 1024,
-      model: 'google:2@3',
-      numberResults: 1
-    }];
-    
-    const payload = JSON.stringify(tasks);
-    
-    console.log(`🚀 Sending generation request to Runware API...`);
-    
-    // Call Runware API
-    const generatePromise = new Promise((resolve, reject) => {
-      const upReq = https.request('https://api.runware.ai/v1', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${RUNWARE_API_KEY}`
-        }
-      }, (upRes) => {
-        console.log(`📡 Received response from Runware API (status: ${upRes.statusCode})`);
-        
-        let data = '';
-        upRes.on('data', (d) => { 
-          data += d; 
-          if (data.length > 5e6) {
-            upReq.destroy();
-            reject(new Error('Response too large'));
-          }
-        });
-        upRes.on('end', () => {
-          try {
-            const result = JSON.parse(data);
-            resolve({ statusCode: upRes.statusCode, data: result });
-          } catch (e) {
-            reject(new Error('Invalid JSON response'));
-          }
-        });
-      });
-      upReq.on('error', (err) => {
-        console.error(`❌ Runware API request error:`, err);
-        reject(err);
-      });
-      upReq.setTimeout(30000, () => {
-        console.log(`⏰ Request timeout after 30 seconds`);
-        upReq.destroy();
-        reject(new Error('Request timeout'));
-      });
-      upReq.write(payload);
-      upReq.end();
+  } catch (error) {
+    console.error('❌ Failed to queue generation job:', error.message);
+    return sendError(res, 503, 'Job queue temporarily unavailable');
+  }
+  console.log(`🧾 Queued ${kind === 'set' ? 'icon set' : 'generation'} job ${job.id}`);
+  sendJson(res, 202, {
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    statusUrl: `/api/jobs/${job.id}`
+  });
+  if (job.durable) return generationWorker.wake();
+  runGenerationJob(job.id, body, auth, generationPipeline(kind, auth))
+    .catch(e => console.error(`❌ Job ${job.id} crashed:`, e));
+}
+
+function generationPipeline(kind, auth) {
+  return kind === 'set' ? iconSetPipeline(auth) : generateIcon;
+}
+
+// Worker entry point for a claimed job; the key's current settings decide the
+// provider and the webhook secret
+async function runQueuedJob(job) {
+  const keyInfo = await loadApiKeyInfo(job.apiKeyId);
+  if (!keyInfo) {
+    generationJobs.fail(job.id, { statusCode: 403, message: 'API key is no longer active' });
+    return;
+  }
+  const auth = { apiKeyId: job.apiKeyId, keyInfo };
+  return runGenerationJob(job.id, job.request, auth, generationPipeline(job.kind, auth));
+}
+
+// Run the pipeline for an async job, record its stages and deliver the callback
+async function runGenerationJob(jobId, body, auth, pipeline = generateIcon) {
+  let payload;
+  try {
+    const result = await pipeline(body, {
+      onStage: stage => generationJobs.setStage(jobId, stage),
+      provider: imageProviderFor(auth.keyInfo)
     });
-    
-    const { statusCode, data: result } = await generatePromise;
-    
-    if (statusCode >= 400 || result.error || result.errors) {
-      console.error(`❌ Generation failed:`, result);
-      const msg = (Array.isArray(result?.error) && result.error[0]?.message) || 
-                  (Array.isArray(result?.errors) && result.errors[0]?.message) || 
-                  result?.message || 'Generation failed';
-      return sendError(res, statusCode >= 400 ? statusCode : 500, msg);
+    const job = generationJobs.complete(jobId, result);
+    console.log(`✅ Generation job ${jobId} completed`);
+    payload = { event: 'generation.completed', job: toPublicJob(job) };
+  } catch (error) {
+    console.error(`❌ Generation job ${jobId} failed:`, error.message);
+    const job = generationJobs.fail(jobId, { statusCode: error.statusCode || 500, message: generationErrorMessage(error) });
+    payload = { event: 'generation.failed', job: toPublicJob(job) };
+  }
+
+  if (!body.callbackUrl) return;
+  // The callback payload must not describe its own (still pending) delivery
+  delete payload.job.callback;
+  let secret;
+  try {
+    secret = await loadWebhookSecret(auth);
+  } catch (error) {
+    console.error(`❌ Failed to load webhook secret for job ${jobId}:`, error.message);
+  }
+  if (!secret) {
+    generationJobs.updateCallback(jobId, { status: 'failed', error: 'Webhook secret unavailable' });
+    return;
+  }
+  const delivery = await deliverWebhook(body.callbackUrl, payload, {
+    secret,
+    event: payload.event,
+    headers: { 'X-Aicon-Job-Id': jobId }
+  });
+  generationJobs.updateCallback(jobId, {
+    status: delivery.delivered ? 'delivered' : 'failed',
+    attempts: delivery.attempts,
+    lastStatusCode: delivery.statusCode,
+    deliveredAt: delivery.delivered ? new Date().toISOString() : null,
+    ...(delivery.error && { error: delivery.error })
+  });
+  console.log(delivery.delivered
+    ? `📬 Delivered job ${jobId} to callback`
+    : `⚠️ Callback delivery for job ${jobId} failed: ${delivery.error}`);
+}
+
+function buildIconPrompt(template, { subject, context, style, colors, background }) {
+  return renderTemplate(template.body, { subject, context, style, colors, background });
+}
+
+// Template chosen by body.template / body.templateVersion (default template when omitted)
+async function resolvePromptTemplate(body) {
+  const template = await promptTemplates.resolve(body.template || undefined, body.templateVersion);
+  if (!template) {
+    const version = body.templateVersion ? ` version ${body.templateVersion}` : '';
+    throw generationError(400, `Unknown prompt template: ${body.template || 'default'}${version}`);
+  }
+  return template;
+}
+
+// Reject models the user's plan does not include (userId: session user or API key owner)
+async function checkModelAccess(userId, modelId = DEFAULT_MODEL) {
+  const entitlement = await modelEntitlements.forUser(userId);
+  if (!isModelAllowed(entitlement, modelId)) {
+    const plan = entitlement.plan ? `the ${entitlement.plan.name} plan` : 'your plan';
+    throw generationError(403, `Model ${modelId} is not available on ${plan}`);
+  }
+}
+
+// Rasterize a validated reference for the provider:
+// { image: PNG data URL, strength, metadata } (null without a reference)
+async function resolveReferenceImage(reference) {
+  if (!reference) return null;
+  let source;
+  if (reference.type === 'iconify') {
+    const svg = await fetchSvgContent(`https://api.iconify.design/${reference.id}.svg`);
+    if (!svg) throw generationError(404, `Reference icon not found: ${reference.id}`);
+    source = Buffer.from(svg);
+  } else if (reference.type === 'generated') {
+    let row = null;
+    if (supabase) {
+      const { data, error } = await supabase
+        .from('generated_icons')
+        .select('id, image_url')
+        .eq('id', reference.id)
+        .maybeSingle();
+      if (!error) row = data;
     }
+    if (!row) throw generationError(404, `Reference icon not found: generated icon ${reference.id}`);
+    const inline = parseDataUrl(row.image_url);
+    if (inline) {
+      source = inline.buffer;
+    } else {
+      let host = null;
+      try { host = new URL(row.image_url).hostname; } catch (e) { /* reported below */ }
+      if (!ALLOWED_IMAGE_HOSTS.has(host)) throw generationError(400, 'Reference image host not allowed');
+      source = await downloadImage(row.image_url);
+    }
+  } else {
+    source = parseDataUrl(reference.data).buffer;
+  }
+  
+  let png;
+  try {
+    png = await rasterizeReference(source);
+  } catch (e) {
+    throw generationError(400, 'Reference image could not be read');
+  }
+  console.log(`🖼️ Using ${reference.type} reference (${png.length} bytes)`);
+  return {
+    image: toDataUrl(png),
+    strength: reference.strength ?? DEFAULT_STRENGTH,
+    metadata: describeReference(reference, png)
+  };
+}
+
+// Insert one generated_icons row; failures are logged, never thrown. Images
+// from sandbox providers (mock) stay out of the public gallery.
+async function saveGeneratedIconRow(iconData, provider) {
+  if (!supabase || provider.sandbox) return;
+  try {
+    console.log(`💾 Saving generated icon to database...`);
+    const { error: saveError } = await supabase
+      .from('generated_icons')
+      .insert(iconData)
+      .select();
     
-    const imageResult = Array.isArray(result?.data) ? 
-      result.data.find(d => d.taskType === 'imageInference') : null;
-    
-    if (!imageResult || !imageResult.imageURL) {
-      console.error(`❌ No image URL in response:`, result);
-      return sendError(res, 500, 'Image generation failed');
+    if (saveError) {
+      console.log(`⚠️ Failed to save icon to database:`, saveError.message);
+    } else {
+      console.log(`✅ Icon saved to database successfully`);
     }
+  } catch (saveErr) {
+    console.log(`⚠️ Database save error:`, saveErr.message);
+  }
+}
+
+// Generation pipeline: Runware call, download, background removal, potrace, DB insert.
+// onStage(name) is called as each stage starts; throws generationError on failure.
+async function generateIcon(body, options = {}) {
+  const { onStage = () => {}, provider = imageProviderFor() } = options;
+  
+  // Build prompt from structured inputs
+  const subject = body.subject.trim();
+  const context = (body.context || '').trim();
+  const style = body.style || 'outline';
+  const colors = body.colors || 'black and white';
+  const background = body.background || 'white';
+  
+  // Background removal options (default: enabled)
+  const removeBackground = body.removeBackground !== false; // Default true unless explicitly false
+  const backgroundTolerance = body.backgroundTolerance || 35;
+  const backgroundFeather = body.backgroundFeather || 2.5;
+  
+  // Variant i uses seed + i, so any single variant can be regenerated from its own seed
+  const variantCount = body.variants || 1;
+  const baseSeed = body.seed || randomSeed();
+  const seeds = Array.from({ length: variantCount }, (_, i) => variantSeed(baseSeed, i));
+  
+  const template = await resolvePromptTemplate(body);
+  const prompt = buildIconPrompt(template, { subject, context, style, colors, background });
+  const modelParams = resolveModelParams(body);
+  const reference = await resolveReferenceImage(body.reference);
+  const svgOptions = svgOptionsFromBody(body);
+  const traceOptions = traceOptionsFromBody(body);
+  
+  console.log(`📝 Generated prompt: "${prompt}"`);
+  
+  // One request per variant so each result is tied to an explicit seed
+  const tasks = seeds.map(seed => ({
+    taskUUID: randomTaskUUID(),
+    prompt,
+    ...modelParams,
+    seed,
+    ...(reference && { referenceImage: reference.image, strength: reference.strength })
+  }));
+  const taskUUID = tasks[0].taskUUID;
+  
+  console.log(`🆔 Task UUID: ${taskUUID} (${variantCount} variant(s), seed ${baseSeed}, ${modelParams.model} via ${provider.name})`);
+  
+  onStage('generating');
+  const imageResults = await provider.generate(tasks);
+  
+  console.log(`✅ ${imageResults.length} image(s) generated successfully`);
+  
+  // Variants are traced a few at a time (potrace is CPU-bound); order follows the seeds
+  const traced = await mapWithConcurrency(tasks, VARIANT_TRACE_CONCURRENCY, async (task) => {
+    const imageResult = imageResults.find(d => d.taskUUID === task.taskUUID);
+    if (!imageResult) return null;
     
-    console.log(`✅ Image generated successfully: ${imageResult.imageURL}`);
-    console.log(`🔄 Converting to SVG format...`);
+    console.log(`🔄 Converting to SVG format (seed ${task.seed})...`);
     
     // Convert generated image to SVG with optional background removal
     const svgContent = await convertToSvg(imageResult.imageURL, {
       removeBackground,
       backgroundTolerance,
-      backgroundFeather
+      backgroundFeather,
+      imageBuffer: imageResult.imageBuffer,
+      svgOptions,
+      traceOptions,
+      onStage
     });
     
     if (!svgContent) {
       console.error(`❌ Failed to convert to SVG`);
-      return sendError(res, 500, 'Failed to convert generated image to SVG');
+      throw generationError(500, 'Failed to convert generated image to SVG');
     }
     
     console.log(`✅ Successfully converted to SVG (${svgContent.length} bytes)`);
     
-    // Save generated icon to database for display in "Generated Icons" section
-    if (supabase) {
+    return {
+      id: `generated-${task.taskUUID}`,
+      name: `Generated ${subject} icon`,
+      type: 'generated',
+      imageUrl: imageResult.imageURL,
+      svg: svgContent,
+      width: modelParams.width,
+      height: modelParams.height,
+      format: 'svg',
+      seed: task.seed,
+      taskUUID: task.taskUUID
+    };
+  });
+  const variants = traced.filter(Boolean);
+  
+  if (variants.length === 0) {
+    console.error(`❌ No results matched the submitted tasks:`, imageResults);
+    throw generationError(500, 'Image generation failed');
+  }
+  
+  // Save generated icons to database for display in "Generated Icons" section
+  onStage('saving');
+  const crypto = require('crypto');
+  const iconName = `${subject} ${style} ${colors} ${background}`.trim();
+  for (const variant of variants) {
+    // Create deterministic ID for deduplication
+    const deterministicId = crypto.createHash('sha256')
+      .update(iconName + variant.imageUrl)
+      .digest('hex');
+    
+    await saveGeneratedIconRow({
+      deterministic_id: deterministicId,
+      icon_name: iconName,
+      subject: subject,
+      context: context || '',
+      style: style,
+      colors: colors,
+      background: background,
+      image_url: variant.imageUrl,
+      seed: variant.seed,
+      template_id: template.id,
+      template_version: template.version,
+      ...(reference && { reference: reference.metadata }),
+      user_id: null, // API-generated icons don't have a specific user
+      custom_id: `api_${variant.taskUUID}` // Mark as API-generated
+    }, provider);
+  }
+  
+  // Build response with SVG content for MCP usage; `icon` is the first variant
+  console.log(`🎉 Icon generation completed successfully!`);
+  return {
+    success: true,
+    prompt,
+    parameters: {
+      subject,
+      context,
+      style,
+      colors,
+      background,
+      variants: variantCount,
+      seed: baseSeed,
+      template: { id: template.id, version: template.version },
+      model: modelParams.model,
+      provider: provider.name,
+      reference: reference ? reference.metadata : null,
+      trace: traceOptions,
+      svg: svgOptions
+    },
+    icon: variants[0],
+    variants,
+    taskUUID
+  };
+}
+
+// Every icon in a set is generated from the prompt template plus this suffix,
+// with the same seed, so the model keeps one visual language across the set
+const ICON_SET_PROMPT_SUFFIX = ' Part of one consistent icon set: identical line weight, corner radius, perspective and level of detail across all icons.';
+
+// Recently generated sets, so downloads work without a database round trip
+const ICON_SET_CACHE = new Map();
+const ICON_SET_CACHE_MAX = 50;
+
+function rememberIconSet(set) {
+  ICON_SET_CACHE.delete(set.id);
+  ICON_SET_CACHE.set(set.id, set);
+  if (ICON_SET_CACHE.size > ICON_SET_CACHE_MAX) ICON_SET_CACHE.delete(ICON_SET_CACHE.keys().next().value);
+}
+
+// Icon set pipeline: one Runware task per subject under a locked seed and prompt
+// scaffold, then shared padding/stroke normalization before tracing.
+// options.owner is { apiKeyId } or { userId } and is stored on the set record.
+async function generateIconSet(body, options = {}) {
+  const { onStage = () => {}, owner = {}, provider = imageProviderFor() } = options;
+  const crypto = require('crypto');
+  
+  const subjects = body.subjects.map(subject => subject.trim());
+  const context = (body.context || '').trim();
+  const style = body.style || 'outline';
+  const colors = body.colors || 'black and white';
+  const background = body.background || 'white';
+  const removeBackground = body.removeBackground !== false;
+  const seed = body.seed || randomSeed();
+  const setId = crypto.randomUUID();
+  const name = (body.name || '').trim() || `${subjects.slice(0, 3).join(', ')}${subjects.length > 3 ? '…' : ''} (${style})`;
+  
+  const template = await resolvePromptTemplate(body);
+  const promptScaffold = `${template.body}${ICON_SET_PROMPT_SUFFIX}`;
+  const fillScaffold = subject => renderTemplate(promptScaffold, { subject, context, style, colors, background });
+  
+  console.log(`🧩 Generating icon set ${setId}: ${subjects.length} subjects, seed ${seed}`);
+  
+  const modelParams = resolveModelParams(body);
+  const svgOptions = svgOptionsFromBody(body);
+  const { traceColors, ...traceParams } = traceOptionsFromBody(body);
+  const tasks = subjects.map(subject => ({
+    taskUUID: randomTaskUUID(),
+    prompt: fillScaffold(subject),
+    ...modelParams,
+    seed
+  }));
+  
+  onStage('generating');
+  const batches = [];
+  for (let i = 0; i < tasks.length; i += ICON_SET_GENERATE_BATCH) batches.push(tasks.slice(i, i + ICON_SET_GENERATE_BATCH));
+  const imageResults = (await mapWithConcurrency(batches, 2, batch => provider.generate(batch))).flat();
+  
+  const images = tasks.map((task) => {
+    const image = imageResults.find(d => d.taskUUID === task.taskUUID);
+    if (!image) throw generationError(502, 'Image generation returned an incomplete set');
+    return image;
+  });
+  
+  onStage('downloading');
+  let buffers = await mapWithConcurrency(images, 4, image => image.imageBuffer || downloadImage(image.imageURL));
+  
+  if (removeBackground) {
+    onStage('removing_background');
+    buffers = await mapWithConcurrency(buffers, 2, async (buf) => {
       try {
-        console.log(`💾 Saving generated icon to database...`);
-        
-        // Create deterministic ID for deduplication
-        const crypto = require('crypto');
-        const iconName = `${subject} ${style} ${colors} ${background}`.trim();
-        const deterministicId = crypto.createHash('sha256')
-          .update(iconName + imageResult.imageURL)
-          .digest('hex');
-        
-        const iconData = {
-          deterministic_id: deterministicId,
-          icon_name: iconName,
-          subject: subject,
-          context: context || '',
-          style: style,
-          colors: colors,
-          background: background,
-          image_url: imageResult.imageURL,
-          user_id: null, // API-generated icons don't have a specific user
-          custom_id: `api_${taskUUID}` // Mark as API-generated
+        return await removeBackgroundFromBuffer(buf, {
+          tolerance: body.backgroundTolerance || 35,
+          feather: body.backgroundFeather || 2.5,
+          despeckle: 1,
+          maxSize: 512
+        });
+      } catch (bgError) {
+        console.log(`⚠️ Background removal failed (${bgError.message}), proceeding without it`);
+        return buf;
+      }
+    });
+  }
+  
+  onStage('normalizing');
+  const normalized = await normalizeIconSet(buffers, {
+    padding: body.padding !== undefined ? Number(body.padding) : undefined,
+    normalizeStroke: body.normalizeStroke !== false
+  });
+  
+  // The masks are black on white: trace them in the colour the icons were
+  // drawn in (one colour for the whole set)
+  onStage('vectorizing');
+  const color = await inkColor(buffers);
+  const svgs = await mapWithConcurrency(normalized.images, 2, async png => applySvgOptions(await potraceTrace(png, {
+    ...traceParams,
+    color,
+    threshold: 128,
+    turdSize: 2,
+    invert: false,
+    optTolerance: 0.2
+  }), svgOptions));
+  
+  const icons = subjects.map((subject, index) => ({
+    index,
+    subject,
+    id: `generated-${tasks[index].taskUUID}`,
+    imageUrl: images[index].imageURL,
+    svg: svgs[index],
+    seed,
+    strokeWidth: normalized.strokeWidths[index]
+  }));
+  
+  const set = {
+    id: setId,
+    name,
+    subjects,
+    parameters: { context, style, colors, background, removeBackground, model: modelParams.model, svg: svgOptions },
+    seed,
+    promptScaffold,
+    template: { id: template.id, version: template.version },
+    targetStrokeWidth: normalized.targetStrokeWidth,
+    icons,
+    apiKeyId: owner.apiKeyId || null,
+    userId: owner.userId || null,
+    createdAt: new Date().toISOString()
+  };
+  
+  onStage('saving');
+  rememberIconSet(set);
+  const userId = UUID_PATTERN.test(owner.userId || '') ? owner.userId : null;
+  if (supabase) {
+    try {
+      const { error: setError } = await supabase.from('generated_icon_sets').insert({
+        id: setId,
+        name,
+        subjects,
+        context,
+        style,
+        colors,
+        background,
+        seed,
+        prompt_scaffold: promptScaffold,
+        template_id: template.id,
+        template_version: template.version,
+        target_stroke_width: normalized.targetStrokeWidth,
+        icons,
+        user_id: userId,
+        api_key_id: UUID_PATTERN.test(owner.apiKeyId || '') ? owner.apiKeyId : null
+      });
+      if (setError) console.log(`⚠️ Failed to save icon set:`, setError.message);
+    } catch (e) {
+      console.log(`⚠️ Icon set save error:`, e.message);
+    }
+  }
+  for (const icon of icons) {
+    const iconName = `${icon.subject} ${style} ${colors} ${background}`.trim();
+    await saveGeneratedIconRow({
+      deterministic_id: crypto.createHash('sha256').update(iconName + icon.imageUrl).digest('hex'),
+      icon_name: iconName,
+      subject: icon.subject,
+      context,
+      style,
+      colors,
+      background,
+      image_url: icon.imageUrl,
+      seed,
+      template_id: template.id,
+      template_version: template.version,
+      set_id: setId,
+      user_id: userId,
+      custom_id: `set_${setId}_${icon.index + 1}`
+    }, provider);
+  }
+  
+  console.log(`🎉 Icon set ${setId} completed`);
+  return { success: true, set: toPublicIconSet(set) };
+}
+
+function toPublicIconSet(set) {
+  const { apiKeyId, userId, ...rest } = set;
+  return { ...rest, downloadUrl: `/api/icons/sets/${set.id}/download` };
+}
+
+// Load a set the caller owns (memory first, then the database)
+async function loadIconSet(setId, owner) {
+  let set = ICON_SET_CACHE.get(setId);
+  if (!set && supabase) {
+    try {
+      const { data, error } = await supabase
+        .from('generated_icon_sets')
+        .select('*')
+        .eq('id', setId)
+        .maybeSingle();
+      if (!error && data) {
+        set = {
+          id: data.id,
+          name: data.name,
+          subjects: data.subjects,
+          parameters: { context: data.context, style: data.style, colors: data.colors, background: data.background },
+          seed: data.seed,
+          promptScaffold: data.prompt_scaffold,
+          template: { id: data.template_id, version: data.template_version },
+          targetStrokeWidth: data.target_stroke_width,
+          icons: data.icons || [],
+          apiKeyId: data.api_key_id,
+          userId: data.user_id,
+          createdAt: data.created_at
         };
-        
-        const { error: saveError } = await supabase
-          .from('generated_icons')
-          .insert(iconData)
-          .select();
-        
-        if (saveError) {
-          console.log(`⚠️ Failed to save icon to database:`, saveError.message);
-        } else {
-          console.log(`✅ Icon saved to database successfully`);
-        }
-      } catch (saveErr) {
-        console.log(`⚠️ Database save error:`, saveErr.message);
       }
+    } catch (e) {
+      console.log(`⚠️ Failed to load icon set ${setId}:`, e.message);
+    }
+  }
+  if (!set) return null;
+  const owned = (owner.apiKeyId && set.apiKeyId === owner.apiKeyId) || (owner.userId && set.userId === owner.userId);
+  return owned ? set : null;
+}
+
+// ZIP with one SVG per subject plus set.json describing how the set was made
+function buildIconSetZip(set) {
+  const folder = safeFileName(set.name, 'icon-set');
+  const files = set.icons.map(icon => ({
+    name: `${folder}/${String(icon.index + 1).padStart(2, '0')}-${safeFileName(icon.subject, 'icon')}.svg`,
+    data: icon.svg
+  }));
+  const manifest = {
+    id: set.id,
+    name: set.name,
+    parameters: set.parameters,
+    seed: set.seed,
+    promptScaffold: set.promptScaffold,
+    template: set.template,
+    targetStrokeWidth: set.targetStrokeWidth,
+    createdAt: set.createdAt,
+    icons: set.icons.map((icon, i) => ({ subject: icon.subject, file: files[i].name.split('/')[1], imageUrl: icon.imageUrl, seed: icon.seed }))
+  };
+  files.push({ name: `${folder}/set.json`, data: JSON.stringify(manifest, null, 2) });
+  return { filename: `${folder}.zip`, buffer: buildZip(files) };
+}
+
+async function sendIconSetZip(res, rawSetId, owner) {
+  const setId = decodePathSegment(rawSetId);
+  if (!setId || !UUID_PATTERN.test(setId)) {
+    return sendError(res, 400, 'Invalid set id');
+  }
+  const set = await loadIconSet(setId, owner);
+  if (!set) {
+    return sendError(res, 404, 'Icon set not found');
+  }
+  const { filename, buffer } = buildIconSetZip(set);
+  setSecurityHeaders(res);
+  res.writeHead(200, {
+    'Content-Type': 'application/zip',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Content-Length': buffer.length
+  });
+  res.end(buffer);
+}
+
+// generateIconSet for an API key; usage is counted per icon once the set is generated
+function iconSetPipeline(auth) {
+  const provider = imageProviderFor(auth.keyInfo);
+  return async (body, options = {}) => {
+    const result = await generateIconSet(body, { provider, ...options, owner: { apiKeyId: auth.apiKeyId } });
+    body.subjects.forEach(() => {
+      trackEndpointUsage(auth.apiKeyId, 'generate/set', 'POST').catch(console.error);
+    });
+    return result;
+  };
+}
+
+// POST /api/icons/generate/set (API key)
+async function handleIconSetGenerate(req, res) {
+  // Usage is counted per icon once the set is generated
+  const auth = await requireApiKey(req, res, 'generate/set', { trackUsage: false });
+  if (!auth) return;
+  
+  const provider = imageProviderFor(auth.keyInfo);
+  if (!provider.configured) {
+    return sendError(res, 500, `Server not configured: ${provider.missingConfig} missing`);
+  }
+  
+  try {
+    const body = await readJson(req);
+    const validationErrors = validateIconSetRequest(body);
+    if (validationErrors.length > 0) {
+      return sendError(res, 400, 'Validation failed', { errors: validationErrors });
     }
+    await resolvePromptTemplate(body);
+    await checkModelAccess(auth.keyInfo.ownerId, body.model);
     
-    // Build response with SVG content for MCP usage
-    const response = {
+    if (body.async === true) {
+      return queueGenerationJob(res, auth, body, { kind: 'set', stages: SET_STAGES });
+    }
+    
+    sendJson(res, 200, await iconSetPipeline(auth)(body));
+  } catch (error) {
+    console.error('❌ Icon set generation error:', error);
+    sendError(res, error.statusCode || 500, generationErrorMessage(error));
+  }
+}
+
+// POST /api/generate/set (logged-in users on the generate page)
+async function handleIconSetGenerateForUser(req, res) {
+  const provider = imageProviderFor();
+  if (!provider.configured) {
+    return sendError(res, 500, `Server not configured: ${provider.missingConfig} missing`);
+  }
+  
+  const userId = await requireSessionUser(req, res);
+  if (!userId) return;
+  const { ipAddress, userAgent } = getClientInfo(req);
+  
+  try {
+    const body = await readJson(req);
+    const validationErrors = validateIconSetRequest(body);
+    if (body.async !== undefined || body.callbackUrl !== undefined) {
+      validationErrors.push('async jobs are only available with an API key');
+    }
+    if (Array.isArray(body.subjects) && body.subjects.length > MAX_SESSION_ICON_SET_SUBJECTS) {
+      validationErrors.push(`at most ${MAX_SESSION_ICON_SET_SUBJECTS} subjects per set on the generate page; use the API with async: true for larger sets`);
+    }
+    if (validationErrors.length > 0) {
+      return sendError(res, 400, 'Validation failed', { errors: validationErrors });
+    }
+    
+    await checkModelAccess(userId, body.model);
+    const result = await generateIconSet(body, { provider, owner: { userId } });
+    for (const icon of result.set.icons) {
+      await trackUsage(userId, 'generate', null, icon.id, {
+        setId: result.set.id,
+        subject: icon.subject,
+        seed: icon.seed,
+        model: result.set.parameters.model,
+        costWeight: getModel(result.set.parameters.model).costWeight
+      }, ipAddress, userAgent);
+    }
+    result.set.downloadUrl = `/api/generate/set/${result.set.id}/download`;
+    sendJson(res, 200, result);
+  } catch (error) {
+    console.error('❌ Icon set generation error:', error);
+    sendError(res, error.statusCode || 500, generationErrorMessage(error));
+  }
+}
+
+// Prompt templates callers can pick with `template` - GET /api/prompt-templates
+async function handlePromptTemplates(req, res) {
+  try {
+    const templates = await promptTemplates.list();
+    sendJson(res, 200, { success: true, templates });
+  } catch (error) {
+    console.error('❌ Prompt template list error:', error);
+    sendError(res, 500, 'Failed to load prompt templates');
+  }
+}
+
+// Favourites - GET/POST/DELETE /api/favourites (API key or session)
+// POST takes { type, id } ('iconify' with an Iconify id, or 'generated' with a
+// generated_icons id); DELETE takes the same as ?type=&id= query parameters.
+async function handleFavourites(req, res) {
+  const caller = await requireUser(req, res, 'favourites');
+  if (!caller) return;
+  const { userId } = caller;
+
+  if (req.method === 'GET') {
+    const list = await favourites.list(userId);
+    if (!list) return sendError(res, 503, 'Favourites are temporarily unavailable');
+    return sendJson(res, 200, { success: true, favourites: list });
+  }
+
+  let input;
+  if (req.method === 'POST') {
+    input = await readJsonObject(req, res);
+    if (!input) return;
+  } else {
+    const { searchParams } = new URL(req.url, 'http://localhost');
+    input = { type: searchParams.get('type') || undefined, id: searchParams.get('id') ?? undefined };
+  }
+  const { favourite, error } = parseFavourite(input);
+  if (error) return sendError(res, 400, 'Validation failed', { errors: [error] });
+
+  if (req.method === 'DELETE') {
+    const removed = await favourites.remove(userId, favourite);
+    if (removed === null) return sendError(res, 503, 'Favourites are temporarily unavailable');
+    if (!removed) return sendError(res, 404, 'Not a favourite');
+    return sendJson(res, 200, { success: true, removed: { type: favourite.type, id: favourite.id } });
+  }
+
+  if (favourite.type === 'generated' && supabase) {
+    const { data: row, error: loadError } = await supabase
+      .from('generated_icons')
+      .select('id, icon_name, image_url')
+      .eq('id', favourite.id)
+      .maybeSingle();
+    if (loadError) return sendError(res, 503, 'Favourites are temporarily unavailable');
+    if (!row) return sendError(res, 404, `Generated icon ${favourite.id} not found`);
+    favourite.name = row.icon_name;
+    favourite.imageUrl = row.image_url;
+  }
+  const saved = await favourites.add(userId, favourite);
+  if (!saved) return sendError(res, 503, 'Favourites are temporarily unavailable');
+  sendJson(res, 201, { success: true, favourite: saved });
+}
+
+// Generated icons gallery - GET /api/generated-icons (public), one page at a time:
+// ?subject=&style=&colors=&background= (exact), ?q= (name/context search),
+// ?sort=newest|oldest|name, ?limit= (max 100) and ?cursor= from the previous
+// page's nextCursor.
+async function handleGeneratedIcons(req, res) {
+  const { query, errors } = parseGalleryQuery(new URL(req.url, 'http://localhost').searchParams);
+  if (errors) return sendError(res, 400, 'Validation failed', { errors });
+  try {
+    const { icons, nextCursor } = await listGeneratedIcons(supabase, query);
+    sendJson(res, 200, { success: true, icons, nextCursor });
+  } catch (error) {
+    console.error('❌ Generated icons list error:', error.message || error);
+    sendError(res, 503, 'Generated icons are temporarily unavailable');
+  }
+}
+
+// Search history - GET/DELETE /api/searches/recent (API key or session): the
+// caller's latest distinct queries (?limit=, default 10), or clear them all.
+async function handleRecentSearches(req, res) {
+  const caller = await requireUser(req, res, 'searches');
+  if (!caller) return;
+  const { userId } = caller;
+
+  if (req.method === 'DELETE') {
+    const removed = await searchHistory.clear(userId);
+    if (removed === null) return sendError(res, 503, 'Search history is temporarily unavailable');
+    return sendJson(res, 200, { success: true, removed });
+  }
+
+  const { options, error } = parseRecentOptions(new URL(req.url, 'http://localhost').searchParams);
+  if (error) return sendError(res, 400, 'Validation failed', { errors: [error] });
+  const searches = await searchHistory.recent(userId, options);
+  if (!searches) return sendError(res, 503, 'Search history is temporarily unavailable');
+  sendJson(res, 200, { success: true, searches });
+}
+
+// Trending searches - GET /api/searches/trending?days=7&limit=10 (public).
+// Counts only, for queries searched by several users; cached for a few minutes.
+async function handleTrendingSearches(req, res) {
+  const { options, error } = parseTrendingOptions(new URL(req.url, 'http://localhost').searchParams);
+  if (error) return sendError(res, 400, 'Validation failed', { errors: [error] });
+  const searches = await responseCache.wrap(`trending:${options.days}:${options.limit}`,
+    () => searchHistory.trending(options),
+    { ttlMs: TRENDING_CACHE_TTL_MS, shouldCache: list => list !== null });
+  if (!searches) return sendError(res, 503, 'Trending searches are temporarily unavailable');
+  sendJson(res, 200, { success: true, days: options.days, searches });
+}
+
+// Icon collections - /api/collections (owner, by API key or session) and
+// /api/shared/collections/{token} (anyone with the link; edits need a signed-in
+// user and an 'edit' link). Both take the same sub-paths:
+//   GET    {base}                  collection with its items
+//   PATCH  {base}                  { name, description, order: [itemId...], version }
+//   POST   {base}/items            an item ({ type, id, note, color, size }) or
+//                                  { items: [...] }, optionally with `position`
+//   PATCH  {base}/items/{itemId}   { note, color, size, position, version }
+//   DELETE {base}/items/{itemId}
+//   POST   {base}/export           zip of the collection (batch download options)
+// Owners also have GET/POST /api/collections, DELETE /api/collections/{id} and
+// POST/DELETE /api/collections/{id}/share ({ access: 'view' | 'edit' }).
+// Changes may pass the `version` they were made from; a stale version is a 409.
+const COLLECTIONS_UNAVAILABLE = 'Collections are temporarily unavailable';
+
+// Generated items get the icon's name and imageUrl (null once it was deleted)
+async function withGeneratedIcons(collection) {
+  const ids = [...new Set(collection.items.filter(item => item.type === 'generated').map(item => item.iconId))];
+  const rows = new Map();
+  if (ids.length > 0 && supabase) {
+    const { data, error } = await supabase.from('generated_icons').select('id, icon_name, image_url').in('id', ids);
+    if (error) throw error;
+    (data || []).forEach(row => rows.set(String(row.id), row));
+  }
+  return {
+    ...collection,
+    items: collection.items.map((item) => {
+      if (item.type !== 'generated') return item;
+      const row = rows.get(item.iconId);
+      return { ...item, name: row?.icon_name || null, imageUrl: row?.image_url || null };
+    })
+  };
+}
+
+async function sendCollection(res, statusCode, collection, access) {
+  sendJson(res, statusCode, { success: true, collection: toPublicCollection(await withGeneratedIcons(collection), access) });
+}
+
+// Save a changed copy of `target.collection`; sends the result, or 404/409
+async function saveCollection(res, target, changed, statusCode = 200) {
+  const saved = await iconCollections.save(changed, { userId: target.userId, shareToken: target.shareToken });
+  if (!saved) return sendError(res, 404, 'Collection not found');
+  console.log(`🗂️ Collection ${saved.id} saved (v${saved.version})`);
+  return sendCollection(res, statusCode, saved, target.access);
+}
+
+async function handleCollectionList(req, res) {
+  const caller = await requireUser(req, res, 'collections');
+  if (!caller) return;
+  
+  if (req.method === 'GET') {
+    // Summaries without the items
+    const list = await iconCollections.list(caller.userId);
+    return sendJson(res, 200, {
       success: true,
-      prompt,
-      parameters: {
-        subject,
-        context,
-        style,
-        colors,
-        background
-      },
-      icon: {
-        id: `generated-${taskUUID}`,
-        name: `Generated ${subject} icon`,
-        type: 'generated',
-        imageUrl: imageResult.imageURL,
-        svg: svgContent,
-        width: 1024,
-        height: 1024,
-        format: 'svg'
-      },
-      taskUUID
-    };
+      collections: list.map((collection) => {
+        const { items, ...summary } = toPublicCollection(collection, 'owner');
+        return summary;
+      })
+    });
+  }
+  
+  const body = await readJsonObject(req, res);
+  if (!body) return;
+  const errors = validateCollectionFields(body, { create: true });
+  let items = [];
+  if (body.items !== undefined) {
+    if (!Array.isArray(body.items)) {
+      errors.push('items must be an array');
+    } else {
+      const created = createItems(body.items);
+      if (created.errors) errors.push(...created.errors);
+      else ({ items } = created);
+    }
+  }
+  if (items.length > MAX_COLLECTION_ITEMS) {
+    errors.push(`A collection holds at most ${MAX_COLLECTION_ITEMS} icons`);
+  }
+  if (errors.length > 0) return sendError(res, 400, 'Validation failed', { errors });
+  
+  const collection = await iconCollections.create(caller.userId, {
+    name: body.name.trim(),
+    description: body.description || null,
+    items
+  });
+  console.log(`🗂️ Collection ${collection.id} created with ${items.length} icons`);
+  return sendCollection(res, 201, collection, 'owner');
+}
+
+// Collection export: every item rendered with its colour and size overrides
+async function handleCollectionExport(req, res, target) {
+  const body = await readJsonObject(req, res);
+  if (!body) return;
+  const validationErrors = validateZipOptions(body);
+  if (validationErrors.length > 0) {
+    return sendError(res, 400, 'Validation failed', { errors: validationErrors });
+  }
+  const collection = await withGeneratedIcons(target.collection);
+  if (collection.items.length === 0) return sendError(res, 400, 'Collection is empty');
+  
+  const reservation = await reserveDownloads(res, target.userId, collection.items.length);
+  if (!reservation) return;
+  
+  const formats = [...new Set(body.formats || ['svg', 'png'])];
+  const sizes = [...new Set(body.sizes || [DEFAULT_PNG_SIZE])].sort((a, b) => a - b);
+  const { color, strokeWidth, rotate, flip, padding } = body;
+  const digits = String(collection.items.length).length;
+  const icons = collection.items.map((item, index) => {
+    const position = String(index + 1).padStart(digits, '0');
+    const icon = item.type === 'iconify'
+      ? { type: 'iconify', id: item.iconId, fileName: `${position}-${item.iconId.replace(':', '-')}` }
+      : { type: 'generated', id: item.iconId, url: item.imageUrl, name: item.name, fileName: `${position}-${item.name || `generated-${item.iconId}`}` };
+    if (item.type === 'generated' && !item.imageUrl) icon.error = 'Generated icon not found';
+    if (item.color) icon.transform = { color: item.color };
+    if (item.size) icon.sizes = [item.size];
+    icon.manifest = { position: index + 1, note: item.note, color: item.color, size: item.size };
+    return icon;
+  });
+  
+  let downloads = null;
+  try {
+    downloads = await writeIconZip(res, icons, {
+      filename: `${safeFileName(collection.name, 'collection')}.zip`,
+      formats,
+      sizes,
+      svgOptions: svgOptionsFromBody({ ...body, optimizeSvg: body.optimizeSvg === true }),
+      transform: Object.fromEntries(Object.entries({ color, strokeWidth, rotate, flip, padding }).filter(([, value]) => value !== undefined)),
+      exportOptions: { background: body.background, quality: body.quality },
+      metadata: { collection: collection.id, sizes },
+      manifest: { collection: { id: collection.id, name: collection.name, description: collection.description } }
+    });
+  } finally {
+    await downloadQuota.settle(target.userId, reservation, downloads || []);
+  }
+  if (!downloads) {
+    console.log('⚠️ Collection export aborted by client');
+    return;
+  }
+  console.log(`📦 Collection export ${collection.id}: ${downloads.length}/${icons.length} icons (${formats.join(', ')})`);
+  if (target.auth) {
+    downloads.forEach(() => trackEndpointUsage(target.auth.apiKeyId, 'download/collection', 'POST').catch(console.error));
+  }
+}
+
+// Routes below {base} for a resolved collection; `target` is
+// { collection, access, userId, auth, shareToken }
+async function handleCollectionRoute(req, res, target, rest) {
+  const { collection, access } = target;
+  const writable = access === 'owner' || access === 'edit';
+  const [section, itemId, extra] = rest;
+  
+  if (!section) {
+    if (req.method === 'GET') return sendCollection(res, 200, collection, access);
+    if (req.method !== 'PATCH') return sendError(res, 405, 'Method Not Allowed');
+  } else if (section === 'items' && !extra) {
+    if (itemId ? !['PATCH', 'DELETE'].includes(req.method) : req.method !== 'POST') return sendError(res, 405, 'Method Not Allowed');
+  } else if (section === 'export' && !itemId) {
+    if (req.method !== 'POST') return sendError(res, 405, 'Method Not Allowed');
+    return handleCollectionExport(req, res, target);
+  } else {
+    return sendError(res, 404, 'Not found');
+  }
+  if (!writable) return sendError(res, 403, 'This share link is read-only');
+  
+  const body = req.method === 'DELETE' ? {} : await readJsonObject(req, res);
+  if (!body) return;
+  if (body.version !== undefined && body.version !== collection.version) {
+    return sendError(res, 409, 'Collection was changed by someone else; reload it and try again', { version: collection.version });
+  }
+  
+  let result;
+  if (!section) {
+    result = updateCollection(collection, body);
+  } else if (!itemId) {
+    const inputs = Array.isArray(body.items) ? body.items : [body];
+    const created = createItems(inputs);
+    result = created.errors ? created : insertItems(collection, created.items, body.position);
+  } else {
+    result = req.method === 'PATCH' ? updateItem(collection, itemId, body) : removeItem(collection, itemId);
+  }
+  if (result.notFound) return sendError(res, 404, 'Item not found');
+  if (result.errors) return sendError(res, 400, 'Validation failed', { errors: result.errors });
+  return saveCollection(res, target, result.collection, section === 'items' && !itemId ? 201 : 200);
+}
+
+// /api/collections[/{id}[/...]]
+async function handleCollections(req, res, rawSegments) {
+  try {
+    const segments = rawSegments.map(decodePathSegment);
+    if (segments.includes(null)) return sendError(res, 400, 'Invalid collection path');
+    if (segments.length === 0) {
+      if (!['GET', 'POST'].includes(req.method)) return sendError(res, 405, 'Method Not Allowed');
+      return await handleCollectionList(req, res);
+    }
     
-    console.log(`🎉 Icon generation completed successfully!`);
-    sendJson(res, 200, response);
+    const [id, ...rest] = segments;
+    // Exports need download permission and count usage per icon
+    const exporting = rest[0] === 'export';
+    const caller = await requireUser(req, res, exporting ? 'download/collection' : 'collections', { trackUsage: !exporting });
+    if (!caller) return;
+    
+    if (rest.length === 0 && req.method === 'DELETE') {
+      if (!(await iconCollections.remove(caller.userId, id))) return sendError(res, 404, 'Collection not found');
+      console.log(`🗂️ Collection ${id} deleted`);
+      return sendJson(res, 200, { success: true, deleted: id });
+    }
+    
+    const collection = await iconCollections.get(caller.userId, id);
+    if (!collection) return sendError(res, 404, 'Collection not found');
     
+    if (rest[0] === 'share' && rest.length === 1) {
+      let access = null;
+      if (req.method === 'POST') {
+        const body = await readJsonObject(req, res);
+        if (!body) return;
+        access = body.access ?? 'view';
+        if (!SHARE_ACCESS.includes(access)) {
+          return sendError(res, 400, 'Validation failed', { errors: [`access must be one of: ${SHARE_ACCESS.join(', ')}`] });
+        }
+      } else if (req.method !== 'DELETE') {
+        return sendError(res, 405, 'Method Not Allowed');
+      }
+      const shared = await iconCollections.share(caller.userId, id, access);
+      if (!shared) return sendError(res, 404, 'Collection not found');
+      console.log(`🔗 Collection ${id} ${access ? `shared (${access})` : 'unshared'}`);
+      return sendCollection(res, 200, shared, 'owner');
+    }
+    
+    return await handleCollectionRoute(req, res, { collection, access: 'owner', userId: caller.userId, auth: caller.auth, shareToken: null }, rest);
   } catch (error) {
-    console.error('❌ Icon generation error:', error);
-    const message = error.message === 'Request timeout' 
-      ? 'Generation service timeout' 
-      : 'Generation temporarily unavailable';
-    sendError(res, 500, message);
+    if (error.statusCode === 409) return sendError(res, 409, error.message);
+    console.error('❌ Collection error:', error.message);
+    return sendError(res, 503, COLLECTIONS_UNAVAILABLE);
+  }
+}
+
+// /api/shared/collections/{token}[/...]: viewing needs only the link; changes
+// need a signed-in user (or API key) and an 'edit' link, exports a signed-in
+// user, whose downloads they count against
+async function handleSharedCollection(req, res, rawSegments) {
+  try {
+    const [token, ...rest] = rawSegments.map(decodePathSegment);
+    if (!token || rest.includes(null)) return sendError(res, 404, 'Collection not found');
+    const collection = await iconCollections.getShared(token);
+    if (!collection) return sendError(res, 404, 'Collection not found');
+    
+    const exporting = rest[0] === 'export';
+    let caller = { userId: null, auth: null };
+    if (req.method !== 'GET' && !exporting && collection.shareAccess !== 'edit') {
+      return sendError(res, 403, 'This share link is read-only');
+    }
+    if (req.method !== 'GET') {
+      caller = await requireUser(req, res, exporting ? 'download/collection' : 'collections', { trackUsage: !exporting });
+      if (!caller) return;
+    }
+    
+    const access = caller.userId && caller.userId === collection.ownerId ? 'owner' : collection.shareAccess;
+    return await handleCollectionRoute(req, res, { collection, access, userId: caller.userId, auth: caller.auth, shareToken: token }, rest);
+  } catch (error) {
+    if (error.statusCode === 409) return sendError(res, 409, error.message);
+    console.error('❌ Shared collection error:', error.message);
+    return sendError(res, 503, COLLECTIONS_UNAVAILABLE);
   }
 }
 
+// Models with an `allowed` flag for the caller's plan - GET /api/models
+// (API key via X-API-Key or an ak_ bearer token, otherwise the session user)
+async function handleModels(req, res) {
+  const authHeader = req.headers.authorization || '';
+  let userId = null;
+  if (req.headers['x-api-key'] || authHeader.startsWith('Bearer ak_')) {
+    const auth = await requireApiKey(req, res, 'models', { trackUsage: false });
+    if (!auth) return;
+    userId = auth.keyInfo.ownerId;
+  } else {
+    userId = process.env.DEV_MODE === 'true' ? 'dev-user-id' : await verifySessionUser(req);
+  }
+  
+  const entitlement = await modelEntitlements.forUser(userId);
+  sendJson(res, 200, {
+    success: true,
+    plan: entitlement.plan,
+    defaultModel: DEFAULT_MODEL,
+    models: listModels(entitlement)
+  });
+}
+
+// Async generation job status - GET /api/jobs/{id}
+async function handleJobStatus(req, res, rawJobId) {
+  // Polling is not metered; the generate call that created the job already was
+  const auth = await requireApiKey(req, res, 'jobs', { trackUsage: false });
+  if (!auth) return;
+  
+  const jobId = decodePathSegment(rawJobId);
+  if (!jobId || !UUID_PATTERN.test(jobId)) {
+    return sendError(res, 400, 'Invalid job id');
+  }
+  
+  const job = await generationJobs.get(jobId, auth.apiKeyId);
+  if (!job) {
+    return sendError(res, 404, 'Job not found');
+  }
+  
+  sendJson(res, 200, { success: true, job: toPublicJob(job) });
+}
+
 async function handleIconDetails(req, res) {
   // Require API key for MCP usage
   const auth = await requireApiKey(req, res, 'details');
@@ -1417,6 +3130,14 @@ async function handleIconDetails(req, res) {
     const type = pathParts[3]; // iconify or generated
     const id = decodeURIComponent(pathParts.slice(4).join('/')); // handle nested paths
     
+    // Iconify SVGs are returned as published unless optimize=true; generated ones are optimized
+    const { searchParams } = new URL(req.url, 'http://localhost');
+    const svgOptions = svgOptionsFromQuery(searchParams, type === 'generated');
+    const transform = transformOptionsFromQuery(searchParams);
+    if (svgOptions.error || transform.error) {
+      return sendError(res, 400, svgOptions.error || transform.error);
+    }
+    
     console.log(`🔍 Looking up ${type} icon: ${id}`);
     
     if (type === 'iconify') {
@@ -1431,11 +3152,12 @@ async function handleIconDetails(req, res) {
       console.log(`📥 Fetching SVG content for ${id}...`);
       
       // Fetch SVG content
-      const svgContent = await fetchSvgContent(iconUrl);
+      const fetchedSvg = await fetchSvgContent(iconUrl);
       
-      if (!svgContent) {
+      if (!fetchedSvg) {
         return sendError(res, 502, 'Failed to fetch icon SVG content');
       }
+      const svgContent = transformSvg(applySvgOptions(fetchedSvg, svgOptions), transform);
       
       console.log(`✅ Successfully fetched SVG content (${svgContent.length} bytes)`);
       
@@ -1466,9 +3188,10 @@ async function handleIconDetails(req, res) {
       console.log(`🔄 Converting generated image to SVG...`);
       
       // Convert to SVG
-      const svgContent = await convertToSvg(id);
+      const tracedSvg = await convertToSvg(id, { svgOptions });
+      const svgContent = tracedSvg && transformSvg(tracedSvg, transform);
       
-      if (!svgContent) {
+      if (!tracedSvg) {
         return sendError(res, 502, 'Failed to convert generated image to SVG');
       }
       
@@ -1500,6 +3223,18 @@ async function handleIconDetails(req, res) {
   }
 }
 
+// Response cache monitoring - hit/miss counts per namespace (svg, search, image)
+async function handleCacheStats(req, res) {
+  const auth = await requireApiKey(req, res, 'cache/stats', { trackUsage: false });
+  if (!auth) return;
+
+  sendJson(res, 200, {
+    success: true,
+    cache: responseCache.stats(),
+    iconSource: ICON_SOURCE
+  });
+}
+
 // API Usage tracking endpoint
 async function handleApiUsage(req, res) {
   const auth = await requireApiKey(req, res, 'usage');
@@ -1568,6 +3303,80 @@ async function handleApiUsage(req, res) {
   }
 }
 
+// Load an icon for buffered downloads: { svg } for Iconify and SVG sources,
+// { raster, contentType } for generated bitmaps. Throws errors with statusCode
+// (and upstreamBody when the upstream answered with an error).
+async function loadDownloadSource(type, sourceUrl) {
+  const fail = (statusCode, message, upstreamBody) => Object.assign(new Error(message), { statusCode, upstreamBody });
+  if (type === 'iconify') {
+    const svg = await fetchSvgContent(sourceUrl);
+    if (!svg) throw fail(404, 'Icon not found');
+    return { svg };
+  }
+  
+  const parsed = new URL(sourceUrl);
+  if (!/^https?:$/i.test(parsed.protocol) || isPrivateHost(parsed.hostname)) {
+    throw fail(400, 'Blocked host');
+  }
+  let upstream;
+  try {
+    upstream = await fetchUpstream(parsed.toString(), { headers: { 'Accept': 'image/*' } });
+  } catch (error) {
+    console.error('Download proxy error:', error.message);
+    throw fail(502, 'Upstream error');
+  }
+  if (upstream.statusCode >= 400) {
+    throw fail(upstream.statusCode, 'Upstream error', upstream.body);
+  }
+  return /svg/i.test(upstream.contentType)
+    ? { svg: upstream.body.toString('utf8') }
+    : { raster: upstream.body, contentType: upstream.contentType };
+}
+
+// Render a loaded source with the download options. Bitmaps are traced (once)
+// only when the output has to be an SVG/PDF or has to be recoloured.
+function createIconRenderer(source, sourceUrl, { svgOptions, transform = {}, exportOptions = {} }) {
+  let traced = null;
+  const traceRaster = async () => {
+    traced = traced || await convertToSvg(sourceUrl, { imageBuffer: source.raster, removeBackground: false, svgOptions });
+    return traced;
+  };
+  const recolored = transform.color !== undefined || transform.strokeWidth !== undefined;
+  
+  // SVG with the transform applied; `overrides` replace transform fields (size, padding)
+  const renderSvg = async (overrides = {}) => {
+    const svg = source.svg ? applySvgOptions(source.svg, svgOptions) : await traceRaster();
+    return transformSvg(svg, { ...transform, ...overrides });
+  };
+  
+  // PNG with the transform applied
+  const renderPng = async (overrides = {}) => {
+    const options = { ...transform, ...overrides };
+    if (source.svg || recolored) {
+      const svg = source.svg || await traceRaster();
+      return sharp(Buffer.from(transformSvg(svg, { ...options, size: options.size ?? DEFAULT_PNG_SIZE }))).png().toBuffer();
+    }
+    return transformRaster(source.raster, options);
+  };
+  
+  // Square renders for icon files; extra padding adds to any padding asked for
+  const renderSquare = async (size, padding = 0) => sharp(await renderPng({ size, padding: Math.min(0.4, (transform.padding || 0) + padding) }))
+    .resize(size, size, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+    .png()
+    .toBuffer();
+  
+  // One file in `format` (svg or an EXPORT_FORMATS key)
+  const renderFile = async (format, overrides = {}) => {
+    const size = overrides.size ?? transform.size;
+    if (format === 'svg') return Buffer.from(await renderSvg(overrides));
+    if (format === 'pdf') return exportPdf(await renderSvg(overrides), { ...exportOptions, size: size ?? DEFAULT_PNG_SIZE });
+    if (format === 'ico') return exportIco(entry => renderSquare(entry), { ...exportOptions, size });
+    return encodeRaster(await renderPng(overrides), format, exportOptions);
+  };
+  
+  return { renderFile, renderPng, renderSquare, renderSvg };
+}
+
 async function handleIconDownload(req, res) {
   try {
     const urlObj = new URL(req.url, 'http://localhost');
@@ -1579,12 +3388,56 @@ async function handleIconDownload(req, res) {
       return sendError(res, 400, 'Missing or invalid type parameter. Must be "iconify" or "generated"');
     }
     
-    if (!['svg', 'png'].includes(format)) {
-      return sendError(res, 400, 'Invalid format parameter. Must be "svg" or "png"');
+    if (!DOWNLOAD_FORMATS.includes(format)) {
+      return sendError(res, 400, `Invalid format parameter. Must be "svg" or "png", or one of: ${DOWNLOAD_FORMATS.slice(2).join(', ')}`);
+    }
+    
+    // SVG optimization: on by default for generated icons, opt-in (optimize=true) for Iconify
+    const svgOptions = svgOptionsFromQuery(urlObj.searchParams, type === 'generated');
+    if (svgOptions.error) {
+      return sendError(res, 400, svgOptions.error);
+    }
+    
+    // color, strokeWidth, rotate, flip, padding and size (see lib/svg-transform.js)
+    const transform = transformOptionsFromQuery(urlObj.searchParams);
+    if (transform.error) {
+      return sendError(res, 400, transform.error);
+    }
+    
+    // Packages: background colour, plus the app name (favicon) or platform (app icons)
+    const packageOptions = {
+      background: urlObj.searchParams.get('background') ?? undefined,
+      name: urlObj.searchParams.get('name') ?? undefined,
+      platform: urlObj.searchParams.get('platform') ?? undefined
+    };
+    const packageErrors = format === 'favicon-package' ? validateFaviconOptions(packageOptions)
+      : format === 'app-icons' ? validateAppIconOptions(packageOptions) : [];
+    if (packageErrors.length > 0) {
+      return sendError(res, 400, packageErrors[0]);
+    }
+    
+    // Single-file exports: background and quality (see lib/image-export.js)
+    const exportOptions = {
+      background: packageOptions.background,
+      quality: queryNumber(urlObj.searchParams, 'quality'),
+      size: transform.size
+    };
+    const exportErrors = format in EXPORT_FORMATS ? validateExportOptions(format, exportOptions) : [];
+    if (exportErrors.length > 0) {
+      return sendError(res, 400, exportErrors[0]);
+    }
+    
+    // Packages, PDFs and large renders are the expensive ones: they need an API
+    // key (rate limited and counted) or a signed-in session
+    if (DOWNLOAD_PACKAGES.includes(format) || format === 'pdf' || transform.size > MAX_ANONYMOUS_DOWNLOAD_SIZE) {
+      const caller = await requireUser(req, res, 'download');
+      if (!caller) return;
     }
     
     let sourceUrl;
     let filename;
+    let displayName;
+    const extension = DOWNLOAD_PACKAGES.includes(format) ? 'zip' : format;
     
     if (type === 'iconify') {
       const id = urlObj.searchParams.get('id');
@@ -1594,7 +3447,8 @@ async function handleIconDownload(req, res) {
       
       const [prefix, name] = id.split(':');
       sourceUrl = `https://api.iconify.design/${id}.svg`;
-      filename = `${name.replace(/\s+/g, '-')}.${format}`;
+      filename = `${name.replace(/\s+/g, '-')}${extension === 'zip' ? `-${format}` : ''}.${extension}`;
+      displayName = name.replace(/-/g, ' ');
       
     } else if (type === 'generated') {
       const url = urlObj.searchParams.get('url');
@@ -1605,7 +3459,8 @@ async function handleIconDownload(req, res) {
       try {
         new URL(url); // validate URL
         sourceUrl = url;
-        filename = `generated-icon-${Date.now()}.${format}`;
+        filename = `generated-icon-${Date.now()}${extension === 'zip' ? `-${format}` : ''}.${extension}`;
+        displayName = 'Generated icon';
       } catch {
         return sendError(res, 400, 'Invalid URL parameter');
       }
@@ -1616,42 +3471,107 @@ async function handleIconDownload(req, res) {
       return handleRemoveBackground(req, res);
     }
     
-    // If format conversion is needed (PNG from SVG), handle that
-    if (format === 'png') {
+    // Plain SVG downloads stream straight from upstream; everything else is
+    // buffered so it can be optimized, transformed or rasterized
+    const buffered = format !== 'svg' || svgOptions.optimize || hasTransform(transform) ||
+      (type === 'iconify' && ICON_SOURCE !== 'remote');
+    
+    if (buffered) {
+      let source;
       try {
-        // Fetch the source image
-        const response = await axios.get(sourceUrl, {
-          responseType: 'arraybuffer',
-          timeout: 20000,
-          maxContentLength: MAX_BYTES,
-          maxBodyLength: MAX_BYTES,
-          headers: { 
-            'User-Agent': 'icon-search-app/1.0 (+https://local)', 
-            'Accept': 'image/*,*/*' 
-          },
-          validateStatus: s => s >= 200 && s < 400
-        });
-        
-        const buf = Buffer.from(response.data);
-        
-        // Convert to PNG using Sharp
-        const png = await sharp(buf)
-          .resize({ width: 512, height: 512, fit: 'inside', withoutEnlargement: true })
-          .png()
-          .toBuffer();
-        
+        source = await loadDownloadSource(type, sourceUrl);
+      } catch (error) {
+        if (error.upstreamBody) {
+          setSecurityHeaders(res);
+          res.writeHead(error.statusCode, { 'Content-Type': 'text/plain' });
+          res.end(error.upstreamBody);
+          return;
+        }
+        return sendError(res, error.statusCode || 502, error.message);
+      }
+      const renderer = createIconRenderer(source, sourceUrl, { svgOptions, transform, exportOptions });
+      
+      if (DOWNLOAD_PACKAGES.includes(format)) {
+        try {
+          let files;
+          if (format === 'app-icons') {
+            files = await buildAppIconSet(renderer.renderSquare, packageOptions);
+          } else {
+            const svg = source.svg ? await renderer.renderSvg() : null;
+            files = await buildFaviconPackage(renderer.renderSquare, { ...packageOptions, name: packageOptions.name || displayName, svg });
+          }
+          const zip = buildZip(files);
+          
+          setSecurityHeaders(res);
+          res.writeHead(200, {
+            'Content-Type': 'application/zip',
+            'Content-Disposition': `attachment; filename="${filename}"`,
+            'Content-Length': zip.length
+          });
+          res.end(zip);
+        } catch (error) {
+          console.error(`Package error (${format}):`, error);
+          sendError(res, 500, `Failed to build ${format}`);
+        }
+        return;
+      }
+      
+      // Framework component named after the icon (or `name`)
+      if (FRAMEWORKS.includes(format)) {
+        try {
+          const component = generateComponent(await renderer.renderSvg(), {
+            framework: format,
+            name: packageOptions.name || (type === 'iconify' ? urlObj.searchParams.get('id') : displayName)
+          });
+          
+          setSecurityHeaders(res);
+          res.writeHead(200, {
+            'Content-Type': `${COMPONENT_CONTENT_TYPES[format]}; charset=utf-8`,
+            'Content-Disposition': `attachment; filename="${component.filename}"`
+          });
+          res.end(component.code);
+        } catch (error) {
+          console.error(`Component error (${format}):`, error);
+          sendError(res, 500, `Failed to generate ${format} component`);
+        }
+        return;
+      }
+      
+      if (format in EXPORT_FORMATS) {
+        try {
+          const output = await renderer.renderFile(format);
+          
+          setSecurityHeaders(res);
+          res.writeHead(200, { 
+            'Content-Type': EXPORT_FORMATS[format],
+            'Content-Disposition': `attachment; filename="${filename}"`
+          });
+          res.end(output);
+        } catch (error) {
+          console.error(`${format.toUpperCase()} conversion error:`, error);
+          sendError(res, error.statusCode || 500, error.statusCode ? error.message : `Failed to convert to ${format.toUpperCase()}`);
+        }
+        return;
+      }
+      
+      if (source.raster && !hasTransform(transform)) {
         setSecurityHeaders(res);
         res.writeHead(200, { 
-          'Content-Type': 'image/png',
+          'Content-Type': source.contentType,
           'Content-Disposition': `attachment; filename="${filename}"`
         });
-        res.end(png);
-        
-      } catch (error) {
-        console.error('PNG conversion error:', error);
-        sendError(res, 500, 'Failed to convert to PNG');
+        res.end(source.raster);
+        return;
       }
       
+      const svg = await renderer.renderSvg();
+      setSecurityHeaders(res);
+      res.writeHead(200, { 
+        'Content-Type': 'image/svg+xml',
+        'Content-Disposition': `attachment; filename="${filename}"`
+      });
+      res.end(svg);
+      
     } else {
       // Direct SVG download - proxy the request
       try {
@@ -1696,11 +3616,458 @@ async function handleIconDownload(req, res) {
   }
 }
 
+// Validate the icons of a batch download or sprite: [{ type: 'iconify', id }
+// or { type: 'generated', url, id?, name? }]; returns a list of error messages
+function validateIconItems(icons) {
+  const errors = [];
+  if (!Array.isArray(icons) || icons.length === 0) {
+    errors.push('icons must be a non-empty array');
+  } else if (icons.length > MAX_BATCH_ICONS) {
+    errors.push(`icons must contain at most ${MAX_BATCH_ICONS} entries`);
+  } else {
+    icons.forEach((icon, i) => {
+      if (!icon || typeof icon !== 'object') {
+        errors.push(`icons[${i}] must be an object`);
+      } else if (icon.type === 'iconify') {
+        if (typeof icon.id !== 'string' || !/^[a-z0-9-]+:[a-z0-9-]+$/i.test(icon.id)) {
+          errors.push(`icons[${i}].id must be an Iconify id such as mdi:home`);
+        }
+      } else if (icon.type === 'generated') {
+        let url = null;
+        try { url = new URL(icon.url); } catch { /* reported below */ }
+        if (!url || !/^https?:$/.test(url.protocol)) {
+          errors.push(`icons[${i}].url must be an http(s) URL`);
+        }
+        if (icon.name !== undefined && typeof icon.name !== 'string') {
+          errors.push(`icons[${i}].name must be a string`);
+        }
+      } else {
+        errors.push(`icons[${i}].type must be "iconify" or "generated"`);
+      }
+    });
+  }
+  return errors;
+}
+
+// Validate a POST /api/icons/download/batch body; returns a list of error messages
+function validateBatchDownloadRequest(body) {
+  return [...validateIconItems(body.icons), ...validateZipOptions(body)];
+}
+
+// Zip options shared by batch downloads and collection exports: formats, sizes,
+// SVG settings, background/quality and transforms; returns a list of error messages
+function validateZipOptions(body) {
+  const errors = [];
+  if (body.formats !== undefined && (!Array.isArray(body.formats) || body.formats.length === 0 ||
+      body.formats.some(format => !BATCH_FORMATS.includes(format)))) {
+    errors.push(`formats must be a non-empty array of: ${BATCH_FORMATS.join(', ')}`);
+  }
+  
+  if (body.sizes !== undefined && (!Array.isArray(body.sizes) || body.sizes.length === 0 || body.sizes.length > MAX_BATCH_SIZES ||
+      body.sizes.some(size => !Number.isInteger(size) || size < 1 || size > MAX_BATCH_SIZE))) {
+    errors.push(`sizes must be an array of 1-${MAX_BATCH_SIZES} integers between 1 and ${MAX_BATCH_SIZE}`);
+  }
+  
+  for (const name of ['optimizeSvg', 'currentColor']) {
+    if (body[name] !== undefined && typeof body[name] !== 'boolean') {
+      errors.push(`${name} must be a boolean`);
+    }
+  }
+  
+  // Shared options: background/quality (lib/image-export.js) and every
+  // transform except size, which comes from `sizes`
+  errors.push(...validateExportOptions(null, { background: body.background, quality: body.quality }));
+  const { color, strokeWidth, rotate, flip, padding } = body;
+  errors.push(...validateTransformOptions({ color, strokeWidth, rotate, flip, padding }));
+  return errors;
+}
+
+// Iconify collection info (name, author, license) by prefix, from the local
+// index when available, otherwise one cached /collections call
+async function iconifyCollectionInfo(prefixes) {
+  const info = {};
+  const missing = [];
+  for (const prefix of prefixes) {
+    const local = ICON_SOURCE !== 'remote' ? localIconIndex.getCollectionInfo(prefix) : null;
+    if (local) info[prefix] = local;
+    else missing.push(prefix);
+  }
+  if (missing.length === 0 || ICON_SOURCE === 'local') return info;
+  
+  const upstreamUrl = `https://api.iconify.design/collections?prefixes=${missing.sort().join(',')}`;
+  try {
+    const upstream = await responseCache.wrap(`collections:${upstreamUrl}`, async () => {
+      const response = await fetchUpstream(upstreamUrl, { headers: { 'Accept': 'application/json' } });
+      return { statusCode: response.statusCode, body: response.body.toString('utf8') };
+    }, { ttlMs: SVG_CACHE_TTL_MS, shouldCache: r => r.statusCode === 200 });
+    if (upstream.statusCode === 200) {
+      Object.entries(JSON.parse(upstream.body)).forEach(([prefix, collection]) => {
+        info[prefix] = { prefix, ...collection };
+      });
+    }
+  } catch (error) {
+    console.log('⚠️ Failed to load Iconify collection info:', error.message);
+  }
+  return info;
+}
+
+// Bulk download - POST /api/icons/download/batch
+// (API key via X-API-Key or an ak_ bearer token, otherwise the session user).
+// Streams a zip with one folder per format (and per size for bitmaps) plus a
+// manifest.json; each icon that makes it into the zip counts as one download.
+// Hold `count` icons of the user's monthly download allowance before a zip is
+// streamed; settle it with downloadQuota.settle once the zip is written.
+// Sends 503/429 and resolves null when the download cannot start.
+async function reserveDownloads(res, userId, count) {
+  const reservation = await downloadQuota.reserve(userId, count);
+  if (!reservation) {
+    sendError(res, 503, 'Download allowance is temporarily unavailable');
+    return null;
+  }
+  if (!reservation.allowed) {
+    sendError(res, 429, 'Monthly download limit reached', {
+      plan: reservation.plan,
+      limit: reservation.limit,
+      used: reservation.used,
+      remaining: reservation.remaining,
+      requested: count
+    });
+    return null;
+  }
+  return reservation;
+}
+
+async function handleBatchDownload(req, res) {
+  // Usage is counted per icon once the zip is written
+  const caller = await requireUser(req, res, 'download/batch', { trackUsage: false });
+  if (!caller) return;
+  const { auth, userId } = caller;
+  
+  const body = await readJsonObject(req, res);
+  if (!body) return;
+  const validationErrors = validateBatchDownloadRequest(body);
+  if (validationErrors.length > 0) {
+    return sendError(res, 400, 'Validation failed', { errors: validationErrors });
+  }
+  
+  const reservation = await reserveDownloads(res, userId, body.icons.length);
+  if (!reservation) return;
+  
+  const formats = [...new Set(body.formats || ['svg'])];
+  const sizes = [...new Set(body.sizes || [DEFAULT_PNG_SIZE])].sort((a, b) => a - b);
+  const svgOptions = svgOptionsFromBody({ ...body, optimizeSvg: body.optimizeSvg === true });
+  const { color, strokeWidth, rotate, flip, padding } = body;
+  const transform = Object.fromEntries(Object.entries({ color, strokeWidth, rotate, flip, padding }).filter(([, value]) => value !== undefined));
+  const exportOptions = { background: body.background, quality: body.quality };
+  
+  let downloads = null;
+  try {
+    downloads = await writeIconZip(res, body.icons, {
+      filename: `icons-${Date.now()}.zip`,
+      formats,
+      sizes,
+      svgOptions,
+      transform,
+      exportOptions,
+      metadata: { batch: true, sizes }
+    });
+  } finally {
+    await downloadQuota.settle(userId, reservation, downloads || []);
+  }
+  if (!downloads) {
+    console.log('⚠️ Batch download aborted by client');
+    return;
+  }
+  
+  console.log(`📦 Batch download: ${downloads.length}/${body.icons.length} icons (${formats.join(', ')})`);
+  if (auth) {
+    downloads.forEach(() => trackEndpointUsage(auth.apiKeyId, 'download/batch', 'POST').catch(console.error));
+  }
+}
+
+// Stream a zip of validated icon items (see validateIconItems) to `res`: one
+// file per format (and size, for BATCH_SIZED_FORMATS) plus manifest.json.
+// Items may carry their own `transform` (merged over options.transform),
+// `sizes`, `fileName` and extra `manifest` fields, or an `error` that is only
+// listed in the manifest. Resolves the download
+// events to record, or null when the client went away.
+async function writeIconZip(res, icons, options) {
+  const { filename, formats, sizes, svgOptions, transform, exportOptions, metadata, manifest: extra = {} } = options;
+  const prefixes = [...new Set(icons.filter(icon => icon.type === 'iconify').map(icon => icon.id.split(':')[0]))];
+  const collections = await iconifyCollectionInfo(prefixes);
+  
+  setSecurityHeaders(res);
+  res.writeHead(200, {
+    'Content-Type': 'application/zip',
+    'Content-Disposition': `attachment; filename="${filename}"`
+  });
+  const zip = createZipWriter(chunk => res.write(chunk));
+  
+  const usedNames = new Set();
+  const uniqueName = (name) => {
+    let candidate = name;
+    for (let n = 2; usedNames.has(candidate); n++) candidate = `${name}-${n}`;
+    usedNames.add(candidate);
+    return candidate;
+  };
+  
+  const manifest = [];
+  const downloads = [];
+  for (const [index, icon] of icons.entries()) {
+    if (res.destroyed) break;
+    
+    const entry = { type: icon.type };
+    let sourceUrl;
+    let baseName;
+    if (icon.type === 'iconify') {
+      const [prefix, name] = icon.id.split(':');
+      const collection = collections[prefix] || null;
+      sourceUrl = `https://api.iconify.design/${icon.id}.svg`;
+      baseName = uniqueName(safeFileName(icon.fileName || `${prefix}-${name}`, 'icon'));
+      Object.assign(entry, {
+        id: icon.id,
+        library: { prefix, name: collection?.name || prefix },
+        author: collection?.author || null,
+        license: collection?.license || null
+      });
+    } else {
+      sourceUrl = icon.url;
+      baseName = uniqueName(safeFileName(icon.fileName || icon.name || icon.id, `generated-icon-${index + 1}`));
+      Object.assign(entry, {
+        id: icon.id || null,
+        url: icon.url,
+        library: { prefix: 'generated', name: 'Generated icons' },
+        author: null,
+        license: null
+      });
+    }
+    Object.assign(entry, icon.manifest);
+    const iconSizes = icon.sizes || sizes;
+    if (icon.error) {
+      entry.files = [];
+      entry.error = icon.error;
+      manifest.push(entry);
+      continue;
+    }
+    
+    try {
+      const source = await loadDownloadSource(icon.type, sourceUrl);
+      const renderer = createIconRenderer(source, sourceUrl, { svgOptions, transform: { ...transform, ...icon.transform }, exportOptions });
+      
+      // Render everything first so a failing icon leaves no partial files behind
+      const files = [];
+      for (const format of formats) {
+        if (BATCH_SIZED_FORMATS.includes(format)) {
+          for (const size of iconSizes) {
+            files.push({ name: `${format}/${size}/${baseName}.${format}`, data: await renderer.renderFile(format, { size }) });
+          }
+        } else {
+          // svg and pdf are vectors sized to the largest requested size; ico holds
+          // every standard size up to it (at most 256)
+          const largest = iconSizes[iconSizes.length - 1];
+          const size = format === 'ico' ? Math.min(MAX_ICO_SIZE, largest) : largest;
+          files.push({ name: `${format}/${baseName}.${format}`, data: await renderer.renderFile(format, { size }) });
+        }
+      }
+      files.forEach(file => zip.addFile(file.name, file.data));
+      entry.files = files.map(file => file.name);
+      downloads.push({
+        iconId: icon.type === 'iconify' ? icon.id : (icon.id || icon.url),
+        source: icon.type === 'iconify' ? 'search' : 'generated',
+        formats,
+        metadata
+      });
+    } catch (error) {
+      console.error(`Zip download failed for ${entry.id || sourceUrl}:`, error.message);
+      entry.files = [];
+      entry.error = error.statusCode && error.statusCode < 500 ? error.message : 'Failed to render icon';
+    }
+    manifest.push(entry);
+  }
+  
+  if (res.destroyed) return null;
+  
+  zip.addFile('manifest.json', JSON.stringify({
+    ...extra,
+    createdAt: new Date().toISOString(),
+    formats,
+    sizes,
+    icons: manifest
+  }, null, 2));
+  zip.finish();
+  res.end();
+  return downloads;
+}
+
+// SVGs for validated icon items (see validateIconItems), bitmap generated icons
+// traced. Resolves { usable: [{ name, svg }], errors: [{ icon, error }], status },
+// named by Iconify id, or by the generated icon's name or id; `status` is 404
+// when every failed icon was not found, 502 otherwise.
+async function loadIconSvgs(icons) {
+  const loaded = await mapWithConcurrency(icons, SVG_FETCH_CONCURRENCY, async (icon, index) => {
+    const sourceUrl = icon.type === 'iconify' ? `https://api.iconify.design/${icon.id}.svg` : icon.url;
+    const name = icon.type === 'iconify' ? icon.id : (icon.name || icon.id || `generated-icon-${index + 1}`);
+    try {
+      const source = await loadDownloadSource(icon.type, sourceUrl);
+      const svgOptions = svgOptionsFromBody({ optimizeSvg: icon.type === 'generated' });
+      return { name, svg: await createIconRenderer(source, sourceUrl, { svgOptions }).renderSvg() };
+    } catch (error) {
+      console.error(`Icon failed to load (${name}):`, error.message);
+      const status = error.statusCode && error.statusCode < 500 ? error.statusCode : 502;
+      return { name, status, error: status < 500 ? error.message : 'Failed to load icon' };
+    }
+  });
+  const failed = loaded.filter(icon => icon.error);
+  return {
+    usable: loaded.filter(icon => !icon.error),
+    errors: failed.map(({ name, error }) => ({ icon: name, error })),
+    status: failed.every(icon => icon.status === 404) ? 404 : 502
+  };
+}
+
+// JSON object body for POST handlers; sends 400 and resolves null otherwise
+async function readJsonObject(req, res) {
+  let body;
+  try {
+    body = await readJson(req);
+  } catch (error) {
+    sendError(res, 400, error.message === 'Request too large' ? error.message : 'Invalid JSON');
+    return null;
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    sendError(res, 400, 'Request body must be a JSON object');
+    return null;
+  }
+  return body;
+}
+
+// Plain Iconify ids are shorthand for { type: 'iconify', id }
+function iconItemsFromBody(icons) {
+  return Array.isArray(icons) ? icons.map(icon => (typeof icon === 'string' ? { type: 'iconify', id: icon } : icon)) : icons;
+}
+
+// SVG sprite - POST /api/icons/sprite (API key optional)
+// One sprite.svg with a <symbol> per icon (lib/svg-sprite.js) plus an HTML/CSS
+// usage snippet; bitmap generated icons are traced first. Icons that cannot be
+// loaded are listed in `errors` and left out.
+async function handleIconSprite(req, res) {
+  const authHeader = req.headers.authorization || '';
+  if (req.headers['x-api-key'] || authHeader.startsWith('Bearer ak_')) {
+    const auth = await requireApiKey(req, res, 'download/sprite');
+    if (!auth) return;
+  }
+  
+  const body = await readJsonObject(req, res);
+  if (!body) return;
+  
+  const icons = iconItemsFromBody(body.icons);
+  const validationErrors = validateIconItems(icons);
+  if (body.currentColor !== undefined && typeof body.currentColor !== 'boolean') {
+    validationErrors.push('currentColor must be a boolean');
+  }
+  if (body.idPrefix !== undefined && (typeof body.idPrefix !== 'string' || body.idPrefix.length > 32 || !SYMBOL_ID_PATTERN.test(body.idPrefix))) {
+    validationErrors.push('idPrefix must start with a lowercase letter and contain only a-z, 0-9, - and _ (at most 32 characters)');
+  }
+  if (body.format !== undefined && !['json', 'svg'].includes(body.format)) {
+    validationErrors.push('format must be "json" or "svg"');
+  }
+  if (validationErrors.length > 0) {
+    return sendError(res, 400, 'Validation failed', { errors: validationErrors });
+  }
+  
+  const { usable, errors, status } = await loadIconSvgs(icons);
+  if (usable.length === 0) {
+    return sendError(res, status, 'None of the icons could be loaded', { errors });
+  }
+  
+  let result;
+  try {
+    result = buildSprite(usable, { currentColor: body.currentColor === true, idPrefix: body.idPrefix });
+  } catch (error) {
+    console.error('Sprite build error:', error);
+    return sendError(res, 500, 'Failed to build sprite');
+  }
+  console.log(`🧩 Built sprite with ${result.symbols.length} symbols`);
+  
+  if (body.format === 'svg') {
+    setSecurityHeaders(res);
+    res.writeHead(200, {
+      'Content-Type': 'image/svg+xml',
+      'Content-Disposition': 'attachment; filename="sprite.svg"'
+    });
+    res.end(result.sprite);
+    return;
+  }
+  sendJson(res, 200, { success: true, ...result, errors });
+}
+
+// Component package - POST /api/icons/components (API key optional)
+// A zip with one package folder (lib/component-codegen.js), or the components
+// as JSON with "format": "json". Icons that cannot be loaded are left out and
+// listed in `errors` (JSON) or in errors.json next to the package folder (zip).
+async function handleIconComponents(req, res) {
+  const authHeader = req.headers.authorization || '';
+  if (req.headers['x-api-key'] || authHeader.startsWith('Bearer ak_')) {
+    const auth = await requireApiKey(req, res, 'download/components');
+    if (!auth) return;
+  }
+  
+  const body = await readJsonObject(req, res);
+  if (!body) return;
+  
+  const icons = iconItemsFromBody(body.icons);
+  const validationErrors = [];
+  if (!FRAMEWORKS.includes(body.framework)) {
+    validationErrors.push(`framework must be one of: ${FRAMEWORKS.join(', ')}`);
+  }
+  validationErrors.push(...validateIconItems(icons));
+  if (body.packageName !== undefined && (typeof body.packageName !== 'string' || body.packageName.length > 214 || !PACKAGE_NAME_PATTERN.test(body.packageName))) {
+    validationErrors.push('packageName must be a valid npm package name such as @acme/icons');
+  }
+  if (body.format !== undefined && !['zip', 'json'].includes(body.format)) {
+    validationErrors.push('format must be "zip" or "json"');
+  }
+  if (validationErrors.length > 0) {
+    return sendError(res, 400, 'Validation failed', { errors: validationErrors });
+  }
+  
+  const { usable, errors, status } = await loadIconSvgs(icons);
+  if (usable.length === 0) {
+    return sendError(res, status, 'None of the icons could be loaded', { errors });
+  }
+  
+  const packageName = body.packageName || `${body.framework}-icons`;
+  let result;
+  try {
+    result = buildComponentPackage(usable, { framework: body.framework, packageName });
+  } catch (error) {
+    console.error('Component package error:', error);
+    return sendError(res, 500, 'Failed to generate components');
+  }
+  console.log(`🧱 Generated ${result.components.length} ${body.framework} components`);
+  
+  if (body.format === 'json') {
+    return sendJson(res, 200, { success: true, framework: body.framework, components: result.components, errors });
+  }
+  const files = errors.length > 0
+    ? [...result.files, { name: 'errors.json', data: JSON.stringify(errors, null, 2) }]
+    : result.files;
+  const zip = buildZip(files);
+  setSecurityHeaders(res);
+  res.writeHead(200, {
+    'Content-Type': 'application/zip',
+    'Content-Disposition': `attachment; filename="${safeFileName(packageName.replace(/^@[^/]+\//, ''), 'icons')}.zip"`,
+    'Content-Length': zip.length
+  });
+  res.end(zip);
+}
+
 async function handleGenerate(req, res) {
-  if (!RUNWARE_API_KEY) {
+  const provider = imageProviderFor();
+  if (!provider.configured) {
     setSecurityHeaders(res);
     res.writeHead(500, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ error: 'Server not configured: RUNWARE_API_KEY missing' }));
+    res.end(JSON.stringify({ error: `Server not configured: ${provider.missingConfig} missing` }));
     return;
   }
 
@@ -1711,7 +4078,7 @@ async function handleGenerate(req, res) {
   const { ipAddress, userAgent } = getClientInfo(req);
   
   try {
-    const tasks = await readJson(req);
+    const tasks = await readJson(req, MAX_GENERATE_JSON_BYTES);
     const safeTasks = tasks.filter(t => t && t.taskType === 'imageInference');
     if (safeTasks.length === 0) {
       setSecurityHeaders(res);
@@ -1720,46 +4087,107 @@ async function handleGenerate(req, res) {
       return;
     }
 
+    // Variants: at most MAX_GENERATE_VARIANTS images per request, integer seeds only
+    const imageCount = safeTasks.reduce((sum, t) => sum + (Number(t.numberResults) || 1), 0);
+    const badSeed = safeTasks.some(t => t.seed !== undefined && (!Number.isInteger(t.seed) || t.seed < 1 || t.seed > MAX_GENERATE_SEED));
+    if (imageCount > MAX_GENERATE_VARIANTS || badSeed) {
+      setSecurityHeaders(res);
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: badSeed
+        ? `seed must be an integer between 1 and ${MAX_GENERATE_SEED}`
+        : `At most ${MAX_GENERATE_VARIANTS} images per request` }));
+      return;
+    }
+
+    // Only registered models, within their bounds, and only those the user's plan includes
+    // (tasks may also carry a `reference` icon to restyle, resolved here like on the API)
+    const taskErrors = safeTasks.flatMap(t => validateModelParams({
+      model: t.model || DEFAULT_MODEL, width: t.width, height: t.height, steps: t.steps, CFGScale: t.CFGScale
+    }).concat(t.reference !== undefined ? validateReference(t.reference) : []));
+    if (taskErrors.length > 0) {
+      setSecurityHeaders(res);
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: taskErrors[0] }));
+      return;
+    }
+    const references = new Map();
+    try {
+      for (const model of new Set(safeTasks.map(t => t.model || DEFAULT_MODEL))) {
+        await checkModelAccess(userId, model);
+      }
+      // Variants repeat the same reference; rasterize it once
+      const resolved = new Map();
+      for (const task of safeTasks) {
+        if (!task.reference) continue;
+        const key = JSON.stringify(task.reference);
+        if (!resolved.has(key)) resolved.set(key, await resolveReferenceImage(task.reference));
+        references.set(task, resolved.get(key));
+      }
+    } catch (error) {
+      setSecurityHeaders(res);
+      res.writeHead(error.statusCode || 502, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: error.statusCode ? error.message : 'Reference image unavailable' }));
+      return;
+    }
+
     // Track the generation attempt
     const firstTask = safeTasks[0];
+    const firstParams = resolveModelParams({ model: firstTask.model, width: firstTask.width, height: firstTask.height });
     const resourceMetadata = {
       prompt: firstTask.positivePrompt,
-      model: firstTask.model,
-      width: firstTask.width,
-      height: firstTask.height,
-      taskCount: safeTasks.length
+      model: firstParams.model,
+      width: firstParams.width,
+      height: firstParams.height,
+      costWeight: getModel(firstParams.model).costWeight,
+      reference: references.get(firstTask)?.metadata || null,
+      taskCount: safeTasks.length,
+      seeds: safeTasks.map(t => t.seed).filter(seed => seed !== undefined),
+      provider: provider.name
     };
 
-    const payload = JSON.stringify(safeTasks);
-
-    const upReq = https.request('https://api.runware.ai/v1', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${RUNWARE_API_KEY}`
+    // The page sends Runware-shaped tasks; numberResults > 1 becomes one seeded request per image
+    const requests = [];
+    safeTasks.forEach((task) => {
+      const count = Math.max(1, Number(task.numberResults) || 1);
+      const reference = references.get(task);
+      for (let i = 0; i < count; i++) {
+        requests.push({
+          sourceTaskUUID: task.taskUUID,
+          taskUUID: count === 1 && task.taskUUID ? task.taskUUID : randomTaskUUID(),
+          prompt: task.positivePrompt || task.prompt,
+          ...resolveModelParams(task),
+          seed: task.seed !== undefined ? variantSeed(task.seed, i) : randomSeed(),
+          ...(reference && { referenceImage: reference.image, strength: reference.strength, reference: reference.metadata })
+        });
       }
-    }, async (upRes) => {
-      let data = '';
-      upRes.on('data', (d) => { data += d; if (data.length > 5e6) upReq.destroy(); });
-      upRes.on('end', async () => {
-        setSecurityHeaders(res);
-        res.writeHead(upRes.statusCode || 200, { 'Content-Type': upRes.headers['content-type'] || 'application/json', 'Cache-Control': 'no-store' });
-        
-        // Track successful generation
-        if (upRes.statusCode && upRes.statusCode < 400) {
-          await trackUsage(userId, 'generate', null, firstTask.taskUUID, resourceMetadata, ipAddress, userAgent);
-        }
-        
-        res.end(data);
-      });
     });
-    upReq.on('error', async () => {
+
+    let images;
+    try {
+      images = await provider.generate(requests);
+    } catch (error) {
+      console.error('❌ Generation proxy error:', error.message);
       setSecurityHeaders(res);
-      res.writeHead(502, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Upstream error' }));
+      res.writeHead(error.statusCode || 502, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+      res.end(JSON.stringify({ errors: [{ message: error.statusCode ? error.message : 'Upstream error' }] }));
+      return;
+    }
+
+    await trackUsage(userId, 'generate', null, firstTask.taskUUID, resourceMetadata, ipAddress, userAgent);
+
+    const data = images.map((image) => {
+      const request = requests.find(r => r.taskUUID === image.taskUUID);
+      return {
+        taskType: 'imageInference',
+        taskUUID: request?.sourceTaskUUID || image.taskUUID,
+        imageURL: image.imageURL,
+        seed: image.seed,
+        ...(request?.reference && { reference: request.reference })
+      };
     });
-    upReq.write(payload);
-    upReq.end();
+    setSecurityHeaders(res);
+    res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify({ data }));
   } catch (e) {
     setSecurityHeaders(res);
     res.writeHead(400, { 'Content-Type': 'application/json' });
@@ -1902,6 +4330,53 @@ const server = http.createServer((req, res) => {
     return sendError(res, 405, 'Method Not Allowed');
   }
   
+  // Batch Icon Search API - POST /api/icons/search/batch
+  if (pathname === '/api/icons/search/batch') {
+    if (req.method === 'OPTIONS') {
+      setSecurityHeaders(res);
+      res.writeHead(204, { 'Access-Control-Allow-Methods': 'POST, OPTIONS', 'Access-Control-Allow-Headers': 'Content-Type', 'Access-Control-Allow-Origin': '*' });
+      res.end();
+      return;
+    }
+    if (req.method === 'POST') return handleBatchIconSearch(req, res);
+    return sendError(res, 405, 'Method Not Allowed');
+  }
+  
+  // Icon sets - POST /api/icons/generate/set, GET /api/icons/sets/{id}/download
+  // (before the details route, which matches any /api/icons/{type}/{id})
+  if (pathname === '/api/icons/generate/set') {
+    if (req.method === 'POST') return handleIconSetGenerate(req, res);
+    return sendError(res, 405, 'Method Not Allowed');
+  }
+  
+  // Bulk download - POST /api/icons/download/batch (before the details route,
+  // which would otherwise match it)
+  if (pathname === '/api/icons/download/batch') {
+    if (req.method === 'POST') return handleBatchDownload(req, res);
+    return sendError(res, 405, 'Method Not Allowed');
+  }
+  
+  // SVG sprite - POST /api/icons/sprite
+  if (pathname === '/api/icons/sprite') {
+    if (req.method === 'POST') return handleIconSprite(req, res);
+    return sendError(res, 405, 'Method Not Allowed');
+  }
+  
+  // Component package - POST /api/icons/components
+  if (pathname === '/api/icons/components') {
+    if (req.method === 'POST') return handleIconComponents(req, res);
+    return sendError(res, 405, 'Method Not Allowed');
+  }
+  
+  if (/^\/api\/icons\/sets\/[^/]+\/download$/.test(pathname)) {
+    if (req.method !== 'GET') return sendError(res, 405, 'Method Not Allowed');
+    return (async () => {
+      const auth = await requireApiKey(req, res, 'download');
+      if (!auth) return;
+      await sendIconSetZip(res, pathname.split('/')[4], { apiKeyId: auth.apiKeyId });
+    })();
+  }
+  
   // Icon Generate API - POST /api/icons/generate  
   if (pathname === '/api/icons/generate') {
     if (req.method === 'OPTIONS') {
@@ -1932,6 +4407,18 @@ const server = http.createServer((req, res) => {
     return sendError(res, 405, 'Method Not Allowed');
   }
 
+  // Async generation job status - GET /api/jobs/{id}
+  if (pathname.startsWith('/api/jobs/') && pathname.split('/').length === 4) {
+    if (req.method === 'GET') return handleJobStatus(req, res, pathname.split('/')[3]);
+    return sendError(res, 405, 'Method Not Allowed');
+  }
+
+  // Response cache stats - GET /api/cache/stats
+  if (pathname === '/api/cache/stats') {
+    if (req.method === 'GET') return handleCacheStats(req, res);
+    return sendError(res, 405, 'Method Not Allowed');
+  }
+
   // EXISTING ENDPOINTS FOR BACKWARDS COMPATIBILITY
   
   // Lightweight proxy for Iconify search to improve reliability and avoid CORS/CSP issues
@@ -1953,23 +4440,22 @@ const server = http.createServer((req, res) => {
         return;
       }
 
-      const upstreamUrl = `https://api.iconify.design/search?query=${encodeURIComponent(query)}&limit=${limit}`;
-      const upReq = https.get(upstreamUrl, {
-        headers: {
-          'Accept': 'application/json',
-          'User-Agent': 'icon-search-app/1.0 (+local)'
-        }
-      }, (upRes) => {
-        let data = '';
-        upRes.on('data', (chunk) => { data += chunk; if (data.length > 5e6) upReq.destroy(); });
-        upRes.on('end', () => {
+      // Serve from the local index when it is enabled and has matches
+      if (ICON_SOURCE !== 'remote') {
+        const localResult = localIconIndex.search(query, limit);
+        if (ICON_SOURCE === 'local' || localResult.icons.length > 0) {
           setSecurityHeaders(res);
-          const status = upRes.statusCode || 502;
-          res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'public, max-age=300' });
-          res.end(data);
-        });
-      });
-      upReq.on('error', () => {
+          res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'public, max-age=300' });
+          res.end(JSON.stringify(localResult));
+          return;
+        }
+      }
+
+      fetchIconifySearch(query, limit).then((upstream) => {
+        setSecurityHeaders(res);
+        res.writeHead(upstream.statusCode, { 'Content-Type': 'application/json', 'Cache-Control': 'public, max-age=300' });
+        res.end(upstream.body);
+      }).catch(() => {
         setSecurityHeaders(res);
         res.writeHead(502, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({ error: 'Iconify upstream error' }));
@@ -1982,6 +4468,61 @@ const server = http.createServer((req, res) => {
     return;
   }
 
+  if (pathname === '/api/models') {
+    if (req.method === 'GET') return handleModels(req, res);
+    return sendError(res, 405, 'Method Not Allowed');
+  }
+
+  if (pathname === '/api/prompt-templates') {
+    if (req.method === 'GET') return handlePromptTemplates(req, res);
+    return sendError(res, 405, 'Method Not Allowed');
+  }
+
+  if (pathname === '/api/favourites') {
+    if (['GET', 'POST', 'DELETE'].includes(req.method)) return handleFavourites(req, res);
+    return sendError(res, 405, 'Method Not Allowed');
+  }
+
+  if (pathname === '/api/generated-icons') {
+    if (req.method === 'GET') return handleGeneratedIcons(req, res);
+    return sendError(res, 405, 'Method Not Allowed');
+  }
+
+  if (pathname === '/api/searches/recent') {
+    if (['GET', 'DELETE'].includes(req.method)) return handleRecentSearches(req, res);
+    return sendError(res, 405, 'Method Not Allowed');
+  }
+
+  if (pathname === '/api/searches/trending') {
+    if (req.method === 'GET') return handleTrendingSearches(req, res);
+    return sendError(res, 405, 'Method Not Allowed');
+  }
+
+  if (pathname === '/api/collections' || pathname.startsWith('/api/collections/')) {
+    return handleCollections(req, res, pathname.split('/').slice(3).filter(Boolean));
+  }
+
+  if (pathname.startsWith('/api/shared/collections/')) {
+    const segments = pathname.split('/').slice(4).filter(Boolean);
+    if (segments.length === 0) return sendError(res, 404, 'Not found');
+    return handleSharedCollection(req, res, segments);
+  }
+
+  // Icon sets from the generate page (session auth)
+  if (pathname === '/api/generate/set') {
+    if (req.method === 'POST') return handleIconSetGenerateForUser(req, res);
+    return sendError(res, 405, 'Method Not Allowed');
+  }
+  
+  if (/^\/api\/generate\/set\/[^/]+\/download$/.test(pathname)) {
+    if (req.method !== 'GET') return sendError(res, 405, 'Method Not Allowed');
+    return (async () => {
+      const userId = await requireSessionUser(req, res);
+      if (!userId) return;
+      await sendIconSetZip(res, pathname.split('/')[4], { userId });
+    })();
+  }
+
   if (pathname === '/api/generate') {
     if (req.method === 'OPTIONS') {
       setSecurityHeaders(res);
@@ -2033,7 +4574,19 @@ const server = http.createServer((req, res) => {
 
 // Removed test exposure of URL cache
 
-server.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
-  // Aicon URL route removed
-});
\ No newline at end of file
+if (require.main === module) {
+  // `node server.js --worker` only runs queued generation jobs
+  const workerOnly = process.argv.includes('--worker');
+  if (generationJobs.durable) {
+    generationWorker.start();
+  } else if (workerOnly) {
+    console.warn('⚠️ No database configured: async jobs run in the process that receives them');
+  }
+  if (!workerOnly) {
+    server.listen(PORT, () => {
+      console.log(`Server running on http://localhost:${PORT}`);
+    });
+  }
+}
+
+module.exports = server;
\ No newline at end of file
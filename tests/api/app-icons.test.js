@@ -0,0 +1,76 @@
+const request = require('supertest');
+const nock = require('nock');
+
+let app;
+const originalFetch = global.fetch;
+
+const HOME_SVG = '<svg xmlns="http://www.w3.org/2000/svg" width="1em" height="1em" viewBox="0 0 24 24"><path fill="none" stroke="currentColor" stroke-width="2" d="M3 12l9-9 9 9v9H3z"/></svg>';
+
+// Binary-safe body for non-JSON responses
+function buffered(res, callback) {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+// Entry names of a zip, read through the central directory
+function zipNames(buffer) {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const names = [];
+  for (let i = 0; i < count; i++) {
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    names.push(buffer.toString('utf8', offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+  return names;
+}
+
+describe('App icon downloads', () => {
+  beforeAll(() => {
+    process.env.DEV_MODE = 'true';
+    // supabase-js uses the global fetch, which nock cannot intercept
+    global.fetch = jest.fn(async () => new Response('[]', { status: 200, headers: { 'Content-Type': 'application/json' } }));
+    nock.disableNetConnect();
+    nock.enableNetConnect('127.0.0.1');
+    app = require('../../server.js');
+  });
+
+  afterAll(() => {
+    delete process.env.DEV_MODE;
+    global.fetch = originalFetch;
+    nock.enableNetConnect();
+  });
+
+  beforeEach(() => {
+    nock.cleanAll();
+    nock('https://api.iconify.design').persist().get('/tabler:home.svg').reply(200, HOME_SVG, { 'Content-Type': 'image/svg+xml' });
+  });
+
+  it('should zip the iOS and Android icon sets', async () => {
+    const response = await request(app)
+      .get('/api/icons/download?type=iconify&id=tabler:home&format=app-icons&background=%23336699')
+      .buffer(true)
+      .parse(buffered);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('application/zip');
+    expect(response.headers['content-disposition']).toContain('filename="home-app-icons.zip"');
+    const names = zipNames(response.body);
+    expect(names).toContain('ios/AppIcon.appiconset/Contents.json');
+    expect(names).toContain('ios/AppIcon.appiconset/Icon-1024.png');
+    expect(names).toContain('android/res/mipmap-xxhdpi/ic_launcher_foreground.png');
+    expect(names).toContain('android/res/mipmap-anydpi-v26/ic_launcher.xml');
+  });
+
+  it('should reject transparent backgrounds and unknown platforms', async () => {
+    const transparent = await request(app).get('/api/icons/download?type=iconify&id=tabler:home&format=app-icons&background=transparent');
+    const platform = await request(app).get('/api/icons/download?type=iconify&id=tabler:home&format=app-icons&platform=windows');
+
+    expect(transparent.status).toBe(400);
+    expect(transparent.body.error).toContain('app icons cannot be transparent');
+    expect(platform.status).toBe(400);
+    expect(platform.body.error).toBe('platform must be one of: ios, android');
+  });
+});
@@ -0,0 +1,140 @@
+const request = require('supertest');
+const nock = require('nock');
+const sharp = require('sharp');
+const zlib = require('zlib');
+
+let app;
+const originalFetch = global.fetch;
+
+const HOME_SVG = '<svg xmlns="http://www.w3.org/2000/svg" width="1em" height="1em" viewBox="0 0 24 24"><path fill="none" stroke="currentColor" stroke-width="2" d="M3 12l9-9 9 9v9H3z"/></svg>';
+const TABLER_INFO = {
+  tabler: {
+    name: 'Tabler Icons',
+    author: { name: 'Paweł Kuna', url: 'https://github.com/tabler/tabler-icons' },
+    license: { title: 'MIT', spdx: 'MIT', url: 'https://github.com/tabler/tabler-icons/blob/master/LICENSE' }
+  }
+};
+
+// Binary-safe body for non-JSON responses
+function buffered(res, callback) {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+// Entries of a zip as { name: Buffer }, read through the central directory
+function readZip(buffer) {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = {};
+  for (let i = 0; i < count; i++) {
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    entries[name] = method === 8 ? zlib.inflateRawSync(data) : data;
+    offset += 46 + nameLength;
+  }
+  return entries;
+}
+
+function batch(body) {
+  return request(app).post('/api/icons/download/batch').send(body).buffer(true).parse(buffered);
+}
+
+describe('Bulk icon downloads', () => {
+  beforeAll(() => {
+    process.env.DEV_MODE = 'true';
+    // supabase-js uses the global fetch, which nock cannot intercept
+    global.fetch = jest.fn(async () => new Response('[]', { status: 200, headers: { 'Content-Type': 'application/json' } }));
+    nock.disableNetConnect();
+    nock.enableNetConnect('127.0.0.1');
+    app = require('../../server.js');
+  });
+
+  afterAll(() => {
+    delete process.env.DEV_MODE;
+    global.fetch = originalFetch;
+    nock.enableNetConnect();
+  });
+
+  beforeEach(() => {
+    nock.cleanAll();
+    nock('https://api.iconify.design').persist()
+      .get('/tabler:home.svg').reply(200, HOME_SVG, { 'Content-Type': 'image/svg+xml' })
+      .get('/tabler:missing.svg').reply(404, 'Not found')
+      .get('/collections').query({ prefixes: 'tabler' }).reply(200, TABLER_INFO);
+  });
+
+  it('should zip every icon in each format and size, with a manifest', async () => {
+    const png = await sharp({ create: { width: 128, height: 128, channels: 4, background: { r: 200, g: 0, b: 0, alpha: 1 } } }).png().toBuffer();
+    nock('https://im.runware.ai').get('/image/rocket.png').reply(200, png, { 'Content-Type': 'image/png' });
+
+    const response = await batch({
+      icons: [
+        { type: 'iconify', id: 'tabler:home' },
+        { type: 'generated', url: 'https://im.runware.ai/image/rocket.png', id: 'gen-1', name: 'Rocket' }
+      ],
+      formats: ['svg', 'png', 'ico'],
+      sizes: [64, 32]
+    });
+    const entries = readZip(response.body);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('application/zip');
+    expect(Object.keys(entries).sort()).toEqual([
+      'ico/rocket.ico', 'ico/tabler-home.ico',
+      'manifest.json',
+      'png/32/rocket.png', 'png/32/tabler-home.png',
+      'png/64/rocket.png', 'png/64/tabler-home.png',
+      'svg/rocket.svg', 'svg/tabler-home.svg'
+    ]);
+    expect(await sharp(entries['png/32/tabler-home.png']).metadata()).toMatchObject({ width: 32, height: 32 });
+    expect(entries['svg/tabler-home.svg'].toString()).toContain('width="64"');
+
+    const manifest = JSON.parse(entries['manifest.json']);
+    expect(manifest).toMatchObject({ formats: ['svg', 'png', 'ico'], sizes: [32, 64] });
+    expect(manifest.icons[0]).toMatchObject({
+      id: 'tabler:home',
+      type: 'iconify',
+      library: { prefix: 'tabler', name: 'Tabler Icons' },
+      license: { spdx: 'MIT' },
+      files: ['svg/tabler-home.svg', 'png/32/tabler-home.png', 'png/64/tabler-home.png', 'ico/tabler-home.ico']
+    });
+    expect(manifest.icons[1]).toMatchObject({ id: 'gen-1', type: 'generated', library: { prefix: 'generated' }, license: null });
+  });
+
+  it('should list icons that fail in the manifest and keep the rest', async () => {
+    const response = await batch({
+      icons: [{ type: 'iconify', id: 'tabler:missing' }, { type: 'iconify', id: 'tabler:home' }, { type: 'iconify', id: 'tabler:home' }]
+    });
+    const entries = readZip(response.body);
+    const manifest = JSON.parse(entries['manifest.json']);
+
+    expect(Object.keys(entries).sort()).toEqual(['manifest.json', 'svg/tabler-home-2.svg', 'svg/tabler-home.svg']);
+    expect(manifest.icons[0]).toMatchObject({ id: 'tabler:missing', files: [], error: 'Icon not found' });
+  });
+
+  it('should validate icons, formats and sizes', async () => {
+    const response = await request(app).post('/api/icons/download/batch').send({
+      icons: [{ type: 'iconify', id: 'home' }, { type: 'other' }],
+      formats: ['svg', 'favicon-package'],
+      sizes: [0],
+      quality: 101
+    });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details.errors).toEqual([
+      'icons[0].id must be an Iconify id such as mdi:home',
+      'icons[1].type must be "iconify" or "generated"',
+      'formats must be a non-empty array of: svg, png, webp, avif, ico, pdf',
+      'sizes must be an array of 1-8 integers between 1 and 2048',
+      'quality must be an integer between 1 and 100'
+    ]);
+    expect((await request(app).get('/api/icons/download/batch')).status).toBe(405);
+  });
+});
@@ -0,0 +1,174 @@
+const request = require('supertest');
+const nock = require('nock');
+const zlib = require('zlib');
+
+let app;
+const originalFetch = global.fetch;
+
+const HOME_SVG = '<svg xmlns="http://www.w3.org/2000/svg" width="1em" height="1em" viewBox="0 0 24 24"><path fill="none" stroke="currentColor" stroke-width="2" d="M3 12l9-9 9 9v9H3z"/></svg>';
+const GENERATED_ROW = { id: 42, icon_name: 'Rocket', image_url: 'https://im.runware.ai/image/rocket.svg' };
+
+// Binary-safe body for non-JSON responses
+function buffered(res, callback) {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+// Entries of a zip as { name: Buffer }, read through the central directory
+function readZip(buffer) {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = {};
+  for (let i = 0; i < count; i++) {
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    entries[name] = method === 8 ? zlib.inflateRawSync(data) : data;
+    offset += 46 + nameLength;
+  }
+  return entries;
+}
+
+async function createCollection(body) {
+  const response = await request(app).post('/api/collections').send(body).expect(201);
+  return response.body.collection;
+}
+
+describe('Icon collections', () => {
+  beforeAll(() => {
+    process.env.DEV_MODE = 'true';
+    // Share links not held in memory are looked up through the service role
+    process.env.SUPABASE_SERVICE_ROLE_KEY = 'test_service_role_key';
+    // supabase-js uses the global fetch; only generated icon 42 exists
+    global.fetch = jest.fn(async (url) => {
+      const href = decodeURIComponent(String(url));
+      const rows = href.includes('/rest/v1/generated_icons') && href.includes('42') ? [GENERATED_ROW] : [];
+      return new Response(JSON.stringify(rows), { status: 200, headers: { 'Content-Type': 'application/json' } });
+    });
+    nock.disableNetConnect();
+    nock.enableNetConnect('127.0.0.1');
+    app = require('../../server.js');
+  });
+
+  afterAll(() => {
+    delete process.env.DEV_MODE;
+    delete process.env.SUPABASE_SERVICE_ROLE_KEY;
+    global.fetch = originalFetch;
+    nock.enableNetConnect();
+  });
+
+  beforeEach(() => {
+    nock.cleanAll();
+  });
+
+  it('should create collections and edit their items', async () => {
+    const created = await createCollection({
+      name: ' Checkout ',
+      description: 'Icons for the checkout flow',
+      items: ['tabler:home', { type: 'generated', id: 42, note: 'Hero', size: 128 }]
+    });
+    expect(created).toMatchObject({ name: 'Checkout', access: 'owner', version: 1, itemCount: 2, share: null });
+    expect(created.items[0]).toMatchObject({ type: 'iconify', iconId: 'tabler:home', note: null, color: null, size: null });
+    expect(created.items[1]).toMatchObject({ type: 'generated', iconId: '42', note: 'Hero', size: 128, name: 'Rocket', imageUrl: GENERATED_ROW.image_url });
+    const base = `/api/collections/${created.id}`;
+
+    const added = await request(app).post(`${base}/items`).send({ type: 'iconify', id: 'tabler:star', color: '#ff0000', position: 0 }).expect(201);
+    expect(added.body.collection.items.map(item => item.iconId)).toEqual(['tabler:star', 'tabler:home', '42']);
+    const [star, home, rocket] = added.body.collection.items;
+
+    const moved = await request(app).patch(`${base}/items/${home.id}`).send({ note: 'Nav', color: 'currentColor', position: 2 }).expect(200);
+    expect(moved.body.collection.items.map(item => item.iconId)).toEqual(['tabler:star', '42', 'tabler:home']);
+    expect(moved.body.collection.items[2]).toMatchObject({ note: 'Nav', color: 'currentColor' });
+
+    const reordered = await request(app).patch(base).send({ name: 'Checkout v2', order: [home.id, rocket.id, star.id] }).expect(200);
+    expect(reordered.body.collection).toMatchObject({ name: 'Checkout v2', version: 4 });
+    expect(reordered.body.collection.items.map(item => item.iconId)).toEqual(['tabler:home', '42', 'tabler:star']);
+
+    await request(app).delete(`${base}/items/${star.id}`).expect(200);
+    await request(app).delete(`${base}/items/${star.id}`).expect(404);
+    const stale = await request(app).patch(base).send({ name: 'Old', version: 4 }).expect(409);
+    expect(stale.body.details).toEqual({ version: 5 });
+
+    const invalid = await request(app).post(`${base}/items`).send({ type: 'iconify', id: 'tabler:x', size: 0 }).expect(400);
+    expect(invalid.body.details.errors).toEqual(['item.size must be an integer between 1 and 2048']);
+    await request(app).patch(base).send({ order: [home.id] }).expect(400);
+
+    const list = await request(app).get('/api/collections').expect(200);
+    const summary = list.body.collections.find(collection => collection.id === created.id);
+    expect(summary).toMatchObject({ name: 'Checkout v2', itemCount: 2, version: 5 });
+    expect(summary.items).toBeUndefined();
+
+    await request(app).delete(base).expect(200);
+    await request(app).get(base).expect(404);
+    await request(app).post('/api/collections').send({ name: '' }).expect(400);
+  });
+
+  it('should share collections read-only or editable', async () => {
+    const created = await createCollection({ name: 'Shared', items: ['tabler:home'] });
+    const base = `/api/collections/${created.id}`;
+
+    const viewLink = await request(app).post(`${base}/share`).send({ access: 'view' }).expect(200);
+    const viewToken = viewLink.body.collection.share.token;
+    expect(viewLink.body.collection.share).toEqual({ token: expect.stringMatching(/^[A-Za-z0-9_-]{24}$/), access: 'view' });
+
+    const viewed = await request(app).get(`/api/shared/collections/${viewToken}`).expect(200);
+    expect(viewed.body.collection).toMatchObject({ name: 'Shared', access: 'view', itemCount: 1 });
+    expect(viewed.body.collection.share).toBeUndefined();
+    await request(app).post(`/api/shared/collections/${viewToken}/items`).send({ id: 'tabler:star' }).expect(403);
+
+    // A new link replaces the old one
+    const editLink = await request(app).post(`${base}/share`).send({ access: 'edit' }).expect(200);
+    const editToken = editLink.body.collection.share.token;
+    await request(app).get(`/api/shared/collections/${viewToken}`).expect(404);
+    const edited = await request(app).post(`/api/shared/collections/${editToken}/items`).send({ id: 'tabler:star' }).expect(201);
+    expect(edited.body.collection.itemCount).toBe(2);
+
+    // Exports through a link need a signed-in user to count them against
+    delete process.env.DEV_MODE;
+    try {
+      await request(app).post(`/api/shared/collections/${editToken}/export`).send({}).expect(401);
+    } finally {
+      process.env.DEV_MODE = 'true';
+    }
+
+    await request(app).delete(`${base}/share`).expect(200);
+    await request(app).get(`/api/shared/collections/${editToken}`).expect(404);
+    await request(app).post(`${base}/share`).send({ access: 'admin' }).expect(400);
+  });
+
+  it('should reject malformed collection paths', async () => {
+    await request(app).get('/api/collections/%E0%A4%A').expect(400);
+    await request(app).get('/api/shared/collections/%E0%A4%A').expect(404);
+  });
+
+  it('should export a collection with its overrides', async () => {
+    nock('https://api.iconify.design').persist()
+      .get('/tabler:home.svg').reply(200, HOME_SVG, { 'Content-Type': 'image/svg+xml' })
+      .get('/collections').query(true).reply(200, {});
+    const created = await createCollection({
+      name: 'Export me',
+      items: [{ type: 'iconify', id: 'tabler:home', color: '#ff0000', size: 48, note: 'Red' }, 'tabler:home', { type: 'generated', id: 7 }]
+    });
+
+    const response = await request(app).post(`/api/collections/${created.id}/export`).send({ formats: ['svg', 'png'], sizes: [32] })
+      .buffer(true).parse(buffered).expect(200);
+    expect(response.headers['content-disposition']).toContain('filename="export-me.zip"');
+    const entries = readZip(response.body);
+
+    expect(Object.keys(entries).sort()).toEqual([
+      'manifest.json', 'png/32/2-tabler-home.png', 'png/48/1-tabler-home.png', 'svg/1-tabler-home.svg', 'svg/2-tabler-home.svg'
+    ]);
+    expect(entries['svg/1-tabler-home.svg'].toString()).toContain('#ff0000');
+    expect(entries['svg/1-tabler-home.svg'].toString()).toContain('width="48"');
+    const manifest = JSON.parse(entries['manifest.json']);
+    expect(manifest.collection).toEqual({ id: created.id, name: 'Export me', description: null });
+    expect(manifest.icons[0]).toMatchObject({ id: 'tabler:home', position: 1, note: 'Red', color: '#ff0000', size: 48 });
+    expect(manifest.icons[2]).toMatchObject({ type: 'generated', id: '7', position: 3, files: [], error: 'Generated icon not found' });
+  });
+});
@@ -0,0 +1,81 @@
+const request = require('supertest');
+const nock = require('nock');
+const sharp = require('sharp');
+
+let app;
+const originalFetch = global.fetch;
+
+const BADGE_SVG = '<svg xmlns="http://www.w3.org/2000/svg" width="128" height="128">' +
+  '<rect width="128" height="128" fill="#ffffff"/><circle cx="64" cy="64" r="44" fill="#e53935"/>' +
+  '<rect x="48" y="48" width="32" height="32" fill="#1e88e5"/></svg>';
+
+function fills(svg) {
+  return new Set((svg.match(/fill="#[0-9a-f]{6}"/g) || []));
+}
+
+// Binary-safe body for non-JSON responses
+function buffered(res, callback) {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks).toString('utf8')));
+}
+
+describe('Multi-colour tracing', () => {
+  let badge;
+
+  beforeAll(async () => {
+    process.env.DEV_MODE = 'true';
+    process.env.IMAGE_PROVIDER = 'mock';
+    badge = await sharp(Buffer.from(BADGE_SVG)).png().toBuffer();
+    // supabase-js uses the global fetch, which nock cannot intercept
+    global.fetch = jest.fn(async () => new Response('[]', { status: 200, headers: { 'Content-Type': 'application/json' } }));
+    nock.disableNetConnect();
+    nock.enableNetConnect('127.0.0.1');
+    app = require('../../server.js');
+  });
+
+  afterAll(() => {
+    delete process.env.DEV_MODE;
+    delete process.env.IMAGE_PROVIDER;
+    global.fetch = originalFetch;
+    nock.enableNetConnect();
+  });
+
+  beforeEach(() => {
+    nock.cleanAll();
+  });
+
+  it('should vectorize into stacked colour layers', async () => {
+    nock('https://im.runware.ai').get('/image/badge.png').twice().reply(200, badge, { 'Content-Type': 'image/png' });
+    const url = encodeURIComponent('https://im.runware.ai/image/badge.png');
+
+    const color = await request(app).get(`/api/vectorize?url=${url}&traceColors=3&alphaMax=0&optCurve=false`).buffer(true).parse(buffered);
+    const mono = await request(app).get(`/api/vectorize?url=${url}`).buffer(true).parse(buffered);
+
+    expect(color.status).toBe(200);
+    expect(fills(color.body).size).toBe(3);
+    expect(color.body).not.toMatch(/C\d/);
+    expect(fills(mono.body)).toEqual(new Set(['fill="#000000"']));
+  });
+
+  it('should reject invalid trace options', async () => {
+    const url = encodeURIComponent('https://im.runware.ai/image/badge.png');
+    const response = await request(app).get(`/api/vectorize?url=${url}&turnPolicy=sideways`);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatch(/^turnPolicy must be one of/);
+  });
+
+  it('should trace generated icons in colour on request', async () => {
+    const response = await request(app)
+      .post('/api/icons/generate')
+      .send({ subject: 'cup', seed: 5, removeBackground: false, traceColors: 2, turnPolicy: 'majority' });
+    const forSet = await request(app).post('/api/icons/generate/set').send({ subjects: ['a', 'b'], traceColors: 4 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.parameters.trace).toEqual({ traceColors: 2, turnPolicy: 'majority' });
+    expect(fills(response.body.icon.svg).size).toBe(2);
+    expect(forSet.status).toBe(400);
+    expect(forSet.body.details.errors).toContain('traceColors is not supported for icon sets');
+  });
+});
@@ -0,0 +1,96 @@
+const request = require('supertest');
+const nock = require('nock');
+const sharp = require('sharp');
+
+let app;
+const originalFetch = global.fetch;
+
+const HOME_SVG = '<svg xmlns="http://www.w3.org/2000/svg" width="1em" height="1em" viewBox="0 0 24 24"><path fill="none" stroke="currentColor" stroke-width="2" d="M3 12l9-9 9 9v9H3z"/></svg>';
+
+// Binary-safe body for non-JSON responses
+function buffered(res, callback) {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+function download(query) {
+  return request(app).get(`/api/icons/download?type=iconify&id=tabler:home&${query}`).buffer(true).parse(buffered);
+}
+
+describe('WebP, AVIF, ICO and PDF downloads', () => {
+  beforeAll(() => {
+    process.env.DEV_MODE = 'true';
+    // supabase-js uses the global fetch, which nock cannot intercept
+    global.fetch = jest.fn(async () => new Response('[]', { status: 200, headers: { 'Content-Type': 'application/json' } }));
+    nock.disableNetConnect();
+    nock.enableNetConnect('127.0.0.1');
+    app = require('../../server.js');
+  });
+
+  afterAll(() => {
+    delete process.env.DEV_MODE;
+    global.fetch = originalFetch;
+    nock.enableNetConnect();
+  });
+
+  beforeEach(() => {
+    nock.cleanAll();
+    nock('https://api.iconify.design').persist().get('/tabler:home.svg').reply(200, HOME_SVG, { 'Content-Type': 'image/svg+xml' });
+  });
+
+  it('should encode WebP and AVIF at the requested size and background', async () => {
+    const webp = await download('format=webp&size=64&background=%23ff0000&quality=80');
+    const avif = await download('format=avif&size=32&quality=40');
+
+    expect(webp.status).toBe(200);
+    expect(webp.headers['content-type']).toBe('image/webp');
+    expect(webp.headers['content-disposition']).toContain('filename="home.webp"');
+    expect(await sharp(webp.body).metadata()).toMatchObject({ format: 'webp', width: 64, height: 64, hasAlpha: false });
+    expect(avif.headers['content-type']).toBe('image/avif');
+    expect(await sharp(avif.body).metadata()).toMatchObject({ format: 'heif', width: 32, height: 32 });
+  });
+
+  it('should build a multi-resolution ICO up to the requested size', async () => {
+    const response = await download('format=ico&size=48');
+
+    expect(response.headers['content-type']).toBe('image/x-icon');
+    expect(response.body.readUInt16LE(4)).toBe(4);
+    expect([6, 22, 38, 54].map(offset => response.body[offset])).toEqual([16, 24, 32, 48]);
+  });
+
+  it('should export a vector PDF', async () => {
+    const response = await download('format=pdf&size=96&background=%23ffffff');
+    const text = response.body.toString('latin1');
+
+    expect(response.headers['content-type']).toBe('application/pdf');
+    expect(response.headers['content-disposition']).toContain('filename="home.pdf"');
+    expect(text.startsWith('%PDF-1.4')).toBe(true);
+    expect(text).toContain('/MediaBox [0 0 72 72]');
+  });
+
+  it('should validate quality, background and ICO size', async () => {
+    const quality = await request(app).get('/api/icons/download?type=iconify&id=tabler:home&format=webp&quality=0');
+    const background = await request(app).get('/api/icons/download?type=iconify&id=tabler:home&format=pdf&background=red');
+    const ico = await request(app).get('/api/icons/download?type=iconify&id=tabler:home&format=ico&size=512');
+
+    expect(quality.status).toBe(400);
+    expect(quality.body.error).toBe('quality must be an integer between 1 and 100');
+    expect(background.body.error).toBe('background must be a hex colour such as #ffffff, or transparent');
+    expect(ico.body.error).toBe('size must be at most 256 for ico');
+  });
+
+  it('should require sign-in for packages, PDFs and large renders', async () => {
+    delete process.env.DEV_MODE;
+    try {
+      for (const query of ['format=pdf', 'format=favicon-package', 'format=app-icons', 'format=png&size=1024', 'format=avif&size=2048']) {
+        const response = await request(app).get(`/api/icons/download?type=iconify&id=tabler:home&${query}`);
+        expect(response.status).toBe(401);
+      }
+      const small = await download('format=png&size=512');
+      expect(small.status).toBe(200);
+    } finally {
+      process.env.DEV_MODE = 'true';
+    }
+  });
+});
@@ -0,0 +1,104 @@
+const request = require('supertest');
+const nock = require('nock');
+const sharp = require('sharp');
+const zlib = require('zlib');
+
+let app;
+const originalFetch = global.fetch;
+
+const HOME_SVG = '<svg xmlns="http://www.w3.org/2000/svg" width="1em" height="1em" viewBox="0 0 24 24"><path fill="none" stroke="currentColor" stroke-width="2" d="M3 12l9-9 9 9v9H3z"/></svg>';
+
+// Binary-safe body for non-JSON responses
+function buffered(res, callback) {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+// Entries of a zip as { name: Buffer }, read through the central directory
+function readZip(buffer) {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = {};
+  for (let i = 0; i < count; i++) {
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    entries[name] = method === 8 ? zlib.inflateRawSync(data) : data;
+    offset += 46 + nameLength;
+  }
+  return entries;
+}
+
+describe('Favicon package downloads', () => {
+  beforeAll(() => {
+    process.env.DEV_MODE = 'true';
+    // supabase-js uses the global fetch, which nock cannot intercept
+    global.fetch = jest.fn(async () => new Response('[]', { status: 200, headers: { 'Content-Type': 'application/json' } }));
+    nock.disableNetConnect();
+    nock.enableNetConnect('127.0.0.1');
+    app = require('../../server.js');
+  });
+
+  afterAll(() => {
+    delete process.env.DEV_MODE;
+    global.fetch = originalFetch;
+    nock.enableNetConnect();
+  });
+
+  beforeEach(() => {
+    nock.cleanAll();
+    nock('https://api.iconify.design').persist().get('/tabler:home.svg').reply(200, HOME_SVG, { 'Content-Type': 'image/svg+xml' });
+  });
+
+  it('should package favicons, app icons and a manifest for an Iconify icon', async () => {
+    const response = await request(app)
+      .get('/api/icons/download?type=iconify&id=tabler:home&format=favicon-package&background=%23112233&name=Home')
+      .buffer(true)
+      .parse(buffered);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('application/zip');
+    expect(response.headers['content-disposition']).toContain('filename="home-favicon-package.zip"');
+
+    const files = readZip(response.body);
+    expect(Object.keys(files)).toEqual([
+      'favicon.ico', 'favicon-16x16.png', 'favicon-32x32.png', 'favicon-48x48.png', 'favicon.svg',
+      'apple-touch-icon.png', 'icon-192.png', 'icon-192-maskable.png', 'icon-512.png', 'icon-512-maskable.png',
+      'site.webmanifest', 'favicon.html'
+    ]);
+    expect(files['favicon.ico'].readUInt16LE(4)).toBe(3);
+    expect(await sharp(files['icon-512-maskable.png']).metadata()).toMatchObject({ width: 512, height: 512 });
+    const manifest = JSON.parse(files['site.webmanifest'].toString('utf8'));
+    expect(manifest).toMatchObject({ name: 'Home', theme_color: '#112233', background_color: '#112233' });
+    expect(files['favicon.html'].toString('utf8')).toContain('<link rel="manifest" href="/site.webmanifest">');
+  });
+
+  it('should package raster generated icons without an SVG favicon', async () => {
+    const dot = await sharp({ create: { width: 64, height: 64, channels: 4, background: '#ff0000' } }).png().toBuffer();
+    nock('https://im.runware.ai').get('/image/dot.png').reply(200, dot, { 'Content-Type': 'image/png' });
+
+    const response = await request(app)
+      .get(`/api/icons/download?type=generated&url=${encodeURIComponent('https://im.runware.ai/image/dot.png')}&format=favicon-package&background=transparent`)
+      .buffer(true)
+      .parse(buffered);
+
+    expect(response.status).toBe(200);
+    const files = readZip(response.body);
+    expect(files['favicon.svg']).toBeUndefined();
+    expect(JSON.parse(files['site.webmanifest'].toString('utf8')).name).toBe('Generated icon');
+    expect(await sharp(files['apple-touch-icon.png']).metadata()).toMatchObject({ width: 180, height: 180 });
+  });
+
+  it('should reject an invalid background', async () => {
+    const response = await request(app).get('/api/icons/download?type=iconify&id=tabler:home&format=favicon-package&background=blue');
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('background must be a hex colour such as #ffffff, or transparent');
+  });
+});
@@ -0,0 +1,80 @@
+const request = require('supertest');
+
+let app;
+const originalFetch = global.fetch;
+
+const GENERATED_ROW = { id: 42, icon_name: 'Rocket', image_url: 'https://im.runware.ai/image/rocket.png' };
+
+describe('Favourites API', () => {
+  beforeAll(() => {
+    process.env.DEV_MODE = 'true';
+    // supabase-js uses the global fetch; only generated icon 42 exists and no
+    // access token verifies
+    global.fetch = jest.fn(async (url) => {
+      const href = String(url);
+      if (href.includes('/auth/v1/user')) {
+        return new Response(JSON.stringify({ code: 401, msg: 'invalid JWT' }), { status: 401, headers: { 'Content-Type': 'application/json' } });
+      }
+      const rows = href.includes('/rest/v1/generated_icons') && href.includes('id=eq.42') ? [GENERATED_ROW] : [];
+      return new Response(JSON.stringify(rows), { status: 200, headers: { 'Content-Type': 'application/json' } });
+    });
+    app = require('../../server.js');
+  });
+
+  afterAll(() => {
+    delete process.env.DEV_MODE;
+    global.fetch = originalFetch;
+  });
+
+  it('should add, list and remove Iconify and generated favourites', async () => {
+    const empty = await request(app).get('/api/favourites').expect(200);
+    expect(empty.body).toEqual({ success: true, favourites: [] });
+
+    const iconify = await request(app).post('/api/favourites').send({ type: 'iconify', id: 'tabler:home' }).expect(201);
+    expect(iconify.body.favourite).toMatchObject({ type: 'iconify', id: 'tabler:home', library: 'tabler' });
+    const generated = await request(app).post('/api/favourites').send({ type: 'generated', id: 42 }).expect(201);
+    expect(generated.body.favourite).toMatchObject({
+      type: 'generated', id: '42', library: 'generated', name: 'Rocket', imageUrl: GENERATED_ROW.image_url
+    });
+    // Adding again keeps the original entry
+    const again = await request(app).post('/api/favourites').send({ type: 'iconify', id: 'tabler:home' }).expect(201);
+    expect(again.body.favourite.addedAt).toBe(iconify.body.favourite.addedAt);
+
+    const list = await request(app).get('/api/favourites').expect(200);
+    expect(list.body.favourites.map(favourite => `${favourite.type}:${favourite.id}`)).toEqual(['generated:42', 'iconify:tabler:home']);
+
+    const removed = await request(app).delete('/api/favourites?id=tabler:home').expect(200);
+    expect(removed.body).toEqual({ success: true, removed: { type: 'iconify', id: 'tabler:home' } });
+    await request(app).delete('/api/favourites?id=tabler:home').expect(404);
+    await request(app).delete('/api/favourites?type=generated&id=42').expect(200);
+
+    const after = await request(app).get('/api/favourites').expect(200);
+    expect(after.body.favourites).toEqual([]);
+  });
+
+  it('should reject invalid ids and unknown generated icons', async () => {
+    const invalid = await request(app).post('/api/favourites').send({ type: 'iconify', id: 'home' }).expect(400);
+    expect(invalid.body.details.errors).toEqual(['id must be an Iconify id such as mdi:home']);
+    await request(app).post('/api/favourites').send({ type: 'collection', id: 'x' }).expect(400);
+    await request(app).delete('/api/favourites?type=generated&id=abc').expect(400);
+
+    const missing = await request(app).post('/api/favourites').send({ type: 'generated', id: '7' }).expect(404);
+    expect(missing.body.error).toBe('Generated icon 7 not found');
+  });
+
+  it('should not trust an unverified session token', async () => {
+    const forged = `x.${Buffer.from(JSON.stringify({ sub: '11111111-2222-4333-8444-555555555555' })).toString('base64')}.y`;
+    delete process.env.DEV_MODE;
+    try {
+      const response = await request(app).get('/api/favourites').set('Authorization', `Bearer ${forged}`).expect(401);
+      expect(response.body.error).toBe('Authentication required');
+      expect(global.fetch).toHaveBeenCalledWith(expect.stringContaining('/auth/v1/user'), expect.anything());
+    } finally {
+      process.env.DEV_MODE = 'true';
+    }
+  });
+
+  it('should only allow GET, POST and DELETE', async () => {
+    await request(app).put('/api/favourites').send({}).expect(405);
+  });
+});
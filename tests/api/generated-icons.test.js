@@ -0,0 +1,63 @@
+const request = require('supertest');
+
+let app;
+const originalFetch = global.fetch;
+const requests = [];
+
+function row(id) {
+  return {
+    id, icon_name: `rocket ${id}`, subject: 'rocket', context: '', style: 'outline', colors: 'black and white',
+    background: 'white', image_url: `https://im.runware.ai/image/${id}.png`, seed: null,
+    created_at: `2025-08-${String(10 + id).padStart(2, '0')}T10:00:00Z`
+  };
+}
+
+describe('Generated icons API', () => {
+  beforeAll(() => {
+    process.env.DEV_MODE = 'true';
+    // supabase-js uses the global fetch; the table has icons 1-5, newest first
+    global.fetch = jest.fn(async (url) => {
+      const href = new URL(String(url));
+      let rows = [];
+      if (href.pathname === '/rest/v1/generated_icons') {
+        requests.push(href);
+        const limit = Number(href.searchParams.get('limit'));
+        const after = href.searchParams.getAll('or').find(filter => filter.includes('id.lt.'));
+        const before = after ? Number(after.match(/id\.lt\.(\d+)/)[1]) : Infinity;
+        rows = [5, 4, 3, 2, 1].filter(id => id < before).slice(0, limit).map(row);
+      }
+      return new Response(JSON.stringify(rows), { status: 200, headers: { 'Content-Type': 'application/json' } });
+    });
+    app = require('../../server.js');
+  });
+
+  afterAll(() => {
+    delete process.env.DEV_MODE;
+    global.fetch = originalFetch;
+  });
+
+  it('should page through every icon with the cursor', async () => {
+    const ids = [];
+    let cursor = null;
+    do {
+      const res = await request(app)
+        .get(`/api/generated-icons?limit=2&style=outline&q=rock${cursor ? `&cursor=${cursor}` : ''}`)
+        .expect(200);
+      expect(res.body.success).toBe(true);
+      ids.push(...res.body.icons.map(icon => icon.id));
+      cursor = res.body.nextCursor;
+    } while (cursor);
+
+    expect(ids).toEqual([5, 4, 3, 2, 1]);
+    expect(requests).toHaveLength(3);
+    expect(requests[0].searchParams.get('style')).toBe('eq.outline');
+    expect(requests[0].searchParams.get('order')).toBe('created_at.desc,id.desc');
+    expect(requests[0].searchParams.getAll('or')).toEqual(['(icon_name.ilike."*rock*",context.ilike."*rock*")']);
+  });
+
+  it('should reject invalid parameters', async () => {
+    const res = await request(app).get('/api/generated-icons?sort=random&cursor=abc').expect(400);
+    expect(res.body.details.errors).toEqual(['sort must be one of: newest, oldest, name', 'cursor is invalid']);
+    await request(app).post('/api/generated-icons').expect(405);
+  });
+});
@@ -0,0 +1,177 @@
+const dns = require('dns');
+const request = require('supertest');
+const nock = require('nock');
+const sharp = require('sharp');
+const { verifySignature } = require('../../lib/webhooks');
+
+let app;
+const originalFetch = global.fetch;
+
+async function waitForJob(jobId, done = job => job.status === 'completed' || job.status === 'failed') {
+  for (let i = 0; i < 100; i++) {
+    const response = await request(app).get(`/api/jobs/${jobId}`);
+    if (response.status === 200 && done(response.body.job)) return response.body.job;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`Job ${jobId} did not finish`);
+}
+
+function mockRunware(imagePath = '/image/test.png') {
+  nock('https://api.runware.ai')
+    .post('/v1')
+    .reply(200, (uri, tasks) => ({
+      data: tasks.map(task => ({ taskType: 'imageInference', taskUUID: task.taskUUID, seed: task.seed, imageURL: `https://im.runware.ai${imagePath}` }))
+    }));
+}
+
+describe('Async generation jobs', () => {
+  let png;
+
+  beforeAll(async () => {
+    process.env.DEV_MODE = 'true';
+    // supabase-js uses the global fetch, which nock cannot intercept
+    global.fetch = jest.fn(async () => new Response('[]', { status: 201, headers: { 'Content-Type': 'application/json' } }));
+    // Callback hosts are resolved before delivery
+    jest.spyOn(dns.promises, 'lookup').mockImplementation(async host => [
+      { address: host === 'internal.example.com' ? '10.0.0.7' : '93.184.216.34', family: 4 }
+    ]);
+    png = await sharp({ create: { width: 64, height: 64, channels: 3, background: '#ffffff' } })
+      .composite([{ input: Buffer.from('<svg width="64" height="64"><rect x="16" y="16" width="32" height="32"/></svg>') }])
+      .png()
+      .toBuffer();
+    app = require('../../server.js');
+  });
+
+  afterAll(() => {
+    delete process.env.DEV_MODE;
+    global.fetch = originalFetch;
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    nock.cleanAll();
+  });
+
+  it('should return a job id immediately and report stages until completion', async () => {
+    mockRunware();
+    nock('https://im.runware.ai').get('/image/test.png').reply(200, png, { 'Content-Type': 'image/png' });
+
+    const response = await request(app)
+      .post('/api/icons/generate')
+      .send({ subject: 'house', async: true });
+
+    expect(response.status).toBe(202);
+    expect(response.body.jobId).toMatch(/^[0-9a-f-]{36}$/);
+    expect(response.body.statusUrl).toBe(`/api/jobs/${response.body.jobId}`);
+
+    const job = await waitForJob(response.body.jobId);
+    expect(job.status).toBe('completed');
+    expect(job.stages.map(s => s.name)).toEqual(['generating', 'downloading', 'removing_background', 'vectorizing', 'saving']);
+    expect(job.stages.every(s => s.status === 'done')).toBe(true);
+    expect(job.result.icon.svg).toContain('<svg');
+    expect(job.result.parameters.subject).toBe('house');
+  });
+
+  it('should mark background removal as skipped when disabled', async () => {
+    mockRunware();
+    nock('https://im.runware.ai').get('/image/test.png').reply(200, png, { 'Content-Type': 'image/png' });
+
+    const response = await request(app)
+      .post('/api/icons/generate')
+      .send({ subject: 'tree', async: true, removeBackground: false });
+
+    const job = await waitForJob(response.body.jobId);
+    expect(job.stages.find(s => s.name === 'removing_background').status).toBe('skipped');
+  });
+
+  it('should record the failing stage and error', async () => {
+    nock('https://api.runware.ai')
+      .post('/v1')
+      .reply(400, { errors: [{ message: 'Invalid prompt' }] });
+
+    const response = await request(app)
+      .post('/api/icons/generate')
+      .send({ subject: 'car', async: true });
+
+    const job = await waitForJob(response.body.jobId);
+    expect(job.status).toBe('failed');
+    expect(job.error).toEqual({ statusCode: 400, message: 'Invalid prompt' });
+    expect(job.stages[0]).toEqual(expect.objectContaining({ name: 'generating', status: 'failed' }));
+    expect(job.result).toBeUndefined();
+  });
+
+  it('should deliver a signed payload to the callback URL', async () => {
+    mockRunware('/image/callback.png');
+    nock('https://im.runware.ai').get('/image/callback.png').reply(200, png, { 'Content-Type': 'image/png' });
+
+    let delivered = null;
+    nock('https://hooks.example.com')
+      .post('/aicon')
+      .reply(function (uri, body) {
+        delivered = { headers: this.req.headers, body };
+        return [200, 'ok'];
+      });
+
+    const response = await request(app)
+      .post('/api/icons/generate')
+      .send({ subject: 'bell', async: true, callbackUrl: 'https://hooks.example.com/aicon' });
+
+    const job = await waitForJob(response.body.jobId, j => j.callback && j.callback.status !== 'pending');
+    expect(job.callback).toEqual(expect.objectContaining({ status: 'delivered', attempts: 1, lastStatusCode: 200 }));
+
+    const rawBody = typeof delivered.body === 'string' ? delivered.body : JSON.stringify(delivered.body);
+    const payload = JSON.parse(rawBody);
+    expect(payload.event).toBe('generation.completed');
+    expect(payload.job.id).toBe(response.body.jobId);
+    expect(payload.job.result.icon.svg).toContain('<svg');
+    expect(delivered.headers['x-aicon-job-id']).toBe(response.body.jobId);
+    expect(verifySignature('dev-webhook-secret', rawBody,
+      delivered.headers['x-aicon-timestamp'], delivered.headers['x-aicon-signature'])).toBe(true);
+  });
+
+  it('should not deliver to callback hosts that resolve to a private address', async () => {
+    mockRunware('/image/internal.png');
+    nock('https://im.runware.ai').get('/image/internal.png').reply(200, png, { 'Content-Type': 'image/png' });
+
+    const response = await request(app)
+      .post('/api/icons/generate')
+      .send({ subject: 'key', async: true, callbackUrl: 'https://internal.example.com/aicon' });
+
+    const job = await waitForJob(response.body.jobId, j => j.callback && j.callback.status !== 'pending');
+    expect(job.callback).toEqual(expect.objectContaining({
+      status: 'failed',
+      attempts: 1,
+      error: 'Callback host resolves to a private network address'
+    }));
+  });
+
+  it('should validate async and callback parameters', async () => {
+    const withoutAsync = await request(app)
+      .post('/api/icons/generate')
+      .send({ subject: 'cat', callbackUrl: 'https://hooks.example.com/aicon' });
+    expect(withoutAsync.status).toBe(400);
+    expect(withoutAsync.body.details.errors).toContain('callbackUrl requires async: true');
+
+    const privateHost = await request(app)
+      .post('/api/icons/generate')
+      .send({ subject: 'cat', async: true, callbackUrl: 'https://127.0.0.1/hook' });
+    expect(privateHost.status).toBe(400);
+    expect(privateHost.body.details.errors).toContain('callbackUrl must be a public https URL');
+
+    const badAsync = await request(app)
+      .post('/api/icons/generate')
+      .send({ subject: 'cat', async: 'yes' });
+    expect(badAsync.status).toBe(400);
+  });
+
+  it('should return 404 for unknown jobs and 400 for malformed ids', async () => {
+    const unknown = await request(app).get('/api/jobs/00000000-0000-4000-8000-000000000000');
+    expect(unknown.status).toBe(404);
+
+    const malformed = await request(app).get('/api/jobs/not-a-job');
+    expect(malformed.status).toBe(400);
+
+    const badEncoding = await request(app).get('/api/jobs/%E0%A4%A');
+    expect(badEncoding.status).toBe(400);
+  });
+});
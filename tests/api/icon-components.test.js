@@ -0,0 +1,97 @@
+const request = require('supertest');
+const nock = require('nock');
+const zlib = require('zlib');
+
+let app;
+const originalFetch = global.fetch;
+
+const HOME_SVG = '<svg xmlns="http://www.w3.org/2000/svg" width="1em" height="1em" viewBox="0 0 24 24"><path fill="none" stroke="currentColor" stroke-width="2" d="M3 12l9-9 9 9v9H3z"/></svg>';
+
+// Binary-safe body for non-JSON responses
+function buffered(res, callback) {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+// Entries of a zip as { name: string }, read through the central directory
+function readZip(buffer) {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = {};
+  for (let i = 0; i < count; i++) {
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    entries[name] = (method === 8 ? zlib.inflateRawSync(data) : data).toString('utf8');
+    offset += 46 + nameLength;
+  }
+  return entries;
+}
+
+describe('Component code generation', () => {
+  beforeAll(() => {
+    process.env.DEV_MODE = 'true';
+    // supabase-js uses the global fetch, which nock cannot intercept
+    global.fetch = jest.fn(async () => new Response('[]', { status: 200, headers: { 'Content-Type': 'application/json' } }));
+    nock.disableNetConnect();
+    nock.enableNetConnect('127.0.0.1');
+    app = require('../../server.js');
+  });
+
+  afterAll(() => {
+    delete process.env.DEV_MODE;
+    global.fetch = originalFetch;
+    nock.enableNetConnect();
+  });
+
+  beforeEach(() => {
+    nock.cleanAll();
+    nock('https://api.iconify.design').persist()
+      .get('/tabler:home.svg').reply(200, HOME_SVG, { 'Content-Type': 'image/svg+xml' })
+      .get('/tabler:missing.svg').reply(404, 'Not found');
+  });
+
+  it('should download one icon as a component file', async () => {
+    const react = await request(app).get('/api/icons/download?type=iconify&id=tabler:home&format=react').buffer(true).parse(buffered);
+    const vue = await request(app).get('/api/icons/download?type=iconify&id=tabler:home&format=vue&name=house&rotate=90').buffer(true).parse(buffered);
+
+    expect(react.status).toBe(200);
+    expect(react.headers['content-disposition']).toBe('attachment; filename="TablerHome.jsx"');
+    expect(react.body.toString()).toContain('export default function TablerHome(');
+    expect(vue.headers['content-disposition']).toBe('attachment; filename="House.vue"');
+    expect(vue.body.toString()).toContain('<g transform="translate(12 12) rotate(90) translate(-12 -12)">');
+  });
+
+  it('should build a package folder for a set of icons', async () => {
+    const response = await request(app).post('/api/icons/components')
+      .send({ framework: 'react', icons: ['tabler:home', 'tabler:missing'], packageName: '@acme/icons' })
+      .buffer(true).parse(buffered);
+    const entries = readZip(response.body);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-disposition']).toBe('attachment; filename="icons.zip"');
+    expect(Object.keys(entries)).toEqual(['icons/package.json', 'icons/index.js', 'icons/README.md', 'icons/icons/TablerHome.jsx', 'errors.json']);
+    expect(JSON.parse(entries['icons/package.json'])).toMatchObject({ name: '@acme/icons', sideEffects: false });
+    expect(JSON.parse(entries['errors.json'])).toEqual([{ icon: 'tabler:missing', error: 'Icon not found' }]);
+  });
+
+  it('should return components as JSON and validate the request', async () => {
+    const json = await request(app).post('/api/icons/components').send({ framework: 'svelte', icons: ['tabler:home'], format: 'json' });
+    const invalid = await request(app).post('/api/icons/components').send({ framework: 'angular', icons: [], packageName: 'Bad Name' });
+
+    expect(json.body.components[0]).toMatchObject({ icon: 'tabler:home', name: 'TablerHome', filename: 'TablerHome.svelte' });
+    expect(json.body.components[0].code).toContain("export let size = '1em';");
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.details.errors).toEqual([
+      'framework must be one of: react, vue, svelte',
+      'icons must be a non-empty array',
+      'packageName must be a valid npm package name such as @acme/icons'
+    ]);
+  });
+});
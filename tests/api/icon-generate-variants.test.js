@@ -0,0 +1,127 @@
+const request = require('supertest');
+const nock = require('nock');
+const sharp = require('sharp');
+
+let app;
+const originalFetch = global.fetch;
+const savedRows = [];
+const usageCalls = []; // track_api_key_usage calls
+let rateLimit = null; // check_api_key_rate_limit response, when a test sets one
+
+describe('Generation variants and seeds', () => {
+  let png;
+
+  beforeAll(async () => {
+    process.env.DEV_MODE = 'true';
+    // Capture generated_icons inserts (supabase-js uses the global fetch, which nock cannot intercept)
+    global.fetch = jest.fn(async (url, init = {}) => {
+      if (String(url).includes('/rest/v1/generated_icons') && init.body) savedRows.push(JSON.parse(init.body));
+      if (String(url).includes('/rpc/track_api_key_usage')) usageCalls.push(JSON.parse(init.body));
+      if (String(url).includes('/rpc/check_api_key_rate_limit') && rateLimit) {
+        return new Response(JSON.stringify(rateLimit), { status: 200, headers: { 'Content-Type': 'application/json' } });
+      }
+      return new Response('[]', { status: 201, headers: { 'Content-Type': 'application/json' } });
+    });
+    png = await sharp({ create: { width: 32, height: 32, channels: 3, background: '#ffffff' } }).png().toBuffer();
+    app = require('../../server.js');
+  });
+
+  afterAll(() => {
+    delete process.env.DEV_MODE;
+    global.fetch = originalFetch;
+  });
+
+  beforeEach(() => {
+    nock.cleanAll();
+    savedRows.length = 0;
+    usageCalls.length = 0;
+    rateLimit = null;
+  });
+
+  it('should send one seeded task per variant and return each seed', async () => {
+    let sentTasks = null;
+    nock('https://api.runware.ai')
+      .post('/v1')
+      .reply(200, (uri, tasks) => {
+        sentTasks = tasks;
+        return { data: tasks.map((t, i) => ({ taskType: 'imageInference', taskUUID: t.taskUUID, imageURL: `https://im.runware.ai/image/v${i}.png` })) };
+      });
+    nock('https://im.runware.ai').persist().get(/\/image\/v\d\.png/).reply(200, png, { 'Content-Type': 'image/png' });
+
+    const response = await request(app)
+      .post('/api/icons/generate')
+      .send({ subject: 'leaf', variants: 3, seed: 100, removeBackground: false });
+
+    expect(response.status).toBe(200);
+    expect(sentTasks.map(t => t.seed)).toEqual([100, 101, 102]);
+    expect(sentTasks.every(t => t.numberResults === 1)).toBe(true);
+    expect(response.body.parameters).toEqual(expect.objectContaining({ variants: 3, seed: 100 }));
+    expect(response.body.variants.map(v => v.seed)).toEqual([100, 101, 102]);
+    expect(response.body.variants.map(v => v.imageUrl)).toEqual([0, 1, 2].map(i => `https://im.runware.ai/image/v${i}.png`));
+    expect(response.body.icon).toEqual(response.body.variants[0]);
+    expect(savedRows.map(row => row.seed)).toEqual([100, 101, 102]);
+    expect(usageCalls.map(call => call.p_endpoint)).toEqual(['generate', 'generate', 'generate']);
+  });
+
+  it('should record the reference on saved rows', async () => {
+    const homeSvg = '<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24"><path d="M3 12l9-9 9 9v9H3z"/></svg>';
+    nock('https://api.iconify.design').get('/tabler:home.svg').reply(200, homeSvg, { 'Content-Type': 'image/svg+xml' });
+    nock('https://api.runware.ai')
+      .post('/v1')
+      .reply(200, (uri, tasks) => ({ data: tasks.map(t => ({ taskType: 'imageInference', taskUUID: t.taskUUID, imageURL: 'https://im.runware.ai/image/v0.png' })) }));
+    nock('https://im.runware.ai').get('/image/v0.png').reply(200, png, { 'Content-Type': 'image/png' });
+
+    const response = await request(app)
+      .post('/api/icons/generate')
+      .send({ subject: 'leaf', removeBackground: false, reference: { type: 'iconify', id: 'tabler:home', strength: 0.5 } });
+
+    expect(response.status).toBe(200);
+    expect(savedRows.map(row => row.reference)).toEqual([{ type: 'iconify', id: 'tabler:home', strength: 0.5 }]);
+  });
+
+  it('should check the per-minute rate limit against the number of variants', async () => {
+    rateLimit = { allowed: true, current_usage: 58, limit: 60, remaining: 2, check_type: 'minute' };
+
+    const response = await request(app)
+      .post('/api/icons/generate')
+      .send({ subject: 'leaf', variants: 3 });
+
+    expect(response.status).toBe(429);
+    expect(response.body.details).toEqual({ limit: 60, remaining: 2, requested: 3 });
+    expect(usageCalls).toHaveLength(0);
+  });
+
+  it('should pick a random seed when none is given', async () => {
+    nock('https://api.runware.ai')
+      .post('/v1')
+      .reply(200, (uri, tasks) => ({ data: [{ taskType: 'imageInference', taskUUID: tasks[0].taskUUID, imageURL: 'https://im.runware.ai/image/one.png' }] }));
+    nock('https://im.runware.ai').get('/image/one.png').reply(200, png, { 'Content-Type': 'image/png' });
+
+    const response = await request(app)
+      .post('/api/icons/generate')
+      .send({ subject: 'leaf', removeBackground: false });
+
+    expect(response.status).toBe(200);
+    expect(response.body.variants).toHaveLength(1);
+    expect(Number.isInteger(response.body.icon.seed)).toBe(true);
+    expect(response.body.icon.seed).toBe(response.body.parameters.seed);
+  });
+
+  it('should validate variants and seed', async () => {
+    const tooMany = await request(app).post('/api/icons/generate').send({ subject: 'leaf', variants: 9 });
+    expect(tooMany.status).toBe(400);
+    expect(tooMany.body.details.errors).toContain('variants must be an integer between 1 and 8');
+
+    const badSeed = await request(app).post('/api/icons/generate').send({ subject: 'leaf', seed: 1.5 });
+    expect(badSeed.status).toBe(400);
+    expect(badSeed.body.details.errors[0]).toMatch(/^seed must be an integer/);
+  });
+
+  it('should cap the number of images the browser proxy forwards', async () => {
+    const tasks = Array.from({ length: 9 }, (_, i) => ({ taskType: 'imageInference', taskUUID: `t${i}`, positivePrompt: 'x', numberResults: 1 }));
+    const response = await request(app).post('/api/generate').send(tasks);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('At most 8 images per request');
+  });
+});
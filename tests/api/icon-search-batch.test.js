@@ -0,0 +1,180 @@
+const request = require('supertest');
+const nock = require('nock');
+
+let app;
+let trackedStatuses = [];
+let rateLimit = null; // check_api_key_rate_limit response, when a test sets one
+const originalFetch = global.fetch;
+
+describe('POST /api/icons/search/batch', () => {
+  beforeAll(() => {
+    // Bypass API key validation so these tests focus on batch behaviour
+    process.env.DEV_MODE = 'true';
+    nock.disableNetConnect();
+    nock.enableNetConnect('127.0.0.1');
+
+    // supabase-js talks to the database through fetch, which nock does not intercept
+    global.fetch = async (url, init = {}) => {
+      if (String(url).includes('/rpc/track_api_key_usage')) {
+        const body = JSON.parse(init.body);
+        if (body.p_endpoint === 'search/batch') trackedStatuses.push(body.p_status_code);
+      }
+      if (String(url).includes('/rpc/check_api_key_rate_limit') && rateLimit) {
+        return new Response(JSON.stringify(rateLimit), { status: 200, headers: { 'Content-Type': 'application/json' } });
+      }
+      return new Response('{}', { status: 200, headers: { 'Content-Type': 'application/json' } });
+    };
+
+    app = require('../../server.js');
+  });
+
+  afterAll(() => {
+    delete process.env.DEV_MODE;
+    global.fetch = originalFetch;
+    nock.cleanAll();
+    nock.enableNetConnect();
+  });
+
+  beforeEach(() => {
+    nock.cleanAll();
+    trackedStatuses = [];
+    rateLimit = null;
+  });
+
+  const waitForTracking = (count) => new Promise((resolve) => {
+    const check = () => (trackedStatuses.length >= count ? resolve() : setTimeout(check, 10));
+    check();
+  });
+
+  it('should resolve each query with per-item results and errors', async () => {
+    nock('https://api.iconify.design')
+      .get('/search')
+      .query({ query: 'settings', limit: 50 })
+      .reply(200, { icons: ['tabler:settings-off', 'lucide:settings'] });
+    nock('https://api.iconify.design')
+      .get('/search')
+      .query({ query: 'nothing-here', limit: 50 })
+      .reply(200, { icons: [] });
+    nock('https://api.iconify.design')
+      .get('/lucide:settings.svg')
+      .reply(200, '<svg>settings</svg>');
+
+    const response = await request(app)
+      .post('/api/icons/search/batch')
+      .send({ queries: ['settings', 'nothing-here', { query: '' }] });
+
+    expect(response.status).toBe(200);
+    expect(response.body.summary).toEqual({ total: 3, succeeded: 1, failed: 2 });
+
+    const [settings, missing, invalid] = response.body.results;
+    expect(settings.success).toBe(true);
+    expect(settings.icons).toHaveLength(1);
+    expect(settings.icons[0]).toMatchObject({ id: 'lucide:settings', prefix: 'lucide', svg: '<svg>settings</svg>' });
+    expect(missing).toMatchObject({ index: 1, success: false, status: 404 });
+    expect(invalid).toMatchObject({ index: 2, success: false, status: 400, error: 'Validation failed' });
+
+    await waitForTracking(3);
+    expect(trackedStatuses.sort()).toEqual([200, 400, 404]);
+  });
+
+  it('should apply shared filters with per-item overrides', async () => {
+    nock('https://api.iconify.design')
+      .get('/search')
+      .query({ query: 'home', limit: 50 })
+      .times(2)
+      .reply(200, { icons: ['tabler:home', 'ph:house', 'ph:house-fill'] });
+
+    const response = await request(app)
+      .post('/api/icons/search/batch')
+      .send({
+        library: 'ph',
+        includeSvg: false,
+        queries: ['home', { query: 'home', style: 'filled' }]
+      });
+
+    expect(response.status).toBe(200);
+    expect(response.body.results[0].icons[0].id).toBe('ph:house');
+    expect(response.body.results[1].icons[0].id).toBe('ph:house-fill');
+    expect(response.body.results[1].icons[0].svg).toBeUndefined();
+  });
+
+  it('should share one lookup between identical items', async () => {
+    const scope = nock('https://api.iconify.design')
+      .get('/search')
+      .query({ query: 'trash', limit: 50 })
+      .once()
+      .reply(200, { icons: ['lucide:trash'] });
+
+    const response = await request(app)
+      .post('/api/icons/search/batch')
+      .send({ includeSvg: false, queries: ['trash', 'Trash ', 'trash'] });
+
+    expect(scope.isDone()).toBe(true);
+    expect(response.body.results.map(r => r.index)).toEqual([0, 1, 2]);
+    expect(response.body.results.map(r => r.query)).toEqual(['trash', 'Trash', 'trash']);
+    expect(response.body.summary.succeeded).toBe(3);
+    await waitForTracking(3);
+  });
+
+  it('should bound concurrent requests to the Iconify upstream', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    nock('https://api.iconify.design')
+      .persist()
+      .get('/search')
+      .query(true)
+      .reply(200, () => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        return new Promise((resolve) => setTimeout(() => {
+          inFlight--;
+          resolve({ icons: [] });
+        }, 20));
+      });
+
+    const queries = Array.from({ length: 12 }, (_, i) => `concept-${i}`);
+    const response = await request(app)
+      .post('/api/icons/search/batch')
+      .send({ queries });
+
+    expect(response.status).toBe(200);
+    expect(response.body.results).toHaveLength(12);
+    expect(maxInFlight).toBeGreaterThan(1);
+    expect(maxInFlight).toBeLessThanOrEqual(4);
+  });
+
+  it('should reject a missing or oversized queries array', async () => {
+    const missing = await request(app)
+      .post('/api/icons/search/batch')
+      .send({});
+    expect(missing.status).toBe(400);
+    expect(missing.body.details.errors[0]).toContain('queries is required');
+
+    const oversized = await request(app)
+      .post('/api/icons/search/batch')
+      .send({ queries: Array.from({ length: 201 }, () => 'x') });
+    expect(oversized.status).toBe(400);
+    expect(oversized.body.details.errors[0]).toContain('at most 200');
+  });
+
+  it('should reject invalid shared filters', async () => {
+    const response = await request(app)
+      .post('/api/icons/search/batch')
+      .send({ queries: ['home'], style: 'sparkly' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details.errors[0]).toContain('style must be one of');
+  });
+
+  it('should check the per-minute rate limit against the number of items', async () => {
+    rateLimit = { allowed: true, current_usage: 58, limit: 60, remaining: 2, check_type: 'minute' };
+
+    const response = await request(app)
+      .post('/api/icons/search/batch')
+      .send({ queries: ['home', 'user', 'settings'] });
+
+    expect(response.status).toBe(429);
+    expect(response.body.details).toEqual({ limit: 60, remaining: 2, requested: 3 });
+    expect(trackedStatuses).toEqual([]);
+  });
+});
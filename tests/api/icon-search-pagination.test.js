@@ -0,0 +1,152 @@
+const request = require('supertest');
+const nock = require('nock');
+
+let app;
+
+describe('POST /api/icons/search (ranked multi-result mode)', () => {
+  beforeAll(() => {
+    // Bypass API key validation so these tests focus on search behaviour
+    process.env.DEV_MODE = 'true';
+    nock.disableNetConnect();
+    nock.enableNetConnect('127.0.0.1');
+    app = require('../../server.js');
+  });
+
+  afterAll(() => {
+    delete process.env.DEV_MODE;
+    nock.cleanAll();
+    nock.enableNetConnect();
+  });
+
+  beforeEach(() => {
+    nock.cleanAll();
+    nock('https://test.supabase.co')
+      .persist()
+      .post('/rest/v1/rpc/track_api_key_usage')
+      .reply(200, {});
+  });
+
+  const mockIcons = ['tabler:home', 'lucide:home', 'ph:house', 'iconoir:home', 'tabler:home-2'];
+
+  it('should return a ranked page of icons with pagination metadata', async () => {
+    nock('https://api.iconify.design')
+      .get('/search')
+      .query({ query: 'home', limit: 50 })
+      .reply(200, { icons: mockIcons });
+
+    nock('https://api.iconify.design')
+      .get('/lucide:home.svg')
+      .reply(200, '<svg>lucide</svg>');
+    nock('https://api.iconify.design')
+      .get('/ph:house.svg')
+      .reply(200, '<svg>ph</svg>');
+
+    const response = await request(app)
+      .post('/api/icons/search')
+      .send({ query: 'home', limit: 2, offset: 1 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.icon).toBeUndefined();
+    expect(response.body.icons).toHaveLength(2);
+    expect(response.body.icons[0]).toMatchObject({
+      id: 'lucide:home',
+      prefix: 'lucide',
+      url: 'https://api.iconify.design/lucide:home.svg',
+      svg: '<svg>lucide</svg>',
+      rank: 2
+    });
+    expect(typeof response.body.icons[0].score).toBe('number');
+    expect(response.body.icons[0].score).toBeGreaterThanOrEqual(response.body.icons[1].score);
+    expect(response.body.metadata.totalFound).toBe(5);
+    expect(response.body.metadata.filtered).toBe(5);
+    expect(response.body.pagination).toEqual({
+      limit: 2,
+      offset: 1,
+      returned: 2,
+      total: 5,
+      hasMore: true,
+      nextOffset: 3
+    });
+  });
+
+  it('should return URLs only when includeSvg is false', async () => {
+    nock('https://api.iconify.design')
+      .get('/search')
+      .query({ query: 'home', limit: 50 })
+      .reply(200, { icons: mockIcons });
+
+    const response = await request(app)
+      .post('/api/icons/search')
+      .send({ query: 'home', limit: 10, includeSvg: false });
+
+    expect(response.status).toBe(200);
+    expect(response.body.icons).toHaveLength(5);
+    expect(response.body.icons[0].svg).toBeUndefined();
+    expect(response.body.icons.map(icon => icon.url)).toContain('https://api.iconify.design/tabler:home-2.svg');
+    expect(response.body.icons.map(icon => icon.rank)).toEqual([1, 2, 3, 4, 5]);
+    expect(response.body.pagination.hasMore).toBe(false);
+    expect(response.body.pagination.nextOffset).toBeNull();
+  });
+
+  it('should request enough upstream results to cover the page', async () => {
+    const scope = nock('https://api.iconify.design')
+      .get('/search')
+      .query({ query: 'home', limit: 150 })
+      .reply(200, { icons: mockIcons });
+
+    const response = await request(app)
+      .post('/api/icons/search')
+      .send({ query: 'home', limit: 50, offset: 100, includeSvg: false });
+
+    expect(scope.isDone()).toBe(true);
+    expect(response.status).toBe(200);
+    expect(response.body.icons).toEqual([]);
+    expect(response.body.pagination.returned).toBe(0);
+  });
+
+  it('should reject an invalid offset', async () => {
+    const response = await request(app)
+      .post('/api/icons/search')
+      .send({ query: 'home', offset: -1 });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details.errors[0]).toContain('offset must be an integer');
+  });
+
+  it('should pick the highest-ranked icon rather than the first upstream hit', async () => {
+    nock('https://api.iconify.design')
+      .get('/search')
+      .query({ query: 'bell', limit: 50 })
+      .reply(200, { icons: ['tabler:bell-off', 'tabler:bell'] });
+    nock('https://api.iconify.design')
+      .get('/tabler:bell.svg')
+      .reply(200, '<svg>bell</svg>');
+
+    const response = await request(app)
+      .post('/api/icons/search')
+      .send({ query: 'bell' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.icon.id).toBe('tabler:bell');
+  });
+
+  it('should keep the single best-match response when no paging is requested', async () => {
+    nock('https://api.iconify.design')
+      .get('/search')
+      .query({ query: 'home', limit: 50 })
+      .reply(200, { icons: mockIcons });
+    nock('https://api.iconify.design')
+      .get('/tabler:home.svg')
+      .reply(200, '<svg>tabler</svg>');
+
+    const response = await request(app)
+      .post('/api/icons/search')
+      .send({ query: 'home' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.icons).toBeUndefined();
+    expect(response.body.icon.id).toBe('tabler:home');
+    expect(response.body.icon.svg).toBe('<svg>tabler</svg>');
+    expect(response.body.icon.metadata.totalFound).toBe(5);
+  });
+});
@@ -0,0 +1,179 @@
+const request = require('supertest');
+const nock = require('nock');
+const sharp = require('sharp');
+const zlib = require('zlib');
+
+let app;
+const originalFetch = global.fetch;
+const savedRows = { generated_icons: [], generated_icon_sets: [] };
+
+// Read entry names and contents back out of a ZIP buffer (central directory walk)
+function readZip(buffer) {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = {};
+  for (let i = 0; i < count; i++) {
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    entries[name] = (method === 8 ? zlib.inflateRawSync(data) : data).toString('utf8');
+    offset += 46 + nameLength;
+  }
+  return entries;
+}
+
+// Circle outline on white, like a generated outline icon
+function ring(width, stroke = '#000') {
+  return Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="128" height="128"><rect width="128" height="128" fill="#fff"/><circle cx="64" cy="64" r="40" fill="none" stroke="${stroke}" stroke-width="${width}"/></svg>`);
+}
+
+function binaryParser(res, callback) {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+describe('Icon set generation', () => {
+  let thin;
+  let thick;
+
+  beforeAll(async () => {
+    process.env.DEV_MODE = 'true';
+    global.fetch = jest.fn(async (url, init = {}) => {
+      const table = Object.keys(savedRows).find(name => String(url).includes(`/rest/v1/${name}`));
+      if (table && init.body) savedRows[table].push(JSON.parse(init.body));
+      return new Response('[]', { status: 201, headers: { 'Content-Type': 'application/json' } });
+    });
+    thin = await sharp(ring(3)).png().toBuffer();
+    thick = await sharp(ring(12)).png().toBuffer();
+    app = require('../../server.js');
+  });
+
+  afterAll(() => {
+    delete process.env.DEV_MODE;
+    global.fetch = originalFetch;
+  });
+
+  beforeEach(() => {
+    nock.cleanAll();
+    savedRows.generated_icons.length = 0;
+    savedRows.generated_icon_sets.length = 0;
+  });
+
+  function mockRunware(captured, images = [thin, thick]) {
+    nock('https://api.runware.ai')
+      .post('/v1')
+      .reply(200, (uri, tasks) => {
+        captured.push(...tasks);
+        return { data: tasks.map((t, i) => ({ taskType: 'imageInference', taskUUID: t.taskUUID, imageURL: `https://im.runware.ai/image/set${i}.png` })) };
+      });
+    images.forEach((image, i) => {
+      nock('https://im.runware.ai').get(`/image/set${i}.png`).reply(200, image, { 'Content-Type': 'image/png' });
+    });
+  }
+
+  it('should generate every subject with one seed and prompt scaffold', async () => {
+    const tasks = [];
+    mockRunware(tasks);
+
+    const response = await request(app)
+      .post('/api/icons/generate/set')
+      .send({ subjects: ['home', 'search'], style: 'outline', seed: 42, removeBackground: false });
+
+    expect(response.status).toBe(200);
+    expect(tasks.map(t => t.seed)).toEqual([42, 42]);
+    expect(tasks[0].positivePrompt).toContain('of a home');
+    expect(tasks[1].positivePrompt).toContain('of a search');
+    expect(tasks[0].positivePrompt.replace('home', 'search')).toBe(tasks[1].positivePrompt);
+
+    const { set } = response.body;
+    expect(set.subjects).toEqual(['home', 'search']);
+    expect(set.seed).toBe(42);
+    expect(set.promptScaffold).toContain('{subject}');
+    expect(set.icons).toHaveLength(2);
+    expect(set.icons.every(icon => icon.svg.startsWith('<svg'))).toBe(true);
+    expect(set.downloadUrl).toBe(`/api/icons/sets/${set.id}/download`);
+
+    // Stroke weights are pulled toward each other
+    const [a, b] = set.icons.map(icon => icon.strokeWidth);
+    expect(Math.abs(a.after - b.after)).toBeLessThan(Math.abs(a.before - b.before));
+
+    expect(savedRows.generated_icon_sets[0]).toEqual(expect.objectContaining({ id: set.id, seed: 42, subjects: ['home', 'search'] }));
+    expect(savedRows.generated_icons.map(row => row.set_id)).toEqual([set.id, set.id]);
+  });
+
+  it('should trace the set in the colour its icons were drawn in', async () => {
+    const blue = await Promise.all([3, 12].map(width => sharp(ring(width, '#1d4ed8')).png().toBuffer()));
+    mockRunware([], blue);
+
+    const response = await request(app)
+      .post('/api/icons/generate/set')
+      .send({ subjects: ['home', 'search'], colors: 'blue', removeBackground: false });
+
+    expect(response.status).toBe(200);
+    for (const icon of response.body.set.icons) {
+      const [, fill] = icon.svg.match(/fill="#([0-9a-f]{6})"/i);
+      const [r, g, b] = [0, 2, 4].map(i => parseInt(fill.slice(i, i + 2), 16));
+      expect(b).toBeGreaterThan(150);
+      expect(r).toBeLessThan(100);
+      expect(g).toBeLessThan(120);
+    }
+  });
+
+  it('should download a generated set as a ZIP', async () => {
+    mockRunware([]);
+    const generated = await request(app)
+      .post('/api/icons/generate/set')
+      .send({ subjects: ['home', 'search'], name: 'Nav Icons', removeBackground: false });
+
+    const response = await request(app)
+      .get(generated.body.set.downloadUrl)
+      .buffer(true)
+      .parse(binaryParser);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('application/zip');
+    expect(response.headers['content-disposition']).toBe('attachment; filename="nav-icons.zip"');
+    const entries = readZip(response.body);
+    expect(Object.keys(entries)).toEqual(['nav-icons/01-home.svg', 'nav-icons/02-search.svg', 'nav-icons/set.json']);
+    expect(JSON.parse(entries['nav-icons/set.json']).icons.map(icon => icon.subject)).toEqual(['home', 'search']);
+  });
+
+  it('should return 404 for unknown sets', async () => {
+    const response = await request(app).get('/api/icons/sets/00000000-0000-4000-8000-000000000000/download');
+    expect(response.status).toBe(404);
+  });
+
+  it('should return 400 for malformed set ids', async () => {
+    const apiKey = await request(app).get('/api/icons/sets/%E0%A4%A/download');
+    expect(apiKey.status).toBe(400);
+    expect(apiKey.body.error).toBe('Invalid set id');
+
+    const session = await request(app).get('/api/generate/set/%E0%A4%A/download');
+    expect(session.status).toBe(400);
+    expect(session.body.error).toBe('Invalid set id');
+  });
+
+  it('should validate subjects', async () => {
+    const tooFew = await request(app).post('/api/icons/generate/set').send({ subjects: ['home'] });
+    expect(tooFew.status).toBe(400);
+    expect(tooFew.body.details.errors).toContain('subjects must be an array of 2-30 strings');
+
+    const variants = await request(app).post('/api/icons/generate/set').send({ subjects: ['a', 'b'], variants: 2 });
+    expect(variants.status).toBe(400);
+    expect(variants.body.details.errors).toContain('variants is not supported for icon sets');
+  });
+
+  it('should limit sets from the generate page to what one request can finish', async () => {
+    const subjects = ['a', 'b', 'c', 'd', 'e', 'f', 'g'];
+    const response = await request(app).post('/api/generate/set').send({ subjects });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details.errors).toContain('at most 6 subjects per set on the generate page; use the API with async: true for larger sets');
+  });
+});
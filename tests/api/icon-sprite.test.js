@@ -0,0 +1,73 @@
+const request = require('supertest');
+const nock = require('nock');
+
+let app;
+const originalFetch = global.fetch;
+
+const HOME_SVG = '<svg xmlns="http://www.w3.org/2000/svg" width="1em" height="1em" viewBox="0 0 24 24"><path fill="none" stroke="currentColor" stroke-width="2" d="M3 12l9-9 9 9v9H3z"/></svg>';
+const STAR_SVG = '<svg xmlns="http://www.w3.org/2000/svg" width="1em" height="1em" viewBox="0 0 32 24"><path fill="#ffcc00" d="M16 2l4 8h8l-6 6 2 8-8-4-8 4 2-8-6-6h8z"/></svg>';
+
+describe('SVG sprite API', () => {
+  beforeAll(() => {
+    process.env.DEV_MODE = 'true';
+    // supabase-js uses the global fetch, which nock cannot intercept
+    global.fetch = jest.fn(async () => new Response('[]', { status: 200, headers: { 'Content-Type': 'application/json' } }));
+    nock.disableNetConnect();
+    nock.enableNetConnect('127.0.0.1');
+    app = require('../../server.js');
+  });
+
+  afterAll(() => {
+    delete process.env.DEV_MODE;
+    global.fetch = originalFetch;
+    nock.enableNetConnect();
+  });
+
+  beforeEach(() => {
+    nock.cleanAll();
+    nock('https://api.iconify.design').persist()
+      .get('/tabler:home.svg').reply(200, HOME_SVG, { 'Content-Type': 'image/svg+xml' })
+      .get('/mdi:star.svg').reply(200, STAR_SVG, { 'Content-Type': 'image/svg+xml' })
+      .get('/mdi:missing.svg').reply(404, 'Not found');
+  });
+
+  it('should return the sprite, symbols and usage snippet', async () => {
+    const response = await request(app).post('/api/icons/sprite').send({
+      icons: ['tabler:home', { type: 'iconify', id: 'mdi:star' }, 'mdi:missing'],
+      currentColor: true
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.symbols).toEqual([
+      { id: 'tabler-home', name: 'tabler:home', viewBox: '0 0 24 24' },
+      { id: 'mdi-star', name: 'mdi:star', viewBox: '0 -4 32 32' }
+    ]);
+    expect(response.body.sprite).toContain('<symbol id="mdi-star" viewBox="0 -4 32 32" fill="currentColor"><path fill="currentColor"');
+    expect(response.body.usage.html).toContain('<use href="sprite.svg#tabler-home"></use>');
+    expect(response.body.usage.css).toContain('.icon {');
+    expect(response.body.errors).toEqual([{ icon: 'mdi:missing', error: 'Icon not found' }]);
+  });
+
+  it('should download the sprite file', async () => {
+    const response = await request(app).post('/api/icons/sprite').send({ icons: ['tabler:home'], format: 'svg', idPrefix: 'ui-' });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('image/svg+xml');
+    expect(response.headers['content-disposition']).toBe('attachment; filename="sprite.svg"');
+    expect(response.body.toString()).toContain('<symbol id="ui-tabler-home" viewBox="0 0 24 24">');
+  });
+
+  it('should validate the request and report icons that all failed', async () => {
+    const invalid = await request(app).post('/api/icons/sprite').send({ icons: ['home'], idPrefix: '1-', format: 'png' });
+    const missing = await request(app).post('/api/icons/sprite').send({ icons: ['mdi:missing'] });
+
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.details.errors).toEqual([
+      'icons[0].id must be an Iconify id such as mdi:home',
+      'idPrefix must start with a lowercase letter and contain only a-z, 0-9, - and _ (at most 32 characters)',
+      'format must be "json" or "svg"'
+    ]);
+    expect(missing.status).toBe(404);
+    expect(missing.body.error).toBe('None of the icons could be loaded');
+  });
+});
@@ -0,0 +1,76 @@
+const path = require('path');
+const request = require('supertest');
+const nock = require('nock');
+
+let app;
+
+describe('ICON_SOURCE=local', () => {
+  beforeAll(() => {
+    process.env.DEV_MODE = 'true';
+    process.env.ICON_SOURCE = 'local';
+    process.env.ICONIFY_JSON_DIR = path.join(__dirname, '../fixtures/iconify');
+    // Any request to api.iconify.design would fail the test
+    nock.disableNetConnect();
+    nock.enableNetConnect('127.0.0.1');
+    app = require('../../server.js');
+  });
+
+  afterAll(() => {
+    delete process.env.DEV_MODE;
+    delete process.env.ICON_SOURCE;
+    delete process.env.ICONIFY_JSON_DIR;
+    nock.enableNetConnect();
+  });
+
+  it('should search and render SVGs from the local index', async () => {
+    const response = await request(app)
+      .post('/api/icons/search')
+      .send({ query: 'bell' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.icon.id).toBe('tabler:bell');
+    expect(response.body.icon.svg).toContain('viewBox="0 0 24 24"');
+  });
+
+  it('should apply filters to local results', async () => {
+    const response = await request(app)
+      .post('/api/icons/search')
+      .send({ query: 'home', style: 'filled', limit: 5 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.icons.map(i => i.id)).toEqual(['tabler:home-filled']);
+  });
+
+  it('should return 404 when nothing matches locally', async () => {
+    const response = await request(app)
+      .post('/api/icons/search')
+      .send({ query: 'spaceship' });
+
+    expect(response.status).toBe(404);
+  });
+
+  it('should serve icon details from the local index', async () => {
+    const response = await request(app)
+      .get('/api/icons/iconify/lucide:trash');
+
+    expect(response.status).toBe(200);
+    expect(response.body.icon.svg).toContain('M3 6h18');
+  });
+
+  it('should serve SVG downloads from the local index', async () => {
+    const response = await request(app)
+      .get('/api/icons/download?type=iconify&id=lucide:settings&format=svg');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toContain('image/svg+xml');
+    expect(response.body.toString()).toContain('<circle cx="12" cy="12" r="3"/>');
+  });
+
+  it('should answer the search proxy from the local index', async () => {
+    const response = await request(app)
+      .get('/api/iconify-search?query=trash');
+
+    expect(response.status).toBe(200);
+    expect(response.body.icons).toEqual(['lucide:trash']);
+  });
+});
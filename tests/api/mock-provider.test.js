@@ -0,0 +1,57 @@
+const request = require('supertest');
+const nock = require('nock');
+
+let app;
+const originalFetch = global.fetch;
+
+describe('Mock image provider', () => {
+  beforeAll(() => {
+    process.env.DEV_MODE = 'true';
+    process.env.IMAGE_PROVIDER = 'mock';
+    global.fetch = jest.fn(async () => new Response('[]', { status: 201, headers: { 'Content-Type': 'application/json' } }));
+    // Nothing in this suite may reach the network
+    nock.disableNetConnect();
+    nock.enableNetConnect('127.0.0.1');
+    app = require('../../server.js');
+  });
+
+  afterAll(() => {
+    delete process.env.DEV_MODE;
+    delete process.env.IMAGE_PROVIDER;
+    global.fetch = originalFetch;
+    nock.enableNetConnect();
+  });
+
+  it('should run the whole generate pipeline offline', async () => {
+    const response = await request(app)
+      .post('/api/icons/generate')
+      .send({ subject: 'cup', seed: 11, variants: 2 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.parameters.provider).toBe('mock');
+    expect(response.body.variants.map(v => v.seed)).toEqual([11, 12]);
+    expect(response.body.icon.imageUrl).toMatch(/^data:image\/png;base64,/);
+    expect(response.body.icon.svg).toMatch(/^<svg[\s\S]*<path/);
+    // Placeholder images stay out of the public gallery
+    expect(global.fetch.mock.calls.map(([url]) => String(url)).filter(url => url.includes('/rest/v1/generated_icons'))).toEqual([]);
+  });
+
+  it('should be deterministic for the same prompt and seed', async () => {
+    const first = await request(app).post('/api/icons/generate').send({ subject: 'cup', seed: 5, removeBackground: false });
+    const second = await request(app).post('/api/icons/generate').send({ subject: 'cup', seed: 5, removeBackground: false });
+
+    expect(first.body.icon.imageUrl).toBe(second.body.icon.imageUrl);
+    expect(first.body.icon.svg).toBe(second.body.icon.svg);
+  });
+
+  it('should serve the generate page proxy in the Runware response shape', async () => {
+    const response = await request(app)
+      .post('/api/generate')
+      .send([{ taskType: 'imageInference', taskUUID: 'task-1', positivePrompt: 'icon of a cup', width: 1024, height: 1024, model: 'google:2@3', numberResults: 1, seed: 3 }]);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual([
+      expect.objectContaining({ taskType: 'imageInference', taskUUID: 'task-1', seed: 3, imageURL: expect.stringMatching(/^data:image\/png;base64,/) })
+    ]);
+  });
+});
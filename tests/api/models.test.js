@@ -0,0 +1,114 @@
+const request = require('supertest');
+
+let app;
+const originalFetch = global.fetch;
+const rpcCalls = [];
+
+const FREE_USER = '11111111-2222-4333-8444-555555555555';
+const PRO_USER = '66666666-7777-4888-8999-000000000000';
+
+// Unsigned session token; the server only reads `sub` from the payload
+function sessionToken(userId) {
+  return `x.${Buffer.from(JSON.stringify({ sub: userId })).toString('base64')}.y`;
+}
+
+describe('Model registry and plan entitlements', () => {
+  beforeAll(() => {
+    process.env.IMAGE_PROVIDER = 'mock';
+    process.env.SUPABASE_SERVICE_ROLE_KEY = 'test_service_role_key';
+    // supabase-js uses the global fetch, which nock cannot intercept
+    global.fetch = jest.fn(async (url, init = {}) => {
+      const href = String(url);
+      let body = '[]';
+      if (href.includes('/rpc/get_user_model_entitlements')) {
+        const { p_user_id: userId } = JSON.parse(init.body);
+        rpcCalls.push(userId);
+        body = JSON.stringify(userId === PRO_USER
+          ? [{ plan_id: 'pro', plan_name: 'Pro', allowed_models: null }]
+          : [{ plan_id: 'free', plan_name: 'Free', allowed_models: ['google:2@3'] }]);
+      }
+      return new Response(body, { status: 200, headers: { 'Content-Type': 'application/json' } });
+    });
+    app = require('../../server.js');
+  });
+
+  afterAll(() => {
+    delete process.env.IMAGE_PROVIDER;
+    delete process.env.SUPABASE_SERVICE_ROLE_KEY;
+    global.fetch = originalFetch;
+  });
+
+  it('should list models with the caller plan entitlements', async () => {
+    const response = await request(app)
+      .get('/api/models')
+      .set('Authorization', `Bearer ${sessionToken(FREE_USER)}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.plan).toEqual({ id: 'free', name: 'Free' });
+    expect(response.body.defaultModel).toBe('google:2@3');
+    expect(response.body.models.map(m => [m.id, m.allowed])).toEqual([['google:2@3', true], ['runware:100@1', false]]);
+    expect(response.body.models[1]).toMatchObject({ steps: { min: 1, max: 50, default: 20 }, costWeight: 0.5 });
+  });
+
+  it('should reject a model outside the plan on the generate proxy', async () => {
+    const response = await request(app)
+      .post('/api/generate')
+      .set('Authorization', `Bearer ${sessionToken(FREE_USER)}`)
+      .send([{ taskType: 'imageInference', taskUUID: 'task-1', positivePrompt: 'icon of a cup', model: 'runware:100@1', numberResults: 1 }]);
+
+    expect(response.status).toBe(403);
+    expect(response.body.error).toBe('Model runware:100@1 is not available on the Free plan');
+  });
+
+  it('should reject unknown models and unsupported sizes', async () => {
+    const unknown = await request(app)
+      .post('/api/generate')
+      .set('Authorization', `Bearer ${sessionToken(PRO_USER)}`)
+      .send([{ taskType: 'imageInference', positivePrompt: 'cup', model: 'someone:1@1' }]);
+    const badSize = await request(app)
+      .post('/api/generate')
+      .set('Authorization', `Bearer ${sessionToken(PRO_USER)}`)
+      .send([{ taskType: 'imageInference', positivePrompt: 'cup', model: 'google:2@3', width: 300, height: 300 }]);
+
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.error).toMatch(/^model must be one of/);
+    expect(badSize.status).toBe(400);
+    expect(badSize.body.error).toMatch(/300x300 is not supported by google:2@3/);
+  });
+
+  it('should generate with a model the plan includes, using its defaults', async () => {
+    const response = await request(app)
+      .post('/api/generate')
+      .set('Authorization', `Bearer ${sessionToken(PRO_USER)}`)
+      .send([{ taskType: 'imageInference', taskUUID: 'task-2', positivePrompt: 'icon of a cup', model: 'runware:100@1', numberResults: 1, seed: 4 }]);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual([expect.objectContaining({ taskUUID: 'task-2', seed: 4 })]);
+  });
+
+  it('should cache the plan lookup per user', () => {
+    expect(rpcCalls.filter(id => id === FREE_USER)).toHaveLength(1);
+  });
+
+  it('should validate model parameters on the icon API', async () => {
+    process.env.DEV_MODE = 'true';
+    try {
+      const response = await request(app)
+        .post('/api/icons/generate')
+        .send({ subject: 'cup', model: 'google:2@3', steps: 10 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details.errors).toContain('steps is not supported by google:2@3');
+
+      const generated = await request(app)
+        .post('/api/icons/generate')
+        .send({ subject: 'cup', model: 'runware:100@1', width: 512, height: 512, seed: 9, removeBackground: false });
+
+      expect(generated.status).toBe(200);
+      expect(generated.body.parameters.model).toBe('runware:100@1');
+      expect(generated.body.icon).toMatchObject({ width: 512, height: 512 });
+    } finally {
+      delete process.env.DEV_MODE;
+    }
+  });
+});
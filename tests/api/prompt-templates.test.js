@@ -0,0 +1,125 @@
+const request = require('supertest');
+const nock = require('nock');
+const sharp = require('sharp');
+
+let app;
+const originalFetch = global.fetch;
+const savedRows = [];
+
+const LINE_ART = {
+  id: 'line-art',
+  name: 'Line art',
+  description: 'Thin monoline icons',
+  current_version: 3,
+  body: 'Monoline {style} icon of a {subject}[ for {context}], {colors} on {background}'
+};
+
+describe('Prompt templates', () => {
+  let png;
+
+  beforeAll(async () => {
+    process.env.DEV_MODE = 'true';
+    // supabase-js uses the global fetch, which nock cannot intercept
+    global.fetch = jest.fn(async (url, init = {}) => {
+      const href = String(url);
+      let body = '[]';
+      if (href.includes('/rest/v1/prompt_templates')) body = JSON.stringify([LINE_ART]);
+      if (href.includes('/rest/v1/prompt_template_versions') && href.includes('version=eq.2')) {
+        body = JSON.stringify([{ version: 2, body: 'Old {subject} prompt' }]);
+      }
+      if (href.includes('/rest/v1/generated_icons') && init.body) savedRows.push(JSON.parse(init.body));
+      return new Response(body, { status: 200, headers: { 'Content-Type': 'application/json' } });
+    });
+    png = await sharp({ create: { width: 32, height: 32, channels: 3, background: '#ffffff' } }).png().toBuffer();
+    app = require('../../server.js');
+  });
+
+  afterAll(() => {
+    delete process.env.DEV_MODE;
+    global.fetch = originalFetch;
+  });
+
+  beforeEach(() => {
+    nock.cleanAll();
+    savedRows.length = 0;
+  });
+
+  function mockRunware(captured) {
+    nock('https://api.runware.ai')
+      .post('/v1')
+      .reply(200, (uri, tasks) => {
+        captured.push(...tasks);
+        return { data: [{ taskType: 'imageInference', taskUUID: tasks[0].taskUUID, imageURL: 'https://im.runware.ai/image/t.png' }] };
+      });
+    nock('https://im.runware.ai').get('/image/t.png').reply(200, png, { 'Content-Type': 'image/png' });
+  }
+
+  it('should list stored templates plus the built-in default', async () => {
+    const response = await request(app).get('/api/prompt-templates');
+
+    expect(response.status).toBe(200);
+    expect(response.body.templates.map(t => t.id)).toEqual(['default', 'line-art']);
+    expect(response.body.templates[1]).toEqual({
+      id: 'line-art',
+      name: 'Line art',
+      description: 'Thin monoline icons',
+      version: 3,
+      body: LINE_ART.body
+    });
+  });
+
+  it('should render the chosen template and record it on saved icons', async () => {
+    const tasks = [];
+    mockRunware(tasks);
+
+    const response = await request(app)
+      .post('/api/icons/generate')
+      .send({ subject: 'kettle', template: 'line-art', removeBackground: false });
+
+    expect(response.status).toBe(200);
+    expect(tasks[0].positivePrompt).toBe('Monoline outline icon of a kettle, black and white on white');
+    expect(response.body.prompt).toBe(tasks[0].positivePrompt);
+    expect(response.body.parameters.template).toEqual({ id: 'line-art', version: 3 });
+    expect(savedRows[0]).toEqual(expect.objectContaining({ template_id: 'line-art', template_version: 3 }));
+  });
+
+  it('should use an older template version when asked', async () => {
+    const tasks = [];
+    mockRunware(tasks);
+
+    const response = await request(app)
+      .post('/api/icons/generate')
+      .send({ subject: 'kettle', template: 'line-art', templateVersion: 2, removeBackground: false });
+
+    expect(response.status).toBe(200);
+    expect(tasks[0].positivePrompt).toBe('Old kettle prompt');
+    expect(response.body.parameters.template).toEqual({ id: 'line-art', version: 2 });
+  });
+
+  it('should default to the built-in template', async () => {
+    const tasks = [];
+    mockRunware(tasks);
+
+    const response = await request(app)
+      .post('/api/icons/generate')
+      .send({ subject: 'kettle', context: 'kitchen', removeBackground: false });
+
+    expect(response.status).toBe(200);
+    expect(tasks[0].positivePrompt).toMatch(/^Design a simple, flat, minimalist icon of a kettle for kitchen outline style/);
+    expect(response.body.parameters.template).toEqual({ id: 'default', version: 1 });
+  });
+
+  it('should reject unknown templates and versions', async () => {
+    const unknown = await request(app).post('/api/icons/generate').send({ subject: 'kettle', template: 'nope' });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.error).toBe('Unknown prompt template: nope');
+
+    const version = await request(app).post('/api/icons/generate').send({ subject: 'kettle', template: 'line-art', templateVersion: 9 });
+    expect(version.status).toBe(400);
+    expect(version.body.error).toBe('Unknown prompt template: line-art version 9');
+
+    const invalid = await request(app).post('/api/icons/generate').send({ subject: 'kettle', template: 'Bad Id' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.details.errors).toContain('template must be a template id (lowercase letters, digits and dashes)');
+  });
+});
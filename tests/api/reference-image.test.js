@@ -0,0 +1,95 @@
+const request = require('supertest');
+const nock = require('nock');
+const sharp = require('sharp');
+
+let app;
+const originalFetch = global.fetch;
+const savedRows = [];
+let storedIconUrl;
+
+const HOME_SVG = '<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24"><path d="M3 12l9-9 9 9v9H3z" fill="none" stroke="#000" stroke-width="2"/></svg>';
+
+describe('Restyling from a reference icon', () => {
+  beforeAll(async () => {
+    process.env.DEV_MODE = 'true';
+    process.env.IMAGE_PROVIDER = 'mock';
+    const png = await sharp({ create: { width: 32, height: 32, channels: 3, background: '#000000' } }).png().toBuffer();
+    storedIconUrl = `data:image/png;base64,${png.toString('base64')}`;
+    // supabase-js uses the global fetch, which nock cannot intercept
+    global.fetch = jest.fn(async (url, init = {}) => {
+      const href = String(url);
+      let body = '[]';
+      if (href.includes('/rest/v1/generated_icons') && init.body) savedRows.push(JSON.parse(init.body));
+      if (href.includes('/rest/v1/generated_icons') && !init.body && href.includes('id=eq.42')) {
+        body = JSON.stringify([{ id: 42, image_url: storedIconUrl }]);
+      }
+      return new Response(body, { status: 200, headers: { 'Content-Type': 'application/json' } });
+    });
+    nock.disableNetConnect();
+    nock.enableNetConnect('127.0.0.1');
+    app = require('../../server.js');
+  });
+
+  afterAll(() => {
+    delete process.env.DEV_MODE;
+    delete process.env.IMAGE_PROVIDER;
+    global.fetch = originalFetch;
+    nock.enableNetConnect();
+  });
+
+  beforeEach(() => {
+    nock.cleanAll();
+    savedRows.length = 0;
+  });
+
+  it('should restyle from an Iconify icon and record the reference', async () => {
+    nock('https://api.iconify.design').get('/tabler:home.svg').reply(200, HOME_SVG, { 'Content-Type': 'image/svg+xml' });
+
+    const plain = await request(app).post('/api/icons/generate').send({ subject: 'rocket', seed: 3, removeBackground: false });
+    const styled = await request(app)
+      .post('/api/icons/generate')
+      .send({ subject: 'rocket', seed: 3, removeBackground: false, reference: { type: 'iconify', id: 'tabler:home', strength: 0.5 } });
+
+    expect(styled.status).toBe(200);
+    expect(styled.body.parameters.reference).toEqual({ type: 'iconify', id: 'tabler:home', strength: 0.5 });
+    expect(styled.body.icon.imageUrl).not.toBe(plain.body.icon.imageUrl);
+    // Mock images stay out of the gallery; icon-generate-variants covers the saved row
+    expect(savedRows).toEqual([]);
+  });
+
+  it('should restyle from a generated icon row', async () => {
+    const response = await request(app)
+      .post('/api/icons/generate')
+      .send({ subject: 'rocket', removeBackground: false, reference: { type: 'generated', id: 42 } });
+
+    expect(response.status).toBe(200);
+    expect(response.body.parameters.reference).toEqual({ type: 'generated', id: 42, strength: 0.7 });
+  });
+
+  it('should restyle from an uploaded image on the generate page proxy', async () => {
+    const data = `data:image/svg+xml;base64,${Buffer.from(HOME_SVG).toString('base64')}`;
+    const response = await request(app)
+      .post('/api/generate')
+      .send([{ taskType: 'imageInference', taskUUID: 'task-1', positivePrompt: 'icon of a rocket', numberResults: 1, seed: 2, reference: { type: 'upload', data } }]);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data[0].reference).toEqual({ type: 'upload', sha256: expect.stringMatching(/^[0-9a-f]{64}$/), strength: 0.7 });
+  });
+
+  it('should report missing and invalid references', async () => {
+    nock('https://api.iconify.design').get('/tabler:nope.svg').reply(404, 'Not found');
+
+    const missing = await request(app).post('/api/icons/generate').send({ subject: 'rocket', reference: { type: 'iconify', id: 'tabler:nope' } });
+    const unknownRow = await request(app).post('/api/icons/generate').send({ subject: 'rocket', reference: { type: 'generated', id: 7 } });
+    const invalid = await request(app).post('/api/icons/generate').send({ subject: 'rocket', reference: { type: 'upload', data: 'not an image' } });
+    const forSet = await request(app).post('/api/icons/generate/set').send({ subjects: ['a', 'b'], reference: { type: 'iconify', id: 'tabler:home' } });
+
+    expect(missing.status).toBe(404);
+    expect(missing.body.error).toBe('Reference icon not found: tabler:nope');
+    expect(unknownRow.status).toBe(404);
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.details.errors[0]).toMatch(/^reference.data must be a base64 data URL/);
+    expect(forSet.status).toBe(400);
+    expect(forSet.body.details.errors).toContain('reference is not supported for icon sets');
+  });
+});
@@ -0,0 +1,96 @@
+const request = require('supertest');
+const nock = require('nock');
+
+let app;
+
+describe('Upstream response cache', () => {
+  beforeAll(() => {
+    process.env.DEV_MODE = 'true';
+    app = require('../../server.js');
+  });
+
+  afterAll(() => {
+    delete process.env.DEV_MODE;
+  });
+
+  beforeEach(() => {
+    nock.cleanAll();
+  });
+
+  it('should coalesce concurrent identical searches into one upstream request', async () => {
+    const searchScope = nock('https://api.iconify.design')
+      .get('/search')
+      .query({ query: 'coalesce', limit: 50 })
+      .delay(50)
+      .once()
+      .reply(200, { icons: ['tabler:coalesce'], total: 1 });
+    const svgScope = nock('https://api.iconify.design')
+      .get('/tabler:coalesce.svg')
+      .once()
+      .reply(200, '<svg><path d="M1 1"/></svg>');
+
+    const responses = await Promise.all([1, 2, 3].map(() => request(app)
+      .post('/api/icons/search')
+      .send({ query: 'coalesce' })));
+
+    responses.forEach((response) => {
+      expect(response.status).toBe(200);
+      expect(response.body.icon.svg).toContain('M1 1');
+    });
+    expect(searchScope.isDone()).toBe(true);
+    expect(svgScope.isDone()).toBe(true);
+  });
+
+  it('should serve repeated searches from the cache', async () => {
+    nock('https://api.iconify.design')
+      .get('/search')
+      .query({ query: 'repeat', limit: 50 })
+      .once()
+      .reply(200, { icons: ['lucide:repeat'], total: 1 });
+    nock('https://api.iconify.design')
+      .get('/lucide:repeat.svg')
+      .once()
+      .reply(200, '<svg/>');
+
+    const first = await request(app).post('/api/icons/search').send({ query: 'repeat' });
+    const second = await request(app).post('/api/icons/search').send({ query: 'repeat' });
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(200);
+    expect(second.body.icon.id).toBe('lucide:repeat');
+  });
+
+  it('should retry SVG fetches that failed instead of caching the failure', async () => {
+    nock('https://api.iconify.design')
+      .get('/search')
+      .query({ query: 'flaky', limit: 50 })
+      .reply(200, { icons: ['tabler:flaky'], total: 1 });
+    nock('https://api.iconify.design')
+      .get('/tabler:flaky.svg')
+      .reply(500)
+      .get('/tabler:flaky.svg')
+      .reply(200, '<svg/>');
+
+    const failed = await request(app).post('/api/icons/search').send({ query: 'flaky' });
+    const retried = await request(app).post('/api/icons/search').send({ query: 'flaky' });
+
+    expect(failed.status).toBe(502);
+    expect(retried.status).toBe(200);
+  });
+
+  it('should report hit and miss counts', async () => {
+    const response = await request(app).get('/api/cache/stats');
+
+    expect(response.status).toBe(200);
+    const { cache } = response.body;
+    expect(cache.namespaces.search.hits).toBeGreaterThanOrEqual(1);
+    expect(cache.namespaces.search.misses).toBeGreaterThanOrEqual(3);
+    expect(cache.namespaces.svg.coalesced).toBeGreaterThanOrEqual(1);
+    expect(cache).toEqual(expect.objectContaining({ entries: expect.any(Number), hitRate: expect.any(Number) }));
+  });
+
+  it('should reject other methods on the stats endpoint', async () => {
+    const response = await request(app).post('/api/cache/stats');
+    expect(response.status).toBe(405);
+  });
+});
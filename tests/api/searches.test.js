@@ -0,0 +1,54 @@
+const request = require('supertest');
+
+let app;
+const originalFetch = global.fetch;
+let trendingRequests = 0;
+
+describe('Search history API', () => {
+  beforeAll(() => {
+    process.env.DEV_MODE = 'true';
+    // Search history is read with the service-role client
+    process.env.SUPABASE_SERVICE_ROLE_KEY = 'test_service_role_key';
+    // supabase-js uses the global fetch; only the trending function has rows
+    global.fetch = jest.fn(async (url) => {
+      const href = String(url);
+      let rows = [];
+      if (href.includes('/rest/v1/rpc/get_trending_searches')) {
+        trendingRequests++;
+        rows = [{ query: 'home', search_count: 42 }, { query: 'rocket', search_count: 7 }];
+      }
+      return new Response(JSON.stringify(rows), { status: 200, headers: { 'Content-Type': 'application/json' } });
+    });
+    app = require('../../server.js');
+  });
+
+  afterAll(() => {
+    delete process.env.DEV_MODE;
+    delete process.env.SUPABASE_SERVICE_ROLE_KEY;
+    global.fetch = originalFetch;
+  });
+
+  it('should return trending searches and cache them', async () => {
+    const first = await request(app).get('/api/searches/trending?days=14&limit=2').expect(200);
+    expect(first.body).toEqual({
+      success: true,
+      days: 14,
+      searches: [{ query: 'home', count: 42 }, { query: 'rocket', count: 7 }]
+    });
+    await request(app).get('/api/searches/trending?days=14&limit=2').expect(200);
+    expect(trendingRequests).toBe(1);
+
+    const invalid = await request(app).get('/api/searches/trending?days=abc').expect(400);
+    expect(invalid.body.details.errors).toEqual(['days must be a positive integer']);
+  });
+
+  it('should list and clear the caller\'s recent searches', async () => {
+    const recent = await request(app).get('/api/searches/recent').expect(200);
+    expect(recent.body).toEqual({ success: true, searches: [] });
+    await request(app).get('/api/searches/recent?limit=-1').expect(400);
+
+    const cleared = await request(app).delete('/api/searches/recent').expect(200);
+    expect(cleared.body).toEqual({ success: true, removed: 0 });
+    await request(app).post('/api/searches/recent').expect(405);
+  });
+});
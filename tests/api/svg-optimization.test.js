@@ -0,0 +1,89 @@
+const request = require('supertest');
+const nock = require('nock');
+
+let app;
+const originalFetch = global.fetch;
+
+const TRACED_SVG = '<svg xmlns="http://www.w3.org/2000/svg" width="64" height="64" viewBox="0 0 64 64" version="1.1"><path d="M 1.123456 2.000000 L 10 10 Z" stroke="none" fill="#000000"/></svg>';
+const HOME_SVG = '<svg xmlns="http://www.w3.org/2000/svg" width="1em" height="1em" viewBox="0 0 24 24"><path fill="none" stroke="#000" stroke-width="2" d="M3 12l9-9 9 9v9H3z"/></svg>';
+
+// Binary-safe body for non-JSON responses
+function buffered(res, callback) {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks).toString('utf8')));
+}
+
+describe('SVG optimization', () => {
+  beforeAll(() => {
+    process.env.DEV_MODE = 'true';
+    process.env.IMAGE_PROVIDER = 'mock';
+    // supabase-js uses the global fetch, which nock cannot intercept
+    global.fetch = jest.fn(async () => new Response('[]', { status: 200, headers: { 'Content-Type': 'application/json' } }));
+    nock.disableNetConnect();
+    nock.enableNetConnect('127.0.0.1');
+    app = require('../../server.js');
+  });
+
+  afterAll(() => {
+    delete process.env.DEV_MODE;
+    delete process.env.IMAGE_PROVIDER;
+    global.fetch = originalFetch;
+    nock.enableNetConnect();
+  });
+
+  beforeEach(() => {
+    nock.cleanAll();
+  });
+
+  it('should optimize generated icons by default and honour per-request options', async () => {
+    const optimized = await request(app).post('/api/icons/generate').send({ subject: 'cup', seed: 5, removeBackground: false });
+    const colored = await request(app).post('/api/icons/generate').send({ subject: 'cup', seed: 5, removeBackground: false, currentColor: true, svgPrecision: 0 });
+    const raw = await request(app).post('/api/icons/generate').send({ subject: 'cup', seed: 5, removeBackground: false, optimizeSvg: false });
+
+    expect(optimized.status).toBe(200);
+    expect(optimized.body.parameters.svg).toEqual({ optimize: true, precision: 2, currentColor: false });
+    expect(optimized.body.icon.svg).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" viewBox="0 0 \d+ \d+">/);
+    expect(colored.body.icon.svg).toContain('fill="currentColor"');
+    expect(colored.body.icon.svg).not.toMatch(/\d\.\d/);
+    expect(raw.body.icon.svg).toContain('version="1.1"');
+    expect(raw.body.icon.svg.length).toBeGreaterThan(optimized.body.icon.svg.length);
+  });
+
+  it('should validate the optimization fields', async () => {
+    const response = await request(app).post('/api/icons/generate').send({ subject: 'cup', optimizeSvg: 'yes', svgPrecision: 9 });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details.errors).toEqual(expect.arrayContaining([
+      'optimizeSvg must be a boolean',
+      'svgPrecision must be an integer between 0 and 6'
+    ]));
+  });
+
+  it('should optimize generated SVG downloads unless optimize=false', async () => {
+    nock('https://im.runware.ai').get('/image/icon.svg').twice().reply(200, TRACED_SVG, { 'Content-Type': 'image/svg+xml' });
+    const url = encodeURIComponent('https://im.runware.ai/image/icon.svg');
+
+    const optimized = await request(app).get(`/api/icons/download?type=generated&url=${url}`).buffer(true).parse(buffered);
+    const raw = await request(app).get(`/api/icons/download?type=generated&url=${url}&optimize=false`).buffer(true).parse(buffered);
+
+    expect(optimized.status).toBe(200);
+    expect(optimized.body).toBe('<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 64 64"><path d="M1.12 2L10 10Z" fill="#000000"/></svg>');
+    expect(raw.body).toBe(TRACED_SVG);
+  });
+
+  it('should optimize Iconify downloads on request', async () => {
+    nock('https://api.iconify.design').get('/tabler:home.svg').reply(200, HOME_SVG, { 'Content-Type': 'image/svg+xml' });
+
+    const response = await request(app)
+      .get('/api/icons/download?type=iconify&id=tabler:home&optimize=true&currentColor=true')
+      .buffer(true)
+      .parse(buffered);
+    const invalid = await request(app).get('/api/icons/download?type=iconify&id=tabler:home&precision=12');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toBe('<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><path fill="none" stroke="currentColor" stroke-width="2" d="M3 12l9-9 9 9v9H3z"/></svg>');
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toBe('precision must be an integer between 0 and 6');
+  });
+});
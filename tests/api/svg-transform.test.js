@@ -0,0 +1,96 @@
+const request = require('supertest');
+const nock = require('nock');
+const sharp = require('sharp');
+
+let app;
+const originalFetch = global.fetch;
+
+const HOME_SVG = '<svg xmlns="http://www.w3.org/2000/svg" width="1em" height="1em" viewBox="0 0 24 24"><path fill="none" stroke="currentColor" stroke-width="2" d="M3 12l9-9 9 9v9H3z"/></svg>';
+
+// Binary-safe body for non-JSON responses
+function buffered(res, callback) {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+describe('SVG transforms on downloads and details', () => {
+  beforeAll(() => {
+    process.env.DEV_MODE = 'true';
+    // supabase-js uses the global fetch, which nock cannot intercept
+    global.fetch = jest.fn(async () => new Response('[]', { status: 200, headers: { 'Content-Type': 'application/json' } }));
+    nock.disableNetConnect();
+    nock.enableNetConnect('127.0.0.1');
+    app = require('../../server.js');
+  });
+
+  afterAll(() => {
+    delete process.env.DEV_MODE;
+    global.fetch = originalFetch;
+    nock.enableNetConnect();
+  });
+
+  beforeEach(() => {
+    nock.cleanAll();
+    nock('https://api.iconify.design').persist().get('/tabler:home.svg').reply(200, HOME_SVG, { 'Content-Type': 'image/svg+xml' });
+  });
+
+  it('should recolour, rotate and size an Iconify SVG download', async () => {
+    const response = await request(app)
+      .get('/api/icons/download?type=iconify&id=tabler:home&color=%23ff0000&strokeWidth=1&rotate=90&size=48')
+      .buffer(true)
+      .parse(buffered);
+    const svg = response.body.toString('utf8');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('image/svg+xml');
+    expect(svg).toMatch(/^<svg [^>]*width="48" height="48"[^>]*fill="#ff0000" color="#ff0000">/);
+    expect(svg).toContain('stroke-width="1"');
+    expect(svg).toContain('rotate(90)');
+  });
+
+  it('should render PNGs at the requested size, beyond 512', async () => {
+    const large = await request(app).get('/api/icons/download?type=iconify&id=tabler:home&format=png&size=1024&color=red').buffer(true).parse(buffered);
+    const standard = await request(app).get('/api/icons/download?type=iconify&id=tabler:home&format=png').buffer(true).parse(buffered);
+
+    expect(large.headers['content-type']).toBe('image/png');
+    expect(await sharp(large.body).metadata()).toMatchObject({ width: 1024, height: 1024 });
+    expect(await sharp(standard.body).metadata()).toMatchObject({ width: 512, height: 512 });
+    const { data } = await sharp(large.body).raw().toBuffer({ resolveWithObject: true });
+    const opaque = [];
+    for (let i = 0; i < data.length; i += 4) if (data[i + 3] === 255) opaque.push([data[i], data[i + 1], data[i + 2]]);
+    expect(opaque.length).toBeGreaterThan(0);
+    expect(opaque.every(([r, g, b]) => r === 255 && g === 0 && b === 0)).toBe(true);
+  });
+
+  it('should flip, pad and resize raster generated icons through sharp', async () => {
+    const half = await sharp({ create: { width: 40, height: 20, channels: 4, background: '#000000' } })
+      .extend({ right: 20, bottom: 20, background: { r: 0, g: 0, b: 0, alpha: 0 } })
+      .png()
+      .toBuffer();
+    nock('https://im.runware.ai').get('/image/half.png').reply(200, half, { 'Content-Type': 'image/png' });
+
+    const response = await request(app)
+      .get(`/api/icons/download?type=generated&url=${encodeURIComponent('https://im.runware.ai/image/half.png')}&format=png&flip=vertical&padding=0.25&size=120`)
+      .buffer(true)
+      .parse(buffered);
+
+    const { data, info } = await sharp(response.body).raw().toBuffer({ resolveWithObject: true });
+    const alphaAt = (x, y) => data[(y * info.width + x) * 4 + 3];
+    expect([info.width, info.height]).toEqual([120, 120]);
+    expect(alphaAt(5, 5)).toBe(0);          // padding
+    expect(alphaAt(35, 50)).toBe(0);        // flipped: the ink moved to the bottom half
+    expect(alphaAt(35, 70)).toBe(255);
+  });
+
+  it('should transform the SVG in icon details and reject bad parameters', async () => {
+    const details = await request(app).get('/api/icons/iconify/tabler:home?flip=both&padding=0.1');
+    const invalid = await request(app).get('/api/icons/download?type=iconify&id=tabler:home&size=5000');
+
+    expect(details.status).toBe(200);
+    expect(details.body.icon.svg).toContain('viewBox="-3 -3 30 30"');
+    expect(details.body.icon.svg).toContain('scale(-1 -1)');
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toBe('size must be an integer between 1 and 2048');
+  });
+});
@@ -0,0 +1,60 @@
+const sharp = require('sharp');
+const { buildAppIconSet, validateAppIconOptions } = require('../../lib/app-icons');
+
+const DOT_SVG = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10"><circle cx="5" cy="5" r="5" fill="#000"/></svg>';
+
+// Renders the dot into size x size with `padding` left empty, transparent around it
+function renderPng(size, padding) {
+  const inner = Math.max(1, Math.round(size * (1 - 2 * padding)));
+  const margin = Math.floor((size - inner) / 2);
+  return sharp(Buffer.from(DOT_SVG.replace('viewBox', `width="${inner}" height="${inner}" viewBox`)))
+    .extend({ top: margin, left: margin, bottom: size - inner - margin, right: size - inner - margin, background: { r: 0, g: 0, b: 0, alpha: 0 } })
+    .png()
+    .toBuffer();
+}
+
+describe('app icon sets', () => {
+  it('should list every iOS size in Contents.json with opaque images', async () => {
+    const files = await buildAppIconSet(renderPng, { platform: 'ios', background: '#f00' });
+    const byName = Object.fromEntries(files.map(file => [file.name, file.data]));
+    const contents = JSON.parse(byName['ios/AppIcon.appiconset/Contents.json']);
+
+    expect(contents.info).toEqual({ version: 1, author: 'xcode' });
+    expect(contents.images).toHaveLength(18);
+    expect(contents.images).toContainEqual({ size: '83.5x83.5', idiom: 'ipad', filename: 'Icon-167.png', scale: '2x' });
+    expect(contents.images).toContainEqual({ size: '1024x1024', idiom: 'ios-marketing', filename: 'Icon-1024.png', scale: '1x' });
+    for (const image of contents.images) {
+      expect(byName[`ios/AppIcon.appiconset/${image.filename}`]).toBeDefined();
+    }
+    expect(Object.keys(byName).some(name => name.startsWith('android/'))).toBe(false);
+
+    const meta = await sharp(byName['ios/AppIcon.appiconset/Icon-1024.png']).metadata();
+    expect(meta).toMatchObject({ width: 1024, height: 1024, hasAlpha: false });
+    const { data } = await sharp(byName['ios/AppIcon.appiconset/Icon-1024.png']).raw().toBuffer({ resolveWithObject: true });
+    expect([data[0], data[1], data[2]]).toEqual([255, 0, 0]);
+  });
+
+  it('should write legacy, round and adaptive Android icons', async () => {
+    const files = await buildAppIconSet(renderPng, { platform: 'android', background: '#112233' });
+    const byName = Object.fromEntries(files.map(file => [file.name, file.data]));
+
+    expect(await sharp(byName['android/res/mipmap-xxxhdpi/ic_launcher.png']).metadata()).toMatchObject({ width: 192, height: 192 });
+    expect(await sharp(byName['android/res/mipmap-hdpi/ic_launcher_foreground.png']).metadata()).toMatchObject({ width: 162, height: 162 });
+    expect(byName['android/res/mipmap-anydpi-v26/ic_launcher.xml'].toString()).toContain('<foreground android:drawable="@mipmap/ic_launcher_foreground"/>');
+    expect(byName['android/res/values/ic_launcher_background.xml'].toString()).toContain('<color name="ic_launcher_background">#112233</color>');
+    expect(await sharp(byName['android/ic_launcher-playstore.png']).metadata()).toMatchObject({ width: 512, height: 512 });
+
+    // Round icons are transparent outside the circle, foregrounds around the safe zone
+    const round = await sharp(byName['android/res/mipmap-mdpi/ic_launcher_round.png']).raw().toBuffer({ resolveWithObject: true });
+    expect(round.data[3]).toBe(0);
+    expect(round.data[(24 * 48 + 24) * 4 + 3]).toBe(255);
+    const foreground = await sharp(byName['android/res/mipmap-mdpi/ic_launcher_foreground.png']).raw().toBuffer({ resolveWithObject: true });
+    expect(foreground.data[(54 * 108 + 20) * 4 + 3]).toBe(0);
+  });
+
+  it('should validate the background and platform', () => {
+    expect(validateAppIconOptions({ background: '#abc', platform: 'android' })).toEqual([]);
+    expect(validateAppIconOptions({ background: 'transparent' })).toEqual(['background must be a hex colour such as #ffffff (app icons cannot be transparent)']);
+    expect(validateAppIconOptions({ platform: 'windows' })).toEqual(['platform must be one of: ios, android']);
+  });
+});
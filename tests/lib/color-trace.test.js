@@ -0,0 +1,65 @@
+const sharp = require('sharp');
+const { inkColor, traceColorLayers, validateTraceOptions } = require('../../lib/color-trace');
+
+// White square with a red disc and a blue square on top of it
+const BADGE_SVG = '<svg xmlns="http://www.w3.org/2000/svg" width="128" height="128">' +
+  '<rect width="128" height="128" fill="#ffffff"/><circle cx="64" cy="64" r="44" fill="#e53935"/>' +
+  '<rect x="48" y="48" width="32" height="32" fill="#1e88e5"/></svg>';
+
+function fills(svg) {
+  return (svg.match(/fill="(#[0-9a-f]{6})"/g) || []).map(attr => attr.slice(6, -1));
+}
+
+describe('colour tracing', () => {
+  let badge;
+
+  beforeAll(async () => {
+    badge = await sharp(Buffer.from(BADGE_SVG)).png().toBuffer();
+  });
+
+  it('should stack one layer per colour, most common first', async () => {
+    const svg = await traceColorLayers(badge, { colors: 3 });
+    const layers = fills(svg);
+
+    expect(svg).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="128" height="128" viewBox="0 0 128 128"/);
+    expect(layers).toHaveLength(3);
+    expect(Math.min(...[1, 3, 5].map(i => parseInt(layers[0].slice(i, i + 2), 16)))).toBeGreaterThan(240);
+    // Quantization may shift colours slightly: red below blue
+    expect(parseInt(layers[1].slice(1, 3), 16)).toBeGreaterThan(200);
+    expect(parseInt(layers[2].slice(5, 7), 16)).toBeGreaterThan(200);
+  });
+
+  it('should leave transparent pixels untraced', async () => {
+    const transparent = await sharp(Buffer.from(BADGE_SVG.replace('fill="#ffffff"', 'fill="none"'))).png().toBuffer();
+    const layers = fills(await traceColorLayers(transparent, { colors: 3 }));
+
+    expect(layers.some(fill => /^#f[0-9a-f]f[0-9a-f]f[0-9a-f]$/.test(fill))).toBe(false);
+    expect(layers.length).toBeGreaterThanOrEqual(2);
+  });
+
+  it('should pass potrace options through', async () => {
+    const curved = await traceColorLayers(badge, { colors: 3 });
+    const polygonal = await traceColorLayers(badge, { colors: 3, alphaMax: 0, optCurve: false });
+
+    expect(curved).toContain(' C ');
+    expect(polygonal).not.toContain(' C ');
+  });
+
+  it('should validate trace options', () => {
+    expect(validateTraceOptions({ traceColors: 8, turnPolicy: 'majority', alphaMax: 0.5, optCurve: false })).toEqual([]);
+    expect(validateTraceOptions({ traceColors: 1 })).toEqual([]);
+    expect(validateTraceOptions({ traceColors: 40, turnPolicy: 'up', alphaMax: 2, optCurve: 'yes' })).toEqual([
+      'traceColors must be 1 (single colour) or an integer between 2 and 16',
+      'turnPolicy must be one of: black, white, left, right, minority, majority',
+      'alphaMax must be a number between 0 and 1.3334',
+      'optCurve must be a boolean'
+    ]);
+  });
+
+  it('should find the colour a single-colour trace fills', async () => {
+    // The red disc is dark enough to be traced; the white background is not
+    expect(await inkColor([badge])).toMatch(/^#[c-f][0-9a-f]{5}$/);
+    const white = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#ffffff' } }).png().toBuffer();
+    expect(await inkColor([white])).toBe('#000000');
+  });
+});
@@ -0,0 +1,59 @@
+const { buildComponentPackage, componentName, generateComponent } = require('../../lib/component-codegen');
+
+const HOME_SVG = '<svg xmlns="http://www.w3.org/2000/svg" width="1em" height="1em" viewBox="0 0 24 24"><path fill="none" stroke="#333" stroke-width="2" stroke-linecap="round" d="M3 12l9-9 9 9"/></svg>';
+const FLAG_SVG = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 16"><path fill="#f00" d="M0 0h24v8H0z"/><path fill="#fff" style="opacity:.9" d="M0 8h24v8H0z"/></svg>';
+
+describe('component codegen', () => {
+  it('should name components from icon names', () => {
+    expect(componentName('tabler:home')).toBe('TablerHome');
+    expect(componentName('3d rocket')).toBe('Icon3dRocket');
+    expect(componentName('')).toBe('Icon');
+  });
+
+  it('should generate a React component with JSX attributes and currentColor', () => {
+    const { name, filename, code } = generateComponent(HOME_SVG, { framework: 'react', name: 'tabler:home' });
+
+    expect(name).toBe('TablerHome');
+    expect(filename).toBe('TablerHome.jsx');
+    expect(code).toContain("export default function TablerHome({ size = '1em', color = 'currentColor', className, title, ...props }) {");
+    expect(code).toContain('<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor"');
+    expect(code).toContain('aria-hidden={title ? undefined : true}');
+    expect(code).toContain('{title ? <title>{title}</title> : null}');
+    expect(code).toContain('<path fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" d="M3 12l9-9 9 9" />');
+  });
+
+  it('should keep the colours of multi-colour icons', () => {
+    const react = generateComponent(FLAG_SVG, { framework: 'react', name: 'flag' }).code;
+    const vue = generateComponent(FLAG_SVG, { framework: 'vue', name: 'flag' }).code;
+    const svelte = generateComponent(FLAG_SVG, { framework: 'svelte', name: 'flag' }).code;
+
+    expect(react).toContain('<path fill="#fff" style={{ opacity: ".9" }} d="M0 8h24v8H0z" />');
+    expect(vue).toContain("defineOptions({ name: 'Flag' });");
+    expect(vue).toContain('<title v-if="title">{{ title }}</title>');
+    expect(vue).toContain('<path fill="#f00" d="M0 0h24v8H0z"/>');
+    expect(svelte).toContain('{#if title}<title>{title}</title>{/if}');
+    expect(svelte).toContain('<path fill="#fff" style="opacity:.9" d="M0 8h24v8H0z"/>');
+  });
+
+  it('should lay a set out as a side-effect-free package', () => {
+    const { files, components } = buildComponentPackage(
+      [{ name: 'tabler:home', svg: HOME_SVG }, { name: 'tabler-home', svg: HOME_SVG }, { name: 'flag', svg: FLAG_SVG }],
+      { framework: 'svelte', packageName: '@acme/icons' }
+    );
+    const byName = Object.fromEntries(files.map(file => [file.name, file.data]));
+    const packageJson = JSON.parse(byName['icons/package.json']);
+
+    expect(components.map(c => c.name)).toEqual(['TablerHome', 'TablerHome2', 'Flag']);
+    expect(Object.keys(byName)).toEqual([
+      'icons/package.json', 'icons/index.js', 'icons/README.md',
+      'icons/icons/TablerHome.svelte', 'icons/icons/TablerHome2.svelte', 'icons/icons/Flag.svelte'
+    ]);
+    expect(packageJson).toMatchObject({ name: '@acme/icons', type: 'module', sideEffects: false, peerDependencies: { svelte: '>=3.0.0' } });
+    expect(byName['icons/index.js']).toBe([
+      "export { default as TablerHome } from './icons/TablerHome.svelte';",
+      "export { default as TablerHome2 } from './icons/TablerHome2.svelte';",
+      "export { default as Flag } from './icons/Flag.svelte';",
+      ''
+    ].join('\n'));
+  });
+});
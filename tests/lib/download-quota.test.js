@@ -0,0 +1,66 @@
+const { createDownloadQuota } = require('../../lib/download-quota');
+
+const USER_ID = '11111111-2222-4333-8444-555555555555';
+
+function fakeSupabase(result) {
+  const calls = [];
+  return {
+    calls,
+    rpc: async (name, params) => {
+      calls.push({ name, params });
+      return typeof result === 'function' ? result(params) : result;
+    }
+  };
+}
+
+describe('download quota', () => {
+  it('should reserve the request against the plan allowance', async () => {
+    const supabase = fakeSupabase(params => ({
+      data: [{ plan_id: 'free', plan_name: 'Free', monthly_limit: 50, unlimited: false, used: 45, reservation_id: params.p_count <= 5 ? 'r-1' : null }],
+      error: null
+    }));
+    const quota = createDownloadQuota({ supabase });
+
+    expect(await quota.reserve(USER_ID, 5)).toEqual({ allowed: true, plan: { id: 'free', name: 'Free' }, limit: 50, used: 45, remaining: 5, reservationId: 'r-1' });
+    expect(await quota.reserve(USER_ID, 6)).toMatchObject({ allowed: false, remaining: 5, reservationId: null });
+    expect(supabase.calls[0]).toEqual({ name: 'reserve_icon_downloads', params: { p_user_id: USER_ID, p_count: 5 } });
+  });
+
+  it('should allow unlimited plans, dev ids and servers without a database', async () => {
+    const unlimited = createDownloadQuota({ supabase: fakeSupabase({ data: [{ plan_id: 'pro', plan_name: 'Pro', monthly_limit: null, unlimited: true, used: 900, reservation_id: 'r-2' }], error: null }) });
+
+    expect(await unlimited.reserve(USER_ID, 100)).toMatchObject({ allowed: true, limit: null, remaining: null, used: 900 });
+    expect((await unlimited.reserve('dev-user-id', 100)).allowed).toBe(true);
+    expect((await unlimited.reserve(null, 100)).allowed).toBe(true);
+    expect((await createDownloadQuota().reserve(USER_ID, 100)).allowed).toBe(true);
+  });
+
+  it('should return null when the allowance cannot be loaded', async () => {
+    const quota = createDownloadQuota({ supabase: fakeSupabase({ data: null, error: { message: 'boom' } }) });
+    expect(await quota.reserve(USER_ID, 1)).toBeNull();
+
+    // A database without the service-role client must not leave downloads unmetered
+    expect(await createDownloadQuota({ required: true }).reserve(USER_ID, 1)).toBeNull();
+  });
+
+  it('should record one event per downloaded icon when settling', async () => {
+    const supabase = fakeSupabase({ data: 2, error: null });
+    const quota = createDownloadQuota({ supabase });
+
+    const recorded = await quota.settle(USER_ID, { reservationId: 'r-1' }, [
+      { iconId: 'tabler:home', source: 'search', formats: ['svg', 'png'] },
+      { iconId: 'gen-1', source: 'generated', formats: ['svg', 'png'], metadata: { batch: true } }
+    ]);
+
+    expect(recorded).toBe(2);
+    expect(supabase.calls[0].name).toBe('settle_icon_downloads');
+    expect(supabase.calls[0].params.p_reservation_id).toBe('r-1');
+    expect(supabase.calls[0].params.p_downloads).toEqual([
+      { icon_id: 'tabler:home', source: 'search', format: 'svg,png', metadata: null },
+      { icon_id: 'gen-1', source: 'generated', format: 'svg,png', metadata: { batch: true } }
+    ]);
+    // Unmetered reservations have nothing to settle
+    expect(await quota.settle('dev-user-id', { reservationId: null }, [{ iconId: 'x', source: 'search', formats: ['svg'] }])).toBe(0);
+    expect(supabase.calls).toHaveLength(1);
+  });
+});
@@ -0,0 +1,69 @@
+const sharp = require('sharp');
+const { buildFaviconPackage, validateFaviconOptions } = require('../../lib/favicon-package');
+const { buildIco } = require('../../lib/ico');
+
+const DOT_SVG = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10"><circle cx="5" cy="5" r="5" fill="#000"/></svg>';
+
+// Renders the dot into size x size with `padding` left empty, transparent around it
+function renderPng(size, padding) {
+  const inner = Math.max(1, Math.round(size * (1 - 2 * padding)));
+  const margin = Math.floor((size - inner) / 2);
+  return sharp(Buffer.from(DOT_SVG.replace('viewBox', `width="${inner}" height="${inner}" viewBox`)))
+    .extend({ top: margin, left: margin, bottom: size - inner - margin, right: size - inner - margin, background: { r: 0, g: 0, b: 0, alpha: 0 } })
+    .png()
+    .toBuffer();
+}
+
+describe('favicon package', () => {
+  it('should write PNG-compressed ICO entries', () => {
+    const ico = buildIco([{ size: 16, data: Buffer.from('aaaa') }, { size: 256, data: Buffer.from('bbbbbb') }]);
+
+    expect(ico.readUInt16LE(2)).toBe(1);
+    expect(ico.readUInt16LE(4)).toBe(2);
+    expect([ico[6], ico[22]]).toEqual([16, 0]);
+    expect(ico.readUInt32LE(6 + 8)).toBe(4);
+    expect(ico.readUInt32LE(6 + 12)).toBe(38);
+    expect(ico.subarray(38).toString()).toBe('aaaabbbbbb');
+    expect(() => buildIco([])).toThrow('ICO needs at least one image');
+  });
+
+  it('should contain every favicon and manifest file', async () => {
+    const files = await buildFaviconPackage(renderPng, { name: 'Weather Dashboard', background: '#112233', svg: DOT_SVG });
+    const byName = Object.fromEntries(files.map(file => [file.name, file.data]));
+
+    expect(Object.keys(byName)).toEqual([
+      'favicon.ico', 'favicon-16x16.png', 'favicon-32x32.png', 'favicon-48x48.png', 'favicon.svg',
+      'apple-touch-icon.png', 'icon-192.png', 'icon-192-maskable.png', 'icon-512.png', 'icon-512-maskable.png',
+      'site.webmanifest', 'favicon.html'
+    ]);
+    expect(byName['favicon.ico'].readUInt16LE(4)).toBe(3);
+    expect(await sharp(byName['apple-touch-icon.png']).metadata()).toMatchObject({ width: 180, height: 180 });
+
+    const manifest = JSON.parse(byName['site.webmanifest']);
+    expect(manifest).toMatchObject({ name: 'Weather Dashboard', short_name: 'Weather Dash', theme_color: '#112233', display: 'standalone' });
+    expect(manifest.icons).toContainEqual({ src: '/icon-512-maskable.png', sizes: '512x512', type: 'image/png', purpose: 'maskable' });
+    expect(byName['favicon.html']).toContain('<link rel="manifest" href="/site.webmanifest">');
+    expect(byName['favicon.html']).toContain('<link rel="icon" href="/favicon.svg" type="image/svg+xml">');
+  });
+
+  it('should keep maskable artwork inside the safe zone on a solid background', async () => {
+    const files = await buildFaviconPackage(renderPng, { background: 'transparent' });
+    const maskable = files.find(file => file.name === 'icon-192-maskable.png').data;
+    const favicon = files.find(file => file.name === 'favicon-32x32.png').data;
+
+    const { data, info } = await sharp(maskable).raw().toBuffer({ resolveWithObject: true });
+    const pixel = (x, y) => Array.from(data.subarray((y * info.width + x) * info.channels, (y * info.width + x) * info.channels + 3));
+    expect(pixel(0, 0)).toEqual([255, 255, 255]);     // transparent falls back to white here
+    expect(pixel(96, 30)).toEqual([255, 255, 255]);   // outside the 56% box
+    expect(pixel(96, 96)).toEqual([0, 0, 0]);
+    expect((await sharp(favicon).metadata()).hasAlpha).toBe(true);
+  });
+
+  it('should validate options', () => {
+    expect(validateFaviconOptions({ background: '#fff', name: 'App' })).toEqual([]);
+    expect(validateFaviconOptions({ background: 'blue', name: ' ' })).toEqual([
+      'background must be a hex colour such as #ffffff, or transparent',
+      'name must be a non-empty string of at most 100 characters'
+    ]);
+  });
+});
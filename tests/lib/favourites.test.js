@@ -0,0 +1,84 @@
+const { createFavouriteStore, parseFavourite } = require('../../lib/favourites');
+
+const USER_ID = '11111111-2222-4333-8444-555555555555';
+
+function fakeSupabase(results) {
+  const calls = [];
+  return {
+    calls,
+    rpc: async (name, params) => {
+      calls.push({ name, params });
+      return results[name];
+    }
+  };
+}
+
+describe('favourites', () => {
+  it('should parse Iconify ids and generated icon ids', () => {
+    expect(parseFavourite('tabler:home')).toEqual({ favourite: { type: 'iconify', id: 'tabler:home', library: 'tabler' } });
+    expect(parseFavourite({ type: 'generated', id: 42 })).toEqual({ favourite: { type: 'generated', id: '42', library: 'generated' } });
+    expect(parseFavourite({ type: 'generated', id: 'rocket' }).error).toBe('id must be a generated icon id');
+    expect(parseFavourite({ type: 'iconify' }).error).toBe('id must be an Iconify id such as mdi:home');
+    expect(parseFavourite(null).error).toBeDefined();
+  });
+
+  it('should read and write through the favourites functions', async () => {
+    const supabase = fakeSupabase({
+      list_user_favourites: {
+        data: [
+          { source: 'generated', icon_id: '42', library: 'generated', added_at: '2025-08-16T10:00:00Z', icon_name: 'Rocket', image_url: 'https://example.com/rocket.png' },
+          { source: 'iconify', icon_id: 'tabler:home', library: 'tabler', added_at: '2025-08-15T10:00:00Z', icon_name: null, image_url: null }
+        ],
+        error: null
+      },
+      add_user_favourite: { data: '2025-08-16T11:00:00Z', error: null },
+      remove_user_favourite: { data: false, error: null }
+    });
+    const store = createFavouriteStore({ supabase });
+
+    expect(await store.list(USER_ID)).toEqual([
+      { type: 'generated', id: '42', library: 'generated', addedAt: '2025-08-16T10:00:00Z', name: 'Rocket', imageUrl: 'https://example.com/rocket.png' },
+      { type: 'iconify', id: 'tabler:home', library: 'tabler', addedAt: '2025-08-15T10:00:00Z' }
+    ]);
+    const { favourite } = parseFavourite('mdi:star');
+    expect(await store.add(USER_ID, favourite)).toEqual({ ...favourite, addedAt: '2025-08-16T11:00:00Z' });
+    expect(await store.remove(USER_ID, favourite)).toBe(false);
+    expect(supabase.calls.map(call => call.name)).toEqual(['list_user_favourites', 'add_user_favourite', 'remove_user_favourite']);
+    expect(supabase.calls[1].params).toEqual({ p_user_id: USER_ID, p_source: 'iconify', p_icon_id: 'mdi:star', p_library: 'mdi' });
+  });
+
+  it('should return null when the database fails', async () => {
+    const failure = { data: null, error: { message: 'boom' } };
+    const store = createFavouriteStore({
+      supabase: fakeSupabase({ list_user_favourites: failure, add_user_favourite: failure, remove_user_favourite: failure })
+    });
+    const { favourite } = parseFavourite('mdi:star');
+
+    expect(await store.list(USER_ID)).toBeNull();
+    expect(await store.add(USER_ID, favourite)).toBeNull();
+    expect(await store.remove(USER_ID, favourite)).toBeNull();
+  });
+
+  it('should keep dev users and servers without a database in memory', async () => {
+    const supabase = fakeSupabase({});
+    const store = createFavouriteStore({ supabase });
+    const { favourite } = parseFavourite('mdi:star');
+
+    await store.add('dev-user-id', favourite);
+    expect(await store.list('dev-user-id')).toEqual([expect.objectContaining({ type: 'iconify', id: 'mdi:star' })]);
+    expect(await store.list('other-user')).toEqual([]);
+    expect(await store.remove('dev-user-id', favourite)).toBe(true);
+    expect(supabase.calls).toEqual([]);
+    expect(await createFavouriteStore().list(USER_ID)).toEqual([]);
+  });
+
+  it('should fail instead of using memory when a required database client is missing', async () => {
+    const store = createFavouriteStore({ required: true });
+    const { favourite } = parseFavourite('mdi:star');
+
+    expect(await store.add(USER_ID, favourite)).toBeNull();
+    expect(await store.list(USER_ID)).toBeNull();
+    expect(await store.remove(USER_ID, favourite)).toBeNull();
+    expect(await store.list('dev-user-id')).toEqual([]);
+  });
+});
@@ -0,0 +1,125 @@
+const { listGeneratedIcons, parseGalleryQuery } = require('../../lib/generated-icon-gallery');
+
+function row(id, createdAt, name = `icon ${id}`) {
+  return {
+    id, icon_name: name, subject: 'rocket', context: '', style: 'outline', colors: 'black and white',
+    background: 'white', image_url: `https://im.runware.ai/image/${id}.png`, seed: 7, created_at: createdAt
+  };
+}
+
+// Records the query builder calls and resolves `result` when awaited
+function fakeSupabase(result) {
+  const calls = [];
+  const builder = {};
+  ['select', 'eq', 'or', 'order', 'limit'].forEach((method) => {
+    builder[method] = (...args) => {
+      calls.push([method, ...args]);
+      return builder;
+    };
+  });
+  const supabase = {
+    calls,
+    result: () => result,
+    from: (table) => {
+      calls.push(['from', table]);
+      return builder;
+    }
+  };
+  builder.then = (resolve, reject) => Promise.resolve(supabase.result()).then(resolve, reject);
+  return supabase;
+}
+
+// Serves `rows` like PostgREST for the name sort: the or= cursor condition,
+// then order by icon_name and id, then limit
+function nameSortedTable(rows) {
+  const supabase = fakeSupabase(null);
+  const { calls } = supabase;
+  supabase.result = () => {
+    const cursor = calls.find(([method]) => method === 'or');
+    let matching = [...rows];
+    if (cursor) {
+      const [, name, id] = /^icon_name\.gt\."(.*)",and\(icon_name\.eq\."\1",id\.gt\.(\d+)\)$/.exec(cursor[1]);
+      matching = matching.filter(r => r.icon_name > name || (r.icon_name === name && r.id > Number(id)));
+    }
+    matching.sort((a, b) => a.icon_name.localeCompare(b.icon_name) || a.id - b.id);
+    const [, limit] = calls.find(([method]) => method === 'limit');
+    return { data: matching.slice(0, limit), error: null };
+  };
+  return supabase;
+}
+
+function parse(query) {
+  return parseGalleryQuery(new URLSearchParams(query));
+}
+
+describe('generated icon gallery', () => {
+  it('should parse filters, search, sort, limit and cursor', () => {
+    expect(parse('')).toEqual({ query: { filters: {}, q: null, sort: 'newest', limit: 50, after: null } });
+    expect(parse('style=outline&subject=%20rocket%20&q=a*b(c)&sort=name&limit=10').query).toEqual({
+      filters: { style: 'outline', subject: 'rocket' }, q: 'a b c', sort: 'name', limit: 10, after: null
+    });
+    expect(parse('sort=random&limit=500&cursor=nope').errors).toEqual([
+      'sort must be one of: newest, oldest, name',
+      'limit must be an integer between 1 and 100',
+      'cursor is invalid'
+    ]);
+  });
+
+  it('should page with a keyset cursor', async () => {
+    const first = fakeSupabase({ data: [row(3, '2025-08-19T10:00:00Z'), row(2, '2025-08-18T10:00:00Z'), row(1, '2025-08-17T10:00:00Z')], error: null });
+    const page = await listGeneratedIcons(first, parse('limit=2&style=outline&q=rock').query);
+
+    expect(page.icons.map(icon => icon.id)).toEqual([3, 2]);
+    expect(page.icons[0]).toEqual({
+      id: 3, name: 'icon 3', subject: 'rocket', context: null, style: 'outline', colors: 'black and white',
+      background: 'white', imageUrl: 'https://im.runware.ai/image/3.png', seed: 7, createdAt: '2025-08-19T10:00:00Z'
+    });
+    expect(first.calls.slice(2)).toEqual([
+      ['eq', 'style', 'outline'],
+      ['or', 'icon_name.ilike."*rock*",context.ilike."*rock*"'],
+      ['order', 'created_at', { ascending: false }],
+      ['order', 'id', { ascending: false }],
+      ['limit', 3]
+    ]);
+
+    const next = fakeSupabase({ data: [row(1, '2025-08-17T10:00:00Z')], error: null });
+    const last = await listGeneratedIcons(next, parse(`limit=2&cursor=${page.nextCursor}`).query);
+    expect(last).toEqual({ icons: [expect.objectContaining({ id: 1 })], nextCursor: null });
+    expect(next.calls).toContainEqual(['or', 'created_at.lt."2025-08-18T10:00:00Z",and(created_at.eq."2025-08-18T10:00:00Z",id.lt.2)']);
+  });
+
+  it('should quote names in the cursor and surface database errors', async () => {
+    const named = fakeSupabase({ data: [row(5, '2025-08-19T10:00:00Z', 'a "b", (c)'), row(6, '2025-08-19T10:00:00Z')], error: null });
+    const { nextCursor } = await listGeneratedIcons(named, parse('sort=name&limit=1').query);
+    const next = fakeSupabase({ data: [], error: null });
+    await listGeneratedIcons(next, parse(`sort=name&cursor=${nextCursor}`).query);
+    expect(next.calls).toContainEqual(['or', 'icon_name.gt."a \\"b\\", (c)",and(icon_name.eq."a \\"b\\", (c)",id.gt.5)']);
+
+    const failing = fakeSupabase({ data: null, error: new Error('boom') });
+    await expect(listGeneratedIcons(failing, parse('').query)).rejects.toThrow('boom');
+    expect(await listGeneratedIcons(null, parse('').query)).toEqual({ icons: [], nextCursor: null });
+  });
+
+  it('should page through rows that share an icon name', async () => {
+    const rows = [8, 2, 6, 4, 1, 9, 3].map(id => row(id, '2025-08-19T10:00:00Z', id === 9 ? 'anchor' : 'rocket'));
+    const seen = [];
+    let cursor = null;
+    do {
+      const page = await listGeneratedIcons(nameSortedTable(rows), parse(`sort=name&limit=2${cursor ? `&cursor=${cursor}` : ''}`).query);
+      seen.push(...page.icons.map(icon => icon.id));
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    expect(seen).toEqual([9, 1, 2, 3, 4, 6, 8]);
+  });
+
+  it('should combine the search and the cursor into one or= condition', async () => {
+    const next = fakeSupabase({ data: [], error: null });
+    const cursor = Buffer.from(JSON.stringify(['rocket', 4])).toString('base64url');
+    await listGeneratedIcons(next, parse(`sort=name&q=rock&cursor=${cursor}`).query);
+
+    expect(next.calls.filter(([method]) => method === 'or')).toEqual([
+      ['or', 'and(or(icon_name.ilike."*rock*",context.ilike."*rock*"),or(icon_name.gt."rocket",and(icon_name.eq."rocket",id.gt.4)))']
+    ]);
+  });
+});
@@ -0,0 +1,128 @@
+const { createJobStore } = require('../../lib/generation-jobs');
+const { createGenerationWorker } = require('../../lib/generation-worker');
+
+const API_KEY_ID = '11111111-2222-4333-8444-555555555555';
+
+// Records generation_jobs writes; claim_generation_job hands out `queue` rows in order
+function fakeSupabase({ insertError = null, queue = [], rows = {} } = {}) {
+  const calls = [];
+  return {
+    calls,
+    from: () => ({
+      insert: async (row) => {
+        calls.push({ op: 'insert', row });
+        return { error: insertError };
+      },
+      update: row => ({
+        eq: async (column, id) => {
+          calls.push({ op: 'update', id, row });
+          return { error: null };
+        }
+      }),
+      select: () => ({
+        eq: (column, id) => ({
+          maybeSingle: async () => ({ data: rows[id] || null, error: null })
+        })
+      })
+    }),
+    rpc: async (name, params) => {
+      calls.push({ op: 'rpc', name, params });
+      return { data: queue.length > 0 ? [queue.shift()] : [], error: null };
+    }
+  };
+}
+
+function queuedRow(id) {
+  return {
+    id,
+    api_key_id: API_KEY_ID,
+    kind: 'set',
+    request: { subjects: ['a', 'b'] },
+    attempts: 1,
+    status: 'running',
+    stage: null,
+    stages: [{ name: 'generating', status: 'pending', startedAt: null, finishedAt: null }],
+    created_at: '2025-08-13T10:00:00Z',
+    updated_at: '2025-08-13T10:00:00Z'
+  };
+}
+
+describe('generation jobs', () => {
+  it('should queue jobs with their request in the database', async () => {
+    const supabase = fakeSupabase();
+    const store = createJobStore({ supabase });
+
+    const job = await store.create({ apiKeyId: API_KEY_ID, kind: 'set', request: { subjects: ['a', 'b'] } });
+    expect(job.durable).toBe(true);
+    expect(supabase.calls).toEqual([{
+      op: 'insert',
+      row: expect.objectContaining({ id: job.id, api_key_id: API_KEY_ID, kind: 'set', status: 'queued', request: { subjects: ['a', 'b'] } })
+    }]);
+  });
+
+  it('should reject when a job cannot be queued', async () => {
+    const store = createJobStore({ supabase: fakeSupabase({ insertError: { message: 'down' } }) });
+    await expect(store.create({ apiKeyId: API_KEY_ID })).rejects.toThrow('Failed to queue job: down');
+  });
+
+  it('should refuse to queue without a client when a database is required', async () => {
+    const store = createJobStore({ required: true });
+    await expect(store.create({ apiKeyId: API_KEY_ID })).rejects.toThrow('SUPABASE_SERVICE_ROLE_KEY is not configured');
+    expect((await store.create({ apiKeyId: 'dev-api-key-id' })).durable).toBe(false);
+  });
+
+  it('should keep dev key jobs in memory', async () => {
+    const supabase = fakeSupabase();
+    const store = createJobStore({ supabase });
+
+    const job = await store.create({ apiKeyId: 'dev-api-key-id' });
+    store.setStage(job.id, 'generating');
+    expect(job.durable).toBe(false);
+    expect((await store.get(job.id, 'dev-api-key-id')).stage).toBe('generating');
+    expect(await store.get(job.id, 'other-key')).toBeNull();
+    expect(supabase.calls).toEqual([]);
+  });
+
+  it('should write a claimed job back in order and read status from the database', async () => {
+    const id = '00000000-0000-4000-8000-000000000001';
+    const supabase = fakeSupabase({ queue: [queuedRow(id)], rows: { [id]: { ...queuedRow(id), status: 'completed' } } });
+    const store = createJobStore({ supabase, leaseSeconds: 60 });
+
+    const job = await store.claim();
+    expect(job).toEqual(expect.objectContaining({ id, kind: 'set', request: { subjects: ['a', 'b'] }, attempts: 1 }));
+    expect(supabase.calls[0]).toEqual({ op: 'rpc', name: 'claim_generation_job', params: { p_lease_seconds: 60, p_max_attempts: 3 } });
+
+    store.setStage(id, 'generating');
+    store.complete(id, { ok: true });
+    await store.release(id);
+    const updates = supabase.calls.filter(call => call.op === 'update');
+    expect(updates.map(call => call.row.status)).toEqual(['running', 'completed']);
+    expect(updates[1].row.locked_at).toEqual(expect.any(String));
+
+    expect((await store.get(id, API_KEY_ID)).status).toBe('completed');
+    expect(await store.get(id, 'other-key')).toBeNull();
+    expect(await store.claim()).toBeNull();
+  });
+
+  it('should run claimed jobs with the worker and release them', async () => {
+    const id = '00000000-0000-4000-8000-000000000002';
+    const store = createJobStore({ supabase: fakeSupabase({ queue: [queuedRow(id)] }) });
+    const ran = [];
+    let finished;
+    const done = new Promise(resolve => { finished = resolve; });
+    const worker = createGenerationWorker({
+      jobs: store,
+      pollIntervalMs: 10,
+      run: async (job) => {
+        ran.push(job.id);
+        store.complete(job.id, {});
+        finished();
+      }
+    });
+
+    worker.start();
+    await done;
+    worker.stop();
+    expect(ran).toEqual([id]);
+  });
+});
@@ -0,0 +1,94 @@
+const {
+  CollectionConflictError, createCollectionStore, createItems, insertItems, toPublicCollection, updateCollection, updateItem
+} = require('../../lib/icon-collections');
+
+const USER_ID = '11111111-2222-4333-8444-555555555555';
+const COLLECTION_ID = '22222222-3333-4444-8555-666666666666';
+
+function fakeSupabase(result) {
+  const calls = [];
+  return {
+    calls,
+    rpc: async (name, params) => {
+      calls.push({ name, params });
+      return typeof result === 'function' ? result(name, params) : result;
+    }
+  };
+}
+
+function collectionOf(iconIds) {
+  return { id: COLLECTION_ID, ownerId: 'dev-user-id', name: 'Icons', description: null, items: createItems(iconIds).items, version: 1 };
+}
+
+describe('icon collections', () => {
+  it('should validate new items and their overrides', () => {
+    const { items } = createItems(['tabler:home', { type: 'generated', id: 42, note: 'Hero', color: '#336699', size: 64 }]);
+    expect(items).toEqual([
+      expect.objectContaining({ type: 'iconify', iconId: 'tabler:home', note: null, color: null, size: null }),
+      expect.objectContaining({ type: 'generated', iconId: '42', note: 'Hero', color: '#336699', size: 64 })
+    ]);
+    expect(items[0].id).not.toBe(items[1].id);
+
+    expect(createItems(['home', { id: 'tabler:x', color: 'url(#a)' }]).errors).toEqual([
+      'items[0]: id must be an Iconify id such as mdi:home',
+      'items[1].color must be a CSS colour such as #ff0000, red or currentColor'
+    ]);
+    expect(insertItems(collectionOf([]), items, -1).errors).toEqual(['position must be a non-negative integer']);
+  });
+
+  it('should reorder items and update overrides', () => {
+    const collection = collectionOf(['tabler:a', 'tabler:b', 'tabler:c']);
+    const [a, b, c] = collection.items;
+
+    const moved = updateItem(collection, c.id, { position: 0, size: 32, note: '' }).collection;
+    expect(moved.items.map(item => item.iconId)).toEqual(['tabler:c', 'tabler:a', 'tabler:b']);
+    expect(moved.items[0]).toMatchObject({ size: 32, note: null });
+    expect(collection.items[2].size).toBeNull(); // the loaded copy is untouched
+
+    expect(updateCollection(collection, { order: [b.id, c.id, a.id] }).collection.items.map(item => item.iconId))
+      .toEqual(['tabler:b', 'tabler:c', 'tabler:a']);
+    expect(updateCollection(collection, { order: [a.id, a.id, b.id] }).errors).toHaveLength(1);
+    expect(updateItem(collection, 'missing', {})).toEqual({ notFound: true });
+  });
+
+  it('should only show share settings to the owner', () => {
+    const collection = { ...collectionOf(['tabler:a']), shareToken: 'x'.repeat(24), shareAccess: 'view' };
+
+    expect(toPublicCollection(collection, 'owner').share).toEqual({ token: 'x'.repeat(24), access: 'view' });
+    expect(toPublicCollection(collection, 'view')).not.toHaveProperty('share');
+  });
+
+  it('should save through save_icon_collection and report version conflicts', async () => {
+    const row = { id: COLLECTION_ID, user_id: USER_ID, name: 'Icons', description: null, items: [], share_token: null, share_access: null, version: 3 };
+    const supabase = fakeSupabase((name, params) => (params.p_version === 2
+      ? { data: null, error: { message: 'version conflict' } }
+      : { data: [{ ...row, version: 4 }], error: null }));
+    const store = createCollectionStore({ supabase });
+    const collection = { id: COLLECTION_ID, ownerId: USER_ID, name: 'Icons', description: null, items: [], version: 3 };
+
+    expect(await store.save(collection, { userId: USER_ID })).toMatchObject({ id: COLLECTION_ID, ownerId: USER_ID, version: 4 });
+    expect(supabase.calls[0]).toEqual({
+      name: 'save_icon_collection',
+      params: { p_user_id: USER_ID, p_id: COLLECTION_ID, p_share_token: null, p_version: 3, p_name: 'Icons', p_description: null, p_items: [] }
+    });
+    await expect(store.save({ ...collection, version: 2 }, { userId: USER_ID })).rejects.toBeInstanceOf(CollectionConflictError);
+  });
+
+  it('should not look up collection ids that are not UUIDs', async () => {
+    const supabase = fakeSupabase({ data: null, error: { message: 'invalid input syntax for type uuid' } });
+    const store = createCollectionStore({ supabase });
+
+    expect(await store.get(USER_ID, 'not-a-uuid')).toBeNull();
+    expect(await store.remove(USER_ID, 'not-a-uuid')).toBe(false);
+    expect(supabase.calls).toEqual([]);
+  });
+
+  it('should fail instead of using memory when a required database client is missing', async () => {
+    const store = createCollectionStore({ required: true });
+
+    await expect(store.create(USER_ID, { name: 'Icons' })).rejects.toThrow('SUPABASE_SERVICE_ROLE_KEY is not configured');
+    await expect(store.list(USER_ID)).rejects.toThrow('SUPABASE_SERVICE_ROLE_KEY is not configured');
+    await expect(store.getShared('a'.repeat(24))).rejects.toThrow('SUPABASE_SERVICE_ROLE_KEY is not configured');
+    expect(await store.create('dev-user-id', { name: 'Icons' })).toMatchObject({ ownerId: 'dev-user-id', version: 1 });
+  });
+});
@@ -0,0 +1,85 @@
+const {
+  rankIcons,
+  scoreIcon,
+  scoreSignals,
+  tokenize,
+  NEGATED_VARIANT_PENALTY
+} = require('../../lib/icon-ranking');
+const fixtures = require('../fixtures/ranking-queries.json');
+
+describe('icon ranking', () => {
+  describe('query fixture regression', () => {
+    fixtures.forEach(({ query, library, style, candidates, expectedTop }) => {
+      const label = [query, library && `library=${library}`, style && `style=${style}`].filter(Boolean).join(', ');
+
+      it(`should rank ${expectedTop} first for "${label}"`, () => {
+        const ranked = rankIcons(candidates, { query, library, style });
+        expect(ranked[0].id).toBe(expectedTop);
+        expect(ranked).toHaveLength(candidates.length);
+      });
+    });
+  });
+
+  describe('signals', () => {
+    it('should tokenize on separators and lowercase', () => {
+      expect(tokenize('User Plus')).toEqual(['user', 'plus']);
+      expect(tokenize('arrow_left-2')).toEqual(['arrow', 'left', '2']);
+    });
+
+    it('should treat a variant-suffixed name as a near exact match', () => {
+      expect(scoreSignals('tabler:home', { query: 'home' }).exactName).toBe(1);
+      expect(scoreSignals('tabler:home-filled', { query: 'home' }).exactName).toBe(0.8);
+      expect(scoreSignals('tabler:house', { query: 'home' }).exactName).toBe(0);
+    });
+
+    it('should match plural and singular tokens', () => {
+      expect(scoreSignals('uil:setting', { query: 'settings' }).tokenOverlap).toBe(1);
+    });
+
+    it('should penalize negated variants only when the query does not ask for them', () => {
+      expect(scoreSignals('tabler:bell-off', { query: 'bell' }).penalty).toBe(NEGATED_VARIANT_PENALTY);
+      expect(scoreSignals('tabler:bell-off', { query: 'bell off' }).penalty).toBe(0);
+      expect(scoreSignals('mdi:bell-off-outline', { query: 'bell' }).penalty).toBe(NEGATED_VARIANT_PENALTY);
+    });
+
+    it('should only treat a trailing negation suffix as negated', () => {
+      expect(scoreSignals('tabler:x', { query: 'close' }).penalty).toBe(0);
+      expect(scoreSignals('mdi:delete', { query: 'trash' }).penalty).toBe(0);
+      expect(scoreSignals('tabler:trash-x', { query: 'trash x' }).penalty).toBe(0);
+      expect(scoreSignals('mdi:minus', { query: 'minus' }).penalty).toBe(0);
+      expect(scoreSignals('tabler:off-road', { query: 'road' }).penalty).toBe(0);
+      expect(scoreSignals('mdi:smoking-no', { query: 'smoking' }).penalty).toBe(NEGATED_VARIANT_PENALTY);
+    });
+
+
+    it('should boost the requested library and style', () => {
+      const plain = scoreSignals('ph:house-fill', { query: 'house' });
+      const boosted = scoreSignals('ph:house-fill', { query: 'house', library: 'ph', style: 'filled' });
+      expect(plain.libraryMatch).toBe(0);
+      expect(plain.styleMatch).toBe(0);
+      expect(boosted.libraryMatch).toBe(1);
+      expect(boosted.styleMatch).toBe(1);
+    });
+  });
+
+  describe('scoring', () => {
+    it('should keep scores within [0, 1]', () => {
+      ['tabler:home', 'x:y-off-slash', 'unknown:abc'].forEach((id) => {
+        const { score } = scoreIcon(id, { query: 'home', library: 'tabler', style: 'outline' });
+        expect(score).toBeGreaterThanOrEqual(0);
+        expect(score).toBeLessThanOrEqual(1);
+      });
+    });
+
+    it('should keep upstream order for equally scored icons', () => {
+      const ranked = rankIcons(['a:thing', 'b:thing'], { query: 'other' });
+      expect(ranked.map(r => r.id)).toEqual(['a:thing', 'b:thing']);
+    });
+
+    it('should accept custom weights', () => {
+      const ranked = rankIcons(['tabler:home', 'ph:home'], { query: 'home' }, { collection: 0, position: 0, exactName: 1 });
+      expect(ranked[0].score).toBe(1);
+      expect(ranked[1].score).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,52 @@
+const sharp = require('sharp');
+const { estimateStrokeWidth, morph, normalizeIconSet, toMask } = require('../../lib/icon-set-normalizer');
+
+function ring(strokeWidth, radius = 40) {
+  return sharp(Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="200" height="200"><rect width="200" height="200" fill="#fff"/><circle cx="100" cy="100" r="${radius}" fill="none" stroke="#000" stroke-width="${strokeWidth}"/></svg>`)).png().toBuffer();
+}
+
+describe('icon set normalizer', () => {
+  it('should estimate stroke width of a uniform stroke', () => {
+    // 10px wide vertical bar, 100px tall
+    const mask = new Uint8Array(100 * 100);
+    for (let y = 0; y < 100; y++) for (let x = 45; x < 55; x++) mask[y * 100 + x] = 1;
+    const { area, strokeWidth } = estimateStrokeWidth(mask, 100, 100);
+    expect(area).toBe(1000);
+    expect(strokeWidth).toBeCloseTo(9.1, 1);
+  });
+
+  it('should dilate and erode one pixel per pass', () => {
+    const mask = new Uint8Array(9 * 9);
+    mask[4 * 9 + 4] = 1;
+    const dilated = morph(mask, 9, 9, 1, 'dilate');
+    expect(estimateStrokeWidth(dilated, 9, 9).area).toBe(9);
+    expect(estimateStrokeWidth(morph(dilated, 9, 9, 1, 'erode'), 9, 9).area).toBe(1);
+  });
+
+  it('should fit artwork into the same padded box', async () => {
+    const small = await toMask(await ring(6, 20), { size: 100, padding: 0.1 });
+    const large = await toMask(await ring(6, 80), { size: 100, padding: 0.1 });
+    const bounds = mask => {
+      let min = 100;
+      let max = -1;
+      mask.forEach((v, i) => { if (v) { min = Math.min(min, i % 100); max = Math.max(max, i % 100); } });
+      return [min, max];
+    };
+    expect(bounds(small)).toEqual(bounds(large));
+    expect(bounds(small)[0]).toBeGreaterThanOrEqual(9);
+  });
+
+  it('should pull stroke widths toward the median', async () => {
+    const buffers = await Promise.all([ring(3), ring(8), ring(14)]);
+    const result = await normalizeIconSet(buffers, { size: 256 });
+    const spread = key => {
+      const values = result.strokeWidths.map(s => s[key]);
+      return Math.max(...values) - Math.min(...values);
+    };
+    expect(result.images).toHaveLength(3);
+    expect(spread('after')).toBeLessThan(spread('before') / 2);
+
+    const untouched = await normalizeIconSet(buffers, { size: 256, normalizeStroke: false });
+    expect(untouched.strokeWidths.every(s => s.before === s.after)).toBe(true);
+  });
+});
@@ -0,0 +1,95 @@
+const nock = require('nock');
+const sharp = require('sharp');
+const { createDefaultImageProvider, createImageProvider, createMockProvider, createRunwareProvider } = require('../../lib/image-providers');
+
+describe('image providers', () => {
+  afterEach(() => nock.cleanAll());
+
+  it('should render deterministic mock images', async () => {
+    const provider = createMockProvider();
+    const request = { taskUUID: 'a', prompt: 'icon of a cup', width: 256, height: 256, seed: 7 };
+    const [first] = await provider.generate([request]);
+    const [again] = await provider.generate([{ ...request, taskUUID: 'b' }]);
+    const [other] = await provider.generate([{ ...request, seed: 8 }]);
+
+    expect(first.taskUUID).toBe('a');
+    expect(first.seed).toBe(7);
+    expect(first.imageURL).toBe(`data:image/png;base64,${first.imageBuffer.toString('base64')}`);
+    expect(first.imageBuffer.equals(again.imageBuffer)).toBe(true);
+    expect(first.imageBuffer.equals(other.imageBuffer)).toBe(false);
+
+    const meta = await sharp(first.imageBuffer).metadata();
+    expect([meta.width, meta.height]).toEqual([256, 256]);
+  });
+
+  it('should send Runware imageInference tasks and match results by taskUUID', async () => {
+    let sent = null;
+    nock('https://api.runware.ai')
+      .post('/v1')
+      .matchHeader('authorization', 'Bearer rw-key')
+      .reply(200, (uri, tasks) => {
+        sent = tasks;
+        return { data: [...tasks].reverse().map(t => ({ taskType: 'imageInference', taskUUID: t.taskUUID, imageURL: `https://im.runware.ai/${t.taskUUID}.png`, seed: t.seed })) };
+      });
+
+    const provider = createRunwareProvider({ apiKey: 'rw-key' });
+    const results = await provider.generate([
+      { taskUUID: 't1', prompt: 'cup', width: 1024, height: 1024, model: 'google:2@3', seed: 1 },
+      { taskUUID: 't2', prompt: 'cup', width: 1024, height: 1024, model: 'google:2@3', seed: 2 }
+    ]);
+
+    expect(sent[0]).toEqual({ taskType: 'imageInference', taskUUID: 't1', positivePrompt: 'cup', width: 1024, height: 1024, model: 'google:2@3', numberResults: 1, seed: 1 });
+    expect(results).toEqual([
+      { taskUUID: 't1', imageURL: 'https://im.runware.ai/t1.png', seed: 1 },
+      { taskUUID: 't2', imageURL: 'https://im.runware.ai/t2.png', seed: 2 }
+    ]);
+  });
+
+  it('should send a reference image as the Runware seed image', async () => {
+    let sent = null;
+    nock('https://api.runware.ai')
+      .post('/v1')
+      .reply(200, (uri, tasks) => {
+        sent = tasks;
+        return { data: [{ taskType: 'imageInference', taskUUID: 't1', imageURL: 'https://im.runware.ai/t1.png' }] };
+      });
+
+    const provider = createRunwareProvider({ apiKey: 'rw-key' });
+    await provider.generate([{ taskUUID: 't1', prompt: 'rocket', model: 'google:2@3', referenceImage: 'data:image/png;base64,AAAA', strength: 0.6 }]);
+
+    expect(sent[0]).toMatchObject({ seedImage: 'data:image/png;base64,AAAA', strength: 0.6 });
+  });
+
+  it('should vary mock images with the reference and strength', async () => {
+    const provider = createMockProvider();
+    const request = { taskUUID: 'a', prompt: 'rocket', width: 64, height: 64, seed: 1 };
+    const [plain] = await provider.generate([request]);
+    const [styled] = await provider.generate([{ ...request, referenceImage: 'data:image/png;base64,AAAA', strength: 0.5 }]);
+    const [stronger] = await provider.generate([{ ...request, referenceImage: 'data:image/png;base64,AAAA', strength: 0.9 }]);
+
+    expect(plain.imageBuffer.equals(styled.imageBuffer)).toBe(false);
+    expect(styled.imageBuffer.equals(stronger.imageBuffer)).toBe(false);
+  });
+
+  it('should surface Runware errors with their status code', async () => {
+    nock('https://api.runware.ai').post('/v1').reply(401, { errors: [{ message: 'Invalid API key' }] });
+
+    const provider = createRunwareProvider({ apiKey: 'bad' });
+    await expect(provider.generate([{ taskUUID: 't', prompt: 'cup' }])).rejects.toMatchObject({ statusCode: 401, message: 'Invalid API key' });
+  });
+
+  it('should report configuration and reject unknown providers', () => {
+    expect(createImageProvider('runware').configured).toBe(false);
+    expect(createImageProvider('runware', { apiKey: 'k' }).configured).toBe(true);
+    expect(createImageProvider('mock').configured).toBe(true);
+    expect(() => createImageProvider('dalle')).toThrow('Unknown image provider "dalle"');
+    expect(createImageProvider('mock').sandbox).toBe(true);
+    expect(createImageProvider('runware').sandbox).toBe(false);
+  });
+
+  it('should fall back to runware for an unknown IMAGE_PROVIDER', () => {
+    expect(createDefaultImageProvider('dalle', { apiKey: 'k' })).toMatchObject({ name: 'runware', configured: true });
+    expect(console.warn).toHaveBeenCalledWith('⚠️ Unknown IMAGE_PROVIDER "dalle", using runware');
+    expect(createDefaultImageProvider('mock').name).toBe('mock');
+  });
+});
@@ -0,0 +1,69 @@
+const path = require('path');
+const { createLocalIconIndex } = require('../../lib/local-icon-index');
+
+const FIXTURE_DIR = path.join(__dirname, '../fixtures/iconify');
+
+describe('local icon index', () => {
+  let index;
+
+  beforeEach(() => {
+    index = createLocalIconIndex({ dir: FIXTURE_DIR });
+  });
+
+  it('should load every collection in the directory', () => {
+    expect(index.listCollections().sort()).toEqual(['lucide', 'tabler']);
+    // 5 visible tabler icons + 2 aliases + 4 lucide icons
+    expect(index.size).toBe(11);
+  });
+
+  it('should only load the requested prefixes', () => {
+    const tablerOnly = createLocalIconIndex({ dir: FIXTURE_DIR, prefixes: ['tabler'] });
+    expect(tablerOnly.listCollections()).toEqual(['tabler']);
+  });
+
+  it('should return an Iconify-shaped search result with exact matches first', () => {
+    const result = index.search('home', 10);
+    expect(result.icons.slice(0, 2).sort()).toEqual(['lucide:home', 'tabler:home']);
+    expect(result.icons).toContain('tabler:home-filled');
+    expect(result.total).toBe(3);
+    expect(result.collections.tabler.name).toBe('Tabler Icons');
+  });
+
+  it('should match multi-word queries against hyphenated names', () => {
+    expect(index.search('user plus').icons).toEqual(['lucide:user-plus']);
+    expect(index.search('   ').icons).toEqual([]);
+  });
+
+  it('should respect the limit', () => {
+    expect(index.search('e', 2).icons).toHaveLength(2);
+  });
+
+  it('should skip hidden icons in search but keep them renderable', () => {
+    expect(index.search('legacy').icons).toEqual([]);
+    expect(index.getSvg('tabler:legacy-icon')).toContain('<path d="M0 0h24v24H0z"/>');
+  });
+
+  it('should render SVGs like api.iconify.design', () => {
+    const svg = index.getSvg('tabler:home');
+    expect(svg).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="1em" height="1em" viewBox="0 0 24 24">/);
+    expect(svg).toContain('M5 12H3l9-9l9 9h-2');
+  });
+
+  it('should resolve aliases and apply their transforms', () => {
+    expect(index.getSvg('tabler:house')).toBe(index.getSvg('tabler:home'));
+    const flipped = index.getSvg('tabler:arrow-right');
+    expect(flipped).toContain('<g transform="translate(24 0) scale(-1 1)">');
+  });
+
+  it('should return null for unknown icons', () => {
+    expect(index.getSvg('tabler:does-not-exist')).toBeNull();
+    expect(index.getSvg('unknown:home')).toBeNull();
+    expect(index.has('lucide:trash')).toBe(true);
+  });
+
+  it('should be empty when the directory does not exist', () => {
+    const missing = createLocalIconIndex({ dir: path.join(FIXTURE_DIR, 'missing') });
+    expect(missing.size).toBe(0);
+    expect(missing.search('home').icons).toEqual([]);
+  });
+});
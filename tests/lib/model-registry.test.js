@@ -0,0 +1,88 @@
+const {
+  DEFAULT_MODEL,
+  MODEL_IDS,
+  createModelEntitlements,
+  listModels,
+  resolveModelParams,
+  validateModelParams
+} = require('../../lib/model-registry');
+
+const USER_ID = '11111111-2222-4333-8444-555555555555';
+
+function fakeSupabase(result) {
+  const calls = [];
+  return {
+    calls,
+    rpc: async (name, params) => {
+      calls.push({ name, params });
+      return typeof result === 'function' ? result(params) : result;
+    }
+  };
+}
+
+describe('model registry', () => {
+  it('should register the default model', () => {
+    expect(MODEL_IDS).toContain(DEFAULT_MODEL);
+    expect(MODEL_IDS).toContain('runware:100@1');
+  });
+
+  it('should fill model defaults', () => {
+    expect(resolveModelParams({})).toEqual({ model: DEFAULT_MODEL, width: 1024, height: 1024 });
+    expect(resolveModelParams({ model: 'runware:100@1', width: 512, height: 512 }))
+      .toEqual({ model: 'runware:100@1', width: 512, height: 512, steps: 20, CFGScale: 7 });
+  });
+
+  it('should reject unknown models, sizes and out-of-range parameters', () => {
+    expect(validateModelParams({ model: 'nope:1@1' })[0]).toMatch(/^model must be one of/);
+    expect(validateModelParams({ model: DEFAULT_MODEL, width: 512, height: 512 })[0]).toMatch(/512x512 is not supported/);
+    expect(validateModelParams({ model: DEFAULT_MODEL, steps: 10 })).toEqual([`steps is not supported by ${DEFAULT_MODEL}`]);
+    expect(validateModelParams({ model: 'runware:100@1', steps: 51, CFGScale: 0 })).toEqual([
+      'steps must be an integer between 1 and 50 for runware:100@1',
+      'CFGScale must be a number between 1 and 20 for runware:100@1'
+    ]);
+    expect(validateModelParams({ model: 'runware:100@1', width: 768, height: 768, steps: 4, CFGScale: 3.5 })).toEqual([]);
+  });
+
+  it('should flag models outside the entitlement', () => {
+    const models = listModels({ plan: { id: 'free', name: 'Free' }, allowedModels: [DEFAULT_MODEL] });
+    expect(models.find(m => m.id === DEFAULT_MODEL)).toMatchObject({ allowed: true, default: true });
+    expect(models.find(m => m.id === 'runware:100@1')).toMatchObject({ allowed: false, costWeight: 0.5 });
+    expect(listModels({ plan: null, allowedModels: null }).every(m => m.allowed)).toBe(true);
+  });
+});
+
+describe('model entitlements', () => {
+  it('should read the plan through the RPC and cache it', async () => {
+    const supabase = fakeSupabase({ data: [{ plan_id: 'pro', plan_name: 'Pro', allowed_models: null }], error: null });
+    const entitlements = createModelEntitlements({ supabase });
+
+    const first = await entitlements.forUser(USER_ID);
+    await entitlements.forUser(USER_ID);
+
+    expect(first).toEqual({ plan: { id: 'pro', name: 'Pro' }, allowedModels: null });
+    expect(supabase.calls).toEqual([{ name: 'get_user_model_entitlements', params: { p_user_id: USER_ID } }]);
+  });
+
+  it('should allow every model for dev ids and without a database', async () => {
+    const supabase = fakeSupabase({ data: [], error: null });
+    expect(await createModelEntitlements({ supabase }).forUser('dev-user-id')).toEqual({ plan: null, allowedModels: null });
+    expect(await createModelEntitlements().forUser(USER_ID)).toEqual({ plan: null, allowedModels: null });
+    expect(supabase.calls).toHaveLength(0);
+  });
+
+  it('should only allow the default model when a required database client is missing', async () => {
+    expect(await createModelEntitlements({ required: true }).forUser(USER_ID)).toEqual({ plan: null, allowedModels: ['google:2@3'] });
+    expect(await createModelEntitlements({ required: true }).forUser(null)).toEqual({ plan: null, allowedModels: ['google:2@3'] });
+  });
+
+  it('should fall back to the default model when the lookup fails', async () => {
+    const supabase = fakeSupabase({ data: null, error: { message: 'boom' } });
+    const entitlements = createModelEntitlements({ supabase });
+
+    const entitlement = await entitlements.forUser(USER_ID);
+    await entitlements.forUser(USER_ID);
+
+    expect(entitlement.allowedModels).toEqual([DEFAULT_MODEL]);
+    expect(supabase.calls).toHaveLength(2);
+  });
+});
@@ -0,0 +1,72 @@
+const {
+  DEFAULT_TEMPLATE,
+  createPromptTemplateStore,
+  renderTemplate
+} = require('../../lib/prompt-templates');
+
+// Just enough of the supabase-js query builder for the store
+function fakeSupabase(tables) {
+  const calls = [];
+  return {
+    calls,
+    from(table) {
+      const filters = {};
+      const builder = {
+        select: () => builder,
+        order: () => builder,
+        eq: (column, value) => {
+          filters[column] = value;
+          return builder;
+        },
+        maybeSingle: async () => ({ data: (tables[table] || []).find(row => Object.entries(filters).every(([k, v]) => k === 'is_active' || row[k] === v)) || null, error: null }),
+        then: (resolve) => {
+          calls.push(table);
+          return resolve({ data: tables[table] || [], error: null });
+        }
+      };
+      return builder;
+    }
+  };
+}
+
+describe('prompt templates', () => {
+  it('should render placeholders and drop optional sections with empty values', () => {
+    const body = 'Icon of a {subject}[ for {context}], {style}';
+    expect(renderTemplate(body, { subject: 'cup', context: 'cafe', style: 'outline' })).toBe('Icon of a cup for cafe, outline');
+    expect(renderTemplate(body, { subject: 'cup', context: '  ', style: 'outline' })).toBe('Icon of a cup, outline');
+  });
+
+  it('should render the default template like the old hard-coded prompt', () => {
+    const prompt = renderTemplate(DEFAULT_TEMPLATE.body, { subject: 'cup', context: '', style: 'filled', colors: 'blue', background: 'white' });
+    expect(prompt).toBe('Design a simple, flat, minimalist icon of a cup filled style, blue colors, white background, evenly spaced elements. Maintain geometric balance and consistent stroke width, no text, only icon.');
+  });
+
+  it('should fall back to the built-in default without a database', async () => {
+    const store = createPromptTemplateStore();
+    expect(await store.list()).toEqual([DEFAULT_TEMPLATE]);
+    expect(await store.resolve()).toEqual({ id: 'default', version: 1, body: DEFAULT_TEMPLATE.body });
+    expect(await store.resolve('missing')).toBeNull();
+  });
+
+  it('should resolve stored templates, older versions and cache the list', async () => {
+    const supabase = fakeSupabase({
+      prompt_templates: [{ id: 'default', name: 'Default', description: null, current_version: 4, body: 'v4 {subject}' }],
+      prompt_template_versions: [{ template_id: 'default', version: 2, body: 'v2 {subject}' }]
+    });
+    const store = createPromptTemplateStore({ supabase });
+
+    expect(await store.resolve('default')).toEqual({ id: 'default', version: 4, body: 'v4 {subject}' });
+    expect(await store.resolve('default', 2)).toEqual({ id: 'default', version: 2, body: 'v2 {subject}' });
+    expect(await store.resolve('default', 3)).toBeNull();
+    expect(supabase.calls).toEqual(['prompt_templates']);
+  });
+
+  it('should reload the list once the cache expires', async () => {
+    const supabase = fakeSupabase({ prompt_templates: [] });
+    const store = createPromptTemplateStore({ supabase, cacheTtlMs: 0 });
+
+    await store.list();
+    await store.list();
+    expect(supabase.calls).toEqual(['prompt_templates', 'prompt_templates']);
+  });
+});
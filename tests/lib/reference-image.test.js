@@ -0,0 +1,51 @@
+const sharp = require('sharp');
+const {
+  describeReference,
+  parseDataUrl,
+  rasterizeReference,
+  validateReference
+} = require('../../lib/reference-image');
+
+const HOME_SVG = '<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24"><path d="M3 12l9-9 9 9v9H3z" fill="none" stroke="currentColor" stroke-width="2"/></svg>';
+
+describe('reference images', () => {
+  it('should accept the three reference types', () => {
+    expect(validateReference({ type: 'iconify', id: 'tabler:home' })).toEqual([]);
+    expect(validateReference({ type: 'generated', id: 42, strength: 0.3 })).toEqual([]);
+    expect(validateReference({ type: 'upload', data: `data:image/svg+xml;base64,${Buffer.from(HOME_SVG).toString('base64')}` })).toEqual([]);
+  });
+
+  it('should reject malformed references', () => {
+    expect(validateReference('tabler:home')).toEqual(['reference must be an object with a type']);
+    expect(validateReference({ type: 'url', id: 'x' })[0]).toMatch(/^reference.type must be one of/);
+    expect(validateReference({ type: 'iconify', id: '../etc/passwd' })).toEqual(['reference.id must be an Iconify id like "tabler:home"']);
+    expect(validateReference({ type: 'generated', id: '42' })).toEqual(['reference.id must be a generated icon id']);
+    expect(validateReference({ type: 'upload', data: 'data:text/html;base64,PGI+' })[0]).toMatch(/^reference.data must be a base64 data URL/);
+    expect(validateReference({ type: 'iconify', id: 'tabler:home', strength: 2 })).toEqual(['reference.strength must be a number between 0 and 1']);
+  });
+
+  it('should parse image data URLs only', () => {
+    expect(parseDataUrl('data:image/png;base64,AAEC')).toEqual({ mimeType: 'image/png', buffer: Buffer.from([0, 1, 2]) });
+    expect(parseDataUrl('https://example.com/a.png')).toBeNull();
+  });
+
+  it('should rasterize SVG references to a white-backed square PNG', async () => {
+    const png = await rasterizeReference(Buffer.from(HOME_SVG), { size: 128 });
+    const meta = await sharp(png).metadata();
+
+    expect([meta.format, meta.width, meta.height, meta.hasAlpha]).toEqual(['png', 128, 128, false]);
+    const { data } = await sharp(png).greyscale().raw().toBuffer({ resolveWithObject: true });
+    expect(data[0]).toBe(255);
+    expect(Math.min(...data)).toBeLessThan(64);
+  });
+
+  it('should describe uploads by content hash and keep ids for the others', () => {
+    const png = Buffer.from('png bytes');
+    expect(describeReference({ type: 'iconify', id: 'tabler:home' }, png)).toEqual({ type: 'iconify', id: 'tabler:home', strength: 0.7 });
+    expect(describeReference({ type: 'upload', data: 'x', strength: 0.4 }, png)).toEqual({
+      type: 'upload',
+      sha256: require('crypto').createHash('sha256').update(png).digest('hex'),
+      strength: 0.4
+    });
+  });
+});
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createResponseCache } = require('../../lib/response-cache');
+
+describe('response cache', () => {
+  it('should run the loader once and serve later calls from memory', async () => {
+    const cache = createResponseCache();
+    const loader = jest.fn().mockResolvedValue('<svg/>');
+
+    expect(await cache.wrap('svg:a', loader)).toBe('<svg/>');
+    expect(await cache.wrap('svg:a', loader)).toBe('<svg/>');
+
+    expect(loader).toHaveBeenCalledTimes(1);
+    const stats = cache.stats();
+    expect(stats.hits).toBe(1);
+    expect(stats.misses).toBe(1);
+    expect(stats.namespaces.svg).toEqual(expect.objectContaining({ hits: 1, misses: 1 }));
+  });
+
+  it('should coalesce concurrent calls for the same key', async () => {
+    const cache = createResponseCache();
+    let release;
+    const loader = jest.fn(() => new Promise((resolve) => { release = resolve; }));
+
+    const pending = [cache.wrap('search:x', loader), cache.wrap('search:x', loader), cache.wrap('search:x', loader)];
+    await new Promise(setImmediate);
+    release({ icons: ['a:b'] });
+    const results = await Promise.all(pending);
+
+    expect(loader).toHaveBeenCalledTimes(1);
+    results.forEach(r => expect(r).toEqual({ icons: ['a:b'] }));
+    expect(cache.stats().coalesced).toBe(2);
+  });
+
+  it('should expire entries after their TTL', async () => {
+    const cache = createResponseCache();
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    const loader = jest.fn().mockResolvedValueOnce('old').mockResolvedValueOnce('new');
+
+    await cache.wrap('svg:a', loader, { ttlMs: 100 });
+    now.mockReturnValue(1200);
+    expect(await cache.wrap('svg:a', loader, { ttlMs: 100 })).toBe('new');
+    now.mockRestore();
+  });
+
+  it('should not cache loader errors or values rejected by shouldCache', async () => {
+    const cache = createResponseCache();
+    const failing = jest.fn().mockRejectedValue(new Error('boom'));
+    await expect(cache.wrap('svg:a', failing)).rejects.toThrow('boom');
+
+    const notFound = jest.fn().mockResolvedValue({ statusCode: 404 });
+    const shouldCache = r => r.statusCode === 200;
+    await cache.wrap('image:a', notFound, { shouldCache });
+    await cache.wrap('image:a', notFound, { shouldCache });
+
+    expect(notFound).toHaveBeenCalledTimes(2);
+    expect(cache.stats().entries).toBe(0);
+  });
+
+  it('should evict the least recently used entry when full', async () => {
+    const cache = createResponseCache({ maxEntries: 2 });
+    cache.set('svg:a', 'a');
+    cache.set('svg:b', 'b');
+    await cache.get('svg:a'); // a is now more recent than b
+    cache.set('svg:c', 'c');
+
+    expect(await cache.get('svg:b')).toBeUndefined();
+    expect(await cache.get('svg:a')).toBe('a');
+    expect(cache.stats().evictions).toBe(1);
+  });
+
+  it('should bound the total size in bytes', () => {
+    const cache = createResponseCache({ maxBytes: 100 });
+    cache.set('image:a', Buffer.alloc(60));
+    cache.set('image:b', Buffer.alloc(60));
+
+    const stats = cache.stats();
+    expect(stats.entries).toBe(1);
+    expect(stats.bytes).toBe(60);
+  });
+
+  it('should read values back from the disk tier after a restart', async () => {
+    const diskDir = fs.mkdtempSync(path.join(os.tmpdir(), 'response-cache-'));
+    try {
+      const first = createResponseCache({ diskDir });
+      first.set('image:a', { contentType: 'image/png', body: Buffer.from([1, 2, 3]) });
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      const second = createResponseCache({ diskDir });
+      const loader = jest.fn();
+      const value = await second.wrap('image:a', loader);
+
+      expect(loader).not.toHaveBeenCalled();
+      expect(Buffer.isBuffer(value.body)).toBe(true);
+      expect([...value.body]).toEqual([1, 2, 3]);
+      expect(second.stats().diskHits).toBe(1);
+    } finally {
+      fs.rmSync(diskDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,59 @@
+const { createSearchHistory, parseRecentOptions, parseTrendingOptions } = require('../../lib/search-history');
+
+const USER_ID = '11111111-2222-4333-8444-555555555555';
+
+function fakeSupabase(results) {
+  const calls = [];
+  return {
+    calls,
+    rpc: async (name, params) => {
+      calls.push({ name, params });
+      return results[name];
+    }
+  };
+}
+
+describe('search history', () => {
+  it('should parse and clamp the query options', () => {
+    expect(parseRecentOptions(new URLSearchParams(''))).toEqual({ options: { limit: 10 } });
+    expect(parseRecentOptions(new URLSearchParams('limit=500'))).toEqual({ options: { limit: 50 } });
+    expect(parseRecentOptions(new URLSearchParams('limit=0')).error).toBe('limit must be a positive integer');
+    expect(parseTrendingOptions(new URLSearchParams('days=365&limit=5'))).toEqual({ options: { days: 90, limit: 5 } });
+    expect(parseTrendingOptions(new URLSearchParams('days=1.5')).error).toBe('days must be a positive integer');
+  });
+
+  it('should read recent and trending searches through the database functions', async () => {
+    const supabase = fakeSupabase({
+      get_user_recent_searches: {
+        data: [{ query: 'rocket', library: 'all', result_count: 12, searched_at: '2025-08-18T10:00:00Z' }],
+        error: null
+      },
+      get_trending_searches: { data: [{ query: 'home', search_count: 42 }], error: null },
+      clear_user_searches: { data: 3, error: null }
+    });
+    const history = createSearchHistory({ supabase });
+
+    expect(await history.recent(USER_ID, { limit: 5 })).toEqual([
+      { query: 'rocket', library: 'all', resultCount: 12, searchedAt: '2025-08-18T10:00:00Z' }
+    ]);
+    expect(await history.trending({ days: 7, limit: 10 })).toEqual([{ query: 'home', count: 42 }]);
+    expect(await history.clear(USER_ID)).toBe(3);
+    expect(supabase.calls.map(call => call.params)).toEqual([
+      { p_user_id: USER_ID, p_limit: 5 },
+      { p_days: 7, p_limit: 10 },
+      { p_user_id: USER_ID }
+    ]);
+  });
+
+  it('should return null when the database fails and nothing for unsaved users', async () => {
+    const failure = { data: null, error: { message: 'boom' } };
+    const supabase = fakeSupabase({ get_user_recent_searches: failure, get_trending_searches: failure, clear_user_searches: failure });
+    const history = createSearchHistory({ supabase });
+
+    expect(await history.recent(USER_ID)).toBeNull();
+    expect(await history.trending()).toBeNull();
+    expect(await history.clear(USER_ID)).toBeNull();
+    expect(await history.recent('dev-user-id')).toEqual([]);
+    expect(await createSearchHistory().trending()).toEqual([]);
+  });
+});
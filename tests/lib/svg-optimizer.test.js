@@ -0,0 +1,70 @@
+const { optimizeSvg, parsePath, serializePath } = require('../../lib/svg-optimizer');
+
+const POTRACE_SVG = `<svg xmlns="http://www.w3.org/2000/svg" width="256" height="256" viewBox="0 0 256 256" version="1.1">
+\t<path d="M 10.123456 20.000000 L 40.5 20 L 40.5 50.987654 Z" stroke="none" fill="#000000" fill-rule="evenodd"/>
+\t<path d="M 100 100 L 120 100 L 120 120 Z" stroke="none" fill="#000000" fill-rule="evenodd"/>
+</svg>`;
+
+describe('svg optimizer', () => {
+  it('should round coordinates, merge paths and drop redundant attributes', () => {
+    expect(optimizeSvg(POTRACE_SVG)).toBe(
+      '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 256 256">' +
+      '<path d="M10.12 20L40.5 20 40.5 50.99ZM100 100L120 100 120 120Z" fill="#000000" fill-rule="evenodd"/></svg>'
+    );
+  });
+
+  it('should honour precision, currentColor and mergePaths', () => {
+    const svg = optimizeSvg(POTRACE_SVG, { precision: 0, currentColor: true, mergePaths: false });
+
+    expect(svg.match(/<path /g)).toHaveLength(2);
+    expect(svg).toContain('d="M10 20L41 20 41 51Z"');
+    expect(svg).not.toContain('#000000');
+    expect(svg).toContain('fill="currentColor"');
+  });
+
+  it('should not merge paths whose bounds overlap', () => {
+    const svg = '<svg viewBox="0 0 24 24"><path d="M3 12l9-9 9 9v9H3z" fill="none" stroke="#000"/><path d="M9 21v-6h6v6" fill="none" stroke="#000"/></svg>';
+
+    expect(optimizeSvg(svg).match(/<path /g)).toHaveLength(2);
+  });
+
+  it('should strip metadata and derive a viewBox from width and height', () => {
+    const svg = `<?xml version="1.0" encoding="UTF-8"?>
+<!-- Created with Inkscape -->
+<svg width="48px" height="32" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" inkscape:version="1.2">
+  <metadata><rdf:RDF/></metadata>
+  <rect x="0.5000" y="1.23456" width="4" height="4" style="fill:#f00;stroke:red"/>
+</svg>`;
+
+    expect(optimizeSvg(svg, { currentColor: true })).toBe(
+      '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 48 32">' +
+      '<rect x=".5" y="1.23" width="4" height="4" style="fill:currentColor;stroke:currentColor"/></svg>'
+    );
+    expect(optimizeSvg(svg, { keepSize: true })).toMatch(/^<svg xmlns="[^"]+" width="48px" height="32" viewBox="0 0 48 32">/);
+  });
+
+  it('should keep none, url() fills and Iconify 1em sizes sensible', () => {
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="1em" height="1em" viewBox="0 0 24 24"><path fill="url(#g)" d="M0 0h4v4z"/><path fill="none" stroke="#333" d="M8 8h4"/></svg>';
+    const optimized = optimizeSvg(svg, { currentColor: true });
+
+    expect(optimized).not.toContain('1em');
+    expect(optimized).toContain('fill="url(#g)"');
+    expect(optimized).toContain('fill="none" stroke="currentColor"');
+  });
+
+  it('should parse compact path data including arc flags', () => {
+    expect(parsePath('M10-5.5.5.25a1 1 0 011 1z')).toEqual([
+      { command: 'M', args: [10, -5.5] },
+      { command: 'L', args: [0.5, 0.25] },
+      { command: 'a', args: [1, 1, 0, 0, 1, 1, 1] },
+      { command: 'z', args: [] }
+    ]);
+    expect(parsePath('M0 0 Q')).toBeNull();
+    expect(serializePath(parsePath('M 0.5 0.5 L -1.25 0.75 L 2 3'), 2)).toBe('M.5.5L-1.25.75 2 3');
+  });
+
+  it('should leave non-SVG input and unsupported documents alone', () => {
+    expect(optimizeSvg('not svg')).toBe('not svg');
+    expect(optimizeSvg('<svg><style>.a{fill:red}</style></svg>')).toBe('<svg><style>.a{fill:red}</style></svg>');
+  });
+});
@@ -0,0 +1,43 @@
+const { buildSprite, symbolId, toSymbol } = require('../../lib/svg-sprite');
+
+const GRADIENT_SVG = '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="24" height="16">' +
+  '<defs><linearGradient id="a"><stop offset="0" stop-color="#f00"/></linearGradient><path id="shape" d="M0 0h4v4z"/></defs>' +
+  '<path fill="url(#a)" d="M0 0h10v10z"/><use xlink:href="#shape"/></svg>';
+
+describe('svg sprite', () => {
+  it('should make symbol ids from icon names', () => {
+    expect(symbolId('tabler:home')).toBe('tabler-home');
+    expect(symbolId('3D Rocket!')).toBe('i-3d-rocket');
+    expect(symbolId('***')).toBe('icon');
+  });
+
+  it('should square the viewBox and prefix internal ids', () => {
+    const symbol = toSymbol(GRADIENT_SVG, 'chart');
+
+    expect(symbol.viewBox).toBe('0 -4 24 24');
+    expect(symbol.xlink).toBe(true);
+    expect(symbol.markup).toContain('<symbol id="chart" viewBox="0 -4 24 24">');
+    expect(symbol.markup).toContain('<linearGradient id="chart-a">');
+    expect(symbol.markup).toContain('fill="url(#chart-a)"');
+    expect(symbol.markup).toContain('xlink:href="#chart-shape"');
+    expect(symbol.markup).not.toContain('width=');
+  });
+
+  it('should convert colours to currentColor when asked', () => {
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" stroke="#333"><path fill="#ff0000" style="stroke:blue" d="M1 1h2"/><path fill="none" d="M2 2h2"/></svg>';
+    const { markup } = toSymbol(svg, 'icon', { currentColor: true });
+
+    expect(markup).toBe('<symbol id="icon" viewBox="0 0 24 24" stroke="currentColor" fill="currentColor">' +
+      '<path fill="currentColor" style="stroke:currentColor" d="M1 1h2"/><path fill="none" d="M2 2h2"/></symbol>');
+  });
+
+  it('should build a sprite with unique ids and a usage snippet', () => {
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="1em" height="1em" viewBox="0 0 24 24"><path d="M1 1"/></svg>';
+    const result = buildSprite([{ name: 'tabler:home', svg }, { name: 'tabler:home', svg }], { idPrefix: 'ui-', currentColor: true });
+
+    expect(result.symbols.map(symbol => symbol.id)).toEqual(['ui-tabler-home', 'ui-tabler-home-2']);
+    expect(result.sprite.startsWith('<svg xmlns="http://www.w3.org/2000/svg">\n  <symbol id="ui-tabler-home"')).toBe(true);
+    expect(result.usage.html).toContain('<svg class="icon" aria-hidden="true"><use href="sprite.svg#ui-tabler-home-2"></use></svg>');
+    expect(result.usage.css).toContain('fill: currentColor;');
+  });
+});
@@ -0,0 +1,95 @@
+const zlib = require('zlib');
+const { arcToCubics, pathOperators, svgToPdf } = require('../../lib/svg-to-pdf');
+const { exportPdf } = require('../../lib/image-export');
+
+// The decompressed content stream of a single-page PDF
+function pageContent(pdf) {
+  const text = pdf.toString('latin1');
+  const start = text.indexOf('stream\n') + 'stream\n'.length;
+  return zlib.inflateSync(pdf.subarray(start, text.indexOf('\nendstream'))).toString('latin1');
+}
+
+describe('SVG to PDF', () => {
+  it('should write a valid single-page PDF with a consistent xref table', () => {
+    const pdf = svgToPdf('<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 12"><path d="M0 0h24v12H0z"/></svg>', { size: 96 });
+    const text = pdf.toString('latin1');
+
+    expect(text.startsWith('%PDF-1.4')).toBe(true);
+    expect(text.trimEnd().endsWith('%%EOF')).toBe(true);
+    expect(text).toContain('/MediaBox [0 0 72 36]');
+    const startxref = Number(/startxref\n(\d+)/.exec(text)[1]);
+    expect(text.slice(startxref, startxref + 4)).toBe('xref');
+    const offsets = [...text.matchAll(/^(\d{10}) 00000 n $/gm)].map(match => Number(match[1]));
+    offsets.forEach((offset, index) => expect(text.slice(offset).startsWith(`${index + 1} 0 obj`)).toBe(true));
+  });
+
+  it('should convert relative, smooth and quadratic path commands', () => {
+    const ops = pathOperators('M1 1l2 0h1v1c1 0 1 1 1 1s1 1 1 1Q8 2 9 2T11 2z').split('\n');
+
+    expect(ops.slice(0, 4)).toEqual(['1 1 m', '3 1 l', '4 1 l', '4 2 l']);
+    expect(ops[4]).toBe('5 2 5 3 5 3 c');
+    expect(ops[5]).toBe('5 3 6 4 6 4 c');
+    expect(ops[6]).toBe('7.333 2.667 8.333 2 9 2 c');
+    expect(ops[7]).toBe('9.667 2 10.333 2 11 2 c');
+    expect(ops[8]).toBe('h');
+  });
+
+  it('should split arcs into quarter-circle cubics that end on the endpoint', () => {
+    const curves = arcToCubics(0, 10, 10, 10, 0, 1, 0, 20, 10);
+
+    expect(curves).toHaveLength(2);
+    expect(curves[1].slice(4)).toEqual([20, 10]);
+    expect(curves[0][5]).toBeCloseTo(20);
+    expect(arcToCubics(0, 0, 0, 5, 0, 0, 1, 5, 5)).toBeNull();
+  });
+
+  it('should paint inherited strokes, currentColor, transforms and the background', () => {
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" color="#ff0000">' +
+      '<g fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" transform="translate(1 2)">' +
+      '<circle cx="12" cy="12" r="4"/><rect x="2" y="2" width="4" height="4" style="fill:#00ff00;stroke:none"/></g>' +
+      '<defs><path d="M0 0h1"/></defs></svg>';
+    const content = pageContent(svgToPdf(svg, { size: 48, background: '#0000ff' }));
+
+    expect(content.startsWith('0 0 1 rg\n0 0 36 36 re\nf')).toBe(true);
+    expect(content).toContain('1.5 0 0 -1.5 0 36 cm');
+    expect(content).toContain('1 0 0 1 1 2 cm');
+    expect(content).toContain('1 0 0 RG\n2 w\n1 J');
+    expect(content).toContain('0 1 0 rg\n2 2 m');
+    expect((content.match(/ m$/gm) || []).length).toBe(2);
+    expect(content.trimEnd().endsWith('Q')).toBe(true);
+  });
+
+  it('should draw duotone icons with <use>, defs and opacity', () => {
+    // Phosphor-style duotone: a 20% tint of the shape under its outline
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" viewBox="0 0 256 256">' +
+      '<defs><path id="house" d="M40 216V115L128 36l88 79v101z"/></defs>' +
+      '<g fill="currentColor"><use href="#house" opacity=".2"/>' +
+      '<use xlink:href="#house" x="4" fill="none" stroke="currentColor" stroke-width="16" stroke-opacity="50%"/></g></svg>';
+    const pdf = svgToPdf(svg, { size: 48 });
+    const content = pageContent(pdf);
+
+    expect(pdf.toString('latin1')).toContain('/Resources << /ExtGState << /GS0 << /ca 0.2 /CA 0.2 >> /GS1 << /ca 1 /CA 0.5 >> >> >>');
+    expect((content.match(/^40 216 m$/gm) || []).length).toBe(2);
+    expect(content).toContain('/GS0 gs\n0 0 0 rg\n40 216 m');
+    expect(content).toContain('1 0 0 1 4 0 cm\nq\n/GS1 gs\n0 0 0 RG\n16 w');
+  });
+
+  it('should stop at self-referencing <use> elements', () => {
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><g id="loop"><path d="M0 0h4v4z"/><use href="#loop"/></g></svg>';
+    const content = pageContent(svgToPdf(svg));
+
+    expect((content.match(/^0 0 m$/gm) || []).length).toBe(9);
+    expect((content.match(/^q$/gm) || []).length).toBe((content.match(/^Q$/gm) || []).length);
+  });
+
+  it('should embed a bitmap for masks and clip paths', async () => {
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><clipPath id="c"><circle cx="12" cy="12" r="8"/></clipPath>' +
+      '<path clip-path="url(#c)" d="M2 2h20v20H2z"/></svg>';
+
+    expect(() => svgToPdf(svg)).toThrow(expect.objectContaining({ code: 'ERASTERONLY' }));
+    const text = (await exportPdf(svg, { size: 64, background: '#ffffff' })).toString('latin1');
+    expect(text).toContain('/Resources << /XObject << /Im0 5 0 R >> >>');
+    expect(text).toContain('/Width 64 /Height 64 /BitsPerComponent 8 /Filter /FlateDecode /ColorSpace /DeviceRGB /SMask 6 0 R');
+    expect(pageContent(Buffer.from(text, 'latin1'))).toBe('1 1 1 rg\n0 0 48 48 re\nf\nq\n48 0 0 48 0 0 cm\n/Im0 Do\nQ');
+  });
+});
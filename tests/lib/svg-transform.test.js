@@ -0,0 +1,63 @@
+const { hasTransform, transformSvg, validateTransformOptions } = require('../../lib/svg-transform');
+
+const HOME_SVG = '<svg xmlns="http://www.w3.org/2000/svg" width="1em" height="1em" viewBox="0 0 24 24">' +
+  '<g fill="none" stroke="currentColor" stroke-width="2"><path d="M3 12l9-9 9 9v9H3z"/><path stroke-width="1.5" d="M9 21v-6h6v6"/></g></svg>';
+const TRACED_SVG = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 512 256"><path d="M0 0h10v10z" fill="#000000"/><path d="M20 0h10v10z" fill="none"/></svg>';
+
+describe('svg transforms', () => {
+  it('should return the input when there is nothing to do', () => {
+    expect(hasTransform({})).toBe(false);
+    expect(transformSvg(HOME_SVG, {})).toBe(HOME_SVG);
+  });
+
+  it('should recolour explicit paints and currentColor icons', () => {
+    const iconify = transformSvg(HOME_SVG, { color: '#ff0000' });
+    const traced = transformSvg(TRACED_SVG, { color: 'teal' });
+
+    expect(iconify).toMatch(/^<svg [^>]*fill="#ff0000" color="#ff0000">/);
+    expect(iconify).toContain('stroke="currentColor"');
+    expect(traced).toContain('<path d="M0 0h10v10z" fill="teal"/>');
+    expect(traced).toContain('<path d="M20 0h10v10z" fill="none"/>');
+  });
+
+  it('should scale strokes proportionally', () => {
+    const svg = transformSvg(HOME_SVG, { strokeWidth: 1 });
+
+    expect(svg).toContain('<g fill="none" stroke="currentColor" stroke-width="1">');
+    expect(svg).toContain('<path stroke-width=".75"');
+  });
+
+  it('should outline filled artwork in its own colour', () => {
+    const svg = transformSvg(TRACED_SVG, { strokeWidth: 4 });
+
+    expect(svg).toContain('<path d="M0 0h10v10z" fill="#000000" stroke="#000000" stroke-width="4" stroke-linejoin="round"/>');
+    expect(svg).toContain('<path d="M20 0h10v10z" fill="none"/>');
+  });
+
+  it('should rotate, flip and pad about the centre', () => {
+    const svg = transformSvg(HOME_SVG, { rotate: 90, flip: 'horizontal', padding: 0.1, size: 64 });
+
+    expect(svg).toMatch(/^<svg xmlns="[^"]+" width="64" height="64" viewBox="-3 -3 30 30">/);
+    expect(svg).toContain('<g transform="translate(12 12) rotate(90) scale(-1 1) translate(-12 -12)"><g fill="none"');
+    expect(svg.endsWith('</g></g></svg>')).toBe(true);
+  });
+
+  it('should swap the aspect ratio for quarter turns', () => {
+    const svg = transformSvg(TRACED_SVG, { rotate: -90, size: 100 });
+
+    expect(svg).toMatch(/viewBox="128 -128 256 512" width="50" height="100"/);
+    expect(svg).toContain('rotate(270)');
+  });
+
+  it('should validate options', () => {
+    expect(validateTransformOptions({ color: 'currentColor', strokeWidth: 1.5, rotate: -45, flip: 'both', padding: 0.2, size: 2048 })).toEqual([]);
+    expect(validateTransformOptions({ color: 'url(#x)', strokeWidth: 0, rotate: 720, flip: 'diagonal', padding: 0.5, size: 4096 })).toEqual([
+      'color must be a CSS colour such as #ff0000, red or currentColor',
+      'strokeWidth must be a number between 0 and 100',
+      'rotate must be a number of degrees between -360 and 360',
+      'flip must be one of: horizontal, vertical, both',
+      'padding must be a number between 0 and 0.4',
+      'size must be an integer between 1 and 2048'
+    ]);
+  });
+});
@@ -0,0 +1,69 @@
+const nock = require('nock');
+const { deliverWebhook, isPrivateAddress, signPayload, verifySignature } = require('../../lib/webhooks');
+
+// Resolves every host to a fixed list of addresses
+function resolvesTo(...addresses) {
+  return jest.fn(async () => addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 })));
+}
+
+describe('webhooks', () => {
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  it('should verify its own signatures and reject tampered bodies', () => {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const signature = signPayload('secret', '{"a":1}', timestamp);
+
+    expect(signature).toMatch(/^sha256=[0-9a-f]{64}$/);
+    expect(verifySignature('secret', '{"a":1}', timestamp, signature)).toBe(true);
+    expect(verifySignature('secret', '{"a":2}', timestamp, signature)).toBe(false);
+    expect(verifySignature('other', '{"a":1}', timestamp, signature)).toBe(false);
+  });
+
+  it('should reject stale timestamps', () => {
+    const old = String(Math.floor(Date.now() / 1000) - 3600);
+    expect(verifySignature('secret', '{}', old, signPayload('secret', '{}', old))).toBe(false);
+  });
+
+  it('should retry server errors and report the attempts', async () => {
+    nock('https://hooks.example.com')
+      .post('/hook').reply(503)
+      .post('/hook').reply(204);
+
+    const result = await deliverWebhook('https://hooks.example.com/hook', { ok: true }, { secret: 's', retryDelaysMs: [1, 1], lookup: resolvesTo('93.184.216.34') });
+    expect(result).toEqual({ delivered: true, attempts: 2, statusCode: 204, error: null });
+  });
+
+  it('should not retry client errors', async () => {
+    nock('https://hooks.example.com').post('/hook').reply(410);
+
+    const result = await deliverWebhook('https://hooks.example.com/hook', {}, { retryDelaysMs: [1, 1], lookup: resolvesTo('93.184.216.34') });
+    expect(result.delivered).toBe(false);
+    expect(result.attempts).toBe(1);
+    expect(result.error).toBe('Callback responded with 410');
+  });
+
+  it('should refuse hosts that resolve to a private address without retrying', async () => {
+    const scope = nock('https://hooks.example.com').post('/hook').reply(204);
+    const lookup = resolvesTo('93.184.216.34', '10.0.0.5');
+
+    const result = await deliverWebhook('https://hooks.example.com/hook', {}, { retryDelaysMs: [1, 1], lookup });
+    expect(result).toEqual({
+      delivered: false,
+      attempts: 1,
+      statusCode: null,
+      error: 'Callback host resolves to a private network address'
+    });
+    expect(lookup).toHaveBeenCalledWith('hooks.example.com', expect.objectContaining({ all: true }));
+    expect(scope.isDone()).toBe(false);
+  });
+
+  it('should treat loopback, private and link-local addresses as private', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']) {
+      expect(isPrivateAddress(address)).toBe(true);
+    }
+    expect(isPrivateAddress('93.184.216.34')).toBe(false);
+    expect(isPrivateAddress('2606:2800:220:1::1')).toBe(false);
+  });
+});